@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * PRIMITIVES BENCHMARK
+ * =====================
+ *
+ * Times the buffer-based Φ / ∇Φ / σ engine on large canvases:
+ *
+ *   npm run bench                  # 2000x2000
+ *   npm run bench -- 4000 3000     # any width and height
+ *
+ * Each step runs once on a fresh buffer and prints its wall time, plus a
+ * check value so a broken step shows up as well as a slow one.
+ */
+
+import {
+  sample_phi_field, gradient_field, boundary_mask, dilate_mask,
+  sigma_accumulate, emerge_circle, emerge_rectangle, compute_centroid, compute_bounds,
+} from '../src/core/primitives.js';
+
+const [width = 2000, height = width] = process.argv.slice(2).map(Number);
+
+/**
+ * Run a step, print its time and check value, return its result
+ */
+function time(label, step, check) {
+  const start = performance.now();
+  const result = step();
+  const elapsed = performance.now() - start;
+  console.log(`${label.padEnd(28)} ${elapsed.toFixed(1).padStart(9)} ms   ${check(result)}`);
+  return result;
+}
+
+const count = (mask) => mask.data.reduce((sum, value) => sum + value, 0);
+
+console.log(`primitives: ${width}x${height} (${(width * height / 1e6).toFixed(1)}M pixels)\n`);
+const total_start = performance.now();
+
+const phi = time('Φ sample (radial)', () => sample_phi_field(width, height), f => `center Φ=${f.data[(height >> 1) * width + (width >> 1)].toFixed(3)}`);
+time('Φ sample (vortex)', () => sample_phi_field(width, height, { kind: 'vortex' }), f => `corner Φ=${f.data[0].toFixed(3)}`);
+const levels = time('σ levels (8)', () => ({ width, height, data: phi.data.map(value => Math.floor(value * 8) / 8) }), f => `Φ[0]=${f.data[0]}`);
+const gradient = time('∇Φ gradient field', () => gradient_field(levels), g => `max |∇Φ|=${g.magnitude.reduce((m, v) => Math.max(m, v), 0).toFixed(3)}`);
+const edges = time('∇Φ boundary mask', () => boundary_mask(gradient), m => `${count(m)} boundary px`);
+time('dilate boundary (r=4)', () => dilate_mask(edges, 4), m => `${count(m)} px`);
+time('σ flood fill (center)', () => sigma_accumulate(phi, width >> 1, height >> 1, 0.25), r => `σ=${r.sigma}`);
+time('σ flood fill (whole canvas)', () => sigma_accumulate(phi, 0, 0, 1), r => `σ=${r.sigma}`);
+const circle = time('emerge circle', () => emerge_circle(width / 2, height / 2, Math.min(width, height) / 2.5, width, height), r => `σ=${r.sigma}`);
+time('emerge rectangle', () => emerge_rectangle(width >> 3, height >> 3, width >> 1, height >> 1, width, height), r => `σ=${r.sigma}`);
+time('mask centroid + bounds', () => [compute_centroid(circle.mask), compute_bounds(circle.mask)], ([c, b]) => `(${c.x.toFixed(1)}, ${c.y.toFixed(1)}) ${b.min_x}..${b.max_x}`);
+
+console.log(`\ntotal ${((performance.now() - total_start) / 1000).toFixed(2)} s`);
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * DYNAMIC-GIF COMMAND-LINE
+ * =========================
+ *
+ * Headless renderer: Command → Manifest → Emergence → GIF file.
+ * Runs the same pipeline as main.js without a browser, using
+ * @napi-rs/canvas as the drawing surface.
+ *
+ * Usage:
+ *   dynamic-gif "scene=corporate|text=Hello|animate=fadeIn" -o hello.gif
+ *
+ * Exit codes:
+ *   0 - GIF written (invalid params may have been repaired - reported on stderr)
+ *   1 - Manifest rejected by the Writable Gate (nothing written unless --allow-fallback)
+ *   2 - Invalid command-line usage
+ *   3 - Rendering or file output failed, or an image could not be loaded
+ *       (the GIF is written without it)
+ */
+
+import { realpathSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+
+import { parse_command_string_into_manifest } from '../core/manifest.js';
+import { get_validated_manifest_or_ground_state, format_validation_result, format_repair_report, format_notice } from '../core/validator.js';
+import { create_render_context, generate_manifest_frames } from '../core/renderer.js';
+import { encode_frames_to_gif } from '../rendering/gif.js';
+import { format_diagnostic } from '../core/diagnostics.js';
+import { register_brand_kit } from '../core/brand-kit.js';
+import { load_manifest_images, decode_data_uri, format_bytes, abbreviate_source, MAX_IMAGE_BYTES } from '../core/images.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  VALIDATION_FAILED: 1,
+  USAGE_ERROR: 2,
+  RENDER_ERROR: 3,
+};
+
+const USAGE = `Usage: dynamic-gif "<command>" [options]
+
+Options:
+  -o, --output <file>   Output GIF path (default: derived from text)
+  --frames <n>          Override frame count (per entry for sequences; not for zone layouts)
+  --delay <ms>          Override frame delay in milliseconds (replaces timing= for sequences; per content item for zone layouts)
+  --brand <file>        Apply and enforce a brand kit (JSON)
+  --strict              Reject the command if any param is invalid (no repair)
+  --allow-fallback      Write the ground-state GIF when validation fails
+  -q, --quiet           Only print errors
+  -h, --help            Show this help
+
+Example:
+  dynamic-gif "scene=corporate|text=Hello|animate=fadeIn" -o hello.gif`;
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+/**
+ * Parse process arguments into CLI options
+ *
+ * @param {string[]} argv - Arguments after the script path
+ * @returns {object} Options, with `error` set when usage is invalid
+ */
+export function parse_cli_arguments(argv) {
+  const options = {
+    command: null,
+    output: null,
+    frames: null,
+    delay: null,
+    brand: null,
+    allow_fallback: false,
+    strict: false,
+    quiet: false,
+    help: false,
+    error: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+
+      case '-q':
+      case '--quiet':
+        options.quiet = true;
+        break;
+
+      case '--allow-fallback':
+        options.allow_fallback = true;
+        break;
+
+      case '--strict':
+        options.strict = true;
+        break;
+
+      case '-o':
+      case '--output':
+      case '--brand':
+      case '--frames':
+      case '--delay': {
+        const value = argv[++i];
+        if (value === undefined) {
+          options.error = `Missing value for ${arg}`;
+          return options;
+        }
+        if (arg === '-o' || arg === '--output') {
+          options.output = value;
+        } else if (arg === '--brand') {
+          options.brand = value;
+        } else {
+          const number = Number(value);
+          if (!Number.isInteger(number) || number < (arg === '--frames' ? 1 : 0)) {
+            options.error = `Invalid value for ${arg}: ${value}`;
+            return options;
+          }
+          options[arg.slice(2)] = number;
+        }
+        break;
+      }
+
+      default:
+        if (arg.startsWith('-') && arg !== '-') {
+          options.error = `Unknown option: ${arg}`;
+          return options;
+        }
+        if (options.command !== null) {
+          options.error = 'Only one command string may be given';
+          return options;
+        }
+        options.command = arg;
+    }
+  }
+
+  if (!options.help && !options.command) {
+    options.error = 'Missing command string';
+  }
+
+  return options;
+}
+
+/**
+ * Derive an output filename from the manifest text (mirrors the browser download name)
+ */
+function default_output_path(manifest) {
+  const text = manifest?.params?.text || manifest?.sequence?.[0]?.text || manifest?.zones?.header.text || 'dynamic';
+  return `${text.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gif`;
+}
+
+// ============================================================================
+// HEADLESS PIPELINE
+// ============================================================================
+
+/**
+ * Decode an image source: a data URI, else a file path (relative to the
+ * working directory; a brand kit's logo is already resolved against the kit file)
+ */
+async function load_cli_image(source) {
+  if (source.startsWith('data:')) return loadImage(Buffer.from(decode_data_uri(source)));
+
+  const { size } = await stat(source);
+  if (size > MAX_IMAGE_BYTES) {
+    throw new Error(`image is ${format_bytes(size)}, at most ${format_bytes(MAX_IMAGE_BYTES)}`);
+  }
+  return loadImage(await readFile(source));
+}
+
+/**
+ * Resolve a brand kit's logo path against the kit file (data URIs and URLs are kept)
+ */
+function resolve_kit_logo(kit_path, logo) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(logo) ? logo : resolve(dirname(kit_path), logo);
+}
+
+/**
+ * Render a command string to GIF bytes without a DOM
+ *
+ * @param {string} command_string - The raw command
+ * @param {object} options - { frames, delay } overrides, { strict } validation,
+ *   { brand_kit } name of a registered kit to apply when the command names none
+ * @returns {Promise<object>} { gif_data, manifest, validation, diagnostics, image_errors, frame_count }
+ */
+export async function render_command_to_gif(command_string, options = {}) {
+  // 1. PARSE: Command string → Manifest (re-parsed under the brand kit if one is imposed)
+  let raw_manifest = parse_command_string_into_manifest(command_string);
+  if (options.brand_kit && raw_manifest.params.brand === undefined) {
+    raw_manifest = parse_command_string_into_manifest(`brand=${options.brand_kit}|${raw_manifest.raw}`);
+  }
+
+  // 2. VALIDATE: Manifest → Writable Gate
+  const validation = get_validated_manifest_or_ground_state(raw_manifest, { strict: options.strict });
+  const manifest = validation.manifest;
+
+  // 3. LOAD IMAGES (logo, image layers); one that fails is reported and left out
+  const { images, errors: image_errors } = await load_manifest_images(manifest, load_cli_image);
+
+  // 4. CREATE RENDER CONTEXT at manifest dimensions
+  const canvas = createCanvas(manifest.canvas.width, manifest.canvas.height);
+  const render_ctx = create_render_context(canvas, { images });
+
+  // 5. RENDER FRAMES (--frames is per segment for sequences; --delay is per frame, or per content item for zones)
+  const { frames, delays } = generate_manifest_frames(render_ctx, manifest, {
+    frame_count: options.frames,
+    frame_delay: options.delay,
+  });
+
+  // 6. ENCODE TO GIF
+  const gif_data = encode_frames_to_gif(frames, manifest.canvas.width, manifest.canvas.height, delays);
+
+  return {
+    gif_data,
+    manifest,
+    validation,
+    diagnostics: raw_manifest.errors,
+    image_errors,
+    frame_count: frames.length,
+  };
+}
+
+/**
+ * Run the CLI and resolve to a process exit code
+ *
+ * @param {string[]} argv - Arguments after the script path
+ * @param {object} io - { stdout, stderr } writers (defaults to process streams)
+ * @returns {Promise<number>} Exit code from EXIT_CODES
+ */
+export async function run_cli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const options = parse_cli_arguments(argv);
+  const log = (message) => { if (!options.quiet) io.stdout.write(message + '\n'); };
+
+  if (options.help) {
+    io.stdout.write(USAGE + '\n');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (options.error) {
+    io.stderr.write(`dynamic-gif: ${options.error}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  let brand_kit = null;
+  if (options.brand) {
+    try {
+      const kit = register_brand_kit(await readFile(options.brand, 'utf8'), {
+        resolve_logo: logo => resolve_kit_logo(options.brand, logo),
+      });
+      brand_kit = kit.name;
+    } catch (error) {
+      io.stderr.write(`dynamic-gif: cannot load brand kit ${options.brand}: ${error.message}\n`);
+      return EXIT_CODES.USAGE_ERROR;
+    }
+  }
+
+  let result;
+  try {
+    result = await render_command_to_gif(options.command, { ...options, brand_kit });
+  } catch (error) {
+    io.stderr.write(`dynamic-gif: render failed: ${error.message}\n`);
+    return EXIT_CODES.RENDER_ERROR;
+  }
+
+  const { gif_data, manifest, validation, diagnostics, image_errors, frame_count } = result;
+
+  // Parse diagnostics (typos, unknown values) explain a surprising GIF
+  if (!options.quiet) {
+    for (const diagnostic of diagnostics) {
+      io.stderr.write(`dynamic-gif: ${format_diagnostic(diagnostic)}\n`);
+    }
+  }
+
+  // A missing image is an error even with --quiet: the GIF is written without it
+  for (const { source, message } of image_errors) {
+    io.stderr.write(`dynamic-gif: cannot load image ${abbreviate_source(source)}: ${message}\n`);
+  }
+
+  if (validation.repaired) {
+    if (!options.quiet) io.stderr.write(format_repair_report(validation.repairs) + '\n');
+  } else if (!validation.valid) {
+    io.stderr.write(format_validation_result(validation.validation) + '\n');
+    if (!options.allow_fallback) {
+      return EXIT_CODES.VALIDATION_FAILED;
+    }
+    io.stderr.write('dynamic-gif: writing ground-state GIF (--allow-fallback)\n');
+  }
+
+  // A zone layout has one frame per content item, so --frames has nothing to change
+  if (!options.quiet && options.frames !== null && manifest.layout === 'zones') {
+    io.stderr.write('dynamic-gif: --frames is ignored for zone layouts (one frame per content item); use timing= or --delay\n');
+  }
+
+  // Failed warnings and infos (low contrast, colors that merge under CVD) still write the GIF
+  if (!options.quiet) {
+    for (const notice of validation.notices) {
+      io.stderr.write(`dynamic-gif: ${format_notice(notice)}\n`);
+    }
+  }
+
+  const output_path = options.output || default_output_path(validation.used_ground_state ? null : manifest);
+
+  try {
+    await writeFile(output_path, gif_data);
+  } catch (error) {
+    io.stderr.write(`dynamic-gif: cannot write ${output_path}: ${error.message}\n`);
+    return EXIT_CODES.RENDER_ERROR;
+  }
+
+  log(`✓ ${output_path} (${gif_data.length} bytes, ${frame_count} frame(s), ${manifest.canvas.width}x${manifest.canvas.height})`);
+
+  if (validation.used_ground_state) return EXIT_CODES.VALIDATION_FAILED;
+  return image_errors.length > 0 ? EXIT_CODES.RENDER_ERROR : EXIT_CODES.SUCCESS;
+}
+
+// Execute when invoked directly (including through an npm bin symlink)
+const invoked_path = process.argv[1] ? realpathSync(process.argv[1]) : null;
+if (invoked_path === fileURLToPath(import.meta.url)) {
+  process.exitCode = await run_cli(process.argv.slice(2));
+}
@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createCanvas } from '@napi-rs/canvas';
+import { run_cli, parse_cli_arguments, EXIT_CODES } from './dynamic-gif.js';
+
+let directory;
+
+beforeAll(async () => {
+  directory = await mkdtemp(join(tmpdir(), 'dynamic-gif-'));
+});
+
+afterAll(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+// Run the CLI with captured output
+async function run(...argv) {
+  const output = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: (text) => { output.stdout += text; } },
+    stderr: { write: (text) => { output.stderr += text; } },
+  };
+  const code = await run_cli(argv, io);
+  return { code, ...output };
+}
+
+/**
+ * Frame delays of a GIF in centiseconds, one per image
+ *
+ * Walks the block structure so image data is never mistaken for a block.
+ */
+function gif_frame_delays(bytes) {
+  const skip_sub_blocks = (i) => {
+    while (bytes[i] !== 0) i += bytes[i] + 1;
+    return i + 1;
+  };
+  const table_size = (flags) => (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+
+  expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+  const delays = [];
+  let delay = 0;
+  let i = 13 + table_size(bytes[10]);
+
+  while (bytes[i] !== 0x3b) {
+    if (bytes[i] === 0x21) {
+      if (bytes[i + 1] === 0xf9) delay = bytes[i + 4] | (bytes[i + 5] << 8);
+      i = skip_sub_blocks(i + 2);
+    } else if (bytes[i] === 0x2c) {
+      delays.push(delay);
+      i = skip_sub_blocks(i + 10 + table_size(bytes[i + 9]) + 1);
+    } else {
+      throw new Error(`Unexpected GIF block 0x${bytes[i].toString(16)} at ${i}`);
+    }
+  }
+
+  return delays;
+}
+
+describe('parse_cli_arguments', () => {
+  it('reads the command and options in any order', () => {
+    expect(parse_cli_arguments(['-q', 'text=Hi', '--frames', '4', '-o', 'hi.gif'])).toMatchObject({
+      command: 'text=Hi', frames: 4, output: 'hi.gif', quiet: true, error: null,
+    });
+  });
+
+  it('reports bad usage', () => {
+    expect(parse_cli_arguments([]).error).toBe('Missing command string');
+    expect(parse_cli_arguments(['text=Hi', '--frames', '0']).error).toBe('Invalid value for --frames: 0');
+    expect(parse_cli_arguments(['text=Hi', '--delay']).error).toBe('Missing value for --delay');
+    expect(parse_cli_arguments(['text=Hi', '--loud']).error).toBe('Unknown option: --loud');
+    expect(parse_cli_arguments(['text=Hi', 'text=Bye']).error).toBe('Only one command string may be given');
+  });
+});
+
+describe('run_cli', () => {
+  it('exits 0 and writes a GIF', async () => {
+    const output = join(directory, 'hello.gif');
+    const result = await run('text=Hello|canvas=100x100', '-o', output);
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(result.stdout).toContain(`✓ ${output}`);
+    expect(gif_frame_delays(await readFile(output))).toHaveLength(1);
+  });
+
+  it('applies --frames and --delay', async () => {
+    const output = join(directory, 'fade.gif');
+    const result = await run('text=Hi|canvas=100x100|animate=fadeIn', '-o', output, '--frames', '3', '--delay', '200', '-q');
+
+    expect(result).toMatchObject({ code: EXIT_CODES.SUCCESS, stdout: '' });
+    expect(gif_frame_delays(await readFile(output))).toEqual([20, 20, 20]);
+  });
+
+  it('writes each sequence entry for its timing', async () => {
+    const output = join(directory, 'sequence.gif');
+    const result = await run('sequence=One~Two~Three|timing=1s~500ms|canvas=100x100', '-o', output);
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(gif_frame_delays(await readFile(output))).toEqual([100, 50, 50]);
+  });
+
+  it('applies --delay to every sequence frame over timing=', async () => {
+    const output = join(directory, 'sequence-delay.gif');
+    const result = await run('sequence=One~Two~Three|timing=1s~500ms|canvas=100x100', '-o', output, '--delay', '300');
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(gif_frame_delays(await readFile(output))).toEqual([30, 30, 30]);
+
+    await run('sequence=One~Two|animate=fadeIn|canvas=100x100', '-o', output, '--frames', '2', '--delay', '80', '-q');
+    expect(gif_frame_delays(await readFile(output))).toEqual([8, 8, 8, 8]);
+  });
+
+  it('holds each zone content item for --delay and warns that --frames does not apply', async () => {
+    const output = join(directory, 'zones.gif');
+    const result = await run('header=Acme|content=Fast~Secure|canvas=120x200', '-o', output, '--delay', '300', '--frames', '5');
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(result.stderr).toContain('dynamic-gif: --frames is ignored for zone layouts');
+    expect(gif_frame_delays(await readFile(output))).toEqual([30, 30]);
+  });
+
+  it('prints parse diagnostics unless quiet', async () => {
+    const output = join(directory, 'typo.gif');
+    const result = await run('text=Hi|pallete=sunset|canvas=100x100', '-o', output);
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(result.stderr).toContain('dynamic-gif: pallete (offset 8): Unknown parameter "pallete" is ignored - did you mean palette?');
+
+    expect((await run('text=Hi|pallete=sunset|canvas=100x100', '-o', output, '-q')).stderr).toBe('');
+  });
+
+  it('repairs invalid params and reports them on stderr', async () => {
+    const output = join(directory, 'repaired.gif');
+    const result = await run('text=Hi|animate=spin|canvas=100x100', '-o', output);
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(result.stderr).toContain('REPAIRED');
+    expect(result.stderr).toContain('dropped animate');
+    expect(gif_frame_delays(await readFile(output))).toHaveLength(1);
+  });
+
+  it('prints failed warnings and still writes the GIF', async () => {
+    const output = join(directory, 'low-contrast.gif');
+    const result = await run('palette=brutalism|color=yellow|text=Hello|canvas=100x100', '-o', output);
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(result.stderr).toContain('dynamic-gif: warning text_contrast_sufficient: text color=#ffff00 has contrast 1.42:1, below AA 4.5:1 for normal text');
+    expect(gif_frame_delays(await readFile(output))).toHaveLength(1);
+  });
+
+  it('exits 1 without writing when --strict rejects the manifest, unless --allow-fallback', async () => {
+    const output = join(directory, 'rejected.gif');
+    const rejected = await run('text=Hi|animate=spin', '-o', output, '--strict');
+    expect(rejected.code).toBe(EXIT_CODES.VALIDATION_FAILED);
+    expect(rejected.stderr).toContain('MANIFEST REJECTED');
+    await expect(readFile(output)).rejects.toThrow();
+
+    const fallback = await run('text=Hi|animate=spin', '-o', output, '--strict', '--allow-fallback');
+    expect(fallback.code).toBe(EXIT_CODES.VALIDATION_FAILED);
+    expect(fallback.stderr).toContain('writing ground-state GIF');
+    expect(gif_frame_delays(await readFile(output))).toHaveLength(1);
+  });
+
+  it('applies and enforces a --brand kit', async () => {
+    const kit = join(directory, 'acme.json');
+    await writeFile(kit, JSON.stringify({ name: 'acme', colors: ['#ffcc00'], footer: '© Acme Corp' }));
+    const output = join(directory, 'branded.gif');
+    const result = await run('text=Hello|fill=red|canvas=100x100', '-o', output, '--brand', kit);
+
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(result.stderr).toContain('adjusted fill: "#ff0000" is off-brand for acme → #ffcc00');
+  });
+
+  it('exits 2 when the brand kit cannot be loaded', async () => {
+    const result = await run('text=Hello', '--brand', join(directory, 'missing.json'));
+    expect(result.code).toBe(EXIT_CODES.USAGE_ERROR);
+    expect(result.stderr).toContain('cannot load brand kit');
+  });
+
+  it('resolves a kit logo against the kit file', async () => {
+    const canvas = createCanvas(10, 10);
+    await mkdir(join(directory, 'kits'), { recursive: true });
+    await writeFile(join(directory, 'kits', 'logo.png'), canvas.toBuffer('image/png'));
+    await writeFile(join(directory, 'kits', 'logo-kit.json'), JSON.stringify({ name: 'logo-kit', colors: ['#000000'], logo: 'logo.png' }));
+
+    const output = join(directory, 'kit-logo.gif');
+    const result = await run('text=Hi|canvas=100x100|logo=brand', '-o', output, '--brand', join(directory, 'kits', 'logo-kit.json'));
+    expect(result.stderr).not.toContain('cannot load image');
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  it('exits 3 when an image cannot be loaded, reporting it even with --quiet, and renders without it', async () => {
+    const output = join(directory, 'no-logo.gif');
+    const result = await run('text=Hi|canvas=100x100|logo=missing-logo.png', '-o', output, '-q');
+
+    expect(result.code).toBe(EXIT_CODES.RENDER_ERROR);
+    expect(result.stderr).toContain('dynamic-gif: cannot load image missing-logo.png:');
+    expect(gif_frame_delays(await readFile(output))).toHaveLength(1);
+  });
+
+  it('exits 2 on bad usage and prints the help', async () => {
+    const result = await run('--frames', 'x');
+    expect(result.code).toBe(EXIT_CODES.USAGE_ERROR);
+    expect(result.stderr).toContain('Usage: dynamic-gif');
+
+    expect((await run('--help')).code).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  it('exits 3 when the GIF cannot be written', async () => {
+    const result = await run('text=Hi|canvas=100x100', '-o', join(directory, 'missing', 'hi.gif'));
+    expect(result.code).toBe(EXIT_CODES.RENDER_ERROR);
+    expect(result.stderr).toContain('cannot write');
+  });
+});
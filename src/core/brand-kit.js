@@ -0,0 +1,222 @@
+/**
+ * BRAND KITS
+ * ===========
+ *
+ * A brand kit locks a client's visual identity. Register it once, then
+ * select it with brand=<name>: parsing fills in the kit's defaults and the
+ * validator rejects anything off-brand (see the brand_* predicates).
+ *
+ * {
+ *   "name": "acme",
+ *   "palettes": ["from:#0a66c2:analogous", "oceanic"],   first = default
+ *   "colors": ["#0a66c2", "#ffffff"],                    allowed besides palette colors
+ *   "fonts": ["Inter, sans-serif"],                      first = default
+ *   "logo": "./brand/acme-logo.png",                    or { "source": ..., "x": "90%", ... }
+ *   "animations": ["none", "fadeIn"],                    first = default
+ *   "scenes": ["corporate", "minimal"],
+ *   "fontsize": { "min": 18, "max": 96 },
+ *   "footer": "© Acme Corp",                             always drawn
+ *   "snap": true                                         off-brand colors snap (false: dropped)
+ * }
+ *
+ * Every field but name is optional; a missing field leaves that aspect free.
+ *
+ * ITT Interpretation:
+ *   The kit is the brand attractor space made explicit - every manifest
+ *   under it converges to a point inside the brand's basin
+ */
+
+import chroma from 'chroma-js';
+import { normalize_css_color } from './colors.js';
+import { resolve_palette_value } from './palettes.js';
+import { LOGO_PROPERTIES } from './layers.js';
+
+const KIT_FIELDS = ['name', 'palettes', 'colors', 'fonts', 'logo', 'animations', 'scenes', 'fontsize', 'footer', 'snap'];
+
+// Kit names travel in brand=<name>, so they stay URL- and filename-safe
+const KIT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const REGISTRY = new Map();
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Read a list field: an array of non-empty strings (missing = empty)
+ */
+function read_string_list(kit_name, definition, field) {
+  const value = definition[field] ?? [];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+    throw new Error(`Brand kit ${kit_name}: ${field} must be a list of strings`);
+  }
+  return value.map(item => item.trim());
+}
+
+/**
+ * Read the logo field: a source, or { source, <logo property>: value, ... }
+ * whose properties become logo.* defaults (missing = no logo)
+ *
+ * @returns {object} { logo, logo_defaults } - logo_defaults maps property → string value
+ */
+function read_logo(kit_name, value) {
+  if (value === undefined || value === null) return { logo: null, logo_defaults: {} };
+  if (typeof value === 'string') return { logo: value, logo_defaults: {} };
+
+  const { source, ...properties } = typeof value === 'object' && !Array.isArray(value) ? value : {};
+  if (typeof source !== 'string') {
+    throw new Error(`Brand kit ${kit_name}: logo must be a string or { source, ... }`);
+  }
+  for (const [property, setting] of Object.entries(properties)) {
+    if (!LOGO_PROPERTIES.includes(property)) {
+      throw new Error(`Brand kit ${kit_name}: unknown logo property "${property}"`);
+    }
+    if (!['string', 'number'].includes(typeof setting)) {
+      throw new Error(`Brand kit ${kit_name}: logo ${property} must be a string or number`);
+    }
+  }
+
+  return {
+    logo: source,
+    logo_defaults: Object.fromEntries(Object.entries(properties).map(([property, setting]) => [property, String(setting)])),
+  };
+}
+
+/**
+ * Validate and normalize a brand kit definition
+ *
+ * Colors are normalized to hex, and the colors of the allowed palettes are
+ * collected once so validation does not re-resolve them.
+ *
+ * @param {object|string} source - Kit object, or its JSON text
+ * @param {object} options - { resolve_logo(logo) } maps the logo to a loadable source
+ *   (the CLI resolves file paths against the kit file)
+ * @returns {object} Frozen kit, with allowed_colors added
+ */
+export function load_brand_kit(source, options = {}) {
+  let definition = source;
+  if (typeof source === 'string') {
+    try {
+      definition = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Brand kit is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Brand kit must be an object');
+  }
+
+  const { name } = definition;
+  if (typeof name !== 'string' || !KIT_NAME_PATTERN.test(name)) {
+    throw new Error('Brand kit requires a name of letters, digits, - and _');
+  }
+
+  const unknown = Object.keys(definition).filter(field => !KIT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Brand kit ${name}: unknown field "${unknown[0]}"`);
+  }
+
+  const palettes = read_string_list(name, definition, 'palettes');
+  const palette_colors = palettes.flatMap(value => {
+    const palette = resolve_palette_value(value);
+    if (!palette) throw new Error(`Brand kit ${name}: unknown palette "${value}"`);
+    return [palette.primary, palette.secondary, palette.accent, palette.text, ...palette.gradient];
+  });
+
+  const colors = read_string_list(name, definition, 'colors').map(color => {
+    const normalized = normalize_css_color(color);
+    if (!normalized) throw new Error(`Brand kit ${name}: "${color}" is not a valid color`);
+    return normalized;
+  });
+
+  let fontsize = null;
+  if (definition.fontsize !== undefined) {
+    const { min = 1, max = Infinity } = definition.fontsize || {};
+    if (!Number.isFinite(min) || !(max > 0) || min > max) {
+      throw new Error(`Brand kit ${name}: fontsize must be { min, max } with min ≤ max`);
+    }
+    fontsize = { min, max };
+  }
+
+  if (definition.footer !== undefined && typeof definition.footer !== 'string') {
+    throw new Error(`Brand kit ${name}: footer must be a string`);
+  }
+
+  const { logo, logo_defaults } = read_logo(name, definition.logo);
+
+  return Object.freeze({
+    name,
+    palettes,
+    colors,
+    fonts: read_string_list(name, definition, 'fonts'),
+    logo: logo && options.resolve_logo ? options.resolve_logo(logo) : logo,
+    logo_defaults,
+    animations: read_string_list(name, definition, 'animations'),
+    scenes: read_string_list(name, definition, 'scenes'),
+    fontsize,
+    footer: definition.footer ?? null,
+    snap: definition.snap !== false,
+    allowed_colors: [...new Set([...colors, ...palette_colors.map(color => normalize_css_color(color))])],
+  });
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Register a brand kit so brand=<name> can select it
+ *
+ * @param {object|string} source - Kit object, or its JSON text
+ * @param {object} options - Passed to load_brand_kit
+ * @returns {object} The loaded kit
+ */
+export function register_brand_kit(source, options = {}) {
+  const kit = load_brand_kit(source, options);
+  if (REGISTRY.has(kit.name)) {
+    throw new Error(`Brand kit already registered: ${kit.name}`);
+  }
+  REGISTRY.set(kit.name, kit);
+  return kit;
+}
+
+/**
+ * Look up a registered brand kit by name
+ */
+export function get_brand_kit(name) {
+  return REGISTRY.get(name) || null;
+}
+
+/**
+ * List registered brand kits in registration order
+ */
+export function list_brand_kits() {
+  return [...REGISTRY.values()];
+}
+
+// ============================================================================
+// ENFORCEMENT HELPERS
+// ============================================================================
+
+/**
+ * Check a color against the kit (alpha is ignored: a translucent brand color is on-brand)
+ */
+export function is_brand_color(kit, color) {
+  if (kit.allowed_colors.length === 0) return true;
+  const normalized = normalize_css_color(color);
+  return Boolean(normalized) && kit.allowed_colors.includes(normalized.slice(0, 7));
+}
+
+/**
+ * The brand color perceptually closest to a color (distance in OKLab)
+ *
+ * @returns {string|null} Hex brand color, or null if the color is invalid or the kit has none
+ */
+export function nearest_brand_color(kit, color) {
+  const normalized = normalize_css_color(color);
+  if (!normalized || kit.allowed_colors.length === 0) return null;
+
+  const target = chroma(normalized.slice(0, 7)).oklab();
+  const distance = (candidate) => chroma(candidate).oklab().reduce((sum, v, i) => sum + (v - target[i]) ** 2, 0);
+  return kit.allowed_colors.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+}
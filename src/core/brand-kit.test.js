@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  load_brand_kit, register_brand_kit, get_brand_kit, list_brand_kits, is_brand_color, nearest_brand_color,
+} from './brand-kit.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+
+const parse = (command) => parse_command_string_into_manifest(command);
+const validate = (command, options) => get_validated_manifest_or_ground_state(parse(command), options);
+
+// { predicate, key, action, replacement } of each repair, in order
+const repairs_of = (result) => result.repairs.map(({ predicate, key, action, replacement }) => ({ predicate, key, action, replacement }));
+
+const TEST_KIT = register_brand_kit(JSON.stringify({
+  name: 'testkit',
+  palettes: ['from:#0a66c2:analogous', 'oceanic'],
+  colors: ['#ffcc00'],
+  fonts: ['Inter, sans-serif'],
+  animations: ['none', 'fadeIn'],
+  scenes: ['corporate'],
+  fontsize: { min: 18, max: 96 },
+  footer: '© Test Corp',
+}));
+
+register_brand_kit({ name: 'testkit-nosnap', colors: ['#000000'], snap: false });
+
+register_brand_kit({ name: 'testkit-logo', logo: { source: 'logo.png', x: '90%', width: 80 } });
+
+describe('load_brand_kit', () => {
+  it('normalizes colors and collects the palette colors', () => {
+    const kit = load_brand_kit({ name: 'plain', palettes: ['oceanic'], colors: ['Navy'] });
+
+    expect(kit.colors).toEqual(['#000080']);
+    expect(kit.allowed_colors).toContain('#000080');
+    expect(kit.allowed_colors).toContain(parse('palette=oceanic').palette.accent);
+    expect(kit).toMatchObject({ fonts: [], logo: null, fontsize: null, footer: null, snap: true });
+    expect(Object.isFrozen(kit)).toBe(true);
+  });
+
+  it('maps the logo through resolve_logo', () => {
+    const kit = load_brand_kit({ name: 'logo', logo: 'logo.png' }, { resolve_logo: logo => `/kits/${logo}` });
+    expect(kit.logo).toBe('/kits/logo.png');
+  });
+
+  it('reads a logo with placement defaults', () => {
+    expect(get_brand_kit('testkit-logo')).toMatchObject({ logo: 'logo.png', logo_defaults: { x: '90%', width: '80' } });
+    expect(() => load_brand_kit({ name: 'a', logo: { x: '90%' } })).toThrow('Brand kit a: logo must be a string or { source, ... }');
+    expect(() => load_brand_kit({ name: 'a', logo: { source: 'a.png', spin: 1 } })).toThrow('Brand kit a: unknown logo property "spin"');
+  });
+
+  it('rejects invalid kits with the field at fault', () => {
+    expect(() => load_brand_kit('{')).toThrow('Brand kit is not valid JSON');
+    expect(() => load_brand_kit({ name: 'bad name' })).toThrow('requires a name of letters, digits, - and _');
+    expect(() => load_brand_kit({ name: 'a', colour: [] })).toThrow('Brand kit a: unknown field "colour"');
+    expect(() => load_brand_kit({ name: 'a', palettes: ['nope'] })).toThrow('Brand kit a: unknown palette "nope"');
+    expect(() => load_brand_kit({ name: 'a', colors: ['zz'] })).toThrow('Brand kit a: "zz" is not a valid color');
+    expect(() => load_brand_kit({ name: 'a', fonts: [''] })).toThrow('Brand kit a: fonts must be a list of strings');
+    expect(() => load_brand_kit({ name: 'a', fontsize: { min: 50, max: 10 } })).toThrow('fontsize must be { min, max }');
+    expect(() => load_brand_kit({ name: 'a', footer: 3 })).toThrow('Brand kit a: footer must be a string');
+  });
+});
+
+describe('brand kit registry', () => {
+  it('looks kits up by name and refuses duplicates', () => {
+    expect(get_brand_kit('testkit')).toBe(TEST_KIT);
+    expect(get_brand_kit('nope')).toBeNull();
+    expect(list_brand_kits().map(kit => kit.name)).toEqual(['testkit', 'testkit-nosnap', 'testkit-logo']);
+    expect(() => register_brand_kit({ name: 'testkit' })).toThrow('Brand kit already registered: testkit');
+  });
+});
+
+describe('brand colors', () => {
+  it('accepts brand colors at any alpha', () => {
+    expect(is_brand_color(TEST_KIT, '#ffcc0080')).toBe(true);
+    expect(is_brand_color(TEST_KIT, 'red')).toBe(false);
+  });
+
+  it('snaps to the perceptually nearest brand color', () => {
+    expect(nearest_brand_color(TEST_KIT, 'gold')).toBe('#ffcc00');
+    expect(nearest_brand_color(TEST_KIT, 'notacolor')).toBeNull();
+  });
+});
+
+describe('brand defaults', () => {
+  it('fills in what the command leaves out', () => {
+    const manifest = parse('brand=testkit|text=Hi');
+
+    expect(manifest.brand).toBe(TEST_KIT);
+    expect(manifest.params).toMatchObject({
+      palette: 'from:#0a66c2:analogous', font: 'Inter, sans-serif', animate: 'none', footer: '© Test Corp',
+    });
+    expect(manifest.palette.primary).toBe('#0a66c2');
+  });
+
+  it('draws the kit logo where the kit places it', () => {
+    expect(parse('brand=testkit-logo|text=Hi').params).toMatchObject({ logo: 'brand', 'logo.x': '90%', 'logo.width': '80' });
+    expect(parse('brand=testkit-logo|text=Hi|logo.x=10%').params['logo.x']).toBe('10%');
+    expect(parse('brand=testkit|text=Hi').params.logo).toBeUndefined();
+  });
+
+  it('keeps what the command gives', () => {
+    expect(parse('brand=testkit|palette=oceanic|animate=fadeIn').params).toMatchObject({ palette: 'oceanic', animate: 'fadeIn' });
+  });
+
+  it('reports unknown kits with a suggestion', () => {
+    expect(parse('brand=testkt').errors).toEqual([expect.objectContaining({ code: 'UNKNOWN_BRAND', offset: 6, suggestion: 'testkit' })]);
+  });
+});
+
+describe('brand enforcement', () => {
+  it('passes an on-brand command unchanged', () => {
+    expect(validate('brand=testkit|text=Hi|color=#ffcc00')).toMatchObject({ valid: true, repaired: false });
+  });
+
+  it('repairs every off-brand param', () => {
+    const result = validate('brand=testkit|text=Hi|fill=red|palette=sunset|font=Comic Sans|fontsize=200|footer=x');
+
+    expect(repairs_of(result)).toEqual([
+      { predicate: 'brand_palette', key: 'palette', action: 'adjusted', replacement: 'from:#0a66c2:analogous' },
+      { predicate: 'brand_colors', key: 'fill', action: 'adjusted', replacement: '#ffcc00' },
+      { predicate: 'brand_font', key: 'font', action: 'adjusted', replacement: 'Inter, sans-serif' },
+      { predicate: 'brand_fontsize', key: 'fontsize', action: 'clamped', replacement: '96' },
+      { predicate: 'brand_footer', key: 'footer', action: 'adjusted', replacement: '© Test Corp' },
+    ]);
+    expect(result.manifest.palette.primary).toBe('#0a66c2');
+  });
+
+  it('drops off-brand colors when the kit does not snap', () => {
+    const result = validate('brand=testkit-nosnap|text=Hi|fill=red|gradient=#000,#fff');
+    expect(repairs_of(result).map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['fill', 'dropped', null],
+      ['gradient', 'dropped', '#000000'],
+    ]);
+  });
+
+  it('limits animations and scenes', () => {
+    expect(repairs_of(validate('brand=testkit|text=Hi|animate=pulse'))).toEqual([
+      { predicate: 'brand_animation', key: 'animate', action: 'adjusted', replacement: 'none' },
+    ]);
+    expect(repairs_of(validate('brand=testkit|text=Hi|scene=minimal')).map(({ key, action }) => [key, action]))
+      .toContainEqual(['scene', 'dropped']);
+  });
+
+  it('falls back to the kit defaults under --strict', () => {
+    const result = validate('brand=testkit|text=Hi|fill=red', { strict: true });
+
+    expect(result).toMatchObject({ valid: false, used_ground_state: true });
+    expect(result.validation.errors).toEqual(['FAILED: brand_colors']);
+    expect(result.manifest.params).toMatchObject({ brand: 'testkit', footer: '© Test Corp' });
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * CSS COLOR PARSING
+ * ==================
+ *
+ * Validates and normalizes color params against the CSS Color 4 grammar:
+ *   #rgb  #rgba  #rrggbb  #rrggbbaa
+ *   named colors (all 148, plus transparent)
+ *   rgb()  rgba()  hsl()  hsla()  hwb()  lab()  lch()  oklab()  oklch()
+ *
+ * Functions accept the modern space syntax ("hsl(200 80% 50% / 0.5)");
+ * rgb/hsl also accept the legacy comma syntax ("rgba(0, 0, 0, 0.3)").
+ *
+ * Every valid color normalizes to lowercase hex - #rrggbb, or #rrggbbaa
+ * when translucent - so the renderer and GIF quantizer see one spelling.
+ *
+ * ITT Interpretation:
+ *   Many notations, one scalar value: normalization collapses each
+ *   spelling of a color onto the same point of Φ
+ */
+
+import chroma from 'chroma-js';
+
+// Functional notations (rgba/hsla are aliases); only rgb/hsl have a legacy comma form
+const COLOR_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+const LEGACY_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla'];
+
+// chroma's named colors include a few X11 extras that CSS does not define
+const NON_CSS_NAMES = ['laserlemon', 'lightgoldenrod', 'maroon2', 'maroon3', 'purple2', 'purple3'];
+
+// Hue units, in degrees
+const ANGLE_UNITS = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+
+// ============================================================================
+// COMPONENT PARSING
+// ============================================================================
+
+/**
+ * Parse one component token
+ *
+ * @returns {object|null} { value, type: 'number' | 'percent' | 'angle' | 'none' }
+ */
+function parse_component(token) {
+  if (token.toLowerCase() === 'none') return { value: 0, type: 'none' };
+
+  const match = token.match(NUMBER_PATTERN);
+  if (!match) return null;
+
+  const value = parseFloat(match[0]);
+  const unit = token.slice(match[0].length).toLowerCase();
+
+  if (unit === '') return { value, type: 'number' };
+  if (unit === '%') return { value, type: 'percent' };
+  if (ANGLE_UNITS[unit]) return { value: value * ANGLE_UNITS[unit], type: 'angle' };
+  return null;
+}
+
+/**
+ * Resolve a component to a number: percentages scale to `percent_of`
+ * (100% = percent_of), plain numbers pass through
+ */
+function resolve(component, percent_of, { percent = true, number = true, angle = false } = {}) {
+  switch (component.type) {
+    case 'none': return 0;
+    case 'number': return number || angle ? component.value : null;
+    case 'percent': return percent ? (component.value / 100) * percent_of : null;
+    case 'angle': return angle ? component.value : null;
+  }
+  return null;
+}
+
+/**
+ * Split a function body into components and an optional alpha
+ *
+ * @returns {object|null} { components, alpha, legacy }
+ */
+function split_arguments(name, body) {
+  // Legacy: comma separated, alpha as the fourth item
+  if (body.includes(',')) {
+    if (!LEGACY_FUNCTIONS.includes(name)) return null;
+    const parts = body.split(',').map(part => part.trim());
+    if (parts.length < 3 || parts.length > 4 || parts.some(part => part === '' || /\s/.test(part))) return null;
+    return { components: parts.slice(0, 3), alpha: parts[3] ?? null, legacy: true };
+  }
+
+  // Modern: space separated, alpha after a slash
+  const [main, alpha, ...rest] = body.split('/').map(part => part.trim());
+  if (rest.length > 0 || alpha === '') return null;
+  const components = main.split(/\s+/).filter(Boolean);
+  if (components.length !== 3) return null;
+  return { components, alpha: alpha ?? null, legacy: false };
+}
+
+/**
+ * Build a chroma color from CSS lab() values (D50, as CSS specifies)
+ *
+ * chroma's Lab is D65, so convert by hand: Lab(D50) → XYZ → Bradford → sRGB
+ */
+function lab_d50_to_color(l, a, b, alpha) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const white = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+  const f1 = (l + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+  const xyz_d50 = [
+    (f0 ** 3 > epsilon ? f0 ** 3 : (116 * f0 - 16) / kappa) * white[0],
+    (l > kappa * epsilon ? f1 ** 3 : l / kappa) * white[1],
+    (f2 ** 3 > epsilon ? f2 ** 3 : (116 * f2 - 16) / kappa) * white[2],
+  ];
+
+  const multiply = (matrix, vector) => matrix.map(row => row.reduce((sum, m, i) => sum + m * vector[i], 0));
+  const xyz_d65 = multiply([
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+  ], xyz_d50);
+  const linear = multiply([
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+  ], xyz_d65);
+
+  const gamma = (v) => {
+    const sign = v < 0 ? -1 : 1;
+    const abs = Math.abs(v);
+    return sign * (abs <= 0.0031308 ? 12.92 * abs : 1.055 * abs ** (1 / 2.4) - 0.055);
+  };
+  const [r, g, blue] = linear.map(v => Math.min(1, Math.max(0, gamma(v))));
+  return chroma.gl(r, g, blue, alpha);
+}
+
+/**
+ * Convert hwb to a chroma color (via the hue's pure sRGB color)
+ */
+function hwb_to_color(hue, whiteness, blackness, alpha) {
+  if (whiteness + blackness >= 1) {
+    const gray = whiteness / (whiteness + blackness);
+    return chroma.gl(gray, gray, gray, alpha);
+  }
+  const [r, g, b] = chroma.hsl(hue, 1, 0.5).gl();
+  const scale = 1 - whiteness - blackness;
+  return chroma.gl(r * scale + whiteness, g * scale + whiteness, b * scale + whiteness, alpha);
+}
+
+/**
+ * Parse a functional notation: rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch()
+ */
+function parse_color_function(name, body) {
+  const args = split_arguments(name, body);
+  if (!args) return null;
+
+  const parts = args.components.map(parse_component);
+  if (parts.some(part => part === null)) return null;
+
+  // Alpha: number 0..1 or percentage, clamped
+  let alpha = 1;
+  if (args.alpha !== null) {
+    const component = parse_component(args.alpha);
+    const value = component && resolve(component, 1);
+    if (value === null || value === undefined) return null;
+    alpha = Math.min(1, Math.max(0, value));
+  }
+
+  // Legacy syntax allows no 'none' and (for rgb) no mixing of numbers and percentages
+  if (args.legacy && parts.some(part => part.type === 'none')) return null;
+
+  const hue = (part) => resolve(part, 0, { percent: false, angle: true });
+  const values = (specs) => {
+    const resolved = parts.map((part, i) => specs[i](part));
+    return resolved.some(value => value === null) ? null : resolved;
+  };
+
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      if (args.legacy && new Set(parts.map(part => part.type)).size > 1) return null;
+      const channel = part => resolve(part, 255);
+      const rgb = values([channel, channel, channel]);
+      if (!rgb) return null;
+      const [r, g, b] = rgb.map(v => Math.min(255, Math.max(0, v)));
+      return chroma(r, g, b, 'rgb').alpha(alpha);
+    }
+
+    case 'hsl':
+    case 'hsla': {
+      const level = part => resolve(part, 100, { number: !args.legacy });
+      const hsl = values([hue, level, level]);
+      if (!hsl) return null;
+      const [h, s, l] = hsl;
+      return chroma.hsl(h, clamp_unit(s / 100), clamp_unit(l / 100)).alpha(alpha);
+    }
+
+    case 'hwb': {
+      const level = part => resolve(part, 100);
+      const hwb = values([hue, level, level]);
+      if (!hwb) return null;
+      return hwb_to_color(hwb[0], clamp_unit(hwb[1] / 100), clamp_unit(hwb[2] / 100), alpha);
+    }
+
+    case 'lab': {
+      const lab = values([part => resolve(part, 100), part => resolve(part, 125), part => resolve(part, 125)]);
+      if (!lab) return null;
+      return lab_d50_to_color(Math.min(100, Math.max(0, lab[0])), lab[1], lab[2], alpha);
+    }
+
+    case 'lch': {
+      const lch = values([part => resolve(part, 100), part => resolve(part, 150), hue]);
+      if (!lch) return null;
+      const [l, c, h] = lch;
+      const radians = (h * Math.PI) / 180;
+      const chroma_value = Math.max(0, c);
+      return lab_d50_to_color(Math.min(100, Math.max(0, l)), chroma_value * Math.cos(radians), chroma_value * Math.sin(radians), alpha);
+    }
+
+    case 'oklab': {
+      const oklab = values([part => resolve(part, 1), part => resolve(part, 0.4), part => resolve(part, 0.4)]);
+      if (!oklab) return null;
+      return chroma.oklab(clamp_unit(oklab[0]), oklab[1], oklab[2]).alpha(alpha);
+    }
+
+    case 'oklch': {
+      const oklch = values([part => resolve(part, 1), part => resolve(part, 0.4), hue]);
+      if (!oklch) return null;
+      return chroma.oklch(clamp_unit(oklch[0]), Math.max(0, oklch[1]), oklch[2]).alpha(alpha);
+    }
+  }
+
+  return null;
+}
+
+function clamp_unit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Parse any CSS Color 4 color into a chroma color
+ *
+ * @param {string} value - e.g. "navy", "#abcd", "oklch(70% 0.1 200)"
+ * @returns {object|null} chroma color, or null if the value is not a color
+ */
+export function parse_css_color(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+
+  if (/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(text)) {
+    // Expand #rgb[a] and read channels directly (chroma rounds hex alpha to 2 places)
+    const digits = text.length <= 5 ? [...text.slice(1)].map(d => d + d).join('') : text.slice(1);
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return chroma(r, g, b, 'rgb').alpha(a / 255);
+  }
+
+  if (text === 'transparent') {
+    return chroma(0, 0, 0, 'rgb').alpha(0);
+  }
+
+  if (/^[a-z]+$/.test(text)) {
+    return Object.hasOwn(chroma.colors, text) && !NON_CSS_NAMES.includes(text) ? chroma(text) : null;
+  }
+
+  const match = text.match(/^([a-z]+)\((.*)\)$/);
+  if (match && COLOR_FUNCTIONS.includes(match[1])) {
+    try {
+      return parse_color_function(match[1], match[2].trim());
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value is a valid CSS color
+ */
+export function is_valid_css_color(value) {
+  return parse_css_color(value) !== null;
+}
+
+/**
+ * Normalize a CSS color to lowercase hex (#rrggbb, or #rrggbbaa when translucent)
+ *
+ * "navy" → "#000080", "hsl(0 100% 50% / 50%)" → "#ff000080"
+ *
+ * @returns {string|null} Canonical hex, or null if the value is not a color
+ */
+export function normalize_css_color(value) {
+  const color = parse_css_color(value);
+  if (!color) return null;
+
+  const to_hex = (channel) => Math.round(channel).toString(16).padStart(2, '0');
+  const [r, g, b] = color.rgb();
+  const alpha = Math.round(color.alpha() * 255);
+  const hex = `#${to_hex(r)}${to_hex(g)}${to_hex(b)}`;
+
+  return alpha === 255 ? hex : hex + to_hex(alpha);
+}
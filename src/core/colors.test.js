@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { normalize_css_color, is_valid_css_color } from './colors.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+
+describe('normalize_css_color', () => {
+  it('writes every notation as lowercase hex', () => {
+    expect(normalize_css_color('navy')).toBe('#000080');
+    expect(normalize_css_color('RebeccaPurple')).toBe('#663399');
+    expect(normalize_css_color('#ABC')).toBe('#aabbcc');
+    expect(normalize_css_color('hsl(120 100% 25%)')).toBe('#008000');
+    expect(normalize_css_color('hsl(120, 100%, 25%)')).toBe('#008000');
+    expect(normalize_css_color('hsl(0.5turn 100% 50%)')).toBe('#00ffff');
+    expect(normalize_css_color('hwb(0 0% 0%)')).toBe('#ff0000');
+    expect(normalize_css_color('oklch(62.8% 0.2577 29.23)')).toBe('#ff0000');
+    expect(normalize_css_color('oklab(0.628 0.2249 0.1258)')).toBe('#ff0000');
+  });
+
+  it('keeps alpha as #rrggbbaa', () => {
+    expect(normalize_css_color('#abcd')).toBe('#aabbccdd');
+    expect(normalize_css_color('rgb(255 0 0 / 50%)')).toBe('#ff000080');
+    expect(normalize_css_color('rgba(0, 0, 0, 0.3)')).toBe('#0000004d');
+    expect(normalize_css_color('transparent')).toBe('#00000000');
+  });
+
+  it('clamps channels out of gamut', () => {
+    expect(normalize_css_color('rgb(300 0 0)')).toBe('#ff0000');
+  });
+});
+
+describe('is_valid_css_color', () => {
+  it('accepts CSS Color 4 notations', () => {
+    for (const color of ['lab(53.24 80.09 67.2)', 'lch(53.24 104.55 40)', 'hsla(200 80% 50% / 0.5)', '#11223344']) {
+      expect(is_valid_css_color(color)).toBe(true);
+    }
+  });
+
+  it('rejects non-CSS names, bad hex, missing channels and mixed syntax', () => {
+    for (const color of ['laserlemon', 'notacolor', '#12', 'rgb(1 2)', 'rgb(255, 0 0)', 'rgb()', '']) {
+      expect(is_valid_css_color(color)).toBe(false);
+    }
+  });
+});
+
+describe('color params', () => {
+  it('are normalized while parsing; invalid ones are left for the validator', () => {
+    const { params } = parse_command_string_into_manifest('text=Hi|color=navy|fill=hsl(0 100% 50% / 0.5)|stroke=nope');
+    expect(params).toMatchObject({ color: '#000080', fill: '#ff000080', stroke: 'nope' });
+    expect(parse_command_string_into_manifest('header=Acme|headerColor=Tomato').zones.header.color).toBe('#ff6347');
+  });
+});
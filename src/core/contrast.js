@@ -0,0 +1,311 @@
+/**
+ * TEXT CONTRAST (WCAG 2)
+ * =======================
+ *
+ * Measures how readable the text is on what is actually drawn behind it:
+ * the solid fill, or every color the background gradient passes through
+ * inside the text box - linear, radial or conic, at every point of its
+ * motion when it moves. Behind bg=field any color of the field's colormap
+ * may show, behind bg=mesh any blend of its stops.
+ *
+ * The worst case counts - a gradient that is fine behind the first letter
+ * and unreadable behind the last one fails.
+ *
+ * Text boxes are estimated without a canvas (bold sans glyphs average about
+ * 0.6em wide), so the check runs in the validator, before rendering.
+ *
+ * ITT Interpretation:
+ *   Text is a boundary charge (ρq); contrast is the jump in Φ across that
+ *   boundary - too small a jump and the boundary does not exist for the eye
+ */
+
+import chroma from 'chroma-js';
+import { ZONE_NAMES, ZONE_DEFINITIONS, DEFAULT_LINE_HEIGHT } from './layout.js';
+import { parse_css_color } from './colors.js';
+import { build_layer_stack } from './layers.js';
+import { field_colormap } from './field.js';
+import { gradient_spec, gradient_position, gradient_color_at, is_gradient_animated, resolve_gradient_stops, resolve_background } from './gradients.js';
+
+// Minimum ratios per level (large text: ≥ 24px, or ≥ 18.66px bold)
+export const WCAG_LEVELS = {
+  aa: { normal: 4.5, large: 3 },
+  aaa: { normal: 7, large: 4.5 },
+};
+
+// Average glyph width of bold sans text, in em
+const GLYPH_WIDTH_EM = 0.6;
+
+// Gradient samples between stops (contrast can dip between two stops)
+const GRADIENT_SAMPLES = 16;
+
+// Points along each side of a box where its gradient position is measured
+const BOX_SAMPLES = 9;
+
+// Points of the clip a moving gradient is measured at
+const MOTION_SAMPLES = 12;
+
+// ============================================================================
+// CONTRAST
+// ============================================================================
+
+/**
+ * Contrast ratio of a (possibly translucent) text color over an opaque background
+ *
+ * @returns {number} 1..21
+ */
+export function contrast_ratio(foreground, background) {
+  const bg = parse_css_color(background) || chroma('#000000');
+  const fg = parse_css_color(foreground) || chroma('#000000');
+  const visible = fg.alpha() < 1 ? chroma.mix(bg.alpha(1), fg.alpha(1), fg.alpha(), 'rgb') : fg;
+  return chroma.contrast(visible, bg.alpha(1));
+}
+
+/**
+ * Whether text counts as large under WCAG (18pt, or 14pt bold)
+ */
+export function is_large_text(font_size, bold = true) {
+  return font_size >= (bold ? 18.66 : 24);
+}
+
+/**
+ * Required ratio for a level and text size
+ */
+export function required_contrast(level, large) {
+  const thresholds = WCAG_LEVELS[level] || WCAG_LEVELS.aa;
+  return large ? thresholds.large : thresholds.normal;
+}
+
+// ============================================================================
+// BACKGROUND SAMPLING
+// ============================================================================
+
+/**
+ * Colors a gradient passes through between positions t_min and t_max
+ *
+ * @param {object[]} stops - [{ color, position }], positions 0..1 in order
+ */
+function sample_gradient(stops, t_min, t_max) {
+  if (stops.length === 1) return [stops[0].color];
+
+  const samples = [];
+  for (let i = 0; i <= GRADIENT_SAMPLES; i++) {
+    samples.push(gradient_color_at(stops, t_min + ((t_max - t_min) * i) / GRADIENT_SAMPLES));
+  }
+  // Stops inside the range, exactly
+  stops.forEach(stop => {
+    if (stop.position > t_min && stop.position < t_max) samples.push(stop.color);
+  });
+
+  return samples;
+}
+
+/**
+ * Range of gradient positions a box covers (a grid of points over it)
+ */
+function box_position_range(spec, box) {
+  let [t_min, t_max] = [Infinity, -Infinity];
+  for (let i = 0; i < BOX_SAMPLES; i++) {
+    for (let j = 0; j < BOX_SAMPLES; j++) {
+      const x = box.left + ((box.right - box.left) * i) / (BOX_SAMPLES - 1);
+      const y = box.top + ((box.bottom - box.top) * j) / (BOX_SAMPLES - 1);
+      const t = gradient_position(spec, x, y);
+      [t_min, t_max] = [Math.min(t_min, t), Math.max(t_max, t)];
+    }
+  }
+
+  // A radial center inside the box puts the first stop behind it
+  if (spec.kind === 'radial' && spec.cx >= box.left && spec.cx <= box.right && spec.cy >= box.top && spec.cy <= box.bottom) {
+    t_min = 0;
+  }
+  return [t_min, t_max];
+}
+
+/**
+ * Background colors behind a box
+ *
+ * A gradient is measured at each of its specs (one per sampled point of
+ * its motion); a mesh or field background counts all its colors.
+ *
+ * @param {object} background - { solid }, { gradient: [...], specs: [...] } or { field: [...] }
+ * @param {object} box - { left, top, right, bottom } in pixels
+ * @returns {string[]} Colors
+ */
+export function sample_background(background, box) {
+  if (background.solid) return [background.solid];
+
+  const even_stops = (colors) => resolve_gradient_stops(colors.map(color => ({ color, position: null })));
+  if (background.field) return sample_gradient(even_stops(background.field), 0, 1);
+
+  return background.specs.flatMap(spec => {
+    if (spec.kind === 'mesh') return [spec.base, ...sample_gradient(spec.stops, 0, 1)];
+    return sample_gradient(spec.stops, ...box_position_range(spec, box));
+  });
+}
+
+// ============================================================================
+// TEXT MEASUREMENT
+// ============================================================================
+
+/**
+ * Resolve a position or length param ("120" or "30%") like render_text_element
+ */
+function resolve_position(value, extent, fallback) {
+  if (!value) return fallback;
+  return value.endsWith('%') ? (parseFloat(value) / 100) * extent : parseFloat(value);
+}
+
+/**
+ * Estimate the box of the text block drawn by render_text_element
+ *
+ * Wrapping is approximated per paragraph: its estimated width over maxwidth,
+ * rounded up, is its line count.
+ */
+function estimate_text_box(manifest, text, font_size) {
+  const { width, height } = manifest.canvas;
+  const { params } = manifest;
+  const max_width = resolve_position(params.maxwidth, width, width * 0.9);
+  const line_height = font_size * (parseFloat(params.lineheight) || DEFAULT_LINE_HEIGHT);
+
+  const paragraph_widths = text.split('\n').map(paragraph => [...paragraph].length * font_size * GLYPH_WIDTH_EM);
+  const wrapped = paragraph_widths.reduce((sum, w) => sum + Math.max(1, Math.ceil(w / max_width)), 0);
+  const lines = Math.min(wrapped, parseInt(params.maxlines) || Infinity);
+  const text_width = Math.min(max_width, Math.max(...paragraph_widths));
+
+  const x = resolve_position(params.x, width, width / 2);
+  const y = resolve_position(params.y, height, height / 2);
+  const half_height = ((lines - 1) * line_height) / 2 + font_size / 2;
+
+  const align = params.align || 'center';
+  let left = x - text_width / 2;
+  if (align === 'left' || align === 'start') left = x;
+  if (align === 'right' || align === 'end') left = x - text_width;
+
+  return { left, top: y - half_height, right: left + text_width, bottom: y + half_height };
+}
+
+/**
+ * Background the renderer draws for the whole canvas
+ *
+ * @returns {object} { solid: color }, { gradient: [...stop colors], specs: [...gradient specs] }
+ *   or { field: [...colormap stops] } - a moving gradient has a spec per sampled point of the clip
+ */
+export function canvas_background(manifest) {
+  const { params } = manifest;
+  const { width, height } = manifest.canvas;
+  const background = resolve_background(manifest);
+
+  // The field can put any color of its colormap behind any point
+  if (background.type === 'field') {
+    return { field: field_colormap(manifest) };
+  }
+  if (background.type === 'solid') {
+    return { solid: background.color };
+  }
+  const progresses = is_gradient_animated(params)
+    ? Array.from({ length: MOTION_SAMPLES }, (_, i) => i / MOTION_SAMPLES)
+    : [0];
+  const specs = progresses.map(progress => gradient_spec(manifest, width, height, progress));
+  return { gradient: specs[0].stops.map(stop => stop.color), specs };
+}
+
+/**
+ * Measure every text the manifest draws against its background
+ *
+ * Simple and sequence modes measure the main text (the longest sequence
+ * entry) and every text layer; zone layouts measure each zone with text.
+ *
+ * @param {object} manifest - Parsed manifest
+ * @returns {object[]} [{ element, param, color, font_size, large, backgrounds, ratio }]
+ *   param: the color param that sets this text's color
+ *   ratio: worst-case contrast over the backgrounds
+ */
+export function measure_text_contrast(manifest) {
+  const { width, height } = manifest.canvas;
+  const background = canvas_background(manifest);
+  const measurements = [];
+
+  const measure = (element, param, color, font_size, bold, box) => {
+    const backgrounds = sample_background(background, box);
+    measurements.push({
+      element,
+      param,
+      color,
+      font_size,
+      large: is_large_text(font_size, bold),
+      backgrounds,
+      ratio: Math.min(...backgrounds.map(bg => contrast_ratio(color, bg))),
+    });
+  };
+
+  if (manifest.layout === 'zones') {
+    for (const zone_name of ZONE_NAMES) {
+      const zone = manifest.zones[zone_name];
+      const definition = ZONE_DEFINITIONS[zone_name];
+      const texts = zone_name === 'content' ? zone.items.map(item => item.text) : [zone.text];
+      const text = texts.filter(Boolean).reduce((a, b) => (b.length > a.length ? b : a), '');
+      if (!text) continue;
+
+      // Zone text wraps at 80% of the width, centered on the zone's y
+      const font_size = zone.size || Math.floor(width * definition.size);
+      const max_width = width * 0.8;
+      const text_width = Math.min(max_width, [...text].length * font_size * GLYPH_WIDTH_EM);
+      const lines = Math.ceil(([...text].length * font_size * GLYPH_WIDTH_EM) / max_width) || 1;
+      const half_height = ((lines - 1) * font_size * 1.3) / 2 + font_size / 2;
+      const center_y = height * definition.y;
+
+      measure(zone_name, `${zone_name}color`, zone.color || definition.color || manifest.palette.text, font_size,
+        definition.weight >= 700, {
+          left: (width - text_width) / 2,
+          top: center_y - half_height,
+          right: (width + text_width) / 2,
+          bottom: center_y + half_height,
+        });
+    }
+    return measurements;
+  }
+
+  for (const layer of build_layer_stack(manifest).filter(layer => layer.type === 'text')) {
+    const { params } = layer;
+    const is_classic = layer.index === null;
+    const texts = is_classic && manifest.sequence ? manifest.sequence.map(frame => frame.text) : [params.text || 'Dynamic GIF'];
+    const text = texts.reduce((a, b) => (b.length > a.length ? b : a), '');
+    const font_size = parseInt(params.fontsize) || Math.floor(height / 8);
+
+    measure(is_classic ? 'text' : `layer${layer.index}`, is_classic ? 'color' : `layer${layer.index}.color`,
+      params.color || manifest.palette.text, font_size, true, estimate_text_box({ ...manifest, params }, text, font_size));
+  }
+  return measurements;
+}
+
+// ============================================================================
+// CORRECTION
+// ============================================================================
+
+/**
+ * Find the text color closest to `color` that meets `target` on every background
+ *
+ * Keeps the color's OKLCH hue and chroma and moves its lightness up or down,
+ * whichever reaches the target with the smaller change. White and black are
+ * the last resort.
+ *
+ * @returns {string|null} Hex color, or null if no color reaches the target
+ */
+export function find_compliant_text_color(color, backgrounds, target) {
+  const base = parse_css_color(color) || chroma('#ffffff');
+  const [lightness, chroma_value, raw_hue] = base.alpha(1).oklch();
+  const hue = Number.isNaN(raw_hue) ? 0 : raw_hue;
+
+  const worst = (hex) => Math.min(...backgrounds.map(bg => contrast_ratio(hex, bg)));
+  const search = (step) => {
+    for (let l = lightness; l >= 0 && l <= 1; l += step) {
+      const candidate = chroma.oklch(l, chroma_value, hue).hex();
+      if (worst(candidate) >= target) return { candidate, distance: Math.abs(l - lightness) };
+    }
+    return null;
+  };
+
+  const found = [search(0.01), search(-0.01)].filter(Boolean).sort((a, b) => a.distance - b.distance);
+  if (found.length > 0) return found[0].candidate;
+
+  return ['#ffffff', '#000000'].find(candidate => worst(candidate) >= target) ?? null;
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { contrast_ratio, is_large_text, required_contrast, measure_text_contrast, find_compliant_text_color } from './contrast.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state, format_notice } from './validator.js';
+
+const validate = (command, options) => get_validated_manifest_or_ground_state(parse_command_string_into_manifest(command), options);
+
+describe('contrast_ratio', () => {
+  it('matches the WCAG 2 reference values', () => {
+    expect(contrast_ratio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+    expect(contrast_ratio('#ffffff', '#ffffff')).toBeCloseTo(1, 5);
+    expect(contrast_ratio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+    expect(contrast_ratio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+    expect(contrast_ratio('#ff0000', '#ffffff')).toBeCloseTo(4.0, 2);
+    expect(contrast_ratio('#0000ff', '#ffffff')).toBeCloseTo(8.59, 2);
+  });
+
+  it('is symmetric', () => {
+    expect(contrast_ratio('#ffffff', '#0a66c2')).toBeCloseTo(contrast_ratio('#0a66c2', '#ffffff'), 10);
+  });
+
+  it('blends translucent text over the background first', () => {
+    expect(contrast_ratio('rgb(0 0 0 / 0)', '#ffffff')).toBeCloseTo(1, 5);
+    expect(contrast_ratio('rgb(0 0 0 / 0.5)', '#ffffff')).toBeCloseTo(contrast_ratio('#808080', '#ffffff'), 1);
+  });
+});
+
+describe('thresholds', () => {
+  it('counts 24px, or 18.66px bold, as large text', () => {
+    expect(is_large_text(24, false)).toBe(true);
+    expect(is_large_text(23, false)).toBe(false);
+    expect(is_large_text(19, true)).toBe(true);
+    expect(is_large_text(18, true)).toBe(false);
+  });
+
+  it('requires 4.5/3 for AA and 7/4.5 for AAA', () => {
+    expect([required_contrast('aa', false), required_contrast('aa', true)]).toEqual([4.5, 3]);
+    expect([required_contrast('aaa', false), required_contrast('aaa', true)]).toEqual([7, 4.5]);
+  });
+});
+
+describe('find_compliant_text_color', () => {
+  it('returns a color that reaches the target on every background', () => {
+    const backgrounds = ['#ffffff', '#f0f0f0'];
+    const color = find_compliant_text_color('#ffff00', backgrounds, 4.5);
+    for (const background of backgrounds) expect(contrast_ratio(color, background)).toBeGreaterThanOrEqual(4.5);
+  });
+
+  it('returns null when no color can reach the target', () => {
+    expect(find_compliant_text_color('#808080', ['#000000', '#ffffff'], 7)).toBeNull();
+  });
+});
+
+describe('measure_text_contrast', () => {
+  it('measures each zone with its own color param', () => {
+    const measurements = measure_text_contrast(parse_command_string_into_manifest('header=Hi|footer=Bye|palette=oceanic'));
+    expect(measurements.map(({ element, param, large }) => [element, param, large])).toEqual([
+      ['header', 'headercolor', true],
+      ['footer', 'footercolor', false],
+    ]);
+  });
+});
+
+describe('text contrast predicates', () => {
+  it('warns about low-contrast text without failing', () => {
+    const result = validate('palette=brutalism|color=yellow|text=Hello');
+    expect(result.valid).toBe(true);
+    expect(result.validation.warnings).toEqual(['FAILED: text_contrast_sufficient']);
+
+    expect(validate('palette=brutalism|color=black|text=Hello').validation.warnings).toEqual([]);
+  });
+
+  it('replaces the text color when contrast= is set', () => {
+    const result = validate('palette=brutalism|color=yellow|text=Hello|contrast=aa');
+    expect(result.repairs).toEqual([expect.objectContaining({
+      predicate: 'text_contrast_enforced',
+      key: 'color',
+      action: 'adjusted',
+      replacement: '#746d00',
+      reason: 'contrast 1.41:1 is below AA 3:1',
+    })]);
+    expect(result.manifest.params.color).toBe('#746d00');
+  });
+
+  it('rejects instead under --strict', () => {
+    const result = validate('palette=brutalism|color=yellow|text=Hello|contrast=aa', { strict: true });
+    expect(result.valid).toBe(false);
+    expect(result.validation.errors).toEqual(['FAILED: text_contrast_enforced']);
+  });
+
+  it('skips the check with contrast=off', () => {
+    expect(validate('palette=brutalism|color=yellow|text=Hello|contrast=off').validation.warnings).toEqual([]);
+  });
+});
+
+describe('text contrast notices', () => {
+  it('warns about low-contrast text with the ratio, the level and the element', () => {
+    const result = validate('palette=brutalism|color=yellow|text=Hello');
+    const notice = result.notices.find(({ predicate }) => predicate === 'text_contrast_sufficient');
+    expect(format_notice(notice)).toBe(
+      'warning text_contrast_sufficient: text color=#ffff00 has contrast 1.41:1, below AA 3:1 for large text (contrast=aa picks a readable color)',
+    );
+  });
+
+  it('has no notice for readable text', () => {
+    expect(validate('palette=brutalism|color=black|text=Hello').notices.filter(({ predicate }) => predicate === 'text_contrast_sufficient')).toEqual([]);
+  });
+});
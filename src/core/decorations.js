@@ -0,0 +1,473 @@
+/**
+ * DECORATION REGISTRY
+ * ====================
+ *
+ * Scalar-unfurling decorations as pluggable field visualizations.
+ *
+ * Input: "decorations=corners,diagonals|angle=30|spacing=50"
+ * Output: each named decoration drawn behind the text, in layer order
+ *
+ * Every decoration declares:
+ *   - layer:  where it composes (patterns → filled shapes → outlines)
+ *   - params: which scalars it reads, with defaults and valid ranges
+ *   - draw:   the projection from those scalars to pixels
+ *
+ * ITT Interpretation:
+ *   A single scalar (angle=45) unfurls θ → (cos θ, sin θ) → line family → pixels
+ *   Patterns are ∇Φ field flows, fills are |Φ| density, outlines are ∇²Φ collapse points
+ */
+
+import { create_param_registry } from './param-registry.js';
+
+// Layer composition (z-depth, back to front). 0 is the background, 4 the text.
+export const DECORATION_LAYERS = {
+  PATTERN: 1,   // ∇Φ field flows
+  FILL: 2,      // |Φ| density regions
+  OUTLINE: 3,   // ∇²Φ collapse boundaries
+};
+
+// Shared scalar parameters (README: Decoration Parameters)
+export const DECORATION_PARAMETERS = {
+  angle:      { default: 45,  min: -360, max: 360 },
+  angle2:     { default: 135, min: -360, max: 360 },
+  spacing:    { default: 40,  min: 4,    max: 1000 },
+  thickness:  { default: 2,   min: 0.5,  max: 50 },
+  radius:     { default: 80,  min: 1,    max: 2000 },
+  amplitude:  { default: 20,  min: 0,    max: 1000 },
+  wavelength: { default: 100, min: 4,    max: 4000 },
+  opacity:    { default: 0.3, min: 0,    max: 1 },
+};
+
+const REGISTRY = create_param_registry('Decoration', DECORATION_PARAMETERS);
+const shared_parameters = REGISTRY.shared_parameters;
+
+// ============================================================================
+// REGISTRY API
+// ============================================================================
+
+/**
+ * Register a decoration
+ *
+ * @param {object} definition - { name, layer, params, draw }
+ *   params: { [name]: { default, min, max } } - scalars read from the command
+ *   draw(ctx, frame): frame = { width, height, color, params, progress }
+ * @returns {object} The registered definition
+ */
+export function register_decoration(definition) {
+  return REGISTRY.register(definition, (name) => {
+    const { layer, params = {}, draw } = definition;
+
+    if (!Object.values(DECORATION_LAYERS).includes(layer)) {
+      throw new Error(`Decoration ${name} has invalid layer: ${layer}`);
+    }
+    if (typeof draw !== 'function') {
+      throw new Error(`Decoration ${name} requires a draw function`);
+    }
+
+    return { name, layer, params, draw, order: REGISTRY.list().length };
+  });
+}
+
+/**
+ * Look up a registered decoration by name
+ */
+export function get_decoration(name) {
+  return REGISTRY.get(name);
+}
+
+/**
+ * List registered decorations in registration order
+ */
+export function list_decorations() {
+  return REGISTRY.list();
+}
+
+/**
+ * Spec of a decoration param by its (lowercased) key, registered decorations included
+ *
+ * @returns {object|null} { default, min, max }
+ */
+export function find_decoration_param(key) {
+  return REGISTRY.find_param(key);
+}
+
+/**
+ * Every decoration param key, shared and registered (lowercased)
+ */
+export function list_decoration_params() {
+  return REGISTRY.list_params();
+}
+
+/**
+ * Resolve a decoration's declared params from manifest params (missing → default)
+ */
+export function resolve_decoration_params(decoration, params) {
+  return REGISTRY.resolve_params(decoration, params);
+}
+
+/**
+ * Order decoration names for composition: by declared layer, then command order
+ * Unknown names are dropped (the validator reports them).
+ */
+export function order_decorations(names) {
+  return names
+    .map(name => REGISTRY.get(name))
+    .filter(Boolean)
+    .map((decoration, index) => ({ decoration, index }))
+    .sort((a, b) => a.decoration.layer - b.decoration.layer || a.index - b.index)
+    .map(({ decoration }) => decoration);
+}
+
+/**
+ * Render all decorations named in the manifest
+ *
+ * @param {object} render_ctx - From create_render_context
+ * @param {object} manifest - Manifest with `decorations` array
+ * @param {number} frame_progress - 0..1 through the clip
+ */
+export function render_decorations(render_ctx, manifest, frame_progress = 1) {
+  const { ctx, width, height } = render_ctx;
+  const names = manifest.decorations || [];
+  if (names.length === 0) return;
+
+  const color = manifest.zones?.decoration_color
+    || manifest.params.decorationcolor
+    || manifest.palette.accent;
+
+  for (const decoration of order_decorations(names)) {
+    ctx.save();
+    decoration.draw(ctx, {
+      width,
+      height,
+      color,
+      params: resolve_decoration_params(decoration, manifest.params),
+      progress: frame_progress,
+    });
+    ctx.restore();
+  }
+}
+
+// ============================================================================
+// DRAWING HELPERS
+// ============================================================================
+
+/**
+ * Parallel line family along direction θ (the scalar unfurling)
+ *
+ * θ (degrees) → θ_rad → (cos θ, sin θ) → parametric lines → pixels
+ */
+function draw_line_family(ctx, width, height, angle, spacing) {
+  const theta = (angle * Math.PI) / 180;
+  const dx = Math.cos(theta);
+  const dy = Math.sin(theta);
+
+  // Perpendicular direction for line spacing
+  const px = -dy;
+  const py = dx;
+
+  const diagonal = Math.sqrt(width * width + height * height);
+  const line_count = Math.ceil(diagonal / spacing);
+
+  for (let i = -line_count; i <= line_count; i++) {
+    const cx = width / 2 + i * spacing * px;
+    const cy = height / 2 + i * spacing * py;
+
+    ctx.beginPath();
+    ctx.moveTo(cx - diagonal * dx, cy - diagonal * dy);
+    ctx.lineTo(cx + diagonal * dx, cy + diagonal * dy);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Corner anchor positions shared by the square/triangle decorations
+ */
+function corner_anchors(width, height) {
+  return {
+    top_left: { x: 30, y: 30 },
+    top_right: { x: width - 80, y: 30 },
+    bottom_left: { x: 30, y: height - 80 },
+    bottom_right: { x: width - 80, y: height - 80 },
+  };
+}
+
+// ============================================================================
+// BUILT-IN DECORATIONS
+// ============================================================================
+
+// --- LAYER 1: PATTERNS (∇Φ field flows) ---
+
+// Grid: Cartesian basis, x = c ∩ y = c
+register_decoration({
+  name: 'grid',
+  layer: DECORATION_LAYERS.PATTERN,
+  params: shared_parameters('spacing'),
+  draw: (ctx, { width, height, color, params }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.15;
+
+    for (let x = params.spacing; x < width; x += params.spacing) {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let y = params.spacing; y < height; y += params.spacing) {
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+  },
+});
+
+// Dots: discrete field sampling, Φ(lattice)
+register_decoration({
+  name: 'dots',
+  layer: DECORATION_LAYERS.PATTERN,
+  params: shared_parameters('spacing'),
+  draw: (ctx, { width, height, color, params }) => {
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.3;
+
+    for (let x = params.spacing; x < width; x += params.spacing) {
+      for (let y = params.spacing; y < height; y += params.spacing) {
+        ctx.beginPath();
+        ctx.arc(x, y, 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  },
+});
+
+// Diagonals: gradient direction field ∇Φ at angle θ
+register_decoration({
+  name: 'diagonals',
+  layer: DECORATION_LAYERS.PATTERN,
+  params: shared_parameters('angle', 'spacing', 'thickness'),
+  draw: (ctx, { width, height, color, params }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = params.thickness;
+    ctx.globalAlpha = 0.4;
+    draw_line_family(ctx, width, height, params.angle, params.spacing);
+  },
+});
+
+// Pinstripes: dense ∇Φ, hairline weight
+register_decoration({
+  name: 'pinstripes',
+  layer: DECORATION_LAYERS.PATTERN,
+  params: shared_parameters('angle', 'spacing'),
+  draw: (ctx, { width, height, color, params }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.4;
+    draw_line_family(ctx, width, height, params.angle, params.spacing);
+  },
+});
+
+// Crosshatch: superposition ∇Φ₁ + ∇Φ₂
+register_decoration({
+  name: 'crosshatch',
+  layer: DECORATION_LAYERS.PATTERN,
+  params: shared_parameters('angle', 'angle2', 'spacing'),
+  draw: (ctx, { width, height, color, params }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.4;
+    draw_line_family(ctx, width, height, params.angle, params.spacing);
+    draw_line_family(ctx, width, height, params.angle2, params.spacing);
+  },
+});
+
+// Wave: sinusoidal oscillation A·sin(kx), k = 2π/λ
+register_decoration({
+  name: 'wave',
+  layer: DECORATION_LAYERS.PATTERN,
+  params: shared_parameters('amplitude', 'wavelength'),
+  draw: (ctx, { width, height, color, params }) => {
+    const y0 = height / 2;
+    const k = (2 * Math.PI) / params.wavelength;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.globalAlpha = 0.3;
+    ctx.beginPath();
+    ctx.moveTo(0, y0);
+    for (let x = 0; x <= width; x += 2) {
+      ctx.lineTo(x, y0 + params.amplitude * Math.sin(k * x));
+    }
+    ctx.stroke();
+  },
+});
+
+// --- LAYER 2: FILLED SHAPES (|Φ| density) ---
+
+// Glow: radial field intensity |Φ(r)| fading to transparent
+register_decoration({
+  name: 'glow',
+  layer: DECORATION_LAYERS.FILL,
+  params: shared_parameters('radius'),
+  draw: (ctx, { width, height, color, params }) => {
+    const cx = width / 2;
+    const cy = height / 2;
+    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, params.radius);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(cx, cy, params.radius, 0, Math.PI * 2);
+    ctx.fill();
+  },
+});
+
+// Filled circle: field density region ∫Φ dA
+register_decoration({
+  name: 'circlesFilled',
+  layer: DECORATION_LAYERS.FILL,
+  params: shared_parameters('opacity'),
+  draw: (ctx, { width, height, color, params }) => {
+    ctx.fillStyle = color;
+    ctx.globalAlpha = params.opacity;
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, 80, 0, Math.PI * 2);
+    ctx.fill();
+  },
+});
+
+// Filled squares: L∞ density regions in the bottom corners
+register_decoration({
+  name: 'squaresFilled',
+  layer: DECORATION_LAYERS.FILL,
+  params: shared_parameters('opacity'),
+  draw: (ctx, { width, height, color, params }) => {
+    const anchors = corner_anchors(width, height);
+    ctx.fillStyle = color;
+    ctx.globalAlpha = params.opacity;
+    for (const { x, y } of [anchors.bottom_left, anchors.bottom_right]) {
+      ctx.fillRect(x, y, 50, 50);
+    }
+  },
+});
+
+// --- LAYER 3: OUTLINES (∇²Φ collapse points) ---
+
+// Corners: boundary collapse at the four canvas vertices
+register_decoration({
+  name: 'corners',
+  layer: DECORATION_LAYERS.OUTLINE,
+  params: shared_parameters('thickness'),
+  draw: (ctx, { width, height, color, params }) => {
+    const margin = 15;
+    const size = 30;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = params.thickness;
+
+    // Each corner is an L-shaped path: (sx, sy) is the arm direction into the canvas
+    const corners = [
+      { x: margin, y: margin, sx: 1, sy: 1 },
+      { x: width - margin, y: margin, sx: -1, sy: 1 },
+      { x: margin, y: height - margin, sx: 1, sy: -1 },
+      { x: width - margin, y: height - margin, sx: -1, sy: -1 },
+    ];
+
+    for (const { x, y, sx, sy } of corners) {
+      ctx.beginPath();
+      ctx.moveTo(x, y + sy * size);
+      ctx.lineTo(x, y);
+      ctx.lineTo(x + sx * size, y);
+      ctx.stroke();
+    }
+  },
+});
+
+// Circles: radial level sets |x| = r
+register_decoration({
+  name: 'circles',
+  layer: DECORATION_LAYERS.OUTLINE,
+  draw: (ctx, { width, height, color }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    for (const { x, y, r } of [{ x: 80, y: 80, r: 40 }, { x: width / 2, y: height / 2, r: 80 }]) {
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  },
+});
+
+// Squares: L∞ metric boundaries max(|x|,|y|) = s
+register_decoration({
+  name: 'squares',
+  layer: DECORATION_LAYERS.OUTLINE,
+  draw: (ctx, { width, height, color }) => {
+    const anchors = corner_anchors(width, height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    for (const { x, y } of [anchors.bottom_left, anchors.bottom_right]) {
+      ctx.strokeRect(x, y, 50, 50);
+    }
+  },
+});
+
+// Triangles: 2-simplex outlines in the bottom corners
+register_decoration({
+  name: 'triangles',
+  layer: DECORATION_LAYERS.OUTLINE,
+  draw: (ctx, { width, height, color }) => {
+    const size = 40;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    for (const { x, y } of [{ x: 40, y: height - 40 }, { x: width - 80, y: height - 40 }]) {
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + size, y);
+      ctx.lineTo(x + size / 2, y - size * 0.866);
+      ctx.closePath();
+      ctx.stroke();
+    }
+  },
+});
+
+// Rings: concentric level sets r ∈ {r₁, r₂, ...}
+register_decoration({
+  name: 'rings',
+  layer: DECORATION_LAYERS.OUTLINE,
+  draw: (ctx, { width, height, color }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.4;
+    for (const r of [40, 70, 100, 130]) {
+      ctx.beginPath();
+      ctx.arc(width / 2, height / 2, r, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  },
+});
+
+// Burst: angular sector partition θ = const
+register_decoration({
+  name: 'burst',
+  layer: DECORATION_LAYERS.OUTLINE,
+  draw: (ctx, { width, height, color }) => {
+    const cx = width / 2;
+    const cy = height / 2;
+    const ray_count = 12;
+    const inner_r = 50;
+    const outer_r = 150;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.3;
+    for (let i = 0; i < ray_count; i++) {
+      const theta = (i * 2 * Math.PI) / ray_count;
+      ctx.beginPath();
+      ctx.moveTo(cx + inner_r * Math.cos(theta), cy + inner_r * Math.sin(theta));
+      ctx.lineTo(cx + outer_r * Math.cos(theta), cy + outer_r * Math.sin(theta));
+      ctx.stroke();
+    }
+  },
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas } from '@napi-rs/canvas';
+import {
+  DECORATION_LAYERS, register_decoration, get_decoration, list_decorations, resolve_decoration_params,
+  order_decorations, render_decorations,
+} from './decorations.js';
+import { create_render_context } from './renderer.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { validate_manifest_as_writable } from './validator.js';
+
+const parse = parse_command_string_into_manifest;
+
+// Fills the top-left pixel with the decoration color
+register_decoration({
+  name: 'testMarker',
+  layer: DECORATION_LAYERS.OUTLINE,
+  params: { size: { default: 1, min: 1, max: 10 } },
+  draw: (ctx, { color, params }) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, params.size, params.size);
+  },
+});
+
+describe('register_decoration', () => {
+  it('registers the built-in set', () => {
+    expect(list_decorations().map(decoration => decoration.name)).toEqual(expect.arrayContaining([
+      'grid', 'dots', 'diagonals', 'pinstripes', 'crosshatch', 'wave', 'glow',
+      'circlesFilled', 'squaresFilled', 'corners', 'circles', 'squares', 'triangles', 'rings', 'burst',
+    ]));
+    expect(get_decoration('testMarker')).toMatchObject({ name: 'testMarker', layer: DECORATION_LAYERS.OUTLINE });
+    expect(get_decoration('nope')).toBeNull();
+  });
+
+  it('rejects duplicates and incomplete definitions', () => {
+    expect(() => register_decoration({ name: 'grid', layer: 1, draw: () => {} })).toThrow('already registered');
+    expect(() => register_decoration({ name: 'testBad', layer: 9, draw: () => {} })).toThrow('invalid layer');
+    expect(() => register_decoration({ name: 'testBad', layer: 1 })).toThrow('requires a draw function');
+  });
+});
+
+describe('resolve_decoration_params', () => {
+  it('reads lowercased keys and falls back to defaults', () => {
+    expect(resolve_decoration_params(get_decoration('diagonals'), { angle: '30', spacing: 'wide' })).toMatchObject({
+      angle: 30, spacing: 40,
+    });
+  });
+});
+
+describe('order_decorations', () => {
+  it('composes patterns, then fills, then outlines, keeping command order within a layer', () => {
+    const names = order_decorations(['corners', 'grid', 'circlesFilled', 'dots', 'nope']).map(decoration => decoration.name);
+    expect(names).toEqual(['grid', 'dots', 'circlesFilled', 'corners']);
+  });
+});
+
+describe('render_decorations', () => {
+  it('draws each named decoration with the decoration color and its params', () => {
+    const manifest = parse('text=|decorations=testMarker|decorationColor=#ff0000|size=3');
+    const render_ctx = create_render_context(createCanvas(20, 20));
+    render_decorations(render_ctx, manifest);
+
+    const pixel = (x, y) => [...render_ctx.ctx.getImageData(x, y, 1, 1).data];
+    expect(pixel(2, 2)).toEqual([255, 0, 0, 255]);
+    expect(pixel(3, 3)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('gives zone layouts corner brackets unless decorations= is set', () => {
+    expect(parse('header=Acme').decorations).toEqual(['corners']);
+    expect(parse('header=Acme|decorations=').decorations).toEqual([]);
+  });
+});
+
+describe('decorations_valid', () => {
+  it('requires registered names and in-range scalars', () => {
+    const decorations_valid = (command) => validate_manifest_as_writable(parse(command)).truth_table.decorations_valid;
+    expect(decorations_valid('decorations=grid,corners|spacing=20')).toBe(true);
+    expect(decorations_valid('decorations=sparkles')).toBe(false);
+    expect(decorations_valid('decorations=grid|spacing=2')).toBe(false);
+    expect(decorations_valid('decorations=testMarker|size=abc')).toBe(false);
+  });
+
+  it('knows the params of decorations registered after import', () => {
+    register_decoration({
+      name: 'testRings',
+      layer: DECORATION_LAYERS.PATTERN,
+      params: { ringCount: { default: 3, min: 1, max: 12 } },
+      draw: () => {},
+    });
+
+    expect(parse('decorations=testRings|ringcount=5').errors).toEqual([]);
+    expect(parse('decorations=testRings|ringcont=5').errors).toEqual([
+      expect.objectContaining({ code: 'UNKNOWN_KEY', suggestion: 'ringcount' }),
+    ]);
+    expect(validate_manifest_as_writable(parse('decorations=testRings|ringcount=50')).truth_table.decorations_valid).toBe(false);
+  });
+});
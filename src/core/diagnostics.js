@@ -0,0 +1,110 @@
+/**
+ * PARSE DIAGNOSTICS
+ * ==================
+ *
+ * Structured problems found while parsing a command, with
+ * did-you-mean suggestions for near-miss keys and values.
+ *
+ * Diagnostic shape:
+ *   { code, key, value, offset, message, suggestion }
+ *
+ * "pallete=oceanic" → { code: 'UNKNOWN_KEY', key: 'pallete', suggestion: 'palette', ... }
+ *
+ * ITT Interpretation:
+ *   A typo is a value that collapsed next to its attractor -
+ *   the suggestion is the nearest stable basin
+ */
+
+// ============================================================================
+// DIAGNOSTIC CONSTRUCTION
+// ============================================================================
+
+/**
+ * Create a diagnostic with every field present (absent fields are null)
+ *
+ * @param {string} code - Machine-readable code, e.g. 'UNKNOWN_KEY'
+ * @param {object} fields - { key, value, offset, message, suggestion }
+ * @returns {object} Diagnostic
+ */
+export function create_diagnostic(code, fields = {}) {
+  return {
+    code,
+    key: fields.key ?? null,
+    value: fields.value ?? null,
+    offset: fields.offset ?? 0,
+    message: fields.message ?? code,
+    suggestion: fields.suggestion ?? null,
+  };
+}
+
+/**
+ * One-line human-readable form: "pallete (offset 0): Unknown parameter - did you mean palette?"
+ */
+export function format_diagnostic(diagnostic) {
+  const location = diagnostic.key
+    ? `${diagnostic.key} (offset ${diagnostic.offset})`
+    : `offset ${diagnostic.offset}`;
+  const hint = diagnostic.suggestion ? ` - did you mean ${diagnostic.suggestion}?` : '';
+  return `${location}: ${diagnostic.message}${hint}`;
+}
+
+// ============================================================================
+// FUZZY MATCHING
+// ============================================================================
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * adjacent transpositions ("scnee" → "scene" is one swap)
+ */
+export function edit_distance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Closest candidate to a misspelled value, or null if nothing is close
+ *
+ * Case and -/_ differences are free; beyond that roughly one edit per
+ * three characters is tolerated.
+ *
+ * @param {string} value - What the user typed
+ * @param {string[]} candidates - Known-good values
+ * @returns {string|null} Best candidate
+ */
+export function suggest_closest(value, candidates) {
+  const normalize = (text) => String(text).toLowerCase().replace(/[-_\s]/g, '');
+  const target = normalize(value);
+  if (!target) return null;
+
+  const max_distance = Math.max(1, Math.floor(target.length / 3));
+  let best = null;
+  let best_distance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = edit_distance(target, normalize(candidate));
+    if (distance < best_distance) {
+      best = candidate;
+      best_distance = distance;
+    }
+  }
+
+  return best_distance <= max_distance ? best : null;
+}
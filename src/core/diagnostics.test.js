@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { create_diagnostic, format_diagnostic, edit_distance, suggest_closest } from './diagnostics.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+
+const diagnostics = (command) => parse_command_string_into_manifest(command).errors;
+
+describe('edit_distance', () => {
+  it('counts an adjacent swap as one edit', () => {
+    expect(edit_distance('scnee', 'scene')).toBe(1);
+    expect(edit_distance('pallete', 'palette')).toBe(2);
+    expect(edit_distance('', 'abc')).toBe(3);
+  });
+});
+
+describe('suggest_closest', () => {
+  it('ignores case and -/_ and tolerates about one edit per three characters', () => {
+    expect(suggest_closest('Future-Tech', ['future_tech', 'sunset'])).toBe('future_tech');
+    expect(suggest_closest('oceanc', ['oceanic', 'sunset'])).toBe('oceanic');
+    expect(suggest_closest('xyz', ['oceanic', 'sunset'])).toBeNull();
+  });
+});
+
+describe('format_diagnostic', () => {
+  it('reads as one line with the location and the suggestion', () => {
+    const diagnostic = create_diagnostic('UNKNOWN_KEY', { key: 'pallete', message: 'Unknown parameter "pallete" is ignored', suggestion: 'palette' });
+    expect(diagnostic).toEqual({
+      code: 'UNKNOWN_KEY', key: 'pallete', value: null, offset: 0, message: 'Unknown parameter "pallete" is ignored', suggestion: 'palette',
+    });
+    expect(format_diagnostic(diagnostic)).toBe('pallete (offset 0): Unknown parameter "pallete" is ignored - did you mean palette?');
+  });
+});
+
+describe('parse diagnostics', () => {
+  it('reports unknown keys with their offset and a suggestion', () => {
+    expect(diagnostics('text=Hi|pallete=oceanic')).toEqual([expect.objectContaining({
+      code: 'UNKNOWN_KEY', key: 'pallete', value: 'oceanic', offset: 8, suggestion: 'palette',
+    })]);
+  });
+
+  it('reports unknown palettes and scenes at the value', () => {
+    expect(diagnostics('palette=sunsett')).toEqual([expect.objectContaining({ code: 'UNKNOWN_PALETTE', offset: 8, suggestion: 'sunset' })]);
+    expect(diagnostics('scene=corprate')).toEqual([expect.objectContaining({ code: 'UNKNOWN_SCENE', suggestion: 'corporate' })]);
+  });
+
+  it('explains canvas values that are not presets or WxH', () => {
+    expect(diagnostics('canvas=16x9')).toEqual([expect.objectContaining({ code: 'MALFORMED_DIMENSIONS', suggestion: '16:9' })]);
+    expect(diagnostics('canvas=800X600')).toEqual([expect.objectContaining({ code: 'MALFORMED_DIMENSIONS', suggestion: '800x600' })]);
+    expect(diagnostics('canvas=storie')).toEqual([expect.objectContaining({ code: 'UNKNOWN_CANVAS', suggestion: 'story' })]);
+    expect(diagnostics('canvas=800x600|palette=sunset|scene=corporate')).toEqual([]);
+  });
+
+  it('turns tokenizer errors into diagnostics', () => {
+    expect(diagnostics('text="open')).toEqual([expect.objectContaining({ code: 'UNTERMINATED_QUOTE', key: null, offset: 5, suggestion: null })]);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Φ FIELD BACKGROUND
+ * ===================
+ *
+ * bg=field draws the scalar field itself as the background:
+ *
+ *   bg=field|field=ripple|colormap=palette|regions=6|glow=0.8|flow=1
+ *
+ * Φ is sampled per pixel (per small cell on large canvases) and mapped
+ * through a colormap built from the active palette:
+ *   - regions=N quantizes Φ into N σ-regions drawn as flat fills
+ *   - glow=0..1 lights the ∇Φ boundaries between σ-regions in the accent
+ *     color (with smooth fills the boundaries are 8 contour levels)
+ *   - flow=N turns the field's phase N times over the clip (0: static)
+ *
+ * ITT Interpretation:
+ *   The background stops being a stand-in for Φ and becomes Φ: σ-regions
+ *   are its level sets, the glow is where ∇Φ ≠ 0 and ρ_q locks
+ */
+
+import chroma from 'chroma-js';
+import { phi_field_params, sample_phi_field, create_field, gradient_field, boundary_mask, dilate_mask } from './primitives.js';
+
+// Palette → colormap stops (Φ = 0 at the first stop, 1 at the last)
+export const FIELD_COLORMAPS = {
+  palette: (palette) => (palette.gradient?.length > 1 ? palette.gradient : [palette.primary, palette.secondary]),
+  duotone: (palette) => [palette.primary, palette.accent],
+  mono: (palette) => [chroma(palette.primary).darken(1.5).hex(), palette.primary, chroma(palette.primary).brighten(1.5).hex()],
+};
+
+// σ-region count for the glow when the fill is smooth (regions unset)
+const CONTOUR_LEVELS = 8;
+
+// Samples along the shorter canvas side; larger canvases sample in cells
+const FIELD_RESOLUTION = 400;
+
+// Glow band: a bright core one cell wide, a halo this many cells either side
+const GLOW_HALO_CELLS = 2;
+const GLOW_HALO_STRENGTH = 0.35;
+
+// Colormap entries (Φ is quantized to this many steps for lookup)
+const LUT_SIZE = 256;
+
+// Last field drawn per render context: a static field is computed once per clip
+const FIELD_CACHE = new WeakMap();
+
+/**
+ * Colormap stops for a manifest (colormap=, default palette)
+ */
+export function field_colormap(manifest) {
+  const colormap = FIELD_COLORMAPS[manifest.params.colormap] || FIELD_COLORMAPS.palette;
+  return colormap(manifest.palette);
+}
+
+/**
+ * Whether the field changes over the clip
+ */
+export function is_field_animated(params) {
+  return params.bg === 'field' && (parseFloat(params.flow) || 0) > 0;
+}
+
+/**
+ * Read the field params: { regions (0 = smooth), glow (0..1) }
+ */
+function read_field_params(params) {
+  const regions = Math.round(parseFloat(params.regions) || 0);
+  const glow = Math.min(1, Math.max(0, parseFloat(params.glow) || 0));
+  return { regions: regions >= 2 ? regions : 0, glow };
+}
+
+/**
+ * Quantize Φ to the middle of its σ-region (levels ≥ 2)
+ */
+function sigma_level(value, levels) {
+  return (Math.min(levels - 1, Math.floor(value * levels)) + 0.5) / levels;
+}
+
+/**
+ * Render the Φ field into pixels
+ *
+ * @returns {ImageData} The canvas-sized background
+ */
+function render_field_pixels(ctx, manifest, width, height, progress) {
+  const { regions, glow } = read_field_params(manifest.params);
+  const lut = chroma.scale(field_colormap(manifest)).mode('lab').colors(LUT_SIZE, null).map(color => color.rgb());
+  const accent = chroma(manifest.palette.accent).rgb();
+
+  const cell = Math.max(1, Math.round(Math.min(width, height) / FIELD_RESOLUTION));
+  const columns = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+
+  // Φ at each cell center, and the σ-region each falls in
+  const phi = sample_phi_field(columns, rows, phi_field_params(manifest, progress)).data;
+  const sigma = create_field(columns, rows);
+  const levels = regions || CONTOUR_LEVELS;
+  for (let i = 0; i < phi.length; i++) {
+    sigma.data[i] = sigma_level(phi[i], levels);
+  }
+
+  // ∇Φ across the σ-regions: the core where it is nonzero, the halo around it
+  const core = glow > 0 ? boundary_mask(gradient_field(sigma, 1)).data : null;
+  const halo = glow > 0 ? dilate_mask({ width: columns, height: rows, data: core }, GLOW_HALO_CELLS).data : null;
+
+  const image_data = ctx.createImageData(width, height);
+  const { data } = image_data;
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const i = row * columns + column;
+      const value = regions ? sigma.data[i] : phi[i];
+      const base = lut[Math.round(value * (LUT_SIZE - 1))];
+      const mix = glow > 0 ? (core[i] ? glow : halo[i] * glow * GLOW_HALO_STRENGTH) : 0;
+      const rgb = base.map((channel, c) => channel + (accent[c] - channel) * mix);
+
+      // Fill the cell's pixels
+      for (let y = row * cell; y < Math.min(height, (row + 1) * cell); y++) {
+        for (let x = column * cell; x < Math.min(width, (column + 1) * cell); x++) {
+          const p = (y * width + x) * 4;
+          data[p] = rgb[0];
+          data[p + 1] = rgb[1];
+          data[p + 2] = rgb[2];
+          data[p + 3] = 255;
+        }
+      }
+    }
+  }
+
+  return image_data;
+}
+
+/**
+ * Draw the Φ field background (bg=field)
+ *
+ * Drawn with putImageData, so it replaces whatever is on the canvas -
+ * it is the bottom layer.
+ *
+ * @param {object} render_ctx - From create_render_context
+ * @param {object} manifest - Manifest with bg=field
+ * @param {number} frame_progress - 0..1 through the clip
+ */
+export function render_field_background(render_ctx, manifest, frame_progress = 1) {
+  const { ctx, width, height } = render_ctx;
+  const { params } = manifest;
+
+  // A static field is the same every frame; only a flowing one is redrawn
+  const progress = is_field_animated(params) ? frame_progress : 0;
+  const key = JSON.stringify([
+    width, height, progress, params.field, params.flow, params.regions, params.glow, field_colormap(manifest), manifest.palette.accent,
+  ]);
+
+  let cached = FIELD_CACHE.get(render_ctx);
+  if (cached?.key !== key) {
+    cached = { key, image_data: render_field_pixels(ctx, manifest, width, height, progress) };
+    FIELD_CACHE.set(render_ctx, cached);
+  }
+
+  ctx.putImageData(cached.image_data, 0, 0);
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas } from '@napi-rs/canvas';
+import { field_colormap, is_field_animated } from './field.js';
+import { phi_scalar_field, PHI_FIELD_KINDS } from './primitives.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+import { canvas_background } from './contrast.js';
+import { create_render_context, clear_canvas_with_background, determine_frame_plan } from './renderer.js';
+
+const parse = (command) => parse_command_string_into_manifest(command);
+
+// RGBA of every pixel after drawing only the background at a point in the clip
+const draw_background = (command, progress = 1) => {
+  const manifest = parse(command);
+  const canvas = createCanvas(manifest.canvas.width, manifest.canvas.height);
+  clear_canvas_with_background(create_render_context(canvas), manifest, progress);
+  return canvas.getContext('2d').getImageData(0, 0, manifest.canvas.width, manifest.canvas.height).data;
+};
+
+const distinct_colors = (data) => {
+  const colors = new Set();
+  for (let i = 0; i < data.length; i += 4) colors.add(data.slice(i, i + 4).join(','));
+  return colors.size;
+};
+
+describe('field_colormap', () => {
+  it('maps the palette, two roles or one role in three shades', () => {
+    expect(field_colormap(parse('palette=oceanic|colormap=duotone'))).toEqual(['#1a237e', '#00bcd4']);
+
+    const mono = field_colormap(parse('palette=oceanic|colormap=mono'));
+    expect(mono).toHaveLength(3);
+    expect(mono[1]).toBe('#1a237e');
+    expect(field_colormap(parse('palette=oceanic')).length).toBeGreaterThan(1);
+  });
+});
+
+describe('phi_scalar_field', () => {
+  it('stays within 0..1 for every kind', () => {
+    for (const kind of PHI_FIELD_KINDS) {
+      for (const [x, y] of [[0, 0], [50, 50], [99, 13], [20, 80]]) {
+        const { value } = phi_scalar_field(x, y, 100, 100, { kind, phase: 1 });
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThanOrEqual(1);
+      }
+    }
+  });
+});
+
+describe('bg=field', () => {
+  it('fills the canvas smoothly, or in as many σ-regions as asked', () => {
+    expect(distinct_colors(draw_background('bg=field|canvas=100x100'))).toBeGreaterThan(16);
+    expect(distinct_colors(draw_background('bg=field|regions=4|canvas=100x100|palette=oceanic'))).toBe(4);
+  });
+
+  it('adds glow along the region edges', () => {
+    expect(distinct_colors(draw_background('bg=field|regions=4|glow=1|canvas=100x100|palette=oceanic'))).toBeGreaterThan(4);
+  });
+
+  it('animates with flow and returns to the first frame at the end', () => {
+    expect(is_field_animated({ bg: 'field', flow: '1' })).toBe(true);
+    expect(is_field_animated({ bg: 'field' })).toBe(false);
+    expect(determine_frame_plan(parse('bg=field|flow=1|text=Hi')).is_animated).toBe(true);
+    expect(determine_frame_plan(parse('bg=field|text=Hi')).is_animated).toBe(false);
+
+    const command = 'bg=field|field=ripple|flow=1|canvas=100x100';
+    expect(draw_background(command, 1)).toEqual(draw_background(command, 0));
+    expect(draw_background(command, 0.5)).not.toEqual(draw_background(command, 0));
+  });
+
+  it('checks text contrast against the colormap', () => {
+    expect(canvas_background(parse('bg=field|colormap=duotone|palette=oceanic'))).toEqual({ field: ['#1a237e', '#00bcd4'] });
+  });
+
+  it('repairs unknown kinds and colormaps and clamps the scalars', () => {
+    const result = get_validated_manifest_or_ground_state(parse('bg=field|field=spiral|regions=20|glow=2|colormap=rainbow|text=Hi'));
+    expect(result.repairs.map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['field', 'dropped', null],
+      ['colormap', 'dropped', null],
+      ['regions', 'clamped', '16'],
+      ['glow', 'clamped', '1'],
+    ]);
+  });
+});
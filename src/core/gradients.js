@@ -0,0 +1,370 @@
+/**
+ * GRADIENT BACKGROUNDS
+ * =====================
+ *
+ * bg=linear|radial|conic|mesh draws the background as a gradient
+ * (bg=gradient is linear along the canvas diagonal):
+ *
+ *   bg=radial|bgstops=#000@0,#f0f@60%,#fff|bgx=30%|bgy=40%|bgmotion=breathe
+ *
+ *   - bgstops=color[@position],...  stops at 0..1 or a percentage; stops
+ *     without one spread evenly between their neighbors (first 0, last 1).
+ *     Default: the palette gradient
+ *   - bgangle=degrees  clockwise from pointing right: the linear direction,
+ *     the conic start (default: the diagonal, and straight up)
+ *   - bgx=, bgy=  center of radial, conic and mesh (px or %, default 50%)
+ *   - bgmotion=rotate|shift|breathe  animates over the clip, flow= times
+ *     (default 1, so the GIF loops):
+ *       rotate  - turns the angle (radial: the center circles, mesh: the blobs orbit)
+ *       shift   - slides the stops along the gradient and back, so it wraps
+ *       breathe - pulses the length / radius (conic: sways the angle)
+ *
+ * A mesh places one soft radial blob per stop around the center over
+ * their average color; stop positions do not apply.
+ *
+ * ITT Interpretation:
+ *   The gradient is Φ written down directly: its stops are the values, its
+ *   geometry is where ∇Φ points, and the motion is Φ's phase over the clip
+ */
+
+import chroma from 'chroma-js';
+import { split_color_list } from './palettes.js';
+import { normalize_css_color } from './colors.js';
+
+// Gradient geometries (bg=gradient is the diagonal linear one)
+export const GRADIENT_KINDS = ['linear', 'radial', 'conic', 'mesh'];
+
+// What bgmotion moves
+export const GRADIENT_MOTIONS = ['none', 'rotate', 'shift', 'breathe'];
+
+// breathe: the extent pulses by this fraction (conic: the angle by this many quarter turns)
+const BREATHE_AMPLITUDE = 0.25;
+
+// rotate on a radial gradient: the center circles this far (fraction of the shorter side)
+const ORBIT_RADIUS = 0.1;
+
+// mesh: blobs sit this far out (fraction of each side) and reach this far (of the longer side)
+const MESH_SPREAD = 0.3;
+const MESH_BLOB_RADIUS = 0.6;
+
+// conic: wedges per turn (drawn by hand, see draw_conic_wedges)
+const CONIC_WEDGES = 360;
+
+// A stop position: a fraction ("0.6") or a percentage ("60%")
+const POSITION_PATTERN = /^-?\d+(\.\d+)?%?$/;
+
+// ============================================================================
+// STOPS
+// ============================================================================
+
+/**
+ * Split one stop: "#f0f@60%" → { color: '#f0f', position: 0.6 }
+ *
+ * @returns {object} { color, position } - position null when absent, NaN when unreadable
+ */
+export function parse_gradient_stop(item) {
+  const at = item.lastIndexOf('@');
+  if (at === -1) return { color: item.trim(), position: null };
+
+  const text = item.slice(at + 1).trim();
+  const position = POSITION_PATTERN.test(text)
+    ? (text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text))
+    : NaN;
+  return { color: item.slice(0, at).trim(), position };
+}
+
+/**
+ * Split a bgstops param into stops (commas inside rgb(...) etc. don't split)
+ */
+export function split_gradient_stops(value) {
+  return split_color_list(value).map(parse_gradient_stop);
+}
+
+/**
+ * Write a stop back: { color: '#ff00ff', position: 0.6 } → "#ff00ff@60%"
+ */
+export function format_gradient_stop(stop) {
+  if (stop.position === null) return stop.color;
+  return `${stop.color}@${Math.round(stop.position * 1000) / 10}%`;
+}
+
+/**
+ * Give every stop a position, as CSS does
+ *
+ * Unpositioned stops spread evenly between their neighbors; a position
+ * before an earlier stop's moves up to it.
+ *
+ * @param {object[]} stops - [{ color, position|null }]
+ * @returns {object[]} [{ color, position }] - positions 0..1, never decreasing
+ */
+export function resolve_gradient_stops(stops) {
+  const positions = stops.map(stop => (stop.position === null ? null : Math.min(1, Math.max(0, stop.position))));
+  if (positions[0] === null) positions[0] = 0;
+  if (positions.length > 1 && positions[positions.length - 1] === null) positions[positions.length - 1] = 1;
+
+  for (let i = 1; i < positions.length; i++) {
+    if (positions[i] !== null) {
+      positions[i] = Math.max(positions[i], positions[i - 1]);
+      continue;
+    }
+    // Spread the run of unpositioned stops up to the next positioned one
+    const next = positions.findIndex((position, j) => j > i && position !== null);
+    const end = Math.max(positions[next], positions[i - 1]);
+    for (let j = i; j < next; j++) {
+      positions[j] = positions[i - 1] + ((end - positions[i - 1]) * (j - i + 1)) / (next - i + 1);
+    }
+  }
+
+  return stops.map((stop, i) => ({ color: stop.color, position: positions[i] }));
+}
+
+/**
+ * Stops the background uses: bgstops, else the palette gradient
+ */
+export function background_stops(manifest) {
+  const { palette, params } = manifest;
+  const custom = split_gradient_stops(params.bgstops)
+    .map(stop => ({ color: normalize_css_color(stop.color), position: stop.position }))
+    .filter(stop => stop.color && !Number.isNaN(stop.position));
+  if (custom.length > 0) return resolve_gradient_stops(custom);
+
+  const colors = palette.gradient?.length > 0 ? palette.gradient : [palette.primary, palette.secondary];
+  return resolve_gradient_stops(colors.map(color => ({ color, position: null })));
+}
+
+/**
+ * Color a stop list has at position t (stops sorted by position; sRGB, as canvas blends)
+ */
+export function gradient_color_at(stops, t) {
+  const next = stops.findIndex(stop => stop.position >= t);
+  if (next <= 0) return stops[next === -1 ? stops.length - 1 : 0].color;
+
+  const [from, to] = [stops[next - 1], stops[next]];
+  const span = to.position - from.position;
+  return span > 0 ? chroma.mix(from.color, to.color, (t - from.position) / span, 'rgb').hex() : to.color;
+}
+
+/**
+ * Slide stops along the gradient by offset (0..1)
+ *
+ * The stops run there and back (mirrored into each half), so the end meets
+ * the start and the slide wraps without a seam.
+ */
+function shift_stops(stops, offset) {
+  const cycle = [
+    ...stops.map(stop => ({ color: stop.color, position: stop.position / 2 })),
+    ...[...stops].reverse().map(stop => ({ color: stop.color, position: 1 - stop.position / 2 })),
+  ];
+
+  // Two cycles end to end cover 0..1 wherever the offset puts them
+  const tiled = [-1, 0].flatMap(start => cycle.map(stop => ({ color: stop.color, position: stop.position + start + offset })));
+  return [
+    { color: gradient_color_at(tiled, 0), position: 0 },
+    ...tiled.filter(stop => stop.position > 0 && stop.position < 1),
+    { color: gradient_color_at(tiled, 1), position: 1 },
+  ];
+}
+
+// ============================================================================
+// BACKGROUND TYPE
+// ============================================================================
+
+/**
+ * What the background is: bg= when set, else the scene's solid default or,
+ * in a zone layout, background= (a scene default never overrides bg=)
+ *
+ * @returns {object} { type, color } - type: 'solid', 'field', 'gradient' or a
+ *   gradient kind; color: the solid color (backgroundColor in a zone layout)
+ */
+export function resolve_background(manifest) {
+  const { params, zones } = manifest;
+  const fallback = zones ? zones.background : (manifest.scene?.background === 'solid' ? 'solid' : 'gradient');
+  const type = params.bg || fallback;
+
+  return type === 'solid'
+    ? { type, color: zones ? zones.background_color : manifest.palette.primary }
+    : { type };
+}
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+/**
+ * Whether the gradient background changes over the clip
+ */
+export function is_gradient_animated(params) {
+  const kind = (params.bg || 'gradient') === 'gradient' ? 'linear' : params.bg;
+  return GRADIENT_KINDS.includes(kind) && GRADIENT_MOTIONS.includes(params.bgmotion) && params.bgmotion !== 'none' &&
+    motion_cycles(params) > 0;
+}
+
+/**
+ * Motion cycles over the clip (flow=, default 1)
+ */
+function motion_cycles(params) {
+  const flow = parseFloat(params.flow);
+  return Number.isNaN(flow) ? 1 : flow;
+}
+
+/**
+ * Resolve a center param ("120" or "30%")
+ */
+function resolve_center(value, extent) {
+  if (!value) return extent / 2;
+  return value.endsWith('%') ? (parseFloat(value) / 100) * extent : parseFloat(value);
+}
+
+/**
+ * The gradient to draw at a point of the clip
+ *
+ * @param {number} progress - 0..1 through the clip
+ * @returns {object} { kind, stops, ... } - linear: x0, y0, x1, y1; radial: cx, cy, radius;
+ *   conic: cx, cy, angle (radians); mesh: blobs [{ x, y, radius, color }], base color
+ */
+export function gradient_spec(manifest, width, height, progress = 0) {
+  const { params } = manifest;
+  const kind = GRADIENT_KINDS.includes(params.bg) ? params.bg : 'linear';
+  const motion = is_gradient_animated(params) ? params.bgmotion : 'none';
+  const turn = motion_cycles(params) * progress;
+  const wave = Math.sin(2 * Math.PI * turn);
+
+  let stops = background_stops(manifest);
+  if (motion === 'shift') stops = shift_stops(stops, turn - Math.floor(turn));
+
+  const angle_param = parseFloat(params.bgangle);
+  const rotation = motion === 'rotate' ? 2 * Math.PI * turn : 0;
+  const scale = motion === 'breathe' ? 1 + BREATHE_AMPLITUDE * wave : 1;
+  let cx = resolve_center(params.bgx, width);
+  let cy = resolve_center(params.bgy, height);
+
+  switch (kind) {
+    case 'radial': {
+      if (motion === 'rotate') {
+        const orbit = ORBIT_RADIUS * Math.min(width, height);
+        [cx, cy] = [cx + orbit * Math.sin(rotation), cy - orbit * (1 - Math.cos(rotation))];
+      }
+      // Reaches the farthest corner, like CSS
+      const radius = Math.max(...[[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => Math.hypot(x - cx, y - cy)));
+      return { kind, stops, cx, cy, radius: radius * scale };
+    }
+    case 'conic': {
+      const base = Number.isNaN(angle_param) ? -Math.PI / 2 : (angle_param * Math.PI) / 180;
+      const sway = motion === 'breathe' ? (BREATHE_AMPLITUDE * Math.PI / 2) * wave : 0;
+      return { kind, stops, cx, cy, angle: base + rotation + sway };
+    }
+    case 'mesh': {
+      const colors = stops.map(stop => stop.color);
+      const blobs = colors.map((color, i) => {
+        const theta = (2 * Math.PI * i) / colors.length - Math.PI / 2 + rotation;
+        return {
+          x: cx + MESH_SPREAD * width * Math.cos(theta),
+          y: cy + MESH_SPREAD * height * Math.sin(theta),
+          radius: MESH_BLOB_RADIUS * Math.max(width, height) * scale,
+          color,
+        };
+      });
+      return { kind, stops, base: chroma.average(colors, 'rgb').hex(), blobs };
+    }
+    default: {
+      // Through the canvas center, long enough to reach both corners it points at
+      // (the default angle is the diagonal, corner to corner)
+      const theta = (Number.isNaN(angle_param) ? Math.atan2(height, width) : (angle_param * Math.PI) / 180) + rotation;
+      const half = ((Math.abs(width * Math.cos(theta)) + Math.abs(height * Math.sin(theta))) / 2) * scale;
+      const [dx, dy] = [Math.cos(theta) * half, Math.sin(theta) * half];
+      return { kind, stops, x0: width / 2 - dx, y0: height / 2 - dy, x1: width / 2 + dx, y1: height / 2 + dy };
+    }
+  }
+}
+
+/**
+ * Where a point falls along a gradient (0..1; the mesh has no single position)
+ */
+export function gradient_position(spec, x, y) {
+  const clamp = (t) => Math.min(1, Math.max(0, t));
+
+  switch (spec.kind) {
+    case 'radial':
+      return clamp(Math.hypot(x - spec.cx, y - spec.cy) / spec.radius);
+    case 'conic': {
+      const turn = (Math.atan2(y - spec.cy, x - spec.cx) - spec.angle) / (2 * Math.PI);
+      return turn - Math.floor(turn);
+    }
+    case 'linear': {
+      const [dx, dy] = [spec.x1 - spec.x0, spec.y1 - spec.y0];
+      return clamp(((x - spec.x0) * dx + (y - spec.y0) * dy) / (dx * dx + dy * dy));
+    }
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Canvas gradient for a linear or radial spec
+ */
+function create_canvas_gradient(ctx, spec) {
+  const gradient = spec.kind === 'radial'
+    ? ctx.createRadialGradient(spec.cx, spec.cy, 0, spec.cx, spec.cy, spec.radius)
+    : ctx.createLinearGradient(spec.x0, spec.y0, spec.x1, spec.y1);
+
+  spec.stops.forEach(stop => gradient.addColorStop(stop.position, stop.color));
+  return gradient;
+}
+
+/**
+ * Draw a conic spec as thin wedges around its center
+ *
+ * createConicGradient is not used: canvas backends disagree on its start
+ * angle (@napi-rs/canvas ignores it and always starts at the top).
+ */
+function draw_conic_wedges(ctx, spec, width, height) {
+  const reach = Math.hypot(width, height) * 2;
+  const step = (2 * Math.PI) / CONIC_WEDGES;
+
+  for (let i = 0; i < CONIC_WEDGES; i++) {
+    const start = spec.angle + i * step;
+    ctx.beginPath();
+    ctx.moveTo(spec.cx, spec.cy);
+    // Each wedge overlaps the next a little so no hairline shows between them
+    ctx.arc(spec.cx, spec.cy, reach, start, start + step * 1.5);
+    ctx.closePath();
+    ctx.fillStyle = gradient_color_at(spec.stops, (i + 0.5) / CONIC_WEDGES);
+    ctx.fill();
+  }
+}
+
+/**
+ * Draw the gradient background (bg=gradient|linear|radial|conic|mesh)
+ *
+ * @param {object} render_ctx - From create_render_context
+ * @param {object} manifest - Manifest with a gradient bg
+ * @param {number} frame_progress - 0..1 through the clip
+ */
+export function render_gradient_background(render_ctx, manifest, frame_progress = 1) {
+  const { ctx, width, height } = render_ctx;
+  const spec = gradient_spec(manifest, width, height, frame_progress);
+
+  if (spec.kind === 'conic') {
+    draw_conic_wedges(ctx, spec, width, height);
+    return;
+  }
+  if (spec.kind !== 'mesh') {
+    ctx.fillStyle = create_canvas_gradient(ctx, spec);
+    ctx.fillRect(0, 0, width, height);
+    return;
+  }
+
+  ctx.fillStyle = spec.base;
+  ctx.fillRect(0, 0, width, height);
+  for (const blob of spec.blobs) {
+    const gradient = ctx.createRadialGradient(blob.x, blob.y, 0, blob.x, blob.y, blob.radius);
+    gradient.addColorStop(0, blob.color);
+    gradient.addColorStop(1, chroma(blob.color).alpha(0).css());
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parse_gradient_stop, split_gradient_stops, format_gradient_stop, resolve_gradient_stops, background_stops,
+  gradient_color_at, is_gradient_animated, resolve_background,
+} from './gradients.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+
+const parse = parse_command_string_into_manifest;
+const positions = (stops) => resolve_gradient_stops(stops.map(position => ({ color: '#000', position }))).map(stop => stop.position);
+
+describe('parse_gradient_stop', () => {
+  it('reads a fraction or a percentage after the last @', () => {
+    expect(parse_gradient_stop('#f0f@60%')).toEqual({ color: '#f0f', position: 0.6 });
+    expect(parse_gradient_stop(' #000 @ 0.25 ')).toEqual({ color: '#000', position: 0.25 });
+    expect(parse_gradient_stop('#fff')).toEqual({ color: '#fff', position: null });
+  });
+
+  it('marks an unreadable position as NaN', () => {
+    expect(parse_gradient_stop('red@soon').position).toBeNaN();
+    expect(parse_gradient_stop('red@').position).toBeNaN();
+  });
+});
+
+describe('split_gradient_stops', () => {
+  it('does not split on commas inside a color function', () => {
+    expect(split_gradient_stops('rgb(255, 0, 0)@0,hsl(240 100% 50%)@50%,#fff')).toEqual([
+      { color: 'rgb(255, 0, 0)', position: 0 },
+      { color: 'hsl(240 100% 50%)', position: 0.5 },
+      { color: '#fff', position: null },
+    ]);
+  });
+});
+
+describe('format_gradient_stop', () => {
+  it('writes a stop that parses back to itself', () => {
+    for (const stop of [{ color: '#ff00ff', position: 0.6 }, { color: '#000000', position: 0 }, { color: '#ffffff', position: null }]) {
+      expect(parse_gradient_stop(format_gradient_stop(stop))).toEqual(stop);
+    }
+    expect(format_gradient_stop({ color: '#ff00ff', position: 1 / 3 })).toBe('#ff00ff@33.3%');
+  });
+});
+
+describe('resolve_gradient_stops', () => {
+  it('puts unpositioned ends at 0 and 1 and spreads the middle evenly', () => {
+    expect(positions([null, null, null])).toEqual([0, 0.5, 1]);
+    expect(positions([0, null, null, 0.9]).map(position => Math.round(position * 100) / 100)).toEqual([0, 0.3, 0.6, 0.9]);
+    expect(positions([null])).toEqual([0]);
+  });
+
+  it('clamps to 0..1 and never lets a position go back', () => {
+    expect(positions([-1, 2])).toEqual([0, 1]);
+    expect(positions([0.8, 0.2, null])).toEqual([0.8, 0.8, 1]);
+  });
+});
+
+describe('background_stops', () => {
+  it('uses bgstops, normalized, else the palette gradient', () => {
+    expect(background_stops(parse('bg=radial|bgstops=black@0,red,white'))).toEqual([
+      { color: '#000000', position: 0 },
+      { color: '#ff0000', position: 0.5 },
+      { color: '#ffffff', position: 1 },
+    ]);
+
+    const manifest = parse('bg=linear|palette=sunset');
+    expect(background_stops(manifest).map(stop => stop.color)).toEqual(manifest.palette.gradient);
+  });
+
+  it('blends between stops', () => {
+    const stops = background_stops(parse('bg=linear|bgstops=#000000,#ffffff'));
+    expect(gradient_color_at(stops, 0.5)).toBe('#808080');
+    expect(gradient_color_at(stops, 1)).toBe('#ffffff');
+  });
+});
+
+describe('bgstops in commands', () => {
+  it('is written back in canonical form', () => {
+    expect(parse('bg=radial|bgstops=red@50%,blue').params.bgstops).toBe('#ff0000@50%,#0000ff');
+  });
+
+  it('drops bad stops and keeps the rest', () => {
+    const result = get_validated_manifest_or_ground_state(parse('bg=radial|bgstops=#000@0,nope@50%,#fff@150%,#f0f'));
+    expect(result.repairs.map(({ key, action }) => ({ key, action }))).toEqual([
+      { key: 'bgstops', action: 'dropped' },
+      { key: 'bgstops', action: 'dropped' },
+    ]);
+    expect(result.manifest.params.bgstops).toBe('#000000@0%,#ff00ff');
+  });
+});
+
+
+describe('is_gradient_animated', () => {
+  it('moves gradient kinds with a bgmotion other than none', () => {
+    expect(is_gradient_animated({ bg: 'conic', bgmotion: 'rotate' })).toBe(true);
+    expect(is_gradient_animated({ bgmotion: 'shift' })).toBe(true);
+    expect(is_gradient_animated({ bg: 'mesh', bgmotion: 'none' })).toBe(false);
+    expect(is_gradient_animated({ bg: 'solid', bgmotion: 'rotate' })).toBe(false);
+    expect(is_gradient_animated({ bg: 'radial', bgmotion: 'breathe', flow: '0' })).toBe(false);
+  });
+});
+
+describe('resolve_background', () => {
+  it('lets bg= win over the scene and zone defaults', () => {
+    expect(resolve_background(parse('text=Hi'))).toEqual({ type: 'gradient' });
+    expect(resolve_background(parse('scene=minimal|text=Hi'))).toMatchObject({ type: 'solid' });
+    expect(resolve_background(parse('scene=minimal|text=Hi|bg=radial'))).toEqual({ type: 'radial' });
+    expect(resolve_background(parse('header=Acme|content=Fast~Secure|bg=conic'))).toEqual({ type: 'conic' });
+  });
+
+  it('fills a solid background with the palette, or the zone background color', () => {
+    const manifest = parse('scene=minimal|text=Hi|palette=sunset');
+    expect(resolve_background(manifest).color).toBe(manifest.palette.primary);
+    expect(resolve_background(parse('header=Acme|content=Fast~Secure'))).toEqual({ type: 'solid', color: '#1a1a1a' });
+  });
+});
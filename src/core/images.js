@@ -0,0 +1,181 @@
+/**
+ * IMAGES
+ * =======
+ *
+ * Image sources for the logo and image layers, checked before anything is
+ * decoded and loaded before the first frame is drawn:
+ *
+ *   logo=data:image/png;base64,iVBOR...|logo.x=90%|logo.width=80
+ *   layer1.image=./product.jpg|layer1.fit=cover|layer1.width=200|layer1.height=200
+ *
+ * A source is a data URI or, on the command line, a file path; logo=brand
+ * takes the brand kit's logo. Remote URLs are never fetched - they would
+ * taint the canvas in the browser and make a render depend on the network.
+ *
+ * Rendering is synchronous, so load_manifest_images decodes every source up
+ * front (through a platform loader) into a Map the renderer reads from.
+ *
+ * ITT Interpretation:
+ *   An image is an externally collapsed σ-region: its pixels arrive already
+ *   resolved and are only placed and scaled onto Φ
+ */
+
+import { build_layer_stack } from './layers.js';
+
+// Image types a source may have, by file extension
+export const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+// Encoded size and decoded side limits
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+export const MAX_IMAGE_SIDE = 4096;
+
+// How an image fills its box
+export const IMAGE_FITS = ['contain', 'cover', 'stretch'];
+
+const DATA_URI_PATTERN = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/is;
+const REMOTE_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * The source an image param names: logo=brand is the brand kit's logo
+ *
+ * @returns {string|null} null when brand is asked for but the kit has no logo
+ */
+export function resolve_image_source(source, manifest) {
+  if (source === 'brand') return manifest.brand?.logo ?? null;
+  return source || null;
+}
+
+/**
+ * Describe an image source without decoding it
+ *
+ * Data URIs are measured; file paths are typed by extension (their size is
+ * checked when the file is read).
+ *
+ * @returns {object} { kind: 'data'|'file', type, bytes } or { error }
+ */
+export function describe_image_source(source) {
+  const data = DATA_URI_PATTERN.exec(source);
+  if (data) {
+    const [, type, flags, payload] = data;
+    const is_base64 = flags.toLowerCase().split(';').includes('base64');
+    if (!Object.values(IMAGE_TYPES).includes(type.toLowerCase())) {
+      return { error: `image type must be one of ${[...new Set(Object.values(IMAGE_TYPES))].join(', ')}` };
+    }
+    if (is_base64 && !/^[a-z0-9+/\s]*={0,2}$/i.test(payload)) {
+      return { error: 'data URI is not valid base64' };
+    }
+
+    const bytes = is_base64
+      ? Math.floor(payload.replace(/\s/g, '').length * 3 / 4) - (payload.match(/=*$/)[0].length)
+      : payload.length;
+    return { kind: 'data', type: type.toLowerCase(), bytes };
+  }
+
+  if (REMOTE_PATTERN.test(source) || source.startsWith('data:')) {
+    return { error: 'remote images are not fetched - use a data URI or a file path' };
+  }
+
+  const extension = source.split('.').pop().toLowerCase();
+  if (!IMAGE_TYPES[extension]) {
+    return { error: `image file must end in .${Object.keys(IMAGE_TYPES).join(', .')}` };
+  }
+  return { kind: 'file', type: IMAGE_TYPES[extension], bytes: null };
+}
+
+/**
+ * Check an image source's type and encoded size
+ *
+ * @returns {string|null} null when usable, else why not
+ */
+export function check_image_source(source) {
+  const description = describe_image_source(source);
+  if (description.error) return description.error;
+  if (description.bytes !== null && description.bytes > MAX_IMAGE_BYTES) {
+    return `image is ${format_bytes(description.bytes)}, at most ${format_bytes(MAX_IMAGE_BYTES)}`;
+  }
+  return null;
+}
+
+/**
+ * Decode a data URI's payload to bytes
+ */
+export function decode_data_uri(source) {
+  const [, , flags, payload] = DATA_URI_PATTERN.exec(source);
+  if (!flags.toLowerCase().split(';').includes('base64')) {
+    return new TextEncoder().encode(decodeURIComponent(payload));
+  }
+  return Uint8Array.from(atob(payload.replace(/\s/g, '')), ch => ch.charCodeAt(0));
+}
+
+/**
+ * Human-readable byte count: 2048 → "2 KB"
+ */
+export function format_bytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Every image source the manifest draws, resolved (logo=brand → the kit's logo)
+ */
+export function list_image_sources(manifest) {
+  const sources = build_layer_stack(manifest)
+    .filter(layer => layer.type === 'image')
+    .map(layer => resolve_image_source(layer.params.image, manifest))
+    .filter(Boolean);
+  return [...new Set(sources)];
+}
+
+/**
+ * Decode the manifest's images before rendering
+ *
+ * A source that fails (unreadable, too large, not an image) is reported and
+ * left out; the rest of the frame still renders.
+ *
+ * @param {object} manifest - Validated manifest
+ * @param {function} load_image - async source → image (anything drawImage takes, with width/height)
+ * @returns {Promise<object>} { images: Map(source → image), errors: [{ source, message }] }
+ */
+export async function load_manifest_images(manifest, load_image) {
+  const images = new Map();
+  const errors = [];
+
+  for (const source of list_image_sources(manifest)) {
+    try {
+      const problem = check_image_source(source);
+      if (problem) throw new Error(problem);
+
+      const image = await load_image(source);
+      if (image.width > MAX_IMAGE_SIDE || image.height > MAX_IMAGE_SIDE) {
+        throw new Error(`image is ${image.width}x${image.height}, at most ${MAX_IMAGE_SIDE}px a side`);
+      }
+      images.set(source, image);
+    } catch (error) {
+      errors.push({ source, message: error.message });
+    }
+  }
+
+  return { images, errors };
+}
+
+/**
+ * Shorten a source for messages (data URIs run to megabytes)
+ */
+export function abbreviate_source(source) {
+  return source.length > 48 ? `${source.slice(0, 40)}…` : source;
+}
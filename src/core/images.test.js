@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import {
+  describe_image_source, check_image_source, decode_data_uri, format_bytes, list_image_sources, load_manifest_images,
+  MAX_IMAGE_BYTES,
+} from './images.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+import { create_render_context, render_image_element } from './renderer.js';
+
+const parse = (command) => parse_command_string_into_manifest(command);
+const validate = (command) => get_validated_manifest_or_ground_state(parse(command));
+
+// A 200x100 PNG in three bands: red | green (the middle half) | blue
+const BANDS_PNG = (() => {
+  const canvas = createCanvas(200, 100);
+  const ctx = canvas.getContext('2d');
+  [['#ff0000', 0, 50], ['#00ff00', 50, 100], ['#0000ff', 150, 50]].forEach(([color, x, w]) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(x, 0, w, 100);
+  });
+  return canvas.toBuffer('image/png');
+})();
+
+const BANDS_URI = `data:image/png;base64,${BANDS_PNG.toString('base64')}`;
+
+// RGBA at points after drawing the bands image into a 100x100 box centered on a 200x200 canvas
+const draw_bands = async (fit, points) => {
+  const canvas = createCanvas(200, 200);
+  const images = new Map([['bands.png', await loadImage(BANDS_PNG)]]);
+  const params = { image: 'bands.png', width: '100', height: '100', fit };
+  render_image_element(create_render_context(canvas, { images }), { params });
+
+  const ctx = canvas.getContext('2d');
+  return points.map(([x, y]) => [...ctx.getImageData(x, y, 1, 1).data]);
+};
+
+describe('image sources', () => {
+  it('describes data URIs by their type and decoded size', () => {
+    expect(describe_image_source('data:image/png;base64,AAAA')).toEqual({ kind: 'data', type: 'image/png', bytes: 3 });
+    expect(describe_image_source('data:image/svg+xml,<svg/>').error).toBe('image type must be one of image/png, image/jpeg, image/gif, image/webp');
+    expect(describe_image_source('data:image/png;base64,@@@').error).toBe('data URI is not valid base64');
+  });
+
+  it('types file paths by extension and never fetches remote URLs', () => {
+    expect(describe_image_source('./brand/logo.JPG')).toEqual({ kind: 'file', type: 'image/jpeg', bytes: null });
+    expect(describe_image_source('logo.svg').error).toBe('image file must end in .png, .jpg, .jpeg, .gif, .webp');
+    expect(describe_image_source('https://acme.example/logo.png').error).toBe('remote images are not fetched - use a data URI or a file path');
+  });
+
+  it('limits the encoded size', () => {
+    const payload = 'A'.repeat(Math.ceil((MAX_IMAGE_BYTES + 3) / 3) * 4);
+    expect(check_image_source(`data:image/png;base64,${payload}`)).toBe('image is 2 MB, at most 2 MB');
+    expect(check_image_source(BANDS_URI)).toBeNull();
+  });
+
+  it('decodes data URI payloads', () => {
+    expect([...decode_data_uri('data:image/png;base64,AQID')]).toEqual([1, 2, 3]);
+    expect(new TextDecoder().decode(decode_data_uri('data:image/gif,a%20b'))).toBe('a b');
+    expect([format_bytes(512), format_bytes(2048), format_bytes(3 * 1024 * 1024)]).toEqual(['512 B', '2 KB', '3 MB']);
+  });
+});
+
+describe('load_manifest_images', () => {
+  it('loads each source once, the logo and image layers alike', async () => {
+    const manifest = parse('text=Hi|logo=a.png|layer1.image=a.png|layer2.image=b.png');
+    expect(list_image_sources(manifest)).toEqual(['a.png', 'b.png']);
+
+    const { images, errors } = await load_manifest_images(manifest, async (source) => ({ source, width: 10, height: 10 }));
+    expect([...images.keys()]).toEqual(['a.png', 'b.png']);
+    expect(errors).toEqual([]);
+  });
+
+  it('reports sources that fail and keeps the rest', async () => {
+    const manifest = parse('text=Hi|logo=a.png|layer1.image=missing.png|layer2.image=huge.png');
+    const load = async (source) => {
+      if (source === 'missing.png') throw new Error('ENOENT: no such file');
+      return { width: source === 'huge.png' ? 5000 : 10, height: 10 };
+    };
+
+    const { images, errors } = await load_manifest_images(manifest, load);
+    expect([...images.keys()]).toEqual(['a.png']);
+    expect(errors).toEqual([
+      { source: 'missing.png', message: 'ENOENT: no such file' },
+      { source: 'huge.png', message: 'image is 5000x10, at most 4096px a side' },
+    ]);
+  });
+});
+
+describe('render_image_element', () => {
+  // Box center row: left edge, middle; box top row: middle
+  const POINTS = [[55, 100], [100, 100], [100, 55]];
+  const RED = [255, 0, 0, 255];
+  const GREEN = [0, 255, 0, 255];
+  const CLEAR = [0, 0, 0, 0];
+
+  it('letterboxes with contain', async () => {
+    expect(await draw_bands('contain', POINTS)).toEqual([RED, GREEN, CLEAR]);
+  });
+
+  it('crops the middle with cover', async () => {
+    expect(await draw_bands('cover', POINTS)).toEqual([GREEN, GREEN, GREEN]);
+  });
+
+  it('fills the box with stretch', async () => {
+    expect(await draw_bands('stretch', POINTS)).toEqual([RED, GREEN, GREEN]);
+  });
+
+  it('skips images that were not loaded', async () => {
+    const canvas = createCanvas(50, 50);
+    render_image_element(create_render_context(canvas), { params: { image: 'bands.png' } });
+    expect(canvas.getContext('2d').getImageData(25, 25, 1, 1).data[3]).toBe(0);
+  });
+});
+
+describe('image params', () => {
+  it('drops unusable sources and clamps opacity', () => {
+    const result = validate('text=Hi|logo=https://acme.example/logo.png|logo.opacity=2|layer1.image=x.svg|layer1.fit=fill');
+    expect(result.repairs.map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['layer1.image', 'dropped', null],
+      ['layer1.fit', 'dropped', null],
+      ['logo', 'dropped', null],
+      ['logo.opacity', 'clamped', '1'],
+    ]);
+  });
+
+  it('needs a brand kit for logo=brand', () => {
+    expect(validate('text=Hi|logo=brand').repairs).toEqual([
+      expect.objectContaining({ key: 'logo', action: 'dropped', reason: '"brand" needs a brand kit' }),
+    ]);
+  });
+
+  it('suggests the closest logo property for a typo', () => {
+    expect(parse('text=Hi|logo=a.png|logo.wdth=80').errors).toEqual([
+      expect.objectContaining({ code: 'UNKNOWN_KEY', suggestion: 'logo.width' }),
+    ]);
+  });
+});
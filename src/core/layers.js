@@ -0,0 +1,258 @@
+/**
+ * LAYER STACK
+ * ============
+ *
+ * A frame is a stack of layers drawn bottom to top. The flat params describe
+ * the classic stack - background, decorations, particles, shape, text, logo,
+ * footer - and indexed layers add any number of elements on top:
+ *
+ *   layer1.shape=circle|layer1.x=20%|layer2.text=Sale|layer2.animate=slide
+ *
+ * An indexed layer carries its own position, size, colors, animation,
+ * timeline (delay, duration, ease, keyframes) and z-index (default: its
+ * index). It inherits only style (font, colors, stroke) from the flat
+ * params. Classic elements sit at z=0, so indexed layers draw above them
+ * unless given a negative z; the background stays at the bottom and the
+ * footer on top.
+ *
+ * A scene's layers list is expanded into the classic stack: the elements it
+ * names are drawn even when no flat param asks for them.
+ *
+ * ITT Interpretation:
+ *   Each layer is its own σ-region; z is the order in which the regions
+ *   accumulate onto Φ
+ */
+
+import { SHAPE_PARAMETERS, find_shape_param } from './shapes.js';
+
+// Types an indexed layer can have (layerN.type, or implied by text/shape/image)
+export const LAYER_TYPES = ['text', 'shape', 'particles', 'image'];
+
+// Properties an indexed layer reads (layerN.<property>); the params of shapes
+// registered later are read too (see is_layer_property)
+export const LAYER_PROPERTIES = [
+  'type', 'z', 'text', 'shape', 'path', 'image', 'opacity', 'x', 'y', 'size', 'width', 'height', 'rotation',
+  ...Object.keys(SHAPE_PARAMETERS), 'fill', 'stroke', 'strokewidth',
+  'color', 'font', 'fontsize', 'align', 'underline', 'animate',
+  'maxwidth', 'maxlines', 'lineheight', 'fit', 'delay', 'duration', 'ease', 'keyframes',
+];
+
+// Properties the logo reads (logo.<property>); logo= itself is the source
+export const LOGO_PROPERTIES = [
+  'x', 'y', 'width', 'height', 'fit', 'opacity', 'animate', 'delay', 'duration', 'ease', 'keyframes',
+];
+
+// Where the logo goes unless logo.x/logo.y say otherwise: the top-right corner
+const LOGO_DEFAULTS = { x: '85%', y: '15%' };
+
+// Style an indexed layer takes from the flat params unless it sets its own
+const INHERITED_PROPERTIES = ['font', 'color', 'fill', 'stroke', 'strokewidth'];
+
+// The classic stack, bottom to top
+const CLASSIC_LAYERS = ['background', 'decorations', 'particles', 'shape', 'text', 'logo', 'footer'];
+
+const LAYER_KEY_PATTERN = /^layer(\d+)\.([a-z]+)$/;
+const LOGO_KEY_PATTERN = /^logo\.([a-z]+)$/;
+
+// ============================================================================
+// LAYER KEYS
+// ============================================================================
+
+/**
+ * Split a layer key: "layer2.text" → { index: 2, property: 'text' }
+ *
+ * @returns {object|null} null when the key is not layer-shaped (the property may still be unknown)
+ */
+export function parse_layer_key(key) {
+  const match = LAYER_KEY_PATTERN.exec(key);
+  return match ? { index: parseInt(match[1]), property: match[2] } : null;
+}
+
+/**
+ * Check for a property an indexed layer reads, registered shape params included
+ */
+function is_layer_property(property) {
+  return LAYER_PROPERTIES.includes(property) || Boolean(find_shape_param(property));
+}
+
+/**
+ * Check for a layer key with a known property
+ */
+export function is_layer_key(key) {
+  const parsed = parse_layer_key(key);
+  return Boolean(parsed) && is_layer_property(parsed.property);
+}
+
+/**
+ * Split a logo key: "logo.x" → { property: 'x' }
+ *
+ * @returns {object|null} null when the key is not logo-shaped
+ */
+export function parse_logo_key(key) {
+  const match = LOGO_KEY_PATTERN.exec(key);
+  return match ? { property: match[1] } : null;
+}
+
+/**
+ * Check for a logo key with a known property
+ */
+export function is_logo_key(key) {
+  return LOGO_PROPERTIES.includes(parse_logo_key(key)?.property);
+}
+
+/**
+ * Layer keys in params that set a property, e.g. every layerN.color (logo.<property> included)
+ */
+export function find_layer_keys(params, property) {
+  return Object.keys(params).filter(key => (parse_layer_key(key) ?? parse_logo_key(key))?.property === property);
+}
+
+// ============================================================================
+// STACK
+// ============================================================================
+
+/**
+ * Collect the indexed layers from the params
+ *
+ * The type is layerN.type, else text, shape or image when the layer sets
+ * one (a path is a shape)
+ * (null when neither - the validator rejects untyped layers).
+ *
+ * @param {object} params - Manifest params
+ * @returns {object[]} [{ index, type, z, params }] in index order; params holds the layer's own properties
+ */
+export function parse_layers(params) {
+  const layers = new Map();
+
+  for (const [key, value] of Object.entries(params)) {
+    const parsed = parse_layer_key(key);
+    if (!parsed || !is_layer_property(parsed.property)) continue;
+    if (!layers.has(parsed.index)) layers.set(parsed.index, {});
+    layers.get(parsed.index)[parsed.property] = value;
+  }
+
+  return [...layers.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, own]) => {
+      let type = own.type || null;
+      if (!type && own.text !== undefined) type = 'text';
+      if (!type && (own.shape !== undefined || own.path !== undefined)) type = 'shape';
+      if (!type && own.image !== undefined) type = 'image';
+
+      const z = Number(own.z);
+      return { index, type, z: own.z !== undefined && Number.isFinite(z) ? z : index, params: own };
+    });
+}
+
+/**
+ * Whether a classic element has something to draw
+ */
+function is_classic_layer_present(type, manifest, has_indexed_layers) {
+  const { params } = manifest;
+  if (manifest.scene?.layers.includes(type)) return true;
+
+  switch (type) {
+    case 'background':
+      return true;
+    case 'decorations':
+      return manifest.decorations.length > 0;
+    case 'particles':
+      return params.animate === 'sparkle';
+    case 'shape':
+      return Boolean(params.shape || params.path);
+    case 'text':
+      // The placeholder text is only drawn when nothing else is
+      return !has_indexed_layers || Boolean(params.text || manifest.sequence);
+    case 'logo':
+      return Boolean(params.logo);
+    case 'footer':
+      return Boolean(params.footer);
+  }
+  return false;
+}
+
+/**
+ * Whether the placeholder text is drawn: nothing gives text (text=, sequence=,
+ * zones) and no indexed layer is drawn instead, unless the scene draws its text layer
+ */
+export function is_placeholder_text_drawn(manifest) {
+  if (manifest.params.text || manifest.sequence || manifest.zones) return false;
+  const has_indexed_layers = (manifest.layers || []).some(layer => LAYER_TYPES.includes(layer.type));
+  return is_classic_layer_present('text', manifest, has_indexed_layers);
+}
+
+/**
+ * The logo's params as an image layer: { image, x, y, ... } from logo= and logo.*
+ */
+function logo_params(params) {
+  const own = Object.fromEntries(
+    Object.entries(params).filter(([key]) => is_logo_key(key)).map(([key, value]) => [parse_logo_key(key).property, value]),
+  );
+  return { ...LOGO_DEFAULTS, ...own, image: params.logo };
+}
+
+/**
+ * Classic layer params: the flat params, with the particles' sparkle, the
+ * shape's own position (shapeX/shapeY, so x/y only move the text) and the logo's own keys
+ */
+function classic_layer(type, params) {
+  switch (type) {
+    case 'particles':
+      return { type, params: { ...params, animate: 'sparkle' } };
+    case 'shape':
+      return { type, params: { ...params, x: params.shapex, y: params.shapey } };
+    case 'logo':
+      return { type: 'image', params: logo_params(params) };
+  }
+  return { type, params };
+}
+
+/**
+ * Indexed layer params: particles sparkle by default, images take no style
+ */
+function indexed_layer_params(layer, inherited) {
+  switch (layer.type) {
+    case 'particles':
+      return { animate: 'sparkle', ...layer.params };
+    case 'image':
+      return { ...layer.params };
+  }
+  return { ...inherited, ...layer.params };
+}
+
+/**
+ * Expand a manifest into the layers to draw, bottom to top
+ *
+ * Classic layers read the flat params; a scene's particles layer sparkles
+ * whatever the flat animation is, and the logo is an image layer of its
+ * logo.* keys. Indexed layers get their own properties over the inherited
+ * style. Ties in z keep stack order.
+ *
+ * @param {object} manifest - Parsed manifest (simple or sequence mode)
+ * @returns {object[]} [{ type, z, params, index }] - index: null for classic layers
+ */
+export function build_layer_stack(manifest) {
+  const { params } = manifest;
+  const indexed = (manifest.layers || []).filter(layer => LAYER_TYPES.includes(layer.type));
+
+  const classic = CLASSIC_LAYERS
+    .filter(type => is_classic_layer_present(type, manifest, indexed.length > 0))
+    .map(type => ({ ...classic_layer(type, params), z: 0, index: null }));
+
+  const inherited = Object.fromEntries(
+    INHERITED_PROPERTIES.filter(property => params[property] !== undefined).map(property => [property, params[property]]),
+  );
+  const layers = indexed.map(layer => ({
+    type: layer.type,
+    z: layer.z,
+    index: layer.index,
+    params: indexed_layer_params(layer, inherited),
+  }));
+
+  // The background is always present; the footer, when present, is last
+  const [background, ...middle] = classic;
+  const footer = middle.at(-1)?.type === 'footer' ? middle.pop() : null;
+  const sorted = [...middle, ...layers].sort((a, b) => a.z - b.z);
+
+  return [background, ...sorted, footer].filter(Boolean);
+}
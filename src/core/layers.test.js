@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parse_layer_key, is_layer_key, find_layer_keys, parse_layers, build_layer_stack, is_placeholder_text_drawn,
+} from './layers.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+
+const parse = (command) => parse_command_string_into_manifest(command);
+
+// [type, z, index] of each layer, bottom to top
+const stack_of = (command) => build_layer_stack(parse(command)).map(({ type, z, index }) => [type, z, index]);
+
+describe('layer keys', () => {
+  it('splits layerN.property keys', () => {
+    expect(parse_layer_key('layer12.fontsize')).toEqual({ index: 12, property: 'fontsize' });
+    expect(parse_layer_key('layer.text')).toBeNull();
+    expect(is_layer_key('layer2.text')).toBe(true);
+    expect(is_layer_key('layer2.colr')).toBe(false);
+  });
+
+  it('finds the layer keys for a property', () => {
+    expect(find_layer_keys({ color: 'red', 'layer1.color': 'blue', 'layer3.color': 'green', 'layer3.text': 'x' }, 'color'))
+      .toEqual(['layer1.color', 'layer3.color']);
+  });
+});
+
+describe('parse_layers', () => {
+  it('groups properties by index, typed by text or shape', () => {
+    expect(parse_layers({ 'layer2.text': 'Sale', 'layer1.shape': 'circle', 'layer1.x': '20%', 'layer3.type': 'particles' })).toEqual([
+      { index: 1, type: 'shape', z: 1, params: { shape: 'circle', x: '20%' } },
+      { index: 2, type: 'text', z: 2, params: { text: 'Sale' } },
+      { index: 3, type: 'particles', z: 3, params: { type: 'particles' } },
+    ]);
+  });
+
+  it('leaves a layer without type, text or shape untyped', () => {
+    expect(parse_layers({ 'layer1.x': '10' })[0].type).toBeNull();
+  });
+});
+
+describe('build_layer_stack', () => {
+  it('stacks indexed layers above the classic elements by z, below the footer', () => {
+    expect(stack_of('text=Big|layer1.shape=circle|layer2.text=Sale|footer=acme.com')).toEqual([
+      ['background', 0, null],
+      ['text', 0, null],
+      ['shape', 1, 1],
+      ['text', 2, 2],
+      ['footer', 0, null],
+    ]);
+  });
+
+  it('puts a layer with negative z behind the classic elements, above the background', () => {
+    expect(stack_of('text=Big|layer1.shape=circle|layer1.z=-1|animate=sparkle|decorations=corners')).toEqual([
+      ['background', 0, null],
+      ['shape', -1, 1],
+      ['decorations', 0, null],
+      ['particles', 0, null],
+      ['text', 0, null],
+    ]);
+  });
+
+  it('orders by z, not index', () => {
+    expect(stack_of('layer3.z=-5|layer3.text=A|layer1.text=B|layer2.type=particles')).toEqual([
+      ['background', 0, null],
+      ['text', -5, 3],
+      ['text', 1, 1],
+      ['particles', 2, 2],
+    ]);
+  });
+
+  it('drops the placeholder text when only layers are given', () => {
+    expect(stack_of('layer1.shape=star|layer2.text=Sale').map(([type]) => type)).toEqual(['background', 'shape', 'text']);
+    expect(stack_of('text=Hi').map(([type]) => type)).toEqual(['background', 'text']);
+  });
+
+  it('reports the placeholder text exactly when the stack draws it', () => {
+    for (const command of ['palette=sunset', 'layer1.shape=star|layer2.text=Sale', 'scene=minimal|layer1.shape=star', 'layer1.x=10', 'text=Hi']) {
+      const manifest = parse(command);
+      const drawn = build_layer_stack(manifest).some(({ type, index }) => type === 'text' && index === null);
+      expect(is_placeholder_text_drawn(manifest)).toBe(drawn && !manifest.params.text);
+    }
+  });
+
+  it('draws the layers a scene declares', () => {
+    expect(stack_of('scene=celebration|text=Hi').map(([type]) => type)).toEqual(['background', 'particles', 'text']);
+  });
+
+  it('draws the logo as an image above the text and below the footer', () => {
+    const layers = build_layer_stack(parse('text=Hi|logo=logo.png|logo.x=10%|logo.fit=cover|footer=acme.com'));
+
+    expect(layers.map(({ type }) => type)).toEqual(['background', 'text', 'image', 'footer']);
+    expect(layers[2].params).toEqual({ image: 'logo.png', x: '10%', y: '15%', fit: 'cover' });
+  });
+
+  it('gives layers the inherited style but not position or animation', () => {
+    const manifest = parse('fill=red|font=Georgia|x=10%|animate=pulse|layer1.shape=circle|layer1.y=20%|layer2.type=particles');
+    const [, shape, particles] = build_layer_stack(manifest);
+
+    expect(shape.params).toEqual({ font: 'Georgia', fill: '#ff0000', shape: 'circle', y: '20%' });
+    expect(particles.params).toEqual({ animate: 'sparkle', type: 'particles' });
+  });
+});
+
+describe('layer params', () => {
+  it('suggests the closest layer property for a typo', () => {
+    expect(parse('text=Hi|layer1.colr=red').errors).toEqual([
+      expect.objectContaining({ code: 'UNKNOWN_KEY', suggestion: 'layer1.color' }),
+    ]);
+  });
+
+  it('repairs each layer property by the rules of its flat param', () => {
+    const result = get_validated_manifest_or_ground_state(parse('text=Hi|layer1.text=Sale|layer1.fill=#zzz|layer1.z=500|layer1.animate=spin'));
+
+    expect(result.repairs.map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['layer1.fill', 'dropped', null],
+      ['layer1.z', 'clamped', '100'],
+      ['layer1.animate', 'dropped', null],
+    ]);
+    expect(result.manifest.layers).toEqual([{ index: 1, type: 'text', z: 100, params: { text: 'Sale', z: '100' } }]);
+  });
+
+  it('drops untyped layers and layers past the limit', () => {
+    const untyped = get_validated_manifest_or_ground_state(parse('text=Hi|layer2.x=10|layer3.type=video|layer3.text=x'));
+    expect(untyped.repairs.map(({ key, reason }) => [key, reason])).toEqual([
+      ['layer2.x', 'layer2 needs a type, text or shape'],
+      ['layer3.type', 'type must be one of text, shape, particles, image'],
+      ['layer3.text', 'type must be one of text, shape, particles, image'],
+    ]);
+
+    const crowded = Array.from({ length: 17 }, (_, i) => `layer${i + 1}.text=${i}`).join('|');
+    expect(get_validated_manifest_or_ground_state(parse(crowded)).repairs.map(({ key }) => key)).toEqual(['layer17.text']);
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * ZONE LAYOUT ENGINE
+ * ===================
+ *
+ * Fixed text zones + one animated content zone (Mode 3).
+ *
+ * Input: "header=Acme|subheader=Services|content=A~B~C|footer=acme.com"
+ * Output: one frame per content item, header/subheader/tagline/footer fixed.
+ *
+ * ITT Interpretation:
+ *   Fixed zones are the locked ρ_q anchors of the visual field
+ *   The content zone is the dynamic attractor - it collapses to a
+ *   different value on every frame while the anchors hold
+ */
+
+import { render_decorations } from './decorations.js';
+
+// Zone geometry (back to front, top to bottom)
+//   y:      vertical center as fraction of canvas height
+//   size:   font size as fraction of canvas width
+//   weight: CSS font weight
+//   color:  default color (null = palette text)
+export const ZONE_DEFINITIONS = {
+  header: {
+    y: 0.20,
+    size: 0.10,
+    weight: 800,
+    font: "'SF Mono', 'Courier New', monospace",
+    color: '#ffffff',
+  },
+  subheader: {
+    y: 0.32,
+    size: 0.07,
+    weight: 400,
+    font: 'Inter, -apple-system, sans-serif',
+    color: '#00ff00',
+  },
+  content: {
+    y: 0.48,
+    size: 0.055,
+    weight: 600,
+    font: 'Inter, -apple-system, sans-serif',
+    color: null,
+  },
+  tagline: {
+    y: 0.62,
+    size: 0.04,
+    weight: 400,
+    font: 'Inter, -apple-system, sans-serif',
+    color: '#cccccc',
+  },
+  footer: {
+    y: 0.72,
+    size: 0.035,
+    weight: 400,
+    font: 'Inter, -apple-system, sans-serif',
+    color: '#888888',
+  },
+};
+
+export const ZONE_NAMES = Object.keys(ZONE_DEFINITIONS);
+
+// Layout-level defaults (match the inline zone renderer)
+export const ZONE_LAYOUT_DEFAULTS = {
+  canvas: '4:5',
+  background: 'solid',
+  background_color: '#1a1a1a',
+  decoration_color: '#00ff00',
+  decorations: ['corners'],
+};
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+// Text block defaults (line height is a multiple of the font size)
+export const DEFAULT_LINE_HEIGHT = 1.2;
+const MIN_FIT_FONT_SIZE = 8;
+
+/**
+ * Word wrap text to fit within max_width (ctx.font must already be set)
+ *
+ * Explicit \n always breaks; a single word wider than max_width keeps its own line.
+ */
+export function wrap_text_lines(ctx, text, max_width) {
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    let current = '';
+
+    for (const word of paragraph.split(' ')) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (ctx.measureText(candidate).width > max_width && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+
+    if (current) lines.push(current);
+  }
+
+  return lines;
+}
+
+/**
+ * Cut lines down to max_lines, ending the last kept line with an ellipsis
+ */
+function truncate_lines(ctx, lines, max_lines, max_width) {
+  if (!max_lines || lines.length <= max_lines) return lines;
+
+  const kept = lines.slice(0, max_lines);
+  const words = kept[max_lines - 1].split(' ');
+  let last = `${words.join(' ')}…`;
+  while (words.length > 1 && ctx.measureText(last).width > max_width) {
+    words.pop();
+    last = `${words.join(' ')}…`;
+  }
+  kept[max_lines - 1] = last;
+  return kept;
+}
+
+/**
+ * Lay out a text block: wrap, optionally shrink to fit, cap the line count
+ *
+ * With shrink, the largest font size (down to 8px) is found by binary search
+ * such that every line fits max_width, the block fits max_height and there are
+ * at most max_lines lines. Without it the size is kept and extra lines are cut.
+ *
+ * Leaves ctx.font set to the final size.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context to measure with
+ * @param {string} text - Text, \n for explicit breaks
+ * @param {object} options - { font_size, font(size) → CSS font, max_width, max_height,
+ *   line_height (× font size), max_lines (null = any), shrink }
+ * @returns {object} { lines, font_size, line_height (px), width (widest line) }
+ */
+export function fit_text_block(ctx, text, options) {
+  const { font, max_width, max_height = Infinity, line_height = DEFAULT_LINE_HEIGHT, max_lines = null, shrink = false } = options;
+
+  const layout_at = (size) => {
+    ctx.font = font(size);
+    return wrap_text_lines(ctx, text, max_width);
+  };
+  const fits = (size, lines) =>
+    (!max_lines || lines.length <= max_lines) &&
+    lines.length * size * line_height <= max_height &&
+    lines.every(line => ctx.measureText(line).width <= max_width);
+
+  let font_size = options.font_size;
+  if (shrink && !fits(font_size, layout_at(font_size))) {
+    let low = Math.min(MIN_FIT_FONT_SIZE, font_size);
+    let high = font_size;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (fits(middle, layout_at(middle))) low = middle;
+      else high = middle;
+    }
+    font_size = low;
+  }
+
+  const lines = truncate_lines(ctx, layout_at(font_size), max_lines, max_width);
+  return {
+    lines,
+    font_size,
+    line_height: font_size * line_height,
+    width: Math.max(0, ...lines.map(line => ctx.measureText(line).width)),
+  };
+}
+
+// ============================================================================
+// ZONE RENDERING
+// ============================================================================
+
+/**
+ * Draw a single zone's text lines centered on its y position
+ */
+function draw_zone_text(render_ctx, zone_name, zone, text, fallback_color) {
+  const { ctx, width, height } = render_ctx;
+  const definition = ZONE_DEFINITIONS[zone_name];
+
+  const font_size = zone.size || Math.floor(width * definition.size);
+  ctx.font = `${definition.weight} ${font_size}px ${definition.font}`;
+  ctx.fillStyle = zone.color || definition.color || fallback_color;
+
+  const lines = wrap_text_lines(ctx, text, width * 0.8);
+  const line_height = Math.floor(font_size * 1.3);
+  const start_y = height * definition.y - ((lines.length - 1) * line_height) / 2;
+
+  lines.forEach((line, i) => {
+    ctx.fillText(line, width / 2, start_y + i * line_height);
+  });
+}
+
+/**
+ * Draw the short divider under the header
+ */
+function draw_zone_divider(render_ctx, y, color) {
+  const { ctx, width } = render_ctx;
+  const line_width = width * 0.5;
+  const start_x = (width - line_width) / 2;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(start_x, y);
+  ctx.lineTo(start_x + line_width, y);
+  ctx.stroke();
+}
+
+/**
+ * Draw navigation dots showing which content item is active
+ */
+function draw_zone_nav_dots(render_ctx, count, active_index, color) {
+  const { ctx, width, height } = render_ctx;
+  const dot_radius = 4;
+  const spacing = 20;
+  const start_x = (width - (count - 1) * spacing) / 2;
+  const y = height - 40;
+
+  for (let i = 0; i < count; i++) {
+    ctx.beginPath();
+    ctx.arc(start_x + i * spacing, y, dot_radius, 0, Math.PI * 2);
+    if (i === active_index) {
+      ctx.fillStyle = color;
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  }
+}
+
+/**
+ * Render one zoned frame
+ *
+ * @param {object} render_ctx - From create_render_context
+ * @param {object} manifest - Manifest with layout === 'zones'
+ * @param {number} content_index - Which content item to show (cycles)
+ * @param {object} hooks - Optional { background, overlay }, each (render_ctx, manifest):
+ *   background paints the canvas (default: backgroundColor), overlay draws over the zones
+ */
+export function render_zoned_frame(render_ctx, manifest, content_index = 0, hooks = {}) {
+  const { ctx, height } = render_ctx;
+  const { palette, zones } = manifest;
+  const items = zones.content.items;
+
+  // 1. Background (Φ₀ ground state)
+  if (hooks.background) {
+    hooks.background(render_ctx, manifest);
+  } else {
+    ctx.fillStyle = zones.background_color;
+    ctx.fillRect(0, 0, render_ctx.width, render_ctx.height);
+  }
+
+  // 2. Decorations (patterns → filled shapes → outlines)
+  render_decorations(render_ctx, manifest);
+
+  ctx.save();
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  // 3. Fixed zones and the cycling content zone
+  for (const zone_name of ZONE_NAMES) {
+    const zone = zones[zone_name];
+
+    const text = zone_name === 'content'
+      ? items[content_index % items.length]?.text
+      : zone.text;
+    if (!text) continue;
+
+    draw_zone_text(render_ctx, zone_name, zone, text, palette.text);
+
+    // Divider between header and subheader
+    if (zone_name === 'header' && zones.subheader.text) {
+      draw_zone_divider(render_ctx, height * ZONE_DEFINITIONS.header.y + 25, zones.decoration_color);
+    }
+  }
+
+  // 4. Navigation dots (feedback)
+  if (items.length > 1) {
+    draw_zone_nav_dots(render_ctx, items.length, content_index % items.length, zones.decoration_color);
+  }
+
+  ctx.restore();
+
+  // 5. Logo, shapes and indexed layers on top
+  hooks.overlay?.(render_ctx, manifest);
+}
+
+/**
+ * Generate frames for a zoned layout - one frame per content item,
+ * held for that item's timing
+ *
+ * @param {object} hooks - Passed to render_zoned_frame
+ * @param {number|null} frame_delay - Hold every item this long (ms) instead of its timing
+ * @returns {object} { frames, delays } - delays in ms per frame
+ */
+export function generate_zoned_frames(render_ctx, manifest, hooks = {}, frame_delay = null) {
+  const items = manifest.zones.content.items;
+  const segments = items.length > 0 ? items : [{ index: 0, timing: 0 }];
+  const frames = [];
+  const delays = [];
+
+  for (const item of segments) {
+    render_zoned_frame(render_ctx, manifest, item.index, hooks);
+    frames.push(render_ctx.ctx.getImageData(0, 0, render_ctx.width, render_ctx.height));
+    delays.push(frame_delay ?? item.timing);
+  }
+
+  return { frames, delays };
+}
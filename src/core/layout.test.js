@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas } from '@napi-rs/canvas';
+import { generate_zoned_frames, wrap_text_lines, fit_text_block, ZONE_NAMES } from './layout.js';
+import { create_render_context, render_text_element } from './renderer.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { validate_manifest_as_writable, get_validated_manifest_or_ground_state } from './validator.js';
+
+const parse = parse_command_string_into_manifest;
+
+// Measures every glyph as half the font size wide, so widths are exact
+const monospace_ctx = () => ({
+  font: '10px mono',
+  measureText(text) {
+    return { width: [...text].length * parseFloat(this.font.match(/(\d+(?:\.\d+)?)px/)[1]) / 2 };
+  },
+});
+
+// First and last canvas rows the text element draws on
+const ink_rows = (command) => {
+  const manifest = parse(command);
+  const canvas = createCanvas(manifest.canvas.width, manifest.canvas.height);
+  render_text_element(create_render_context(canvas), manifest);
+  const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, manifest.canvas.width, manifest.canvas.height);
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > 0) {
+        rows.push(y);
+        break;
+      }
+    }
+  }
+  return { top: rows[0], bottom: rows[rows.length - 1] };
+};
+
+const render = (manifest) => generate_zoned_frames(create_render_context(createCanvas(manifest.canvas.width, manifest.canvas.height)), manifest);
+
+describe('zone layout parsing', () => {
+  it('switches to zones on header= or layout=zones, portrait by default', () => {
+    const manifest = parse('header=Acme|subheader=Services|content=Fast~Secure|footer=acme.com');
+    expect(manifest.layout).toBe('zones');
+    expect(manifest.canvas).toEqual({ width: 400, height: 500, aspect: '4:5' });
+    expect(parse('layout=zones|content=A').layout).toBe('zones');
+    expect(parse('header=Acme|canvas=1:1').canvas.aspect).toBe('1:1');
+    expect(parse('text=Hi').zones).toBeNull();
+  });
+
+  it('reads each zone with its color and size', () => {
+    const { zones } = parse('header=Acme|headerColor=#ff0000|headerSize=48|footer=acme.com|backgroundColor=#000000');
+    expect(zones.header).toEqual({ text: 'Acme', color: '#ff0000', size: 48 });
+    expect(zones.footer).toEqual({ text: 'acme.com', color: '#888888', size: null });
+    expect(zones.background_color).toBe('#000000');
+    expect(Object.keys(zones)).toEqual(expect.arrayContaining(ZONE_NAMES));
+  });
+
+  it('cycles content items with their timings', () => {
+    const { zones } = parse('header=Acme|content=Fast~Secure~Cheap|timing=1s~2s');
+    expect(zones.content.items.map(item => [item.text, item.timing])).toEqual([['Fast', 1000], ['Secure', 2000], ['Cheap', 2000]]);
+  });
+});
+
+describe('generate_zoned_frames', () => {
+  it('renders one frame per content item, held for its timing', () => {
+    const { frames, delays } = render(parse('header=Acme|content=Fast~Secure|timing=1s~500ms|canvas=100x125'));
+    expect(frames).toHaveLength(2);
+    expect(delays).toEqual([1000, 500]);
+    expect(frames[0].data).not.toEqual(frames[1].data);
+  });
+
+  it('renders a single frame without content', () => {
+    const { frames } = render(parse('header=Acme|canvas=100x125'));
+    expect(frames).toHaveLength(1);
+  });
+});
+
+describe('zones_valid', () => {
+  it('rejects unsafe zone text, bad colors and sizes', () => {
+    const zones_valid = (command) => validate_manifest_as_writable(parse(command)).truth_table.zones_valid;
+    expect(zones_valid('header=Acme|content=A~B')).toBe(true);
+    expect(zones_valid('header=<script>x</script>')).toBe(false);
+    expect(zones_valid('header=Acme|headerColor=#zzz')).toBe(false);
+    expect(zones_valid('header=Acme|headerSize=4')).toBe(false);
+    expect(zones_valid('header=Acme|background=plaid')).toBe(false);
+  });
+});
+
+describe('wrap_text_lines', () => {
+  it('breaks at word boundaries within max_width', () => {
+    expect(wrap_text_lines(monospace_ctx(), 'one two three four', 50)).toEqual(['one two', 'three four']);
+  });
+
+  it('honors explicit breaks and keeps an overlong word on its own line', () => {
+    expect(wrap_text_lines(monospace_ctx(), 'Line one\nLine two', 500)).toEqual(['Line one', 'Line two']);
+    expect(wrap_text_lines(monospace_ctx(), 'a extraordinarily b', 40)).toEqual(['a', 'extraordinarily', 'b']);
+  });
+});
+
+describe('fit_text_block', () => {
+  const font = (size) => `bold ${size}px mono`;
+
+  it('keeps the size and cuts lines past max_lines with an ellipsis', () => {
+    const ctx = monospace_ctx();
+    const block = fit_text_block(ctx, 'one two three four five six', { font_size: 10, font, max_width: 50, max_lines: 2 });
+
+    expect(block).toMatchObject({ lines: ['one two', 'three…'], font_size: 10, line_height: 12 });
+    expect(block.width).toBe(35);
+    expect(ctx.font).toBe('bold 10px mono');
+  });
+
+  it('shrinks to the largest size that fits the lines and height', () => {
+    const ctx = monospace_ctx();
+    const block = fit_text_block(ctx, 'one two three four', { font_size: 40, font, max_width: 100, max_lines: 1, shrink: true });
+
+    expect(block.lines).toEqual(['one two three four']);
+    expect(block.font_size).toBe(11);
+    expect(ctx.font).toBe('bold 11px mono');
+
+    expect(fit_text_block(monospace_ctx(), 'a\nb\nc', { font_size: 40, font, max_width: 100, max_height: 60, line_height: 1, shrink: true }).font_size).toBe(20);
+  });
+
+  it('stops shrinking at 8px', () => {
+    const block = fit_text_block(monospace_ctx(), 'x'.repeat(100), { font_size: 40, font, max_width: 50, shrink: true });
+    expect(block.font_size).toBe(8);
+  });
+});
+
+describe('text block params', () => {
+  it('repairs out-of-range and unknown text block values', () => {
+    const result = get_validated_manifest_or_ground_state(parse('text=Hi|maxlines=50|fit=squeeze'));
+    expect(result.repairs.map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['fit', 'dropped', null],
+      ['maxlines', 'clamped', '20'],
+    ]);
+    expect(validate_manifest_as_writable(parse('text=Hi|maxwidth=70%|lineheight=1.4|maxlines=3|fit=shrink')).is_writable).toBe(true);
+  });
+
+  it('draws each line of the block centered on y', () => {
+    const one = ink_rows('text=AAAA|canvas=200x200');
+    const two = ink_rows('text=AAAA\\nBBBB|canvas=200x200');
+
+    expect(two.bottom - two.top).toBeGreaterThan(1.5 * (one.bottom - one.top));
+    expect((two.top + two.bottom) / 2).toBeCloseTo((one.top + one.bottom) / 2, -1);
+  });
+});
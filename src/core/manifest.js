@@ -13,6 +13,23 @@
  *   The manifest is σ-accumulation - structured regions
  */
 
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+import { ZONE_NAMES, ZONE_DEFINITIONS, ZONE_LAYOUT_DEFAULTS } from './layout.js';
+import { find_decoration_param, list_decoration_params } from './decorations.js';
+import { find_shape_param, list_shape_params } from './shapes.js';
+import { split_gradient_stops, format_gradient_stop } from './gradients.js';
+import { tokenize_command_string, split_token_value, escape_value } from './tokenizer.js';
+import { create_diagnostic, suggest_closest } from './diagnostics.js';
+import { normalize_css_color } from './colors.js';
+import {
+  COLOR_PALETTES, CUSTOM_PALETTE, PALETTE_HARMONIES, PALETTE_ROLE_PARAMS,
+  parse_palette_spec, resolve_palette_value, split_color_list, apply_palette_overrides,
+} from './palettes.js';
+import { get_brand_kit, list_brand_kits } from './brand-kit.js';
+import {
+  LAYER_PROPERTIES, LOGO_PROPERTIES, parse_layer_key, is_layer_key, parse_logo_key, is_logo_key, parse_layers,
+} from './layers.js';
+
 // Canvas dimension presets
 const CANVAS_PRESETS = {
   '1:1':   { width: 400, height: 400 },
@@ -24,46 +41,7 @@ const CANVAS_PRESETS = {
   'cover': { width: 640, height: 360 },
 };
 
-// Color palettes
-const COLOR_PALETTES = {
-  future_tech: {
-    primary: '#0a0a0f',
-    secondary: '#13131a',
-    accent: '#00d4ff',
-    text: '#e8e8f0',
-    gradient: ['#0a0a0f', '#1a1a2e', '#16213e'],
-  },
-  oceanic: {
-    primary: '#1a237e',
-    secondary: '#283593',
-    accent: '#00bcd4',
-    text: '#ffffff',
-    gradient: ['#1a237e', '#0d47a1', '#006064'],
-  },
-  brutalism: {
-    primary: '#ffeb3b',
-    secondary: '#000000',
-    accent: '#f44336',
-    text: '#000000',
-    gradient: ['#ffeb3b', '#ffc107', '#ff9800'],
-  },
-  forest: {
-    primary: '#1b5e20',
-    secondary: '#2e7d32',
-    accent: '#8bc34a',
-    text: '#ffffff',
-    gradient: ['#1b5e20', '#388e3c', '#4caf50'],
-  },
-  sunset: {
-    primary: '#ff6f00',
-    secondary: '#ff8f00',
-    accent: '#ffab00',
-    text: '#ffffff',
-    gradient: ['#d32f2f', '#ff5722', '#ff9800'],
-  },
-};
-
-// Scene templates
+// Scene templates (layers: classic elements the scene always draws, see layers.js)
 const SCENE_TEMPLATES = {
   minimal: {
     background: 'solid',
@@ -72,7 +50,7 @@ const SCENE_TEMPLATES = {
   },
   corporate: {
     background: 'gradient',
-    layers: ['background', 'text', 'decoration'],
+    layers: ['background', 'decorations', 'text'],
     defaults: { palette: 'future_tech', animate: 'fadeIn' },
   },
   gradient: {
@@ -87,6 +65,255 @@ const SCENE_TEMPLATES = {
   },
 };
 
+// Default duration of one sequence entry (README: timing defaults to 2s)
+const DEFAULT_SEQUENCE_TIMING_MS = 2000;
+
+// Params whose values are lists, and their (escapable) item separator
+const LIST_SEPARATORS = {
+  sequence: '~',
+  content: '~',
+  timing: '~',
+  decorations: ',',
+};
+
+// Every param the pipeline reads (keys are lowercased by the tokenizer), besides
+// the decoration and shape scalars, which are looked up in their registries
+// when parsing (see is_known_param)
+const KNOWN_PARAMS = new Set([
+  'text', 'sequence', 'timing', 'canvas', 'palette', 'scene', 'animate', 'brand',
+  'bg', 'bgangle', 'bgstops', 'bgx', 'bgy', 'bgmotion', 'field', 'colormap', 'regions', 'glow', 'flow', 'color', 'font', 'fontsize', 'align', 'underline', 'x', 'y', 'contrast', 'simulate',
+  'maxwidth', 'maxlines', 'lineheight', 'fit', 'delay', 'duration', 'ease', 'keyframes',
+  'logo', 'shape', 'shapex', 'shapey', 'path', 'size', 'width', 'height', 'rotation', 'fill', 'stroke', 'strokewidth',
+  'layout', 'background', 'backgroundcolor', 'decorations', 'decorationcolor',
+  'gradient', ...Object.keys(PALETTE_ROLE_PARAMS),
+  ...ZONE_NAMES.flatMap(zone_name => [zone_name, `${zone_name}color`, `${zone_name}size`]),
+]);
+
+// Params holding a CSS color (normalized to hex while parsing)
+export const COLOR_PARAMS = [
+  'fill', 'stroke', 'color', 'backgroundcolor', 'decorationcolor',
+  ...Object.keys(PALETTE_ROLE_PARAMS),
+  ...ZONE_NAMES.map(zone_name => `${zone_name}color`),
+];
+
+// Custom canvas dimensions (WxH) must fall inside this range
+const CANVAS_DIMENSION_RANGE = { min: 100, max: 2000 };
+
+/**
+ * Normalize a list param: arrays pass through, strings split naively on the separator
+ */
+function to_list(value, separator) {
+  if (Array.isArray(value)) return value;
+  return (value || '')
+    .split(separator)
+    .map(item => item.trim())
+    .filter(item => item !== '');
+}
+
+/**
+ * Parse a timing value into milliseconds
+ * 
+ * Accepts "2s", "1.5s", "500ms" or a bare number (seconds, as in the inline app).
+ * 
+ * @param {string} value - Raw timing value
+ * @returns {number|null} Milliseconds, or null if unparseable
+ */
+export function parse_timing_value(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(s|ms)?$/);
+  if (!match) return null;
+  
+  const amount = parseFloat(match[1]);
+  return match[2] === 'ms' ? amount : amount * 1000;
+}
+
+/**
+ * Build structured sequence frames from sequence/timing params
+ * 
+ * "sequence=One~Two~Three|timing=1s~2s" → per-frame text and timing.
+ * When fewer timings than frames are given, the last timing repeats.
+ * 
+ * @param {string[]|string} texts - Frame texts (a string is split on ~)
+ * @param {string[]|string} timings - Frame timings (a string is split on ~)
+ * @returns {Array} Frames: [{ index, text, timing }]
+ */
+export function parse_sequence_frames(texts, timings = []) {
+  const timing_values = to_list(timings, '~')
+    .map(parse_timing_value)
+    .filter(timing => timing !== null);
+  
+  return to_list(texts, '~').map((text, index) => ({
+    index,
+    text,
+    timing: timing_values[Math.min(index, timing_values.length - 1)] ?? DEFAULT_SEQUENCE_TIMING_MS,
+  }));
+}
+
+/**
+ * Build the zone layout from params (Mode 3)
+ * 
+ * Keys are lowercased by the parser, so headerColor arrives as headercolor.
+ * Per-zone keys: <zone>, <zone>color, <zone>size (font px).
+ * 
+ * @param {object} params - Parsed manifest params
+ * @param {object} lists - Split list params (content, timing); defaults to naive splitting
+ * @returns {object} Zones: { header: { text, color, size }, ..., content: { items, color, size } }
+ */
+export function parse_zone_layout(params, lists = {}) {
+  const zones = {
+    background: params.background || ZONE_LAYOUT_DEFAULTS.background,
+    background_color: params.backgroundcolor || ZONE_LAYOUT_DEFAULTS.background_color,
+    decoration_color: params.decorationcolor || ZONE_LAYOUT_DEFAULTS.decoration_color,
+  };
+  
+  for (const zone_name of ZONE_NAMES) {
+    const size = parseInt(params[`${zone_name}size`]);
+    zones[zone_name] = {
+      text: params[zone_name] || null,
+      color: params[`${zone_name}color`] || ZONE_DEFINITIONS[zone_name].color,
+      size: Number.isNaN(size) ? null : size,
+    };
+  }
+  
+  // Content is the animated zone: content=A~B~C cycles one item per frame
+  zones.content.items = parse_sequence_frames(
+    lists.content ?? params.content,
+    lists.timing ?? params.timing,
+  );
+  
+  return zones;
+}
+
+/**
+ * Explain a canvas value that is not a preset (null if it is fine)
+ * 
+ * "16x9" parses as 16×9 pixels - almost certainly meant as the 16:9 preset.
+ * 
+ * @param {string} value - Canvas value
+ * @param {Array|null} match - WxH match, if the value had that form
+ * @returns {object|null} { code, message, suggestion }
+ */
+function diagnose_canvas_value(value, match) {
+  const { min, max } = CANVAS_DIMENSION_RANGE;
+  
+  if (match) {
+    const [width, height] = [parseInt(match[1]), parseInt(match[2])];
+    if (width >= min && width <= max && height >= min && height <= max) return null;
+    
+    const ratio = `${width}:${height}`;
+    return {
+      code: 'MALFORMED_DIMENSIONS',
+      message: `Canvas ${width}x${height} is outside ${min}-${max} pixels per side`,
+      suggestion: CANVAS_PRESETS[ratio] ? ratio : null,
+    };
+  }
+  
+  // Dimension-like but not WxH: "800 x 600", "800X600", "800*600", "800x"
+  if (/^\d+\s*[x×*X,]\s*\d*$/.test(value)) {
+    const numbers = value.match(/\d+/g);
+    return {
+      code: 'MALFORMED_DIMENSIONS',
+      message: `Canvas dimensions "${value}" must be written WIDTHxHEIGHT`,
+      suggestion: numbers.length === 2 ? `${numbers[0]}x${numbers[1]}` : null,
+    };
+  }
+  
+  return {
+    code: 'UNKNOWN_CANVAS',
+    message: `Unknown canvas "${value}"`,
+    suggestion: suggest_closest(value, Object.keys(CANVAS_PRESETS)),
+  };
+}
+
+/**
+ * Check for a param the pipeline reads: a known key, a scalar of a registered
+ * decoration or shape, or a layer or logo key
+ */
+function is_known_param(key) {
+  return KNOWN_PARAMS.has(key) || Boolean(find_decoration_param(key)) || Boolean(find_shape_param(key))
+    || is_layer_key(key) || is_logo_key(key);
+}
+
+/**
+ * Closest known key to an unknown one (a layer or logo key gets the closest property)
+ */
+function suggest_param_key(key) {
+  const layer_key = parse_layer_key(key);
+  if (layer_key) {
+    const property = suggest_closest(layer_key.property, LAYER_PROPERTIES);
+    return property && `layer${layer_key.index}.${property}`;
+  }
+  
+  const logo_key = parse_logo_key(key);
+  if (logo_key) {
+    const property = suggest_closest(logo_key.property, LOGO_PROPERTIES);
+    return property && `logo.${property}`;
+  }
+  return suggest_closest(key, [...KNOWN_PARAMS, ...list_decoration_params(), ...list_shape_params()]);
+}
+
+/**
+ * Explain a palette value that could not be resolved
+ * 
+ * @param {string} value - Palette value
+ * @param {object|null} spec - Parsed from: spec, if the value had that form
+ * @returns {object} { code, message, suggestion }
+ */
+function diagnose_palette_value(value, spec) {
+  if (!spec) {
+    return {
+      code: 'UNKNOWN_PALETTE',
+      message: `Unknown palette "${value}"`,
+      suggestion: suggest_closest(value, [...Object.keys(COLOR_PALETTES), CUSTOM_PALETTE]),
+    };
+  }
+  
+  if (!normalize_css_color(spec.color)) {
+    return {
+      code: 'INVALID_BRAND_COLOR',
+      message: `Brand color "${spec.color}" is not a valid color`,
+      suggestion: null,
+    };
+  }
+  
+  const suggestion = suggest_closest(spec.harmony, Object.keys(PALETTE_HARMONIES));
+  return {
+    code: 'UNKNOWN_HARMONY',
+    message: `Unknown harmony "${spec.harmony}"`,
+    suggestion: suggestion && `from:${spec.color}:${suggestion}`,
+  };
+}
+
+/**
+ * Default a brand kit gives a param (undefined = the kit leaves it free)
+ * 
+ * A kit with a logo draws it (logo=brand), placed by its logo.* defaults.
+ */
+function brand_default_value(kit, key) {
+  const logo_key = parse_logo_key(key);
+  if (logo_key) return kit.logo_defaults[logo_key.property];
+  
+  switch (key) {
+    case 'palette':
+      return kit.palettes[0];
+    case 'font':
+      return kit.fonts[0];
+    case 'animate':
+      return kit.animations[0];
+    case 'footer':
+      return kit.footer ?? undefined;
+    case 'logo':
+      return kit.logo ? 'brand' : undefined;
+  }
+  return undefined;
+}
+
+/**
+ * Params a brand kit gives defaults to
+ */
+function brand_default_keys(kit) {
+  return ['palette', 'font', 'animate', 'footer', 'logo', ...Object.keys(kit.logo_defaults).map(property => `logo.${property}`)];
+}
+
 /**
  * Parse command string into manifest object
  * 
@@ -97,41 +324,69 @@ export function parse_command_string_into_manifest(command_string) {
   const manifest = {
     raw: command_string,
     params: {},
+    lists: {},
     canvas: { width: 400, height: 400, aspect: '1:1' },
     palette: COLOR_PALETTES.future_tech,
     scene: null,
+    brand: null,
+    sequence: null,
+    layout: null,
+    zones: null,
+    decorations: [],
     layers: [],
     errors: [],
   };
 
   if (!command_string || command_string.trim() === '') {
-    manifest.errors.push('EMPTY_COMMAND');
+    manifest.errors.push(create_diagnostic('EMPTY_COMMAND', { message: 'Command is empty' }));
     return manifest;
   }
 
-  // Remove leading # if present
-  const clean_command = command_string.replace(/^#/, '').trim();
+  // Expand compact links (#z=<base64url-deflate>) to the command they carry
+  let expanded_command = command_string.trim();
+  const compact_match = expanded_command.match(/^#?z=([A-Za-z0-9_-]+)$/);
+  if (compact_match) {
+    expanded_command = decode_compact_command(compact_match[1]);
+    if (expanded_command === null) {
+      manifest.errors.push(create_diagnostic('INVALID_COMPACT_COMMAND', { message: 'Compact link payload could not be decoded' }));
+      return manifest;
+    }
+    manifest.raw = expanded_command;
+  }
 
-  // Split by | (the ∇Φ detection - where values separate)
-  const pairs = clean_command.split('|');
+  // Tokenize: only unescaped | and = are boundaries (the ∇Φ detection)
+  const { tokens, errors } = tokenize_command_string(expanded_command);
+  manifest.errors.push(...errors.map(error => create_diagnostic(error.code, error)));
 
-  for (const pair of pairs) {
-    const [key, ...value_parts] = pair.split('=');
-    const value = value_parts.join('='); // Rejoin in case value contains =
+  for (const token of tokens) {
+    const clean_key = token.key;
+    const clean_value = token.value;
 
-    if (!key) continue;
+    manifest.params[clean_key] = clean_value;
 
-    const clean_key = key.trim().toLowerCase();
-    const clean_value = value?.trim() || '';
+    if (!is_known_param(clean_key)) {
+      const suggestion = suggest_param_key(clean_key);
+      manifest.errors.push(create_diagnostic('UNKNOWN_KEY', {
+        key: clean_key,
+        value: clean_value,
+        offset: token.offset,
+        message: `Unknown parameter "${clean_key}" is ignored`,
+        suggestion,
+      }));
+      continue;
+    }
 
-    manifest.params[clean_key] = clean_value;
+    // List params keep escaped separators inside their items
+    if (LIST_SEPARATORS[clean_key]) {
+      manifest.lists[clean_key] = split_token_value(token, LIST_SEPARATORS[clean_key]);
+    }
 
     // Process specific parameters
     switch (clean_key) {
       case 'canvas':
         if (CANVAS_PRESETS[clean_value]) {
           manifest.canvas = { ...CANVAS_PRESETS[clean_value], aspect: clean_value };
-        } else {
+        } else if (clean_value) {
           // Try to parse custom dimensions (e.g., "800x600")
           const match = clean_value.match(/^(\d+)x(\d+)$/);
           if (match) {
@@ -141,12 +396,44 @@ export function parse_command_string_into_manifest(command_string) {
               aspect: 'custom',
             };
           }
+          const diagnostic = diagnose_canvas_value(clean_value, match);
+          if (diagnostic) {
+            manifest.errors.push(create_diagnostic(diagnostic.code, {
+              ...diagnostic,
+              key: clean_key,
+              value: clean_value,
+              offset: token.value_offset,
+            }));
+          }
         }
         break;
 
-      case 'palette':
-        if (COLOR_PALETTES[clean_value]) {
-          manifest.palette = COLOR_PALETTES[clean_value];
+      case 'palette': {
+        const palette = clean_value && resolve_palette_value(clean_value);
+        if (palette) {
+          manifest.palette = palette;
+        } else if (clean_value) {
+          const diagnostic = diagnose_palette_value(clean_value, parse_palette_spec(clean_value));
+          manifest.errors.push(create_diagnostic(diagnostic.code, {
+            ...diagnostic,
+            key: clean_key,
+            value: clean_value,
+            offset: token.value_offset,
+          }));
+        }
+        break;
+      }
+
+      case 'brand':
+        manifest.brand = get_brand_kit(clean_value);
+        if (!manifest.brand && clean_value) {
+          manifest.errors.push(create_diagnostic('UNKNOWN_BRAND', {
+            key: clean_key,
+            value: clean_value,
+            offset: token.value_offset,
+            message: `Unknown brand kit "${clean_value}"`,
+            suggestion: suggest_closest(clean_value, list_brand_kits().map(kit => kit.name)),
+          }));
         }
         break;
 
@@ -156,13 +443,87 @@ export function parse_command_string_into_manifest(command_string) {
             name: clean_value,
             ...SCENE_TEMPLATES[clean_value],
           };
-          // Apply scene defaults
-          manifest.palette = COLOR_PALETTES[manifest.scene.defaults.palette] || manifest.palette;
+        } else if (clean_value) {
+          manifest.errors.push(create_diagnostic('UNKNOWN_SCENE', {
+            key: clean_key,
+            value: clean_value,
+            offset: token.value_offset,
+            message: `Unknown scene "${clean_value}"`,
+            suggestion: suggest_closest(clean_value, Object.keys(SCENE_TEMPLATES)),
+          }));
         }
         break;
     }
   }
 
+  // Brand kit defaults fill in what the command leaves out (enforcement is the validator's)
+  if (manifest.brand) {
+    for (const key of brand_default_keys(manifest.brand)) {
+      const value = brand_default_value(manifest.brand, key);
+      if (value !== undefined && manifest.params[key] === undefined) manifest.params[key] = value;
+    }
+    if (manifest.brand.palettes.length > 0) {
+      manifest.palette = resolve_palette_value(manifest.params.palette) || manifest.palette;
+    }
+  }
+
+  // Normalize colors to one spelling (#rrggbb[aa]); invalid ones are left for the validator
+  const layer_color_keys = Object.keys(manifest.params).filter(key => COLOR_PARAMS.includes(parse_layer_key(key)?.property));
+  for (const key of [...COLOR_PARAMS, ...layer_color_keys]) {
+    const normalized = manifest.params[key] && normalize_css_color(manifest.params[key]);
+    if (normalized) manifest.params[key] = normalized;
+  }
+  if (manifest.params.gradient) {
+    const stops = split_color_list(manifest.params.gradient);
+    const normalized = stops.map(normalize_css_color);
+    if (normalized.every(Boolean)) manifest.params.gradient = normalized.join(',');
+  }
+  if (manifest.params.bgstops) {
+    const stops = split_gradient_stops(manifest.params.bgstops);
+    const normalized = stops.map(stop => ({ ...stop, color: normalize_css_color(stop.color) }));
+    if (normalized.every(stop => stop.color && !Number.isNaN(stop.position))) {
+      manifest.params.bgstops = normalized.map(format_gradient_stop).join(',');
+    }
+  }
+
+  // Apply scene defaults (an explicit or generated palette wins, whatever the key order)
+  if (manifest.scene && manifest.palette === COLOR_PALETTES.future_tech && !COLOR_PALETTES[manifest.params.palette]) {
+    manifest.palette = COLOR_PALETTES[manifest.scene.defaults.palette] || manifest.palette;
+  }
+
+  // Inline role overrides shape whichever palette was chosen
+  manifest.palette = apply_palette_overrides(manifest.palette, manifest.params);
+
+  // Mode 2: multi-frame sequence (resolved after the loop so timing order doesn't matter)
+  if (manifest.lists.sequence) {
+    const frames = parse_sequence_frames(manifest.lists.sequence, manifest.lists.timing);
+    manifest.sequence = frames.length > 0 ? frames : null;
+  }
+
+  // Indexed layers (layerN.*); the renderer stacks them with the classic elements
+  manifest.layers = parse_layers(manifest.params);
+
+  // Decorations compose in layer order at render time; keep the command's list here
+  if (manifest.lists.decorations) {
+    manifest.decorations = manifest.lists.decorations;
+  }
+
+  // Mode 3: zone layout (detected like the inline app: header= or layout=zones)
+  if (manifest.params.header || manifest.params.layout === 'zones') {
+    manifest.layout = 'zones';
+    manifest.zones = parse_zone_layout(manifest.params, manifest.lists);
+    
+    // Zone ads get corner brackets unless decorations are given
+    if (manifest.params.decorations === undefined) {
+      manifest.decorations = [...ZONE_LAYOUT_DEFAULTS.decorations];
+    }
+    
+    // Zone ads default to portrait
+    if (!manifest.params.canvas) {
+      manifest.canvas = { ...CANVAS_PRESETS[ZONE_LAYOUT_DEFAULTS.canvas], aspect: ZONE_LAYOUT_DEFAULTS.canvas };
+    }
+  }
+
   return manifest;
 }
 
@@ -179,19 +540,171 @@ export function extract_manifest_from_url() {
   return parse_command_string_into_manifest(command);
 }
 
+// ============================================================================
+// SHAREABLE URLS
+// ============================================================================
+
 /**
- * Build URL from manifest
+ * Default value of a param in the context of a manifest (undefined = no default)
+ * 
+ * Contextual: a brand kit's defaults come first, palette defaults to the scene's
+ * palette, canvas to 4:5 for zone ads, zone colors only default inside a zone layout.
  */
-export function build_url_from_manifest(manifest) {
+function default_param_value(key, manifest) {
+  const is_zoned = manifest.layout === 'zones';
+  
+  const brand_value = manifest.brand ? brand_default_value(manifest.brand, key) : undefined;
+  if (brand_value !== undefined) return brand_value;
+  
+  switch (key) {
+    case 'palette':
+      return manifest.scene?.defaults.palette || 'future_tech';
+    case 'canvas':
+      return is_zoned ? ZONE_LAYOUT_DEFAULTS.canvas : '1:1';
+    case 'animate':
+    case 'simulate':
+    case 'fit':
+      return 'none';
+    case 'bg':
+      return 'gradient';
+    case 'align':
+      return 'center';
+    case 'underline':
+      return 'false';
+  }
+  
+  if (is_zoned) {
+    if (key === 'background') return ZONE_LAYOUT_DEFAULTS.background;
+    if (key === 'backgroundcolor') return ZONE_LAYOUT_DEFAULTS.background_color;
+    if (key === 'decorationcolor') return ZONE_LAYOUT_DEFAULTS.decoration_color;
+    if (key === 'decorations') return ZONE_LAYOUT_DEFAULTS.decorations.join(',');
+    
+    const zone_name = key.replace(/color$/, '');
+    if (key.endsWith('color') && ZONE_DEFINITIONS[zone_name]?.color) {
+      return ZONE_DEFINITIONS[zone_name].color;
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Check whether a param can be left out of a URL without changing the manifest
+ */
+function is_default_param(key, value, manifest) {
+  // Empty values read the same as missing ones, except an explicit empty
+  // decorations list, which turns off the zone layout's default corners
+  if (value === '') {
+    return !(key === 'decorations' && manifest.layout === 'zones');
+  }
+  
+  if (key === 'timing') {
+    const timings = (manifest.lists.timing || []).map(parse_timing_value);
+    return timings.length > 0 && timings.every(timing => timing === DEFAULT_SEQUENCE_TIMING_MS);
+  }
+  
+  if (key === 'decorations') {
+    return (manifest.lists.decorations || []).join(',') === default_param_value(key, manifest);
+  }
+  
+  const decoration_param = find_decoration_param(key);
+  if (decoration_param) {
+    return Number(value) === decoration_param.default;
+  }
+  
+  return value === default_param_value(key, manifest);
+}
+
+/**
+ * Percent-encode an escaped value for a URL fragment, keeping common
+ * punctuation readable (they are safe because escaping uses backslashes)
+ */
+function encode_url_value(value) {
+  return encodeURIComponent(value).replace(/%(2C|3A|2F|40|3D)/g, (match) => decodeURIComponent(match));
+}
+
+/**
+ * Serialize params canonically: keys sorted, defaults omitted, values escaped
+ */
+function serialize_params(manifest, encode_value) {
   const parts = [];
   
-  for (const [key, value] of Object.entries(manifest.params)) {
-    if (value) {
-      parts.push(`${key}=${value}`);
+  for (const key of Object.keys(manifest.params).sort()) {
+    const value = manifest.params[key];
+    if (is_default_param(key, value, manifest)) continue;
+    
+    // List params re-escape each item so separators inside items survive
+    const separator = LIST_SEPARATORS[key];
+    const escaped = separator && manifest.lists[key]
+      ? manifest.lists[key].map(item => escape_value(item, separator)).join(separator)
+      : escape_value(value);
+    
+    parts.push(`${key}=${encode_value(escaped)}`);
+  }
+  
+  return parts.join('|');
+}
+
+/**
+ * Build the canonical command string for a manifest
+ * 
+ * Keys sorted, defaults omitted, values escaped and percent-encoded, so equal
+ * manifests give equal strings and parse(build(m)) reproduces m's params.
+ * 
+ * @param {object} manifest - Parsed manifest
+ * @returns {string} Canonical command (no leading #)
+ */
+export function build_canonical_command(manifest) {
+  return serialize_params(manifest, encode_url_value);
+}
+
+/**
+ * Encode a manifest as a compact link payload: z=<base64url(deflate(command))>
+ * 
+ * The deflated command is canonical but not percent-encoded (only % itself is,
+ * so parsing reads it back unchanged) - plain text compresses far better.
+ */
+export function encode_compact_command(manifest) {
+  const command = serialize_params(manifest, value => value.replace(/%/g, '%25'));
+  const bytes = deflateSync(strToU8(command), { level: 9 });
+  const base64 = btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+  return 'z=' + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a compact link payload (the part after z=)
+ * 
+ * @returns {string|null} The command, or null if the payload is corrupt
+ */
+export function decode_compact_command(payload) {
+  try {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return strFromU8(inflateSync(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build URL from manifest
+ * 
+ * @param {object} manifest - Parsed manifest
+ * @param {object} options - { compact: false | true | 'auto' } ('auto' = whichever is shorter)
+ * @returns {string} URL fragment, e.g. "#palette=sunset|text=Hello%20World"
+ */
+export function build_url_from_manifest(manifest, options = {}) {
+  const command = build_canonical_command(manifest);
+  
+  if (options.compact) {
+    const compact = encode_compact_command(manifest);
+    if (options.compact === true || compact.length < command.length) {
+      return '#' + compact;
     }
   }
   
-  return '#' + parts.join('|');
+  return '#' + command;
 }
 
 // Export palettes and presets for external use
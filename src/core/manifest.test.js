@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parse_command_string_into_manifest, parse_timing_value, parse_sequence_frames, build_canonical_command,
+  build_url_from_manifest, encode_compact_command, decode_compact_command,
+} from './manifest.js';
+
+const parse = parse_command_string_into_manifest;
+
+describe('parse_timing_value', () => {
+  it('reads seconds, milliseconds and bare seconds', () => {
+    expect(parse_timing_value('2s')).toBe(2000);
+    expect(parse_timing_value('1.5s')).toBe(1500);
+    expect(parse_timing_value('500ms')).toBe(500);
+    expect(parse_timing_value('3')).toBe(3000);
+    expect(parse_timing_value('soon')).toBeNull();
+  });
+});
+
+describe('sequence=', () => {
+  it('gives one frame per entry, repeating the last timing', () => {
+    expect(parse_sequence_frames('One~Two~Three', '1s~500ms')).toEqual([
+      { index: 0, text: 'One', timing: 1000 },
+      { index: 1, text: 'Two', timing: 500 },
+      { index: 2, text: 'Three', timing: 500 },
+    ]);
+  });
+
+  it('defaults each entry to 2s and skips empty entries', () => {
+    expect(parse_sequence_frames('One~ ~Two').map(frame => [frame.text, frame.timing])).toEqual([['One', 2000], ['Two', 2000]]);
+  });
+
+  it('resolves after every param, whatever the order', () => {
+    expect(parse('timing=1s|sequence=A~B').sequence.map(frame => frame.timing)).toEqual([1000, 1000]);
+    expect(parse('text=Hi').sequence).toBeNull();
+    expect(parse('sequence=~').sequence).toBeNull();
+  });
+});
+
+// Commands whose values exercise escaping, lists, percent signs and non-ASCII text
+const COMMANDS = [
+  'text=Hello World|palette=sunset|animate=pulse',
+  'text=Save 50% \\| Today|color=#ff0000',
+  'text="a = b, c ~ d"|font=Georgia, serif',
+  'sequence=Step 1\\~2~Step 3|timing=1s~500ms',
+  'header=Acme|content=Fast~Secure~Cheap|footer=acme.com|decorations=corners,grid',
+  'text=Line one\\nLine two|decorations=diagonals|spacing=20',
+  'text=Grüße ✨|color=#ff00ff',
+  'text=Line one\\nLine two|layer1.shape=star|layer1.x=20%|logo.x=90%',
+  'text=Grüße ✨|bg=radial|bgstops=#000@0,#f0f@60%,#fff',
+];
+
+describe('build_canonical_command', () => {
+  it('reproduces the params and lists when parsed back', () => {
+    for (const command of COMMANDS) {
+      const manifest = parse(command);
+      const round_trip = parse(build_canonical_command(manifest));
+      expect(round_trip.params).toEqual(manifest.params);
+      expect(round_trip.lists).toEqual(manifest.lists);
+      expect(round_trip.errors).toEqual([]);
+    }
+  });
+
+  it('sorts keys and omits defaults, so equal manifests give equal strings', () => {
+    const a = build_canonical_command(parse('text=Hi|palette=future_tech|animate=pulse|angle=45'));
+    const b = build_canonical_command(parse('animate=pulse|text=Hi'));
+    expect(a).toBe(b);
+    expect(a).toBe('animate=pulse|text=Hi');
+  });
+});
+
+describe('compact links', () => {
+  it('round-trip through z=<payload>', () => {
+    for (const command of COMMANDS) {
+      const manifest = parse(command);
+      const payload = encode_compact_command(manifest).slice('z='.length);
+      expect(parse(`#z=${payload}`).params).toEqual(manifest.params);
+    }
+  });
+
+  it('reports a corrupt payload', () => {
+    expect(decode_compact_command('not-deflate')).toBeNull();
+    expect(parse('#z=not-deflate').errors.map(error => error.code)).toEqual(['INVALID_COMPACT_COMMAND']);
+  });
+});
+
+describe('build_url_from_manifest', () => {
+  it('picks the shorter form with compact: auto', () => {
+    const short = parse('text=Hi');
+    expect(build_url_from_manifest(short, { compact: 'auto' })).toBe('#text=Hi');
+
+    const long = parse(`text=${'Repeat me '.repeat(30)}|palette=sunset`);
+    const url = build_url_from_manifest(long, { compact: 'auto' });
+    expect(url.startsWith('#z=')).toBe(true);
+    expect(parse(url).params).toEqual(long.params);
+  });
+});
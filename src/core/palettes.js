@@ -0,0 +1,410 @@
+/**
+ * PALETTES
+ * =========
+ *
+ * The palette catalog (60 palettes in 11 categories), queries for palette
+ * browsers, and palettes that are not in the catalog: generated from one
+ * brand color and a color harmony, or shaped by inline role overrides.
+ *
+ *   palette=finance
+ *   palette=from:#0a66c2:complementary
+ *   palette=custom|primary=#112233|accent=#ff0066|gradient=#000,#123,#456
+ *
+ * Harmonies rotate hue in OKLCH, so the generated roles keep the brand
+ * color's perceived lightness and saturation.
+ *
+ * ITT Interpretation:
+ *   Each palette is an attractor in color space; a brand color is a single
+ *   point of Φ, and the harmony is the symmetry that unfolds it into a field
+ */
+
+import chroma from 'chroma-js';
+import { parse_css_color, normalize_css_color } from './colors.js';
+import { create_seeded_random } from './random.js';
+
+// Palette roles that can be overridden inline (text is textcolor=, since text= is the copy)
+export const PALETTE_ROLE_PARAMS = {
+  primary: 'primary',
+  secondary: 'secondary',
+  accent: 'accent',
+  textcolor: 'text',
+};
+
+// Harmony → hue offset of the accent, in degrees
+export const PALETTE_HARMONIES = {
+  complementary: 180,
+  analogous: 30,
+  triadic: 120,
+  split: 150,
+  tetradic: 90,
+  monochromatic: 0,
+};
+
+const DEFAULT_HARMONY = 'complementary';
+
+// palette=custom: the default palette, shaped by inline role overrides
+export const CUSTOM_PALETTE = 'custom';
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+export const PALETTE_CATEGORIES = {
+  core: 'Core',
+  professional: 'Professional / Industry',
+  tech: 'Tech / Startup',
+  warm: 'Warm Tones',
+  cool: 'Cool Tones',
+  dark: 'Dark Themes',
+  light: 'Light Themes',
+  vibrant: 'Vibrant / Bold',
+  earth: 'Earth Tones',
+  metallic: 'Metallic Feel',
+  seasonal: 'Seasonal',
+};
+
+// Catalog entries give name, use, gradient and text; the other roles are
+// derived (see complete_palette) unless given explicitly
+const PALETTE_CATALOG = {
+  core: {
+    future_tech: {
+      name: 'Future Tech', use: 'Tech, AI, Launches',
+      primary: '#0a0a0f', secondary: '#13131a', accent: '#00d4ff', text: '#e8e8f0', gradient: ['#0a0a0f', '#1a1a2e', '#16213e'],
+    },
+    brutalism: {
+      name: 'Brutalism', use: 'Bold, Editorial, Statement',
+      primary: '#ffeb3b', secondary: '#000000', accent: '#f44336', text: '#000000', gradient: ['#ffeb3b', '#ffc107', '#ff9800'],
+    },
+    oceanic: {
+      name: 'Oceanic', use: 'Tech, SaaS, Trust',
+      primary: '#1a237e', secondary: '#283593', accent: '#00bcd4', text: '#ffffff', gradient: ['#1a237e', '#0d47a1', '#006064'],
+    },
+    sunset: {
+      name: 'Sunset', use: 'Energy, Creativity, Warmth',
+      primary: '#ff6f00', secondary: '#ff8f00', accent: '#ffab00', text: '#ffffff', gradient: ['#d32f2f', '#ff5722', '#ff9800'],
+    },
+    midnight: { name: 'Midnight', use: 'Premium, Luxury, Tech', gradient: ['#1a1a2e', '#16213e', '#0f3460'], text: '#e8e8f0' },
+    forest: {
+      name: 'Forest', use: 'Eco, Health, Growth',
+      primary: '#1b5e20', secondary: '#2e7d32', accent: '#8bc34a', text: '#ffffff', gradient: ['#1b5e20', '#388e3c', '#4caf50'],
+    },
+    purple: { name: 'Purple', use: 'Creative, Premium, Innovation', gradient: ['#667eea', '#764ba2', '#f093fb'], text: '#ffffff' },
+    minimal: { name: 'Minimal', use: 'Clean, Professional, Modern', gradient: ['#ffffff', '#f8f9fa', '#e9ecef'], text: '#1a1a2e' },
+    corporate: { name: 'Corporate', use: 'Business, Enterprise, Trust', gradient: ['#2c3e50', '#3498db', '#2980b9'], text: '#ffffff' },
+    neon: { name: 'Neon', use: 'Gaming, Tech, Youth', gradient: ['#0a0a0f', '#1a1a2e', '#0a0a0f'], text: '#00ff88' },
+  },
+  professional: {
+    finance: { name: 'Finance', use: 'Banking, Investment, Security', gradient: ['#1a3a4a', '#2d5a6a', '#1a4a3a'], text: '#ffffff' },
+    healthcare: { name: 'Healthcare', use: 'Medical, Wellness, Trust', gradient: ['#00a8a8', '#00c9b8', '#40e0d0'], text: '#ffffff' },
+    legal: { name: 'Legal', use: 'Law, Authority, Prestige', gradient: ['#2c2c3e', '#3d3d5c', '#4a4a6a'], text: '#d4af37' },
+    realestate: { name: 'Real Estate', use: 'Property, Luxury, Home', gradient: ['#8b7355', '#a0826d', '#c9a959'], text: '#ffffff' },
+    education: { name: 'Education', use: 'Learning, Academic, Knowledge', gradient: ['#2c5f8a', '#3d7ab8', '#5a9fd4'], text: '#ffffff' },
+    consulting: { name: 'Consulting', use: 'Professional Services, B2B', gradient: ['#1a1a2e', '#2a2a4e', '#3a3a6e'], text: '#ffffff' },
+  },
+  tech: {
+    techblue: { name: 'Tech Blue', use: 'SaaS, Cloud, Digital', gradient: ['#0077b6', '#00a8e8', '#00d4ff'], text: '#ffffff' },
+    startup: { name: 'Startup', use: 'Innovation, Disruption, Modern', gradient: ['#6366f1', '#8b5cf6', '#a855f7'], text: '#ffffff' },
+    cyber: { name: 'Cyber', use: 'Security, Hacking, Matrix', gradient: ['#0d0d0d', '#1a1a2e', '#0d1117'], text: '#00ff41' },
+    ai: { name: 'AI', use: 'Machine Learning, Future Tech', gradient: ['#1a0a2e', '#2d1b4e', '#4a2c7a'], text: '#00d9ff' },
+    blockchain: { name: 'Blockchain', use: 'Crypto, Web3, DeFi', gradient: ['#0a1628', '#1a2d4a', '#2a4a6a'], text: '#f7931a' },
+  },
+  warm: {
+    fire: { name: 'Fire', use: 'Urgency, Energy, Action', gradient: ['#d32f2f', '#ff5722', '#ff9800'], text: '#ffffff' },
+    coral: { name: 'Coral', use: 'Friendly, Approachable, Warm', gradient: ['#ff6b6b', '#ff8e8e', '#ffa8a8'], text: '#ffffff' },
+    autumn: { name: 'Autumn', use: 'Seasonal, Harvest, Warm', gradient: ['#8b4513', '#cd853f', '#daa520'], text: '#ffffff' },
+    terracotta: { name: 'Terracotta', use: 'Earthy, Organic, Natural', gradient: ['#c65d3b', '#e07b5a', '#f4a582'], text: '#ffffff' },
+    peach: { name: 'Peach', use: 'Soft, Beauty, Wellness', gradient: ['#ffb5a7', '#fcd5ce', '#fec89a'], text: '#3d3d3d' },
+  },
+  cool: {
+    ice: { name: 'Ice', use: 'Clean, Fresh, Winter', gradient: ['#a8dadc', '#e0fbfc', '#ffffff'], text: '#1d3557' },
+    arctic: { name: 'Arctic', use: 'Cold, Professional, Tech', gradient: ['#2e4a62', '#4a7c9b', '#7fb3d5'], text: '#ffffff' },
+    mint: { name: 'Mint', use: 'Fresh, Clean, Health', gradient: ['#00b894', '#55efc4', '#81ecec'], text: '#2d3436' },
+    teal: { name: 'Teal', use: 'Medical, Professional, Calm', gradient: ['#006d77', '#0a9396', '#94d2bd'], text: '#ffffff' },
+    slate: { name: 'Slate', use: 'Neutral, Business, Modern', gradient: ['#475569', '#64748b', '#94a3b8'], text: '#ffffff' },
+  },
+  dark: {
+    charcoal: { name: 'Charcoal', use: 'Dark Mode, Elegant, Premium', gradient: ['#1a1a1a', '#2d2d2d', '#404040'], text: '#ffffff' },
+    noir: { name: 'Noir', use: 'Luxury, Film, Dramatic', gradient: ['#0d0d0d', '#1a1a1a', '#262626'], text: '#f5f5f5' },
+    obsidian: { name: 'Obsidian', use: 'Gaming, Tech, Premium', gradient: ['#0a0a0f', '#141420', '#1e1e30'], text: '#ffffff' },
+    darkpurple: { name: 'Dark Purple', use: 'Creative, Night, Mystery', gradient: ['#1a0a2e', '#2d1248', '#3d1a5c'], text: '#e8b4f8' },
+    darkgreen: { name: 'Dark Green', use: 'Nature, Eco Dark, Matrix', gradient: ['#0a1a0f', '#142820', '#1e3c2e'], text: '#90ee90' },
+  },
+  light: {
+    cream: { name: 'Cream', use: 'Elegant, Soft, Premium', gradient: ['#fdfbf7', '#f8f4ec', '#f3efe4'], text: '#3d3d3d' },
+    paper: { name: 'Paper', use: 'Clean, Minimal, Document', gradient: ['#fefefe', '#f9f9f9', '#f4f4f4'], text: '#2c2c2c' },
+    sand: { name: 'Sand', use: 'Natural, Beach, Warm', gradient: ['#f5e6d3', '#eddcca', '#e5d2c1'], text: '#4a3728' },
+    lavender: { name: 'Lavender', use: 'Calm, Spa, Soft', gradient: ['#e6e6fa', '#d8d8f6', '#c9c9f2'], text: '#4a4a6a' },
+    blush: { name: 'Blush', use: 'Beauty, Fashion, Feminine', gradient: ['#fce4ec', '#f8bbd9', '#f48fb1'], text: '#4a2040' },
+  },
+  vibrant: {
+    electric: { name: 'Electric', use: 'Bold, Youth, Energy', gradient: ['#7400b8', '#6930c3', '#5e60ce'], text: '#ffffff' },
+    candy: { name: 'Candy', use: 'Fun, Youth, Playful', gradient: ['#ff006e', '#fb5607', '#ffbe0b'], text: '#ffffff' },
+    rainbow: { name: 'Rainbow', use: 'Pride, Celebration, Joy', gradient: ['#ff0080', '#ff8c00', '#40e0d0'], text: '#ffffff' },
+    neonpink: { name: 'Neon Pink', use: 'Nightclub, Bold, Youth', gradient: ['#1a0a1a', '#2d0a2d', '#0a0a1a'], text: '#ff00ff' },
+    synthwave: { name: 'Synthwave', use: 'Retro, 80s, Gaming', gradient: ['#2b1055', '#7597de', '#ff00ff'], text: '#00ffff' },
+  },
+  earth: {
+    earth: { name: 'Earth', use: 'Natural, Organic, Grounded', gradient: ['#5d4e37', '#8b7355', '#a09080'], text: '#ffffff' },
+    moss: { name: 'Moss', use: 'Nature, Eco, Calm', gradient: ['#3d5a3d', '#5a7a5a', '#7a9a7a'], text: '#ffffff' },
+    clay: { name: 'Clay', use: 'Artisan, Craft, Natural', gradient: ['#a0522d', '#cd853f', '#deb887'], text: '#ffffff' },
+    olive: { name: 'Olive', use: 'Military, Nature, Classic', gradient: ['#556b2f', '#6b8e23', '#9acd32'], text: '#ffffff' },
+    coffee: { name: 'Coffee', use: 'Cafe, Warm, Comfort', gradient: ['#3c2415', '#5c3d2e', '#8b6914'], text: '#f5deb3' },
+  },
+  metallic: {
+    gold: { name: 'Gold', use: 'Luxury, Premium, Award', gradient: ['#b8860b', '#daa520', '#ffd700'], text: '#1a1a1a' },
+    silver: { name: 'Silver', use: 'Tech, Modern, Premium', gradient: ['#708090', '#a9a9a9', '#c0c0c0'], text: '#1a1a1a' },
+    bronze: { name: 'Bronze', use: 'Classic, Award, Warm', gradient: ['#8b4513', '#cd7f32', '#daa06d'], text: '#ffffff' },
+    rosegold: { name: 'Rose Gold', use: 'Beauty, Fashion, Luxury', gradient: ['#b76e79', '#e8a0a0', '#f4c4c4'], text: '#3d2a2a' },
+  },
+  seasonal: {
+    spring: { name: 'Spring', use: 'Fresh, Renewal, Growth', gradient: ['#98d8c8', '#f7dc6f', '#f8b500'], text: '#2c3e50' },
+    summer: { name: 'Summer', use: 'Bright, Vacation, Energy', gradient: ['#00c9ff', '#92fe9d', '#f9f871'], text: '#2c3e50' },
+    winter: { name: 'Winter', use: 'Cold, Holiday, Clean', gradient: ['#2c3e50', '#4ca1af', '#c4e0e5'], text: '#ffffff' },
+    holiday: { name: 'Holiday', use: 'Christmas, Festive, Celebration', gradient: ['#c41e3a', '#228b22', '#c41e3a'], text: '#ffd700' },
+    halloween: { name: 'Halloween', use: 'Spooky, October, Fun', gradient: ['#1a0a0a', '#ff6600', '#8b008b'], text: '#00ff00' },
+  },
+};
+
+/**
+ * Fill in the roles a catalog entry leaves out
+ *
+ * primary and secondary are the first gradient stops. The accent is the more
+ * colorful of the last stop and the text color, among those that stand out
+ * from primary (contrast ≥ 3); otherwise the text color.
+ * tone is 'light' when the background is lighter than the text.
+ */
+function complete_palette(id, category, entry) {
+  const { gradient, text } = entry;
+  const primary = entry.primary ?? gradient[0];
+  const secondary = entry.secondary ?? gradient[1] ?? primary;
+
+  const standouts = [gradient[gradient.length - 1], text]
+    .filter(color => chroma.contrast(primary, color) >= 3)
+    .sort((a, b) => (chroma(b).oklch()[1] || 0) - (chroma(a).oklch()[1] || 0));
+  const accent = entry.accent ?? standouts[0] ?? text;
+
+  const tone = chroma(primary).luminance() > chroma(text).luminance() ? 'light' : 'dark';
+
+  return { id, category, tone, name: entry.name, use: entry.use, primary, secondary, accent, text, gradient };
+}
+
+// Every catalog palette by id
+export const COLOR_PALETTES = Object.fromEntries(
+  Object.entries(PALETTE_CATALOG).flatMap(([category, entries]) =>
+    Object.entries(entries).map(([id, entry]) => [id, complete_palette(id, category, entry)]),
+  ),
+);
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Look up a catalog palette by id
+ */
+export function get_palette(id) {
+  return Object.hasOwn(COLOR_PALETTES, id) ? COLOR_PALETTES[id] : null;
+}
+
+/**
+ * List catalog palettes in catalog order
+ *
+ * @param {object} filters - { category, tone: 'light' | 'dark' } (both optional)
+ * @returns {object[]} Palettes
+ */
+export function list_palettes(filters = {}) {
+  const { category = null, tone = null } = filters;
+  return Object.values(COLOR_PALETTES).filter(palette =>
+    (!category || palette.category === category) && (!tone || palette.tone === tone),
+  );
+}
+
+/**
+ * Search palettes by id, name, use and category
+ *
+ * Every word of the query must match; exact ids rank first, then ids and
+ * names starting with the query, then catalog order.
+ * "trust" → oceanic, corporate, healthcare; "dark green" → darkgreen
+ *
+ * @param {string} query - Free text
+ * @param {object} filters - Same as list_palettes
+ * @returns {object[]} Matching palettes
+ */
+export function search_palettes(query, filters = {}) {
+  const needle = String(query || '').trim().toLowerCase();
+  const words = needle.split(/\s+/).filter(Boolean);
+  const candidates = list_palettes(filters);
+  if (words.length === 0) return candidates;
+
+  const haystack = (palette) =>
+    [palette.id, palette.name, palette.use, palette.category, PALETTE_CATEGORIES[palette.category]].join(' ').toLowerCase();
+  const rank = (palette) => {
+    if (palette.id === needle) return 0;
+    if (palette.id.startsWith(needle) || palette.name.toLowerCase().startsWith(needle)) return 1;
+    return 2;
+  };
+
+  return candidates
+    .filter(palette => words.every(word => haystack(palette).includes(word)))
+    .map((palette, index) => ({ palette, index, rank: rank(palette) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ palette }) => palette);
+}
+
+/**
+ * Pick a random catalog palette; the same seed always picks the same one
+ *
+ * @param {number|string|null} seed - Seed (null = Math.random)
+ * @param {object} filters - Same as list_palettes
+ * @returns {object|null} Palette, or null if no palette matches the filters
+ */
+export function pick_random_palette(seed = null, filters = {}) {
+  const candidates = list_palettes(filters);
+  if (candidates.length === 0) return null;
+
+  const random = seed === null ? Math.random : create_seeded_random(seed);
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+// ============================================================================
+// PALETTE SPECS
+// ============================================================================
+
+/**
+ * Parse a generated palette value: "from:<color>[:<harmony>]"
+ *
+ * CSS colors never contain a colon, so anything after the last one is the
+ * harmony; without it the harmony defaults to complementary.
+ *
+ * @param {string} value - Palette param value
+ * @returns {object|null} { color, harmony } (raw strings), or null if not a from: spec
+ */
+export function parse_palette_spec(value) {
+  const match = String(value || '').match(/^from:(.*)$/i);
+  if (!match) return null;
+
+  const separator = match[1].lastIndexOf(':');
+  if (separator === -1) {
+    return { color: match[1].trim(), harmony: DEFAULT_HARMONY };
+  }
+  return {
+    color: match[1].slice(0, separator).trim(),
+    harmony: match[1].slice(separator + 1).trim().toLowerCase(),
+  };
+}
+
+/**
+ * Split a gradient param into colors: commas inside rgb(...) etc. don't split
+ */
+export function split_color_list(value) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of String(value || '')) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current.trim());
+
+  return items.filter(item => item !== '');
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Build a color from OKLCH, clamped to a displayable lightness
+ */
+function oklch_hex(l, c, h) {
+  return chroma.oklch(Math.min(0.98, Math.max(0.04, l)), Math.max(0, c), h).hex();
+}
+
+/**
+ * Generate a full palette from one brand color
+ *
+ * primary   - the brand color itself
+ * secondary - same hue, a step darker (or lighter, for light brands)
+ * accent    - hue rotated by the harmony, pushed away from primary's lightness
+ * text      - near-white or near-black, whichever reads better on primary
+ * gradient  - primary → secondary → a touch of accent
+ *
+ * @param {string} color - Any CSS color
+ * @param {string} harmony - One of PALETTE_HARMONIES
+ * @returns {object|null} Palette, or null if the color or harmony is invalid
+ */
+export function generate_palette_from_color(color, harmony = DEFAULT_HARMONY) {
+  const base = parse_css_color(color);
+  if (!base || !(harmony in PALETTE_HARMONIES)) return null;
+
+  // Grays have no hue to rotate, so their accent stays gray too
+  const [l, c, raw_h] = base.oklch();
+  const is_gray = Number.isNaN(raw_h);
+  const h = is_gray ? 0 : raw_h;
+  const is_dark = l < 0.6;
+
+  const secondary = oklch_hex(is_dark ? l + 0.08 : l - 0.08, c * 0.9, h + 8);
+
+  // Accent contrasts with primary in lightness; monochromatic relies on that alone
+  const accent_l = is_dark ? Math.max(l + 0.25, 0.72) : Math.min(l - 0.25, 0.45);
+  const accent = oklch_hex(accent_l, is_gray ? c : Math.max(c, 0.12), h + PALETTE_HARMONIES[harmony]);
+
+  const light_text = oklch_hex(0.97, Math.min(c, 0.02), h);
+  const dark_text = oklch_hex(0.2, Math.min(c, 0.03), h);
+  const text = chroma.contrast(base, light_text) >= chroma.contrast(base, dark_text) ? light_text : dark_text;
+
+  const primary = normalize_css_color(color);
+  return {
+    primary,
+    secondary,
+    accent,
+    text,
+    gradient: [primary, secondary, chroma.mix(secondary, accent, 0.35, 'oklch').hex()],
+  };
+}
+
+/**
+ * Resolve a palette param value: a catalog id, custom, or a from: spec
+ *
+ * @returns {object|null} Palette, or null if the value names no palette
+ */
+export function resolve_palette_value(value) {
+  if (value === CUSTOM_PALETTE) return COLOR_PALETTES.future_tech;
+  const palette = get_palette(value);
+  if (palette) return palette;
+
+  const spec = parse_palette_spec(value);
+  return spec && generate_palette_from_color(spec.color, spec.harmony);
+}
+
+/**
+ * Apply inline role overrides (primary=, secondary=, accent=, textcolor=, gradient=)
+ *
+ * Invalid colors are skipped here and reported by the validator.
+ *
+ * @param {object} palette - Base palette
+ * @param {object} params - Manifest params
+ * @returns {object} The palette (unchanged if nothing is overridden) or an overridden copy
+ */
+export function apply_palette_overrides(palette, params) {
+  const overrides = {};
+
+  for (const [param, role] of Object.entries(PALETTE_ROLE_PARAMS)) {
+    const color = params[param] && normalize_css_color(params[param]);
+    if (color) overrides[role] = color;
+  }
+
+  if (params.gradient) {
+    const stops = split_color_list(params.gradient).map(normalize_css_color).filter(Boolean);
+    if (stops.length > 0) overrides.gradient = stops.length === 1 ? [stops[0], stops[0]] : stops;
+  }
+
+  return Object.keys(overrides).length > 0 ? { ...palette, ...overrides } : palette;
+}
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import chroma from 'chroma-js';
+import {
+  COLOR_PALETTES,
+  PALETTE_CATEGORIES,
+  PALETTE_HARMONIES,
+  get_palette,
+  list_palettes,
+  search_palettes,
+  pick_random_palette,
+  parse_palette_spec,
+  split_color_list,
+  generate_palette_from_color,
+  apply_palette_overrides,
+} from './palettes.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+
+const parse = (command) => parse_command_string_into_manifest(command);
+
+// Signed hue difference in degrees, wrapped to (-180, 180]
+const hue_delta = (a, b) => ((chroma(b).oklch()[2] - chroma(a).oklch()[2] + 540) % 360) - 180;
+
+describe('palette catalog', () => {
+  it('completes every entry with all roles, a category and a tone', () => {
+    for (const palette of Object.values(COLOR_PALETTES)) {
+      expect(palette.category in PALETTE_CATEGORIES).toBe(true);
+      expect(['light', 'dark']).toContain(palette.tone);
+      for (const role of ['primary', 'secondary', 'accent', 'text']) {
+        expect(palette[role]).toMatch(/^#[0-9a-f]{6}$/);
+      }
+      expect(palette.gradient.length).toBeGreaterThanOrEqual(2);
+    }
+  });
+
+  it('looks palettes up by id only', () => {
+    expect(get_palette('finance')).toMatchObject({ id: 'finance', category: 'professional', accent: '#ffffff' });
+    expect(get_palette('toString')).toBeNull();
+  });
+
+  it('lists by category and tone', () => {
+    expect(list_palettes({ category: 'warm' }).map(palette => palette.id)).toEqual(['fire', 'coral', 'autumn', 'terracotta', 'peach']);
+    expect(list_palettes({ tone: 'light' }).every(palette => palette.tone === 'light')).toBe(true);
+    expect(list_palettes()).toHaveLength(Object.keys(COLOR_PALETTES).length);
+  });
+});
+
+describe('search_palettes', () => {
+  it('matches every word against id, name, use and category', () => {
+    expect(search_palettes('trust').map(palette => palette.id)).toEqual(['oceanic', 'corporate', 'healthcare']);
+    expect(search_palettes('dark green').map(palette => palette.id)).toEqual(['darkgreen']);
+    expect(search_palettes('no such palette')).toEqual([]);
+  });
+
+  it('ranks an exact id first', () => {
+    expect(search_palettes('fire')[0].id).toBe('fire');
+  });
+
+  it('returns the filtered list for an empty query', () => {
+    expect(search_palettes('  ', { category: 'warm' })).toEqual(list_palettes({ category: 'warm' }));
+  });
+});
+
+describe('pick_random_palette', () => {
+  it('picks the same palette for the same seed', () => {
+    expect(pick_random_palette('launch-week')).toBe(pick_random_palette('launch-week'));
+    expect(pick_random_palette(7, { category: 'warm' }).category).toBe('warm');
+  });
+
+  it('returns null when nothing matches the filters', () => {
+    expect(pick_random_palette(1, { category: 'nope' })).toBeNull();
+  });
+});
+
+describe('parse_palette_spec', () => {
+  it('reads the brand color and harmony', () => {
+    expect(parse_palette_spec('from:#0a66c2:triadic')).toEqual({ color: '#0a66c2', harmony: 'triadic' });
+    expect(parse_palette_spec('from:rgb(10, 102, 194):Analogous')).toEqual({ color: 'rgb(10, 102, 194)', harmony: 'analogous' });
+  });
+
+  it('defaults to complementary and ignores other palette values', () => {
+    expect(parse_palette_spec('from:navy')).toEqual({ color: 'navy', harmony: 'complementary' });
+    expect(parse_palette_spec('oceanic')).toBeNull();
+    expect(parse_palette_spec(undefined)).toBeNull();
+  });
+});
+
+describe('split_color_list', () => {
+  it('splits on top-level commas only', () => {
+    expect(split_color_list('#000, rgb(1, 2, 3),hsl(0 100% 50%)')).toEqual(['#000', 'rgb(1, 2, 3)', 'hsl(0 100% 50%)']);
+    expect(split_color_list('red,,blue,')).toEqual(['red', 'blue']);
+    expect(split_color_list('')).toEqual([]);
+  });
+});
+
+describe('generate_palette_from_color', () => {
+  it('keeps the brand color as primary and rotates the accent by the harmony', () => {
+    const palette = generate_palette_from_color('#0a66c2', 'complementary');
+
+    expect(palette.primary).toBe('#0a66c2');
+    expect(Math.abs(hue_delta(palette.primary, palette.accent))).toBeGreaterThan(170);
+    expect(palette.gradient).toHaveLength(3);
+    expect(palette.gradient[0]).toBe('#0a66c2');
+  });
+
+  it('picks whichever text color reads better on primary', () => {
+    const dark = generate_palette_from_color('navy');
+    const light = generate_palette_from_color('#ffe08a');
+
+    expect(chroma(dark.text).luminance()).toBeGreaterThan(0.8);
+    expect(chroma(light.text).luminance()).toBeLessThan(0.1);
+  });
+
+  it('generates a palette for every harmony, and a gray accent for gray brands', () => {
+    for (const harmony of Object.keys(PALETTE_HARMONIES)) {
+      expect(generate_palette_from_color('#0a66c2', harmony)).not.toBeNull();
+    }
+    expect(chroma(generate_palette_from_color('#808080').accent).oklch()[1]).toBeLessThan(0.01);
+  });
+
+  it('rejects invalid colors and harmonies', () => {
+    expect(generate_palette_from_color('notacolor')).toBeNull();
+    expect(generate_palette_from_color('#0a66c2', 'clashing')).toBeNull();
+  });
+});
+
+describe('apply_palette_overrides', () => {
+  const base = COLOR_PALETTES.oceanic;
+
+  it('overrides roles with normalized colors', () => {
+    const palette = apply_palette_overrides(base, { primary: 'navy', textcolor: 'white', gradient: '#000,#123' });
+
+    expect(palette).toMatchObject({ primary: '#000080', text: '#ffffff', gradient: ['#000000', '#112233'] });
+    expect(palette.accent).toBe(base.accent);
+  });
+
+  it('returns the palette unchanged when nothing applies', () => {
+    expect(apply_palette_overrides(base, { text: 'Hi', accent: 'nope' })).toBe(base);
+  });
+
+  it('doubles a single gradient stop', () => {
+    expect(apply_palette_overrides(base, { gradient: 'red' }).gradient).toEqual(['#ff0000', '#ff0000']);
+  });
+});
+
+describe('palette params', () => {
+  it('generates from a brand color', () => {
+    const manifest = parse('text=Welcome|palette=from:#0a66c2:analogous');
+    expect(manifest.palette).toEqual(generate_palette_from_color('#0a66c2', 'analogous'));
+    expect(manifest.errors).toEqual([]);
+  });
+
+  it('applies overrides on top of the chosen palette, whatever the key order', () => {
+    const manifest = parse('accent=#ff0066|palette=custom|primary=#112233');
+    expect(manifest.palette).toMatchObject({ primary: '#112233', accent: '#ff0066' });
+    expect(parse('palette=oceanic|textColor=white').palette.text).toBe('#ffffff');
+  });
+
+  it('reports brand colors and harmonies that cannot be resolved', () => {
+    expect(parse('palette=from:#zzz').errors[0]).toMatchObject({ code: 'INVALID_BRAND_COLOR' });
+    expect(parse('palette=from:#0a66c2:triadc').errors[0]).toMatchObject({
+      code: 'UNKNOWN_HARMONY',
+      suggestion: 'from:#0a66c2:triadic',
+    });
+    expect(parse('palette=custm').errors[0]).toMatchObject({ code: 'UNKNOWN_PALETTE', suggestion: 'custom' });
+  });
+});
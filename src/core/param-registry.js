@@ -0,0 +1,101 @@
+/**
+ * PARAM REGISTRY
+ * ===============
+ *
+ * The registry behind decorations and shapes: named entries that each declare
+ * the scalars they read from the command, with defaults and valid ranges.
+ *
+ *   const SHAPES = create_param_registry('Shape', SHAPE_PARAMETERS);
+ *   SHAPES.register(definition, name => ({ name, params: definition.params, ... }));
+ *   SHAPES.resolve_params(SHAPES.get('star'), manifest.params);   // { points: 5, inner: 0.5 }
+ *
+ * Shared parameters are the specs several entries reuse; an entry may also
+ * declare its own. Lookups are live, so entries registered after import are
+ * known to the parser and validator.
+ *
+ * ITT Interpretation:
+ *   Each entry is a basin whose scalars unfurl into a σ-region; the shared
+ *   parameters are the axes the basins have in common
+ */
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Create a registry of entries with declared params
+ *
+ * @param {string} kind - Entry kind for error messages, e.g. 'Shape'
+ * @param {object} shared - { [name]: { default, min, max } } specs entries may share
+ * @returns {object} { register, get, list, shared_parameters, find_param, list_params, resolve_params }
+ */
+export function create_param_registry(kind, shared) {
+  const entries = new Map();
+
+  /**
+   * Register an entry: build(name) checks the kind's own fields and returns
+   * the entry (params default to none)
+   */
+  function register(definition, build) {
+    const name = definition?.name;
+    if (!name || typeof name !== 'string') {
+      throw new Error(`${kind} requires a name`);
+    }
+    if (entries.has(name)) {
+      throw new Error(`${kind} already registered: ${name}`);
+    }
+
+    const entry = build(name);
+    entries.set(name, entry);
+    return entry;
+  }
+
+  /**
+   * Spec of a param by its (lowercased) key: a shared one, else one a
+   * registered entry declares
+   */
+  function find_param(key) {
+    if (shared[key]) return shared[key];
+
+    for (const entry of entries.values()) {
+      const param_name = Object.keys(entry.params).find(name => name.toLowerCase() === key);
+      if (param_name) return entry.params[param_name];
+    }
+    return null;
+  }
+
+  /**
+   * Every param key, shared and registered (lowercased)
+   */
+  function list_params() {
+    const declared = [...entries.values()].flatMap(entry => Object.keys(entry.params));
+    return [...new Set([...Object.keys(shared), ...declared.map(name => name.toLowerCase())])];
+  }
+
+  /**
+   * Resolve an entry's declared params from manifest params
+   *
+   * Keys are matched lowercased (the parser lowercases keys).
+   * Missing or non-numeric values fall back to the declared default.
+   */
+  function resolve_params(entry, params) {
+    const resolved = {};
+
+    for (const [param_name, spec] of Object.entries(entry.params)) {
+      const value = parseFloat(params[param_name.toLowerCase()]);
+      resolved[param_name] = Number.isNaN(value) ? spec.default : value;
+    }
+
+    return resolved;
+  }
+
+  return {
+    register,
+    get: (name) => entries.get(name) || null,
+    list: () => [...entries.values()],
+    shared_parameters: (...names) => Object.fromEntries(names.map(name => [name, shared[name]])),
+    find_param,
+    list_params,
+    resolve_params,
+  };
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { create_param_registry } from './param-registry.js';
+
+const SHARED = {
+  size:  { default: 10, min: 1, max: 100 },
+  angle: { default: 0, min: 0, max: 360 },
+};
+
+// A registry whose entries need a color
+const create_test_registry = () => {
+  const registry = create_param_registry('Widget', SHARED);
+  const register = (definition) => registry.register(definition, (name) => {
+    if (!definition.color) throw new Error(`Widget ${name} requires a color`);
+    return { name, params: definition.params || {}, color: definition.color };
+  });
+  return { registry, register };
+};
+
+describe('create_param_registry', () => {
+  it('registers entries in order and looks them up by name', () => {
+    const { registry, register } = create_test_registry();
+    register({ name: 'first', color: 'red' });
+    register({ name: 'second', color: 'blue' });
+
+    expect(registry.get('second')).toEqual({ name: 'second', params: {}, color: 'blue' });
+    expect(registry.get('third')).toBeNull();
+    expect(registry.list().map(entry => entry.name)).toEqual(['first', 'second']);
+  });
+
+  it('rejects missing names, duplicates and what the build step rejects', () => {
+    const { register } = create_test_registry();
+    register({ name: 'first', color: 'red' });
+
+    expect(() => register({ color: 'red' })).toThrow('Widget requires a name');
+    expect(() => register({ name: 'first', color: 'red' })).toThrow('Widget already registered: first');
+    expect(() => register({ name: 'plain' })).toThrow('Widget plain requires a color');
+  });
+
+  it('finds shared and declared params by lowercased key', () => {
+    const { registry, register } = create_test_registry();
+    register({ name: 'dial', color: 'red', params: { tickCount: { default: 12, min: 1, max: 60 }, ...registry.shared_parameters('size') } });
+
+    expect(registry.find_param('angle')).toBe(SHARED.angle);
+    expect(registry.find_param('tickcount')).toEqual({ default: 12, min: 1, max: 60 });
+    expect(registry.find_param('ticks')).toBeNull();
+    expect(registry.list_params()).toEqual(['size', 'angle', 'tickcount']);
+  });
+
+  it('resolves declared params, with defaults for missing or non-numeric values', () => {
+    const { registry, register } = create_test_registry();
+    const dial = register({ name: 'dial', color: 'red', params: { tickCount: { default: 12 }, ...registry.shared_parameters('size') } });
+
+    expect(registry.resolve_params(dial, { tickcount: '6', size: 'big', angle: '90' })).toEqual({ tickCount: 6, size: 10 });
+  });
+});
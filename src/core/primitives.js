@@ -13,32 +13,135 @@
  * 
  * From these, we derive all visual elements through EMERGENCE,
  * not explicit definition.
+ * 
+ * Whole-canvas work runs on flat buffers, never one object per pixel:
+ *   field: { width, height, data: Float32Array }   Φ (or any scalar) per pixel
+ *   mask:  { width, height, data: Uint8Array }     1 inside a region / on a boundary
+ * Pixel (x, y) is data[y * width + x]. A 2000x2000 canvas is 16 MB of Φ
+ * and 4 MB per mask. Point queries (phi_scalar_field, gradient_phi) remain
+ * for sampling a single position.
+ */
+
+// Shapes of Φ: radial (default), linear, waves, ripple, vortex
+export const PHI_FIELD_KINDS = ['radial', 'linear', 'waves', 'ripple', 'vortex'];
+
+// Gradient magnitude above which a point is a boundary (∇Φ ≠ 0)
+export const BOUNDARY_THRESHOLD = 0.01;
+
+// ============================================================================
+// BUFFERS
+// ============================================================================
+
+/**
+ * Create a scalar field buffer
  */
+export function create_field(width, height, fill = 0) {
+  const data = new Float32Array(width * height);
+  if (fill !== 0) data.fill(fill);
+  return { width, height, data };
+}
+
+/**
+ * Create an empty mask buffer
+ */
+export function create_mask(width, height) {
+  return { width, height, data: new Uint8Array(width * height) };
+}
+
+// ============================================================================
+// Φ - SCALAR POTENTIAL
+// ============================================================================
+
+/**
+ * Φ at a normalized point (0..1 each way), clamped to 0..1
+ */
+function phi_value(nx, ny, kind, phase) {
+  const cx = 0.5;
+  const cy = 0.5;
+  let value;
+
+  switch (kind) {
+    case 'linear': {
+      // Axis from the top-left corner, turning with the phase
+      const theta = Math.PI / 4 + phase;
+      value = 0.5 + ((nx - cx) * Math.cos(theta) + (ny - cy) * Math.sin(theta)) * Math.SQRT2;
+      break;
+    }
+    case 'waves':
+      value = 0.5 + 0.25 * (Math.sin(2 * Math.PI * 3 * nx + phase) + Math.sin(2 * Math.PI * 2 * ny - phase));
+      break;
+    case 'ripple':
+      value = 0.5 + 0.5 * Math.cos(2 * Math.PI * 6 * Math.sqrt((nx - cx) ** 2 + (ny - cy) ** 2) - phase);
+      break;
+    case 'vortex':
+      value = 0.5 + 0.5 * Math.sin(3 * Math.atan2(ny - cy, nx - cx) + 12 * Math.sqrt((nx - cx) ** 2 + (ny - cy) ** 2) - phase);
+      break;
+    default: {
+      // Radial: the center circles back to the middle once per turn
+      const [drift_x, drift_y] = [cx + 0.1 * Math.sin(phase), cy + 0.1 * (1 - Math.cos(phase))];
+      value = 1 - Math.sqrt((nx - drift_x) ** 2 + (ny - drift_y) ** 2) * Math.SQRT2;
+    }
+  }
+
+  return Math.min(1, Math.max(0, value));
+}
 
 /**
  * Φ (PHI): Scalar Potential Field
  * 
  * Returns the "value" at any point in the canvas.
  * This is the raw data - colors, intensities, etc.
+ * 
+ * @param {object} params - { kind, phase }
+ *   kind:  one of PHI_FIELD_KINDS (default radial: higher at the center)
+ *   phase: radians; advancing it one turn loops the field (drifts the
+ *          radial center, turns the linear axis, travels the waves)
+ * @returns {object} { value (0..1), x, y, distance } - x/y normalized, distance from the center
  */
 export function phi_scalar_field(x, y, canvas_width, canvas_height, params = {}) {
+  const { kind = 'radial', phase = 0 } = params;
+
   // Normalize coordinates to 0-1
   const nx = x / canvas_width;
   const ny = y / canvas_height;
-  
-  // Default: radial gradient from center
-  const cx = 0.5;
-  const cy = 0.5;
-  const distance = Math.sqrt((nx - cx) ** 2 + (ny - cy) ** 2);
-  
+
   return {
-    value: 1 - distance,  // Higher at center
+    value: phi_value(nx, ny, kind, phase),
     x: nx,
     y: ny,
-    distance,
+    distance: Math.sqrt((nx - 0.5) ** 2 + (ny - 0.5) ** 2),
   };
 }
 
+/**
+ * Sample Φ over a whole grid into a field buffer
+ * 
+ * Each cell is sampled at its center, so a grid coarser than the canvas
+ * (one cell per few pixels) covers the same Φ.
+ * 
+ * @param {object} params - { kind, phase } as for phi_scalar_field
+ * @returns {object} Field buffer
+ */
+export function sample_phi_field(width, height, params = {}) {
+  const { kind = 'radial', phase = 0 } = params;
+  const field = create_field(width, height);
+  const { data } = field;
+
+  for (let y = 0; y < height; y++) {
+    const ny = (y + 0.5) / height;
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      data[row + x] = phi_value((x + 0.5) / width, ny, kind, phase);
+    }
+  }
+
+  return field;
+}
+
+// ============================================================================
+// ∇Φ - GRADIENT
+// ============================================================================
+
 /**
  * ∇Φ (GRADIENT): Where values change
  * 
@@ -50,65 +153,182 @@ export function gradient_phi(phi_field, x, y, delta = 1) {
   const phi_center = phi_field(x, y);
   const phi_right = phi_field(x + delta, y);
   const phi_down = phi_field(x, y + delta);
-  
+
   // Compute gradient (∂Φ/∂x, ∂Φ/∂y)
   const dx = (phi_right.value - phi_center.value) / delta;
   const dy = (phi_down.value - phi_center.value) / delta;
-  
+
   // Gradient magnitude (how steep the change)
   const magnitude = Math.sqrt(dx * dx + dy * dy);
-  
+
   return {
     dx,
     dy,
     magnitude,
-    is_boundary: magnitude > 0.01,  // Threshold for "edge"
+    is_boundary: magnitude > BOUNDARY_THRESHOLD,  // Threshold for "edge"
   };
 }
 
+/**
+ * ∇Φ over a whole field buffer
+ * 
+ * Forward differences like gradient_phi; the last row and column repeat
+ * their neighbor's value (zero change past the edge).
+ * 
+ * @returns {object} { width, height, dx, dy, magnitude } - Float32Array each
+ */
+export function gradient_field(field, delta = 1) {
+  const { width, height, data } = field;
+  const dx = new Float32Array(width * height);
+  const dy = new Float32Array(width * height);
+  const magnitude = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    const down_row = Math.min(height - 1, y + delta) * width;
+    for (let x = 0; x < width; x++) {
+      const i = row + x;
+      const gx = (data[row + Math.min(width - 1, x + delta)] - data[i]) / delta;
+      const gy = (data[down_row + x] - data[i]) / delta;
+      dx[i] = gx;
+      dy[i] = gy;
+      magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+
+  return { width, height, dx, dy, magnitude };
+}
+
+/**
+ * Boundary mask: 1 where the gradient magnitude exceeds the threshold
+ */
+export function boundary_mask(gradient, threshold = BOUNDARY_THRESHOLD) {
+  const mask = create_mask(gradient.width, gradient.height);
+  const { magnitude } = gradient;
+
+  for (let i = 0; i < magnitude.length; i++) {
+    mask.data[i] = magnitude[i] > threshold ? 1 : 0;
+  }
+
+  return mask;
+}
+
+/**
+ * Grow a mask by radius pixels in every direction (a square neighborhood)
+ * 
+ * Separable: one horizontal and one vertical pass, each O(pixels).
+ */
+export function dilate_mask(mask, radius) {
+  const { width, height } = mask;
+  if (radius <= 0) return { width, height, data: mask.data.slice() };
+
+  const pass = (source, length, stride, lines, line_stride) => {
+    const target = new Uint8Array(source.length);
+    for (let line = 0; line < lines; line++) {
+      const base = line * line_stride;
+      // Distance since the last set pixel, walking forward then backward
+      let since = Infinity;
+      for (let k = 0; k < length; k++) {
+        since = source[base + k * stride] ? 0 : since + 1;
+        if (since <= radius) target[base + k * stride] = 1;
+      }
+      since = Infinity;
+      for (let k = length - 1; k >= 0; k--) {
+        since = source[base + k * stride] ? 0 : since + 1;
+        if (since <= radius) target[base + k * stride] = 1;
+      }
+    }
+    return target;
+  };
+
+  const horizontal = pass(mask.data, width, 1, height, width);
+  return { width, height, data: pass(horizontal, height, width, width, 1) };
+}
+
+// ============================================================================
+// σ - ACCUMULATION
+// ============================================================================
+
 /**
  * σ (SIGMA): Accumulation / Connected Region
  * 
  * Given a starting point, accumulate all connected points
  * where Φ is "similar" (within threshold).
+ * 
+ * Scanline flood fill (4-connectivity): each span is filled in one pass
+ * and only span starts go on the stack, so memory stays proportional to
+ * the region's outline, not its area.
+ * 
+ * @param {object} field - Field buffer (e.g. from sample_phi_field)
+ * @returns {object} { mask, sigma, centroid, bounds } - sigma: the region's pixel count
  */
-export function sigma_accumulate(phi_field, start_x, start_y, width, height, threshold = 0.1) {
-  const visited = new Set();
-  const region = [];
-  const queue = [[start_x, start_y]];
-  
-  const start_phi = phi_field(start_x, start_y);
-  
-  while (queue.length > 0) {
-    const [x, y] = queue.shift();
-    const key = `${x},${y}`;
-    
-    // Bounds check
-    if (x < 0 || x >= width || y < 0 || y >= height) continue;
-    
-    // Already visited
-    if (visited.has(key)) continue;
-    visited.add(key);
-    
-    // Check if Φ is similar (within threshold)
-    const current_phi = phi_field(x, y);
-    if (Math.abs(current_phi.value - start_phi.value) > threshold) continue;
-    
-    // Accumulate this point
-    region.push({ x, y, phi: current_phi.value });
-    
-    // Add neighbors (4-connectivity)
-    queue.push([x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]);
+export function sigma_accumulate(field, start_x, start_y, threshold = 0.1) {
+  const { width, height, data } = field;
+  const mask = create_mask(width, height);
+  const filled = mask.data;
+
+  let sigma = 0;
+  let sum_x = 0;
+  let sum_y = 0;
+  const bounds = { min_x: Infinity, max_x: -Infinity, min_y: Infinity, max_y: -Infinity };
+
+  if (start_x < 0 || start_x >= width || start_y < 0 || start_y >= height) {
+    return { mask, sigma, centroid: { x: 0, y: 0 }, bounds: { min_x: 0, max_x: 0, min_y: 0, max_y: 0 } };
   }
-  
+
+  const start_value = data[start_y * width + start_x];
+  const is_similar = (i) => !filled[i] && Math.abs(data[i] - start_value) <= threshold;
+  const stack = [start_y * width + start_x];
+
+  while (stack.length > 0) {
+    const seed = stack.pop();
+    if (!is_similar(seed)) continue;
+
+    const y = Math.floor(seed / width);
+    const row = y * width;
+
+    // Widen the seed into its whole span
+    let left = seed - row;
+    let right = left;
+    while (left > 0 && is_similar(row + left - 1)) left--;
+    while (right < width - 1 && is_similar(row + right + 1)) right++;
+
+    for (let x = left; x <= right; x++) filled[row + x] = 1;
+
+    const span = right - left + 1;
+    sigma += span;
+    sum_x += ((left + right) * span) / 2;
+    sum_y += y * span;
+    bounds.min_x = Math.min(bounds.min_x, left);
+    bounds.max_x = Math.max(bounds.max_x, right);
+    bounds.min_y = Math.min(bounds.min_y, y);
+    bounds.max_y = Math.max(bounds.max_y, y);
+
+    // Seed each run of similar pixels in the rows above and below
+    for (const next_y of [y - 1, y + 1]) {
+      if (next_y < 0 || next_y >= height) continue;
+      const next_row = next_y * width;
+      let in_run = false;
+      for (let x = left; x <= right; x++) {
+        const similar = is_similar(next_row + x);
+        if (similar && !in_run) stack.push(next_row + x);
+        in_run = similar;
+      }
+    }
+  }
+
   return {
-    cells: region,
-    sigma: region.length,  // Total accumulated "mass"
-    centroid: compute_centroid(region),
-    bounds: compute_bounds(region),
+    mask,
+    sigma,  // Total accumulated "mass"
+    centroid: { x: sum_x / sigma, y: sum_y / sigma },
+    bounds,
   };
 }
 
+// ============================================================================
+// ρ_q - BOUNDARY CHARGE
+// ============================================================================
+
 /**
  * ρ_q (RHO_Q): Boundary Charge
  * 
@@ -124,7 +344,7 @@ export function rho_boundary_charge(gradient, base_value, params = {}) {
       intensity: gradient.magnitude,
     };
   }
-  
+
   // Interior point - charge can still flow
   return {
     charge: base_value,
@@ -140,70 +360,79 @@ export function rho_boundary_charge(gradient, base_value, params = {}) {
 /**
  * Emerge a circle from ITT primitives
  * 
- * A circle is a σ-accumulation where Φ is constant and bounded by ∇Φ ≠ 0
+ * A circle is a σ-accumulation where Φ is constant and bounded by ∇Φ ≠ 0.
+ * Only the circle's bounding box is visited.
+ * 
+ * @returns {object} { type, cx, cy, radius, mask, boundary, sigma } - mask/boundary cover the canvas
  */
 export function emerge_circle(cx, cy, radius, canvas_width, canvas_height) {
-  const points = [];
-  
-  // Sample the Φ field where distance from center < radius
-  for (let y = 0; y < canvas_height; y++) {
-    for (let x = 0; x < canvas_width; x++) {
+  const mask = create_mask(canvas_width, canvas_height);
+  const boundary = create_mask(canvas_width, canvas_height);
+  let sigma = 0;
+
+  const [min_x, max_x] = [Math.max(0, Math.floor(cx - radius)), Math.min(canvas_width - 1, Math.ceil(cx + radius))];
+  const [min_y, max_y] = [Math.max(0, Math.floor(cy - radius)), Math.min(canvas_height - 1, Math.ceil(cy + radius))];
+
+  for (let y = min_y; y <= max_y; y++) {
+    for (let x = min_x; x <= max_x; x++) {
       const distance = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
-      
+
       // Inside circle: Φ high (1), outside: Φ low (0)
-      const phi_value = distance <= radius ? 1 : 0;
-      
+      if (distance > radius) continue;
+
+      const i = y * canvas_width + x;
+      mask.data[i] = 1;
+      sigma++;
+
       // Boundary: where ∇Φ ≠ 0 (edge of circle)
-      const is_boundary = Math.abs(distance - radius) < 1.5;
-      
-      if (phi_value > 0) {
-        points.push({
-          x, y,
-          phi: phi_value,
-          is_boundary,
-          distance_from_center: distance,
-        });
-      }
+      if (Math.abs(distance - radius) < 1.5) boundary.data[i] = 1;
     }
   }
-  
+
   return {
     type: 'circle',
     cx, cy, radius,
-    points,
-    sigma: points.length,
-    boundary_points: points.filter(p => p.is_boundary),
+    mask,
+    boundary,
+    sigma,
   };
 }
 
 /**
  * Emerge a rectangle from ITT primitives
+ * 
+ * @returns {object} { type, x, y, width, height, mask, boundary, sigma } - clipped to the canvas
  */
 export function emerge_rectangle(x, y, width, height, canvas_width, canvas_height) {
-  const points = [];
-  
-  for (let py = y; py < y + height && py < canvas_height; py++) {
-    for (let px = x; px < x + width && px < canvas_width; px++) {
-      // Interior: Φ = 1
-      const phi_value = 1;
-      
-      // Boundary: edges of rectangle
-      const is_boundary = (px === x || px === x + width - 1 || py === y || py === y + height - 1);
-      
-      points.push({
-        x: px, y: py,
-        phi: phi_value,
-        is_boundary,
-      });
+  const mask = create_mask(canvas_width, canvas_height);
+  const boundary = create_mask(canvas_width, canvas_height);
+  let sigma = 0;
+
+  for (let py = Math.max(0, y); py < y + height && py < canvas_height; py++) {
+    const row = py * canvas_width;
+    const start = Math.max(0, x);
+    const end = Math.min(canvas_width, x + width);
+    if (end <= start) break;
+
+    // Interior: Φ = 1
+    mask.data.fill(1, row + start, row + end);
+    sigma += end - start;
+
+    // Boundary: edges of rectangle
+    if (py === y || py === y + height - 1) {
+      boundary.data.fill(1, row + start, row + end);
+    } else {
+      if (x >= 0) boundary.data[row + x] = 1;
+      if (x + width - 1 < canvas_width) boundary.data[row + x + width - 1] = 1;
     }
   }
-  
+
   return {
     type: 'rectangle',
     x, y, width, height,
-    points,
-    sigma: points.length,
-    boundary_points: points.filter(p => p.is_boundary),
+    mask,
+    boundary,
+    sigma,
   };
 }
 
@@ -215,7 +444,7 @@ export function emerge_text_region(text, x, y, font_size, canvas_width, canvas_h
   const char_width = font_size * 0.6;
   const text_width = text.length * char_width;
   const text_height = font_size * 1.2;
-  
+
   return {
     type: 'text',
     text,
@@ -229,53 +458,79 @@ export function emerge_text_region(text, x, y, font_size, canvas_width, canvas_h
 }
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// MASK MEASURES
 // ============================================================================
 
-function compute_centroid(points) {
-  if (points.length === 0) return { x: 0, y: 0 };
-  
-  const sum_x = points.reduce((sum, p) => sum + p.x, 0);
-  const sum_y = points.reduce((sum, p) => sum + p.y, 0);
-  
-  return {
-    x: sum_x / points.length,
-    y: sum_y / points.length,
-  };
+/**
+ * Centroid of a mask's set pixels
+ */
+export function compute_centroid(mask) {
+  const { width, data } = mask;
+  let count = 0;
+  let sum_x = 0;
+  let sum_y = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    if (!data[i]) continue;
+    count++;
+    sum_x += i % width;
+    sum_y += Math.floor(i / width);
+  }
+
+  if (count === 0) return { x: 0, y: 0 };
+  return { x: sum_x / count, y: sum_y / count };
+}
+
+/**
+ * Bounding box of a mask's set pixels (running min/max - no array spreading)
+ */
+export function compute_bounds(mask) {
+  const { width, data } = mask;
+  let [min_x, max_x, min_y, max_y] = [Infinity, -Infinity, Infinity, -Infinity];
+
+  for (let i = 0; i < data.length; i++) {
+    if (!data[i]) continue;
+    const x = i % width;
+    const y = Math.floor(i / width);
+    if (x < min_x) min_x = x;
+    if (x > max_x) max_x = x;
+    if (y < min_y) min_y = y;
+    if (y > max_y) max_y = y;
+  }
+
+  if (min_x === Infinity) return { min_x: 0, max_x: 0, min_y: 0, max_y: 0 };
+  return { min_x, max_x, min_y, max_y };
 }
 
-function compute_bounds(points) {
-  if (points.length === 0) return { min_x: 0, max_x: 0, min_y: 0, max_y: 0 };
-  
-  const xs = points.map(p => p.x);
-  const ys = points.map(p => p.y);
-  
+// ============================================================================
+// MANIFEST FIELDS
+// ============================================================================
+
+/**
+ * Φ params a manifest asks for at a point of the clip
+ * 
+ * field= picks the kind; flow= is how many turns the phase makes over the
+ * clip, so the field at progress 0 and 1 is the same (the GIF loops).
+ * 
+ * @param {number} progress - 0..1 through the clip
+ * @returns {object} { kind, phase } for phi_scalar_field / sample_phi_field
+ */
+export function phi_field_params(manifest, progress = 0) {
+  const { params } = manifest;
   return {
-    min_x: Math.min(...xs),
-    max_x: Math.max(...xs),
-    min_y: Math.min(...ys),
-    max_y: Math.max(...ys),
+    kind: params.field || 'radial',
+    phase: 2 * Math.PI * (parseFloat(params.flow) || 0) * progress,
   };
 }
 
 /**
  * Create a Φ field function for a given manifest
+ * 
+ * @param {number} progress - 0..1 through the clip
  */
-export function create_phi_field_from_manifest(manifest) {
-  const { palette, canvas } = manifest;
-  
-  return (x, y) => {
-    const nx = x / canvas.width;
-    const ny = y / canvas.height;
-    
-    // Distance from center
-    const dist = Math.sqrt((nx - 0.5) ** 2 + (ny - 0.5) ** 2);
-    
-    return {
-      value: 1 - dist,
-      x: nx,
-      y: ny,
-      distance: dist,
-    };
-  };
+export function create_phi_field_from_manifest(manifest, progress = 0) {
+  const { canvas } = manifest;
+  const field_params = phi_field_params(manifest, progress);
+
+  return (x, y) => phi_scalar_field(x, y, canvas.width, canvas.height, field_params);
 }
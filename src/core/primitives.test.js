@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PHI_FIELD_KINDS, phi_scalar_field, sample_phi_field, gradient_phi, gradient_field, boundary_mask,
+  sigma_accumulate, emerge_circle, emerge_rectangle, compute_centroid, compute_bounds, BOUNDARY_THRESHOLD,
+} from './primitives.js';
+
+// The point-wise σ and shape emergence the buffers replaced, kept as the reference
+
+function reference_sigma(phi_field, start_x, start_y, width, height, threshold = 0.1) {
+  const visited = new Set();
+  const region = [];
+  const queue = [[start_x, start_y]];
+  const start_phi = phi_field(start_x, start_y);
+
+  while (queue.length > 0) {
+    const [x, y] = queue.shift();
+    const key = `${x},${y}`;
+    if (x < 0 || x >= width || y < 0 || y >= height) continue;
+    if (visited.has(key)) continue;
+    visited.add(key);
+    if (Math.abs(phi_field(x, y).value - start_phi.value) > threshold) continue;
+    region.push({ x, y });
+    queue.push([x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]);
+  }
+
+  return region;
+}
+
+function reference_circle(cx, cy, radius, canvas_width, canvas_height) {
+  const points = [];
+  for (let y = 0; y < canvas_height; y++) {
+    for (let x = 0; x < canvas_width; x++) {
+      const distance = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
+      if (distance <= radius) points.push({ x, y, is_boundary: Math.abs(distance - radius) < 1.5 });
+    }
+  }
+  return points;
+}
+
+function reference_rectangle(x, y, width, height, canvas_width, canvas_height) {
+  const points = [];
+  for (let py = y; py < y + height && py < canvas_height; py++) {
+    for (let px = x; px < x + width && px < canvas_width; px++) {
+      points.push({ x: px, y: py, is_boundary: px === x || px === x + width - 1 || py === y || py === y + height - 1 });
+    }
+  }
+  return points;
+}
+
+// "x,y" of each set pixel, in row order
+const mask_cells = (mask) => {
+  const cells = [];
+  mask.data.forEach((value, i) => value && cells.push(`${i % mask.width},${Math.floor(i / mask.width)}`));
+  return cells;
+};
+
+const point_cells = (points) => points
+  .slice()
+  .sort((a, b) => a.y - b.y || a.x - b.x)
+  .map(({ x, y }) => `${x},${y}`);
+
+const [WIDTH, HEIGHT] = [48, 32];
+
+describe('sample_phi_field', () => {
+  it('matches phi_scalar_field at each cell center for every kind', () => {
+    for (const kind of PHI_FIELD_KINDS) {
+      for (const phase of [0, 1.3]) {
+        const { data } = sample_phi_field(WIDTH, HEIGHT, { kind, phase });
+        for (let y = 0; y < HEIGHT; y++) {
+          for (let x = 0; x < WIDTH; x++) {
+            const { value } = phi_scalar_field(x + 0.5, y + 0.5, WIDTH, HEIGHT, { kind, phase });
+            expect(data[y * WIDTH + x]).toBeCloseTo(value, 6);
+          }
+        }
+      }
+    }
+  });
+});
+
+describe('gradient_field', () => {
+  it('matches gradient_phi away from the last row and column', () => {
+    const params = { kind: 'vortex', phase: 0.4 };
+    const field = sample_phi_field(WIDTH, HEIGHT, params);
+    const gradient = gradient_field(field);
+    const boundary = boundary_mask(gradient);
+    const phi = (x, y) => phi_scalar_field(x + 0.5, y + 0.5, WIDTH, HEIGHT, params);
+
+    for (let y = 0; y < HEIGHT - 1; y++) {
+      for (let x = 0; x < WIDTH - 1; x++) {
+        const i = y * WIDTH + x;
+        const expected = gradient_phi(phi, x, y);
+        expect(gradient.dx[i]).toBeCloseTo(expected.dx, 5);
+        expect(gradient.dy[i]).toBeCloseTo(expected.dy, 5);
+        // Float32 rounding can only flip points sitting on the threshold
+        if (Math.abs(expected.magnitude - BOUNDARY_THRESHOLD) > 1e-5) {
+          expect(boundary.data[i]).toBe(expected.is_boundary ? 1 : 0);
+        }
+      }
+    }
+  });
+
+  it('has no change past the edge', () => {
+    const gradient = gradient_field(sample_phi_field(WIDTH, HEIGHT, { kind: 'linear' }));
+    expect(gradient.dx[WIDTH - 1]).toBe(0);
+    expect(gradient.dy[(HEIGHT - 1) * WIDTH]).toBe(0);
+  });
+});
+
+describe('sigma_accumulate', () => {
+  it('fills the same region as the point-wise flood fill', () => {
+    // A loose threshold, so each region spans many rows and spans
+    for (const kind of ['radial', 'ripple', 'vortex', 'waves']) {
+      const field = sample_phi_field(WIDTH, HEIGHT, { kind });
+      const phi = (x, y) => ({ value: field.data[y * WIDTH + x] });
+
+      for (const [start_x, start_y] of [[0, 0], [24, 16], [40, 5]]) {
+        const region = reference_sigma(phi, start_x, start_y, WIDTH, HEIGHT, 0.3);
+        const result = sigma_accumulate(field, start_x, start_y, 0.3);
+
+        expect(mask_cells(result.mask)).toEqual(point_cells(region));
+        expect(result.sigma).toBe(region.length);
+
+        const xs = region.map(point => point.x);
+        const ys = region.map(point => point.y);
+        expect(result.bounds).toEqual({
+          min_x: Math.min(...xs), max_x: Math.max(...xs), min_y: Math.min(...ys), max_y: Math.max(...ys),
+        });
+        expect(result.centroid.x).toBeCloseTo(xs.reduce((a, b) => a + b, 0) / region.length, 10);
+        expect(result.centroid.y).toBeCloseTo(ys.reduce((a, b) => a + b, 0) / region.length, 10);
+        expect(compute_bounds(result.mask)).toEqual(result.bounds);
+        expect(compute_centroid(result.mask).x).toBeCloseTo(result.centroid.x, 10);
+      }
+    }
+  });
+
+  it('returns an empty region for a start off the field', () => {
+    const result = sigma_accumulate(sample_phi_field(WIDTH, HEIGHT), -1, 4);
+    expect(result).toMatchObject({ sigma: 0, centroid: { x: 0, y: 0 }, bounds: { min_x: 0, max_x: 0, min_y: 0, max_y: 0 } });
+  });
+});
+
+describe('shape emergence', () => {
+  it('covers the same pixels and boundary as the point lists', () => {
+    for (const [cx, cy, radius] of [[24, 16, 9.5], [2, 30, 12]]) {
+      const points = reference_circle(cx, cy, radius, WIDTH, HEIGHT);
+      const circle = emerge_circle(cx, cy, radius, WIDTH, HEIGHT);
+      expect(mask_cells(circle.mask)).toEqual(point_cells(points));
+      expect(mask_cells(circle.boundary)).toEqual(point_cells(points.filter(point => point.is_boundary)));
+      expect(circle.sigma).toBe(points.length);
+    }
+
+    for (const [x, y, width, height] of [[5, 4, 20, 10], [40, 25, 20, 20]]) {
+      const points = reference_rectangle(x, y, width, height, WIDTH, HEIGHT);
+      const rectangle = emerge_rectangle(x, y, width, height, WIDTH, HEIGHT);
+      expect(mask_cells(rectangle.mask)).toEqual(point_cells(points));
+      expect(mask_cells(rectangle.boundary)).toEqual(point_cells(points.filter(point => point.is_boundary)));
+      expect(rectangle.sigma).toBe(points.length);
+    }
+  });
+});
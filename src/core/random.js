@@ -0,0 +1,36 @@
+/**
+ * SEEDED RANDOM
+ * ==============
+ *
+ * A small deterministic generator, so the same seed= always picks the same
+ * palette and jitters the same colors:
+ *
+ *   const random = create_seeded_random('spring-sale');
+ *   random();   // same sequence in [0, 1) on every run
+ *
+ * ITT Interpretation:
+ *   The seed fixes the collapse path; every draw is the next step along it
+ */
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number|string} seed - Numbers are used directly, strings are hashed (FNV-1a)
+ * @returns {Function} () => number in [0, 1)
+ */
+export function create_seeded_random(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : 2166136261;
+  if (typeof seed !== 'number') {
+    for (const ch of String(seed)) {
+      state = Math.imul(state ^ ch.codePointAt(0), 16777619) >>> 0;
+    }
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { create_seeded_random } from './random.js';
+
+// First n draws of a generator
+const draws = (seed, n = 5) => {
+  const random = create_seeded_random(seed);
+  return Array.from({ length: n }, () => random());
+};
+
+describe('create_seeded_random', () => {
+  it('repeats the sequence for the same seed, number or string', () => {
+    expect(draws(42)).toEqual(draws(42));
+    expect(draws('spring-sale')).toEqual(draws('spring-sale'));
+  });
+
+  it('gives different seeds different sequences', () => {
+    expect(draws('spring-sale')).not.toEqual(draws('summer-sale'));
+    expect(draws(1)).not.toEqual(draws(2));
+  });
+
+  it('draws within [0, 1)', () => {
+    for (const value of draws('bounds', 1000)) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
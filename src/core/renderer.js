@@ -9,11 +9,22 @@
  */
 
 import { emerge_circle, emerge_rectangle, emerge_text_region } from './primitives.js';
+import { generate_zoned_frames, fit_text_block, DEFAULT_LINE_HEIGHT } from './layout.js';
+import { render_decorations } from './decorations.js';
+import { render_field_background, is_field_animated } from './field.js';
+import { render_gradient_background, is_gradient_animated, resolve_background } from './gradients.js';
+import { get_shape, resolve_shape_params } from './shapes.js';
+import { resolve_image_source } from './images.js';
+import { simulate_frames } from './vision.js';
+import { build_layer_stack } from './layers.js';
+import { timeline_duration, element_progress, parse_keyframes, sample_keyframes } from './timeline.js';
 
 /**
  * Create a rendering context with helpers
+ * 
+ * @param {object} options - { images } decoded images by source, from load_manifest_images
  */
-export function create_render_context(canvas) {
+export function create_render_context(canvas, options = {}) {
   const ctx = canvas.getContext('2d');
   
   return {
@@ -21,41 +32,200 @@ export function create_render_context(canvas) {
     ctx,
     width: canvas.width,
     height: canvas.height,
+    images: options.images || new Map(),
   };
 }
 
 /**
  * Clear canvas with background
+ * 
+ * bg=field draws the Φ field (see field.js); bg=gradient|linear|radial|conic|mesh
+ * a gradient (see gradients.js). Either may move over the clip. Zone layouts
+ * draw theirs here too (see resolve_background).
  */
-export function clear_canvas_with_background(render_ctx, manifest) {
+export function clear_canvas_with_background(render_ctx, manifest, frame_progress = 1) {
   const { ctx, width, height } = render_ctx;
-  const { palette, params } = manifest;
-  
-  const bg_type = params.bg || 'gradient';
+  const background = resolve_background(manifest);
   
-  if (bg_type === 'solid' || manifest.scene?.background === 'solid') {
-    ctx.fillStyle = palette.primary;
+  if (background.type === 'field') {
+    render_field_background(render_ctx, manifest, frame_progress);
+  } else if (background.type === 'solid') {
+    ctx.fillStyle = background.color;
     ctx.fillRect(0, 0, width, height);
   } else {
-    // Gradient background
-    const gradient = ctx.createLinearGradient(0, 0, width, height);
-    
-    if (palette.gradient && palette.gradient.length > 0) {
-      palette.gradient.forEach((color, i) => {
-        gradient.addColorStop(i / (palette.gradient.length - 1), color);
-      });
-    } else {
-      gradient.addColorStop(0, palette.primary);
-      gradient.addColorStop(1, palette.secondary);
-    }
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, width, height);
+    render_gradient_background(render_ctx, manifest, frame_progress);
+  }
+}
+
+/**
+ * Resolve a length param: pixels ("480") or a percentage of extent ("80%")
+ */
+function resolve_length(value, extent, fallback) {
+  if (!value) return fallback;
+  return value.endsWith('%') ? (parseFloat(value) / 100) * extent : parseFloat(value);
+}
+
+// Animation presets by name (see register_animation)
+const ANIMATIONS = new Map();
+
+// Element state with no animation applied
+const ANIMATION_REST_STATE = {
+  alpha: 1,
+  scale: 1,
+  offset_x: 0,
+  offset_y: 0,
+  rotate: 0,
+  blur: 0,
+  wipe: 1,
+  typed: 1,
+  count: 1,
+};
+
+/**
+ * Register an animation preset (animate=<name>)
+ * 
+ * The validator accepts exactly the registered names.
+ * 
+ * @param {object} definition - { name, apply, loop }
+ *   apply(progress, element) → the state fields it changes:
+ *     alpha, scale, offset_x/offset_y (px), rotate (degrees), blur (px),
+ *     wipe (0..1 revealed, left to right), typed (0..1 of the characters shown),
+ *     count (0..1 of each number's value)
+ *   element: { type: 'text' | 'shape' | 'image' | 'particles', width, height } - canvas size
+ *   loop: the state at progress 1 is the state at 0 (pulse, rotate), so a clip
+ *   of only looping motion does not repeat its first frame at the end
+ * @returns {object} The registered definition
+ */
+export function register_animation(definition) {
+  const { name, apply, loop = false } = definition || {};
+  
+  if (!name || typeof name !== 'string') {
+    throw new Error('Animation requires a name');
+  }
+  if (ANIMATIONS.has(name)) {
+    throw new Error(`Animation already registered: ${name}`);
   }
+  if (typeof apply !== 'function') {
+    throw new Error(`Animation ${name} requires an apply function`);
+  }
+  
+  const entry = { name, apply, loop: Boolean(loop) };
+  ANIMATIONS.set(name, entry);
+  return entry;
+}
+
+/**
+ * Look up a registered animation by name
+ */
+export function get_animation(name) {
+  return ANIMATIONS.get(name) || null;
+}
+
+/**
+ * List registered animations in registration order
+ */
+export function list_animations() {
+  return [...ANIMATIONS.values()];
+}
+
+/**
+ * State of an element under an animation at a point of its progress
+ * 
+ * @returns {object} Every ANIMATION_REST_STATE field (unknown animation = rest)
+ */
+export function animation_state(name, progress, element) {
+  const animation = ANIMATIONS.get(name || 'none');
+  return { ...ANIMATION_REST_STATE, ...(animation ? animation.apply(progress, element) : {}) };
+}
+
+/**
+ * Bounce easing: falls in and settles with shrinking rebounds
+ */
+function ease_out_bounce(t) {
+  const n = 7.5625;
+  const d = 2.75;
+  if (t < 1 / d) return n * t * t;
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+  return n * (t -= 2.625 / d) * t + 0.984375;
+}
+
+/**
+ * Count every number in a text up from 0 ("10,000 users" → "4,210 users"),
+ * keeping its decimals and thousands separators
+ */
+function count_up_text(text, progress) {
+  const fraction = Math.min(1, Math.max(0, progress));
+  
+  return text.replace(/\d[\d,]*(?:\.\d+)?/g, (number) => {
+    const decimals = number.split('.')[1]?.length ?? 0;
+    const value = (parseFloat(number.replace(/,/g, '')) * fraction).toFixed(decimals);
+    if (!number.includes(',')) return value;
+    
+    const [whole, part] = value.split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return part === undefined ? grouped : `${grouped}.${part}`;
+  });
+}
+
+register_animation({ name: 'none', apply: () => ({}) });
+register_animation({ name: 'fadeIn', apply: (progress) => ({ alpha: progress }) });
+register_animation({ name: 'fadeOut', apply: (progress) => ({ alpha: 1 - progress }) });
+register_animation({
+  name: 'pulse',
+  loop: true,
+  apply: (progress, element) => ({ scale: 1 + (element.type === 'text' ? 0.1 : 0.15) * Math.sin(progress * Math.PI * 2) }),
+});
+register_animation({
+  name: 'grow',
+  apply: (progress, element) => ({ scale: element.type === 'text' ? 0.5 + 0.5 * progress : progress, alpha: progress }),
+});
+// Twinkling particles behind the element (render_particles); the element itself is still
+register_animation({ name: 'sparkle', loop: true, apply: () => ({}) });
+register_animation({ name: 'slide', apply: (progress, element) => ({ offset_y: (1 - progress) * element.height * 0.3 }) });
+register_animation({ name: 'typewriter', apply: (progress) => ({ typed: progress }) });
+register_animation({
+  name: 'bounce',
+  apply: (progress, element) => ({ offset_y: -(1 - ease_out_bounce(Math.min(1, Math.max(0, progress)))) * element.height * 0.4 }),
+});
+register_animation({ name: 'rotate', loop: true, apply: (progress) => ({ rotate: 360 * progress }) });
+// Attention shake: a fast side-to-side wobble that dies down
+register_animation({
+  name: 'shake',
+  apply: (progress, element) => ({ offset_x: Math.sin(progress * Math.PI * 12) * element.width * 0.03 * (1 - progress) }),
+});
+register_animation({ name: 'wipe', apply: (progress) => ({ wipe: progress }) });
+register_animation({ name: 'blurIn', apply: (progress) => ({ blur: 12 * Math.max(0, 1 - progress) }) });
+register_animation({ name: 'countUp', apply: (progress) => ({ count: progress }) });
+
+/**
+ * Apply an animation state's alpha, blur and transform about an anchor point
+ */
+function apply_animation_state(ctx, state, x, y) {
+  ctx.globalAlpha *= Math.min(1, Math.max(0, state.alpha));
+  if (state.blur > 0) ctx.filter = `blur(${state.blur}px)`;
+  
+  ctx.translate(x + state.offset_x, y + state.offset_y);
+  ctx.rotate((state.rotate * Math.PI) / 180);
+  ctx.scale(state.scale, state.scale);
+  ctx.translate(-x, -y);
+}
+
+/**
+ * Left edge of a line of a given width drawn at x with a text alignment
+ */
+function aligned_left(x, line_width, align) {
+  if (align === 'left' || align === 'start') return x;
+  if (align === 'right' || align === 'end') return x - line_width;
+  return x - line_width / 2;
 }
 
 /**
  * Render text element
+ *
+ * The text wraps at maxwidth (default 90% of the canvas), honors \n, and is
+ * drawn as a block centered on y. fit=shrink lowers the font size until the
+ * block fits the canvas and maxlines; otherwise lines past maxlines are cut.
  */
 export function render_text_element(render_ctx, manifest, frame_progress = 1) {
   const { ctx, width, height } = render_ctx;
@@ -67,61 +237,25 @@ export function render_text_element(render_ctx, manifest, frame_progress = 1) {
   const text_color = params.color || palette.text;
   const align = params.align || 'center';
   
-  // Apply animation
-  const animate = params.animate || 'none';
-  let alpha = 1;
-  let scale = 1;
-  let offset_y = 0;
-  
-  switch (animate) {
-    case 'fadeIn':
-      alpha = frame_progress;
-      break;
-    case 'fadeOut':
-      alpha = 1 - frame_progress;
-      break;
-    case 'pulse':
-      scale = 1 + 0.1 * Math.sin(frame_progress * Math.PI * 2);
-      break;
-    case 'grow':
-      scale = 0.5 + 0.5 * frame_progress;
-      alpha = frame_progress;
-      break;
-    case 'slide':
-      offset_y = (1 - frame_progress) * height * 0.3;
-      break;
-  }
+  const state = animation_state(params.animate, frame_progress, { type: 'text', width, height });
   
   ctx.save();
-  ctx.globalAlpha = alpha;
-  
-  // Position text
-  let x = width / 2;
-  let y = height / 2 + offset_y;
-  
-  if (params.x) {
-    if (params.x.endsWith('%')) {
-      x = (parseFloat(params.x) / 100) * width;
-    } else {
-      x = parseFloat(params.x);
-    }
-  }
   
-  if (params.y) {
-    if (params.y.endsWith('%')) {
-      y = (parseFloat(params.y) / 100) * height;
-    } else {
-      y = parseFloat(params.y);
-    }
-  }
-  
-  // Apply scale transform
-  ctx.translate(x, y);
-  ctx.scale(scale, scale);
-  ctx.translate(-x, -y);
-  
-  // Set font
-  ctx.font = `bold ${font_size}px ${font_family}`;
+  // Position text, then animate about that point
+  const x = resolve_length(params.x, width, width / 2);
+  const y = resolve_length(params.y, height, height / 2);
+  apply_animation_state(ctx, state, x, y);
+  
+  // Lay out the text block (sets ctx.font to the fitted size)
+  const block = fit_text_block(ctx, text, {
+    font_size,
+    font: (size) => `bold ${size}px ${font_family}`,
+    max_width: resolve_length(params.maxwidth, width, width * 0.9),
+    max_height: height * 0.9,
+    line_height: parseFloat(params.lineheight) || DEFAULT_LINE_HEIGHT,
+    max_lines: parseInt(params.maxlines) || null,
+    shrink: params.fit === 'shrink',
+  });
   ctx.textAlign = align;
   ctx.textBaseline = 'middle';
   
@@ -131,21 +265,45 @@ export function render_text_element(render_ctx, manifest, frame_progress = 1) {
   ctx.shadowOffsetX = 2;
   ctx.shadowOffsetY = 2;
   
-  // Draw text
-  ctx.fillStyle = text_color;
-  ctx.fillText(text, x, y);
+  // Wipe: reveal the block left to right
+  const block_left = aligned_left(x, block.width, align);
+  if (state.wipe < 1) {
+    ctx.beginPath();
+    ctx.rect(block_left, 0, block.width * Math.max(0, state.wipe), height);
+    ctx.clip();
+  }
   
-  // Accent underline
+  // Draw lines, the block centered vertically on y. A typewriter keeps each
+  // line where its full text would sit, so typing never shifts it.
+  const first_y = y - ((block.lines.length - 1) * block.line_height) / 2;
+  const total_chars = block.lines.reduce((sum, line) => sum + [...line].length, 0);
+  let typed_chars = Math.floor(total_chars * Math.min(1, Math.max(0, state.typed)));
+  ctx.fillStyle = text_color;
+  block.lines.forEach((line, i) => {
+    const line_y = first_y + i * block.line_height;
+    const shown = state.count < 1 ? count_up_text(line, state.count) : line;
+    
+    if (state.typed >= 1) {
+      ctx.fillText(shown, x, line_y);
+      return;
+    }
+    
+    const visible = [...shown].slice(0, typed_chars).join('');
+    typed_chars = Math.max(0, typed_chars - [...shown].length);
+    ctx.textAlign = 'left';
+    ctx.fillText(visible, aligned_left(x, ctx.measureText(shown).width, align), line_y);
+    ctx.textAlign = align;
+  });
+  
+  // Accent underline, spanning the widest line below the last one
   if (params.underline === 'true') {
-    const metrics = ctx.measureText(text);
-    const text_width = metrics.width;
-    const underline_y = y + font_size / 2 + 5;
+    const underline_y = first_y + (block.lines.length - 1) * block.line_height + block.font_size / 2 + 5;
     
     ctx.strokeStyle = palette.accent;
     ctx.lineWidth = 3;
     ctx.beginPath();
-    ctx.moveTo(x - text_width / 2, underline_y);
-    ctx.lineTo(x + text_width / 2, underline_y);
+    ctx.moveTo(block_left, underline_y);
+    ctx.lineTo(block_left + block.width * Math.min(1, Math.max(0, state.typed)), underline_y);
     ctx.stroke();
   }
   
@@ -153,87 +311,163 @@ export function render_text_element(render_ctx, manifest, frame_progress = 1) {
 }
 
 /**
- * Render shape element (circle, rectangle, etc.)
+ * Render footer line (a brand kit's mandatory footer, or footer=)
+ */
+export function render_footer_element(render_ctx, manifest) {
+  const { ctx, width, height } = render_ctx;
+  const { palette, params } = manifest;
+  
+  if (!params.footer) return;
+  
+  const font_size = Math.max(10, Math.floor(height / 28));
+  
+  ctx.save();
+  ctx.font = `${font_size}px ${params.font || 'Arial, sans-serif'}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = params.color || palette.text;
+  ctx.globalAlpha = 0.8;
+  ctx.fillText(params.footer, width / 2, height - font_size);
+  ctx.restore();
+}
+
+/**
+ * Render shape element (any registered shape, see shapes.js)
  */
 export function render_shape_element(render_ctx, manifest, frame_progress = 1) {
   const { ctx, width, height } = render_ctx;
   const { palette, params } = manifest;
   
-  const shape = params.shape;
+  // path= alone draws the path
+  const shape = get_shape(params.shape || (params.path ? 'path' : null));
   if (!shape) return;
   
   const fill = params.fill || palette.accent;
   const stroke = params.stroke || 'transparent';
-  const stroke_width = parseInt(params.strokewidth) || 2;
-  
-  // Animation
-  const animate = params.animate || 'none';
-  let scale = 1;
-  let alpha = 1;
-  
-  switch (animate) {
-    case 'grow':
-      scale = frame_progress;
-      alpha = frame_progress;
-      break;
-    case 'pulse':
-      scale = 1 + 0.15 * Math.sin(frame_progress * Math.PI * 2);
-      break;
-    case 'fadeIn':
-      alpha = frame_progress;
-      break;
-  }
+  // strokewidth=0 draws no outline (and no line for stroke-only shapes)
+  const parsed_stroke_width = parseInt(params.strokewidth);
+  const stroke_width = Number.isNaN(parsed_stroke_width) ? 2 : parsed_stroke_width;
+  
+  const state = animation_state(params.animate, frame_progress, { type: 'shape', width, height });
   
   ctx.save();
-  ctx.globalAlpha = alpha;
   
-  // Position (default center)
-  let cx = width / 2;
-  let cy = height / 2;
+  // Position (default center) and size: width/height override size, the
+  // height defaults to the shape's aspect of the width
+  const cx = resolve_length(params.x, width, width / 2);
+  const cy = resolve_length(params.y, height, height / 2);
+  const size = parseInt(params.size) || Math.min(width, height) * 0.3;
+  const shape_width = parseFloat(params.width) || size;
+  const shape_height = parseFloat(params.height) || shape_width * shape.aspect;
   
-  if (params.x) {
-    cx = params.x.endsWith('%') ? (parseFloat(params.x) / 100) * width : parseFloat(params.x);
-  }
-  if (params.y) {
-    cy = params.y.endsWith('%') ? (parseFloat(params.y) / 100) * height : parseFloat(params.y);
+  apply_animation_state(ctx, state, cx, cy);
+  ctx.translate(cx, cy);
+  
+  // Wipe: reveal the shape left to right (the stroke included, whatever the rotation)
+  if (state.wipe < 1) {
+    const extent = Math.hypot(shape_width, shape_height) / 2 + stroke_width;
+    ctx.beginPath();
+    ctx.rect(-extent, -extent, 2 * extent * Math.max(0, state.wipe), 2 * extent);
+    ctx.clip();
   }
   
-  // Size
-  const size = parseInt(params.size) || Math.min(width, height) * 0.3;
+  ctx.rotate(((parseFloat(params.rotation) || 0) * Math.PI) / 180);
   
-  ctx.translate(cx, cy);
-  ctx.scale(scale, scale);
+  ctx.beginPath();
+  shape.trace(ctx, {
+    width: shape_width,
+    height: shape_height,
+    params: resolve_shape_params(shape, params),
+    path: params.path,
+  });
   
-  ctx.fillStyle = fill;
-  ctx.strokeStyle = stroke;
   ctx.lineWidth = stroke_width;
+  if (shape.stroke_only) {
+    // Lines are drawn in the stroke color, else the fill
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = stroke !== 'transparent' ? stroke : fill;
+    if (stroke_width > 0) ctx.stroke();
+  } else {
+    ctx.fillStyle = fill;
+    ctx.fill();
+    if (stroke !== 'transparent' && stroke_width > 0) {
+      ctx.strokeStyle = stroke;
+      ctx.stroke();
+    }
+  }
   
-  switch (shape) {
-    case 'circle':
-      ctx.beginPath();
-      ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-      ctx.fill();
-      if (stroke !== 'transparent') ctx.stroke();
-      break;
-      
-    case 'rectangle':
-    case 'rect':
-      ctx.fillRect(-size / 2, -size / 2, size, size);
-      if (stroke !== 'transparent') ctx.strokeRect(-size / 2, -size / 2, size, size);
-      break;
-      
-    case 'triangle':
-      const h = size * (Math.sqrt(3) / 2);
-      ctx.beginPath();
-      ctx.moveTo(0, -h / 2);
-      ctx.lineTo(-size / 2, h / 2);
-      ctx.lineTo(size / 2, h / 2);
-      ctx.closePath();
-      ctx.fill();
-      if (stroke !== 'transparent') ctx.stroke();
-      break;
+  ctx.restore();
+}
+
+/**
+ * Where an image of a given size lands in its box
+ * 
+ * @returns {object} { source: [sx, sy, sw, sh], target: [dx, dy, dw, dh] } for drawImage
+ */
+function fit_image_box(image_width, image_height, box_width, box_height, fit) {
+  const full = [0, 0, image_width, image_height];
+  const box = [-box_width / 2, -box_height / 2, box_width, box_height];
+  
+  if (fit === 'stretch') return { source: full, target: box };
+  
+  if (fit === 'cover') {
+    // Crop the image's middle to the box's aspect
+    const scale = Math.max(box_width / image_width, box_height / image_height);
+    const [sw, sh] = [box_width / scale, box_height / scale];
+    return { source: [(image_width - sw) / 2, (image_height - sh) / 2, sw, sh], target: box };
   }
   
+  // contain: the whole image, letterboxed
+  const scale = Math.min(box_width / image_width, box_height / image_height);
+  const [dw, dh] = [image_width * scale, image_height * scale];
+  return { source: full, target: [-dw / 2, -dh / 2, dw, dh] };
+}
+
+/**
+ * Render image element (the logo or an image layer)
+ * 
+ * The box is width x height (default 20% of the shorter canvas side, square);
+ * with only one of them the other follows the image's aspect. fit=contain
+ * (default) letterboxes, cover crops, stretch distorts. Images not loaded
+ * into the render context are skipped.
+ */
+export function render_image_element(render_ctx, manifest, frame_progress = 1) {
+  const { ctx, width, height, images } = render_ctx;
+  const { params } = manifest;
+  
+  const image = images.get(resolve_image_source(params.image, manifest));
+  if (!image) return;
+  
+  const state = animation_state(params.animate, frame_progress, { type: 'image', width, height });
+  
+  ctx.save();
+  
+  const cx = resolve_length(params.x, width, width / 2);
+  const cy = resolve_length(params.y, height, height / 2);
+  const aspect = image.width / image.height;
+  const default_side = Math.min(width, height) * 0.2;
+  
+  let box_width = parseFloat(params.width) || null;
+  let box_height = parseFloat(params.height) || null;
+  if (!box_width && !box_height) [box_width, box_height] = [default_side, default_side];
+  box_width ??= box_height * aspect;
+  box_height ??= box_width / aspect;
+  
+  const opacity = parseFloat(params.opacity);
+  ctx.globalAlpha *= Number.isNaN(opacity) ? 1 : Math.min(1, Math.max(0, opacity));
+  apply_animation_state(ctx, state, cx, cy);
+  ctx.translate(cx, cy);
+  
+  // Wipe: reveal the image left to right
+  if (state.wipe < 1) {
+    ctx.beginPath();
+    ctx.rect(-box_width / 2, -box_height / 2, box_width * Math.max(0, state.wipe), box_height);
+    ctx.clip();
+  }
+  
+  const { source, target } = fit_image_box(image.width, image.height, box_width, box_height, params.fit || 'contain');
+  ctx.drawImage(image, ...source, ...target);
+  
   ctx.restore();
 }
 
@@ -250,6 +484,7 @@ export function render_particles(render_ctx, manifest, frame_progress = 1) {
   const particle_count = 20;
   
   ctx.save();
+  const base_alpha = ctx.globalAlpha;
   
   for (let i = 0; i < particle_count; i++) {
     // Deterministic "random" positions based on index
@@ -265,7 +500,7 @@ export function render_particles(render_ctx, manifest, frame_progress = 1) {
     const alpha = 0.3 + 0.7 * Math.max(0, twinkle);
     const size = 2 + 4 * Math.max(0, twinkle);
     
-    ctx.globalAlpha = alpha;
+    ctx.globalAlpha = base_alpha * alpha;
     ctx.fillStyle = palette.accent;
     ctx.beginPath();
     ctx.arc(x, y, size, 0, Math.PI * 2);
@@ -275,31 +510,159 @@ export function render_particles(render_ctx, manifest, frame_progress = 1) {
   ctx.restore();
 }
 
+// How each layer type draws (see build_layer_stack for the stack order)
+const LAYER_RENDERERS = {
+  background: clear_canvas_with_background,
+  decorations: render_decorations,
+  particles: render_particles,
+  shape: render_shape_element,
+  text: render_text_element,
+  image: render_image_element,
+  footer: render_footer_element,
+};
+
+// Layers that follow their own timeline (delay, duration, ease, keyframes);
+// the background, decorations and footer run on the clip
+const TIMED_LAYER_TYPES = ['particles', 'shape', 'text', 'image'];
+
+// Frame rate of animated clips, and the most frames a clip gets
+const ANIMATION_FRAME_DELAY = 50;
+const MAX_ANIMATION_FRAMES = 120;
+
+/**
+ * Apply a layer's keyframe state: opacity, then translate, rotate and scale
+ * about the element's anchor (its x/y, default the canvas center)
+ */
+function apply_keyframe_state(render_ctx, params, state) {
+  const { ctx, width, height } = render_ctx;
+  const anchor_x = resolve_length(params.x, width, width / 2);
+  const anchor_y = resolve_length(params.y, height, height / 2);
+  
+  apply_animation_state(ctx, {
+    ...ANIMATION_REST_STATE,
+    alpha: state.opacity,
+    scale: state.scale,
+    rotate: state.rotate,
+    offset_x: state.x,
+    offset_y: state.y,
+  }, anchor_x, anchor_y);
+}
+
+/**
+ * Draw layers bottom to top at a point in the clip
+ * 
+ * Text, shape, image and particle layers get their own progress from the timeline.
+ */
+function render_layers(render_ctx, manifest, layers, frame_progress) {
+  const clip_ms = timeline_duration(layers.filter(layer => TIMED_LAYER_TYPES.includes(layer.type)));
+  
+  for (const layer of layers) {
+    const layer_manifest = layer.params === manifest.params ? manifest : { ...manifest, params: layer.params };
+    if (!TIMED_LAYER_TYPES.includes(layer.type)) {
+      LAYER_RENDERERS[layer.type](render_ctx, layer_manifest, frame_progress);
+      continue;
+    }
+    
+    const progress = element_progress(layer.params, frame_progress, clip_ms);
+    const keyframes = parse_keyframes(layer.params.keyframes) || [];
+    
+    render_ctx.ctx.save();
+    if (keyframes.length > 0) apply_keyframe_state(render_ctx, layer.params, sample_keyframes(keyframes, progress));
+    LAYER_RENDERERS[layer.type](render_ctx, layer_manifest, progress);
+    render_ctx.ctx.restore();
+  }
+}
+
 /**
  * Render a single frame from manifest
+ * 
+ * Draws the layer stack bottom to top; each layer renders with its own params.
+ * The classic stack is background → decorations → particles → shape → text → logo → footer.
+ * 
+ * @param {number} frame_progress - 0..1 through the clip
  */
 export function render_frame_from_manifest(render_ctx, manifest, frame_progress = 1) {
-  // 1. Clear and draw background
-  clear_canvas_with_background(render_ctx, manifest);
+  render_layers(render_ctx, manifest, build_layer_stack(manifest), frame_progress);
+}
+
+// Classic layers a zone layout draws itself (its footer zone stands in for footer=)
+const ZONE_DRAWN_LAYERS = ['background', 'decorations', 'text', 'footer'];
+
+/**
+ * Draw the rest of a zone layout's layer stack over its zones: the logo,
+ * shape=, sparkle and indexed layers, each at rest (zoned frames are static)
+ */
+function render_zone_overlay(render_ctx, manifest) {
+  const layers = build_layer_stack(manifest)
+    .filter(layer => layer.index !== null || !ZONE_DRAWN_LAYERS.includes(layer.type));
+  render_layers(render_ctx, manifest, layers, 1);
+}
+
+/**
+ * Whether a layer moves, and whether that motion loops: an animation
+ * registered with loop, or a moving background (whole turns of flow=)
+ *
+ * @returns {object} { moves, loops }
+ */
+function layer_motion(layer) {
+  const { params } = layer;
   
-  // 2. Render particles (behind text)
-  render_particles(render_ctx, manifest, frame_progress);
+  if (layer.type === 'background') {
+    const moves = is_field_animated(params) || is_gradient_animated(params);
+    const flow = parseFloat(params.flow);
+    return { moves, loops: Number.isNaN(flow) || Number.isInteger(flow) };
+  }
   
-  // 3. Render shape (if specified)
-  render_shape_element(render_ctx, manifest, frame_progress);
+  const keyframed = TIMED_LAYER_TYPES.includes(layer.type) && Boolean(params.keyframes);
+  const animated = Boolean(params.animate) && params.animate !== 'none';
+  return {
+    moves: keyframed || animated,
+    loops: !keyframed && (!animated || Boolean(get_animation(params.animate)?.loop)),
+  };
+}
+
+/**
+ * Determine frame count and delay for a manifest
+ * 
+ * Static manifests collapse to a single frame. Animated ones (any layer
+ * animates or has keyframes, or the background moves) run at 20fps for the timeline's length: 30
+ * frames by default, more when delays and durations need longer (capped at
+ * MAX_ANIMATION_FRAMES, with a longer frame delay past that). A clip whose
+ * every motion loops (is_loop) ends one step short of where it starts.
+ */
+export function determine_frame_plan(manifest) {
+  const layers = build_layer_stack(manifest);
+  const motions = layers.map(layer_motion);
+  const is_animated = motions.some(motion => motion.moves);
+  
+  if (!is_animated) {
+    return { is_animated, is_loop: false, frame_count: 1, frame_delay: 0 };
+  }
   
-  // 4. Render text
-  render_text_element(render_ctx, manifest, frame_progress);
+  const clip_ms = timeline_duration(layers.filter(layer => TIMED_LAYER_TYPES.includes(layer.type)));
+  const frame_count = Math.min(MAX_ANIMATION_FRAMES, Math.round(clip_ms / ANIMATION_FRAME_DELAY));
+  
+  return {
+    is_animated,
+    is_loop: motions.every(motion => !motion.moves || motion.loops),
+    frame_count,
+    frame_delay: Math.round(clip_ms / frame_count),  // 50ms = 20fps
+  };
 }
 
 /**
  * Generate all frames for animation
+ * 
+ * Progress runs 0..1 inclusive, so the last frame shows where the motion
+ * ends; a looping clip stops at (n-1)/n instead, since its progress 1 is
+ * the first frame again.
  */
 export function generate_animation_frames(render_ctx, manifest, frame_count = 30) {
   const frames = [];
+  const step = determine_frame_plan(manifest).is_loop ? frame_count : frame_count - 1;
   
   for (let i = 0; i < frame_count; i++) {
-    const progress = i / (frame_count - 1);
+    const progress = step > 0 ? i / step : 1;
     render_frame_from_manifest(render_ctx, manifest, progress);
     
     // Capture frame data
@@ -308,3 +671,90 @@ export function generate_animation_frames(render_ctx, manifest, frame_count = 30
   
   return frames;
 }
+
+/**
+ * Generate frames for a multi-frame sequence (Mode 2)
+ * 
+ * Each sequence entry becomes one segment rendered with its own text.
+ * A segment's frames share the entry's timing, so a static segment is
+ * one frame held for the whole entry.
+ * 
+ * @param {number|null} frame_delay - Show every frame this long (ms) instead of its share of the timing
+ * @returns {object} { frames, delays } - delays[i] is the display time of frames[i] in ms
+ */
+export function generate_sequence_frames(render_ctx, manifest, frames_per_segment = null, frame_delay = null) {
+  const segment_frame_count = frames_per_segment ?? determine_frame_plan(manifest).frame_count;
+  const frames = [];
+  const delays = [];
+  
+  for (const entry of manifest.sequence) {
+    const segment_manifest = {
+      ...manifest,
+      params: { ...manifest.params, text: entry.text },
+    };
+    
+    const segment_frames = generate_animation_frames(render_ctx, segment_manifest, segment_frame_count);
+    
+    for (const frame of segment_frames) {
+      frames.push(frame);
+      delays.push(frame_delay ?? entry.timing / segment_frame_count);
+    }
+  }
+  
+  return { frames, delays };
+}
+
+/**
+ * Generate every frame the manifest describes: zone layout, sequence or single text
+ * 
+ * simulate=<deficiency> transforms the finished frames, so the GIF previews
+ * how it looks with that color vision deficiency.
+ * 
+ * @param {object} overrides - Optional { frame_count, frame_delay }; a zone layout
+ *   takes only frame_delay (it has one frame per content item)
+ * @returns {object} { frames, delays, is_animated }
+ */
+export function generate_manifest_frames(render_ctx, manifest, overrides = {}) {
+  const result = generate_mode_frames(render_ctx, manifest, overrides);
+  
+  const simulate = manifest.params.simulate;
+  if (simulate && simulate !== 'none') {
+    simulate_frames(result.frames, simulate);
+  }
+  
+  return result;
+}
+
+/**
+ * Render the frames of the manifest's mode (zones, sequence or single text)
+ */
+function generate_mode_frames(render_ctx, manifest, overrides) {
+  const plan = determine_frame_plan(manifest);
+  const frame_count = overrides.frame_count ?? plan.frame_count;
+  
+  if (manifest.layout === 'zones') {
+    const zoned = generate_zoned_frames(render_ctx, manifest, {
+      background: clear_canvas_with_background,
+      overlay: render_zone_overlay,
+    }, overrides.frame_delay);
+    return {
+      ...zoned,
+      is_animated: zoned.frames.length > 1,
+    };
+  }
+  
+  if (manifest.sequence) {
+    return {
+      ...generate_sequence_frames(render_ctx, manifest, overrides.frame_count, overrides.frame_delay),
+      is_animated: true,
+    };
+  }
+  
+  const frame_delay = overrides.frame_delay ?? plan.frame_delay;
+  
+  return {
+    frames: generate_animation_frames(render_ctx, manifest, frame_count),
+    delays: new Array(frame_count).fill(frame_delay),
+    is_animated: plan.is_animated,
+  };
+}
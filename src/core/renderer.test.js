@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas } from '@napi-rs/canvas';
+import {
+  create_render_context, generate_manifest_frames, determine_frame_plan,
+  animation_state, register_animation, get_animation, list_animations,
+} from './renderer.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+
+const render = (command, overrides) => {
+  const manifest = parse_command_string_into_manifest(command);
+  const render_ctx = create_render_context(createCanvas(manifest.canvas.width, manifest.canvas.height));
+  return generate_manifest_frames(render_ctx, manifest, overrides);
+};
+
+const TEXT = { type: 'text', width: 400, height: 400 };
+
+describe('animation presets', () => {
+  it('registers every built-in preset', () => {
+    expect(list_animations().map(animation => animation.name)).toEqual(expect.arrayContaining([
+      'none', 'fadeIn', 'fadeOut', 'pulse', 'grow', 'sparkle', 'slide',
+      'typewriter', 'bounce', 'rotate', 'shake', 'wipe', 'blurIn', 'countUp',
+    ]));
+  });
+
+  it('starts each reveal hidden and ends at rest', () => {
+    const rest = animation_state('none', 1, TEXT);
+    const reveals = {
+      fadeIn: { alpha: 0 },
+      typewriter: { typed: 0 },
+      wipe: { wipe: 0 },
+      blurIn: { blur: 12 },
+      countUp: { count: 0 },
+      slide: { offset_y: 120 },
+      bounce: { offset_y: -160 },
+    };
+
+    for (const [name, start] of Object.entries(reveals)) {
+      expect(animation_state(name, 0, TEXT)).toMatchObject(start);
+      // bounce settles at -0, which toEqual tells apart from 0
+      for (const [key, value] of Object.entries(animation_state(name, 1, TEXT))) expect(value).toBeCloseTo(rest[key], 10);
+    }
+  });
+
+  it('settles a shake and returns a loop to where it started', () => {
+    expect(animation_state('shake', 1, TEXT).offset_x).toBeCloseTo(0, 10);
+    expect(animation_state('shake', 0.1, TEXT).offset_x).not.toBeCloseTo(0, 1);
+    expect(animation_state('rotate', 0.5, TEXT).rotate).toBe(180);
+    expect(animation_state('pulse', 1, TEXT).scale).toBeCloseTo(animation_state('pulse', 0, TEXT).scale, 10);
+  });
+
+  it('leaves an element at rest for an unknown name', () => {
+    expect(animation_state('nope', 0, TEXT)).toEqual(animation_state('none', 0, TEXT));
+  });
+});
+
+describe('register_animation', () => {
+  it('makes a new preset valid in commands', () => {
+    register_animation({ name: 'test-sway', loop: true, apply: (progress) => ({ rotate: 10 * Math.sin(progress * Math.PI * 2) }) });
+    expect(get_animation('test-sway')).toMatchObject({ name: 'test-sway', loop: true });
+
+    const result = get_validated_manifest_or_ground_state(parse_command_string_into_manifest('text=Hi|animate=test-sway'));
+    expect(result.valid).toBe(true);
+  });
+
+  it('rejects duplicates and definitions without apply', () => {
+    expect(() => register_animation({ name: 'fadeIn', apply: () => ({}) })).toThrow('already registered');
+    expect(() => register_animation({ name: 'test-broken' })).toThrow('requires an apply function');
+  });
+
+  it('leaves unregistered names to the validator', () => {
+    const result = get_validated_manifest_or_ground_state(parse_command_string_into_manifest('text=Hi|animate=spinny'));
+    expect(result.repairs).toEqual([expect.objectContaining({ key: 'animate', action: 'dropped' })]);
+  });
+});
+
+describe('generate_manifest_frames', () => {
+  it('holds each static sequence entry for its timing', () => {
+    const { frames, delays, is_animated } = render('sequence=One~Two~Three|timing=1s~500ms|canvas=100x100');
+    expect(frames).toHaveLength(3);
+    expect(delays).toEqual([1000, 500, 500]);
+    expect(is_animated).toBe(true);
+  });
+
+  it('splits an animated entry into frames that share its timing', () => {
+    const { frames, delays } = render('sequence=One~Two|timing=1s|animate=fadeIn|canvas=100x100', { frame_count: 4 });
+    expect(frames).toHaveLength(8);
+    expect(delays).toEqual(new Array(8).fill(250));
+  });
+
+  it('shows every sequence frame for frame_delay when given', () => {
+    expect(render('sequence=One~Two|timing=1s|canvas=100x100', { frame_delay: 120 }).delays).toEqual([120, 120]);
+  });
+
+  it('renders each entry with its own text', () => {
+    const { frames } = render('sequence=One~Two|canvas=100x100');
+    expect(frames[0].data).not.toEqual(frames[1].data);
+  });
+
+  it('draws shapes and indexed layers over a zone layout', () => {
+    const zones = 'header=Acme|content=Fast~Secure|canvas=120x200';
+    const [plain] = render(zones).frames;
+
+    expect(render(`${zones}|shape=circle|fill=#ff0000`).frames[0].data).not.toEqual(plain.data);
+    expect(render(`${zones}|layer1.shape=star|layer1.fill=#00ff00`).frames[0].data).not.toEqual(plain.data);
+  });
+});
+
+describe('determine_frame_plan', () => {
+  const plan = (command) => determine_frame_plan(parse_command_string_into_manifest(command));
+
+  it('collapses a static manifest to one frame', () => {
+    expect(plan('text=Hi')).toEqual({ is_animated: false, is_loop: false, frame_count: 1, frame_delay: 0 });
+  });
+
+  it('runs an animated clip at 20fps and marks loops', () => {
+    expect(plan('text=Hi|animate=fadeIn')).toMatchObject({ is_animated: true, is_loop: false, frame_count: 30, frame_delay: 50 });
+    expect(plan('text=Hi|animate=rotate')).toMatchObject({ is_animated: true, is_loop: true });
+    expect(plan('text=Hi|animate=pulse|bg=linear|bgmotion=shift')).toMatchObject({ is_loop: true });
+    expect(plan('text=Hi|animate=pulse|layer1.text=Sale|layer1.animate=slide')).toMatchObject({ is_loop: false });
+    expect(plan('text=Hi|keyframes=opacity(0)')).toMatchObject({ is_animated: true, frame_count: 30 });
+  });
+
+  it('lengthens the clip for delays and durations, up to 120 frames', () => {
+    expect(plan('layer1.text=A|layer1.keyframes=scale(0)|layer1.delay=1.2s|layer1.duration=1s')).toMatchObject({ frame_count: 44, frame_delay: 50 });
+    expect(plan('text=Hi|animate=fadeIn|delay=10s|duration=10s')).toMatchObject({ frame_count: 120, frame_delay: 167 });
+  });
+});
+
+describe('looping clips', () => {
+  it('does not repeat the first frame at the seam', () => {
+    const { frames } = render('text=Hi|bg=solid|canvas=100x100|animate=rotate', { frame_count: 4 });
+    expect(frames.at(-1).data).not.toEqual(frames[0].data);
+  });
+});
+
+describe('element timelines', () => {
+  it('holds a delayed element at its start until the delay has passed', () => {
+    const { frames } = render('text=Hi|bg=solid|canvas=100x100|animate=fadeIn|delay=1s|duration=250ms');
+
+    expect(frames[10].data).toEqual(frames[0].data);
+    expect(frames.at(-1).data).not.toEqual(frames[0].data);
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * SHAPE REGISTRY
+ * ===============
+ *
+ * Outlines the shape element (and shape layers) can draw.
+ *
+ * Input: "shape=star|points=6|inner=0.4|width=300|rotation=15"
+ * Output: the outline traced about the element's center, then filled and stroked
+ *
+ * Every shape declares:
+ *   - params: which scalars it reads, with defaults and valid ranges
+ *   - aspect: height as a fraction of width when only size/width is given
+ *   - stroke_only: drawn as a stroke (lines) instead of filled
+ *   - trace:  the outline, as a path on ctx centered at (0, 0)
+ *
+ * path=<d> traces an SVG path in a viewBox of 0..viewbox (default 100)
+ * stretched over the shape's width and height.
+ *
+ * ITT Interpretation:
+ *   A shape is a closed ∇²Φ boundary; its params unfurl the boundary from a
+ *   handful of scalars (points, sides, inner radius)
+ */
+
+import { create_param_registry } from './param-registry.js';
+
+// Shared scalar parameters (README: Shape Parameters)
+export const SHAPE_PARAMETERS = {
+  points:  { default: 5,   min: 3,    max: 24 },
+  inner:   { default: 0.5, min: 0.05, max: 0.95 },
+  sides:   { default: 6,   min: 3,    max: 24 },
+  corner:  { default: 16,  min: 0,    max: 1000 },
+  viewbox: { default: 100, min: 1,    max: 10000 },
+};
+
+// Longest path= the parser accepts
+export const SVG_PATH_MAX_LENGTH = 2000;
+
+// Values each SVG path command takes
+const SVG_COMMAND_ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+const SVG_TOKEN_PATTERN = /([MLHVCSQTAZ])|([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)/gi;
+
+const REGISTRY = create_param_registry('Shape', SHAPE_PARAMETERS);
+const shared_parameters = REGISTRY.shared_parameters;
+
+// ============================================================================
+// REGISTRY API
+// ============================================================================
+
+/**
+ * Register a shape
+ *
+ * @param {object} definition - { name, params, aspect, stroke_only, trace }
+ *   params: { [name]: { default, min, max } } - scalars read from the command
+ *   trace(ctx, box): box = { width, height, params, path } - add the outline
+ *   to the current path, centered at (0, 0)
+ * @returns {object} The registered definition
+ */
+export function register_shape(definition) {
+  return REGISTRY.register(definition, (name) => {
+    const { params = {}, aspect = 1, stroke_only = false, trace } = definition;
+
+    if (!(aspect >= 0)) {
+      throw new Error(`Shape ${name} has invalid aspect: ${aspect}`);
+    }
+    if (typeof trace !== 'function') {
+      throw new Error(`Shape ${name} requires a trace function`);
+    }
+
+    return { name, params, aspect, stroke_only, trace };
+  });
+}
+
+/**
+ * Look up a registered shape by name
+ */
+export function get_shape(name) {
+  return REGISTRY.get(name);
+}
+
+/**
+ * List registered shapes in registration order
+ */
+export function list_shapes() {
+  return REGISTRY.list();
+}
+
+/**
+ * Spec of a shape param by its (lowercased) key, registered shapes included
+ *
+ * @returns {object|null} { default, min, max }
+ */
+export function find_shape_param(key) {
+  return REGISTRY.find_param(key);
+}
+
+/**
+ * Every shape param key, shared and registered (lowercased)
+ */
+export function list_shape_params() {
+  return REGISTRY.list_params();
+}
+
+/**
+ * Resolve a shape's declared params from manifest params (missing → default)
+ */
+export function resolve_shape_params(shape, params) {
+  return REGISTRY.resolve_params(shape, params);
+}
+
+// ============================================================================
+// SVG PATHS
+// ============================================================================
+
+/**
+ * Parse an SVG path (the d attribute) into absolute segments
+ *
+ * Relative commands are made absolute and the shorthands expanded:
+ * H/V → L, S → C, T → Q. Arcs stay arcs.
+ *
+ * @param {string} d - e.g. "M10 10 h80 v80 h-80 Z"
+ * @returns {object[]|null} [{ command: 'M'|'L'|'C'|'Q'|'A'|'Z', values }], or null if invalid
+ */
+export function parse_svg_path(d) {
+  if (!d || d.length > SVG_PATH_MAX_LENGTH) return null;
+
+  // Every character must be a command, a number or a separator
+  if (d.replace(SVG_TOKEN_PATTERN, '').replace(/[\s,]/g, '') !== '') return null;
+  const tokens = [...d.matchAll(SVG_TOKEN_PATTERN)].map(([, command, number]) => command ?? Number(number));
+  if (typeof tokens[0] !== 'string' || tokens[0].toUpperCase() !== 'M') return null;
+
+  const segments = [];
+  let [x, y, start_x, start_y] = [0, 0, 0, 0];
+  let control = null;   // Last curve's control point { curve, x, y }, for S and T reflections
+  let i = 0;
+
+  while (i < tokens.length) {
+    const letter = tokens[i++];
+    if (typeof letter !== 'string') return null;
+
+    const upper = letter.toUpperCase();
+    const relative = letter !== upper;
+    const arity = SVG_COMMAND_ARITY[upper];
+
+    if (arity === 0) {
+      segments.push({ command: 'Z', values: [] });
+      [x, y, control] = [start_x, start_y, null];
+      continue;
+    }
+
+    // A command repeats while numbers follow (a repeated M is a lineto)
+    let first = true;
+    do {
+      const values = tokens.slice(i, i + arity);
+      if (values.length < arity || values.some(value => typeof value !== 'number')) return null;
+      i += arity;
+
+      const [dx, dy] = relative ? [x, y] : [0, 0];
+      const point = (px, py) => [px + dx, py + dy];
+      // S reflects a C/S control point, T a Q/T one; otherwise the current point
+      const reflect = (curve) => (control?.curve === curve ? [2 * x - control.x, 2 * y - control.y] : [x, y]);
+
+      switch (upper) {
+        case 'M':
+          [x, y] = point(values[0], values[1]);
+          segments.push({ command: first ? 'M' : 'L', values: [x, y] });
+          if (first) [start_x, start_y] = [x, y];
+          control = null;
+          break;
+        case 'L':
+        case 'H':
+        case 'V':
+          if (upper === 'L') [x, y] = point(values[0], values[1]);
+          if (upper === 'H') x = values[0] + dx;
+          if (upper === 'V') y = values[0] + dy;
+          segments.push({ command: 'L', values: [x, y] });
+          control = null;
+          break;
+        case 'C':
+        case 'S': {
+          const [c1, c2, end] = upper === 'C'
+            ? [point(values[0], values[1]), point(values[2], values[3]), point(values[4], values[5])]
+            : [reflect('C'), point(values[0], values[1]), point(values[2], values[3])];
+          segments.push({ command: 'C', values: [...c1, ...c2, ...end] });
+          control = { curve: 'C', x: c2[0], y: c2[1] };
+          [x, y] = end;
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          const [c, end] = upper === 'Q'
+            ? [point(values[0], values[1]), point(values[2], values[3])]
+            : [reflect('Q'), point(values[0], values[1])];
+          segments.push({ command: 'Q', values: [...c, ...end] });
+          control = { curve: 'Q', x: c[0], y: c[1] };
+          [x, y] = end;
+          break;
+        }
+        case 'A': {
+          const [rx, ry, rotation, large_arc, sweep] = values;
+          const end = point(values[5], values[6]);
+          segments.push({ command: 'A', values: [x, y, Math.abs(rx), Math.abs(ry), rotation, large_arc ? 1 : 0, sweep ? 1 : 0, ...end] });
+          [x, y] = end;
+          control = null;
+          break;
+        }
+        default:
+          return null;
+      }
+      first = false;
+    } while (typeof tokens[i] === 'number');
+  }
+
+  return segments;
+}
+
+/**
+ * Add an SVG arc to the path (endpoint → center parameterization, SVG spec F.6.5)
+ */
+function trace_svg_arc(ctx, [x1, y1, rx, ry, rotation, large_arc, sweep, x2, y2]) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+    ctx.lineTo(x2, y2);
+    return;
+  }
+
+  const phi = (rotation * Math.PI) / 180;
+  const [cos, sin] = [Math.cos(phi), Math.sin(phi)];
+  const x1p = cos * (x1 - x2) / 2 + sin * (y1 - y2) / 2;
+  const y1p = -sin * (x1 - x2) / 2 + cos * (y1 - y2) / 2;
+
+  // Radii too small to reach the endpoint are scaled up
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) [rx, ry] = [rx * Math.sqrt(lambda), ry * Math.sqrt(lambda)];
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (large_arc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = coefficient * (rx * y1p) / ry;
+  const cyp = coefficient * -(ry * x1p) / rx;
+
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+  const start = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+  const end = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx);
+
+  ctx.ellipse(cx, cy, rx, ry, phi, start, end, !sweep);
+}
+
+/**
+ * Add parsed SVG path segments to the path
+ */
+export function trace_svg_path(ctx, segments) {
+  for (const { command, values } of segments) {
+    switch (command) {
+      case 'M': ctx.moveTo(...values); break;
+      case 'L': ctx.lineTo(...values); break;
+      case 'C': ctx.bezierCurveTo(...values); break;
+      case 'Q': ctx.quadraticCurveTo(...values); break;
+      case 'A': trace_svg_arc(ctx, values); break;
+      case 'Z': ctx.closePath(); break;
+    }
+  }
+}
+
+// ============================================================================
+// TRACING HELPERS
+// ============================================================================
+
+/**
+ * Closed polygon through points [[x, y], ...]
+ */
+function trace_polygon(ctx, points) {
+  points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.closePath();
+}
+
+/**
+ * Points spaced evenly around an ellipse, the first at the top
+ *
+ * @param {function} radius - i → fraction of the ellipse's radii for point i
+ */
+function ring_points(count, width, height, radius = () => 1) {
+  return Array.from({ length: count }, (_, i) => {
+    const theta = -Math.PI / 2 + (i * 2 * Math.PI) / count;
+    return [(Math.cos(theta) * width / 2) * radius(i), (Math.sin(theta) * height / 2) * radius(i)];
+  });
+}
+
+// ============================================================================
+// BUILT-IN SHAPES
+// ============================================================================
+
+register_shape({
+  name: 'circle',
+  trace: (ctx, { width, height }) => {
+    ctx.arc(0, 0, Math.min(width, height) / 2, 0, Math.PI * 2);
+  },
+});
+
+register_shape({
+  name: 'ellipse',
+  trace: (ctx, { width, height }) => {
+    ctx.ellipse(0, 0, width / 2, height / 2, 0, 0, Math.PI * 2);
+  },
+});
+
+for (const name of ['rectangle', 'rect']) {
+  register_shape({
+    name,
+    trace: (ctx, { width, height }) => {
+      ctx.rect(-width / 2, -height / 2, width, height);
+    },
+  });
+}
+
+register_shape({
+  name: 'roundrect',
+  params: shared_parameters('corner'),
+  trace: (ctx, { width, height, params }) => {
+    const r = Math.min(params.corner, width / 2, height / 2);
+    const [left, top, right, bottom] = [-width / 2, -height / 2, width / 2, height / 2];
+    ctx.moveTo(left + r, top);
+    ctx.arcTo(right, top, right, bottom, r);
+    ctx.arcTo(right, bottom, left, bottom, r);
+    ctx.arcTo(left, bottom, left, top, r);
+    ctx.arcTo(left, top, right, top, r);
+    ctx.closePath();
+  },
+});
+
+register_shape({
+  name: 'triangle',
+  aspect: Math.sqrt(3) / 2,
+  trace: (ctx, { width, height }) => {
+    trace_polygon(ctx, [[0, -height / 2], [-width / 2, height / 2], [width / 2, height / 2]]);
+  },
+});
+
+register_shape({
+  name: 'polygon',
+  params: shared_parameters('sides'),
+  trace: (ctx, { width, height, params }) => {
+    trace_polygon(ctx, ring_points(Math.round(params.sides), width, height));
+  },
+});
+
+register_shape({
+  name: 'star',
+  params: shared_parameters('points', 'inner'),
+  trace: (ctx, { width, height, params }) => {
+    // Alternate outer and inner vertices
+    const vertices = Math.round(params.points) * 2;
+    trace_polygon(ctx, ring_points(vertices, width, height, i => (i % 2 === 0 ? 1 : params.inner)));
+  },
+});
+
+register_shape({
+  name: 'line',
+  aspect: 0,
+  stroke_only: true,
+  trace: (ctx, { width }) => {
+    ctx.moveTo(-width / 2, 0);
+    ctx.lineTo(width / 2, 0);
+  },
+});
+
+register_shape({
+  name: 'arrow',
+  aspect: 0.5,
+  trace: (ctx, { width, height }) => {
+    // Pointing right: a shaft 40% of the height, a head as long as the height
+    const shaft = height * 0.2;
+    const neck = width / 2 - Math.min(height, width / 2);
+    trace_polygon(ctx, [
+      [-width / 2, -shaft], [neck, -shaft], [neck, -height / 2], [width / 2, 0],
+      [neck, height / 2], [neck, shaft], [-width / 2, shaft],
+    ]);
+  },
+});
+
+register_shape({
+  name: 'heart',
+  aspect: 0.9,
+  trace: (ctx, { width, height }) => {
+    const [w, h] = [width / 2, height / 2];
+    ctx.moveTo(0, h);
+    ctx.bezierCurveTo(-w * 0.3, h * 0.7, -w, h * 0.15, -w, -h * 0.4);
+    ctx.bezierCurveTo(-w, -h * 0.85, -w * 0.4, -h * 1.05, 0, -h * 0.6);
+    ctx.bezierCurveTo(w * 0.4, -h * 1.05, w, -h * 0.85, w, -h * 0.4);
+    ctx.bezierCurveTo(w, h * 0.15, w * 0.3, h * 0.7, 0, h);
+    ctx.closePath();
+  },
+});
+
+register_shape({
+  name: 'path',
+  params: shared_parameters('viewbox'),
+  trace: (ctx, { width, height, params, path }) => {
+    const segments = parse_svg_path(path);
+    if (!segments) return;
+
+    // Scale while tracing only, so the stroke keeps its width
+    ctx.save();
+    ctx.translate(-width / 2, -height / 2);
+    ctx.scale(width / params.viewbox, height / params.viewbox);
+    trace_svg_path(ctx, segments);
+    ctx.restore();
+  },
+});
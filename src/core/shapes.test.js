@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas } from '@napi-rs/canvas';
+import { register_shape, get_shape, list_shapes, resolve_shape_params, parse_svg_path, SVG_PATH_MAX_LENGTH } from './shapes.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+import { create_render_context, render_shape_element } from './renderer.js';
+import { build_layer_stack } from './layers.js';
+
+const parse = (command) => parse_command_string_into_manifest(command);
+const validate = (command) => get_validated_manifest_or_ground_state(parse(command));
+
+// RGBA of one pixel after drawing the manifest's shape on a transparent canvas
+const shape_pixel = (command, x, y) => {
+  const manifest = parse(command);
+  const canvas = createCanvas(manifest.canvas.width, manifest.canvas.height);
+  render_shape_element(create_render_context(canvas), manifest);
+  return [...canvas.getContext('2d').getImageData(x, y, 1, 1).data];
+};
+
+describe('shape registry', () => {
+  it('registers the built-in shapes', () => {
+    expect(list_shapes().map(shape => shape.name)).toEqual(expect.arrayContaining([
+      'circle', 'ellipse', 'rectangle', 'rect', 'roundrect', 'triangle', 'polygon', 'star', 'line', 'arrow', 'heart', 'path',
+    ]));
+    expect(get_shape('line')).toMatchObject({ stroke_only: true, aspect: 0 });
+    expect(get_shape('blob')).toBeNull();
+  });
+
+  it('makes a new shape valid in commands and draws it', () => {
+    register_shape({
+      name: 'testDiamond',
+      trace: (ctx, { width, height }) => {
+        ctx.moveTo(0, -height / 2);
+        ctx.lineTo(width / 2, 0);
+        ctx.lineTo(0, height / 2);
+        ctx.lineTo(-width / 2, 0);
+        ctx.closePath();
+      },
+    });
+
+    expect(validate('text=Hi|shape=testDiamond').valid).toBe(true);
+    expect(shape_pixel('shape=testDiamond|size=100|fill=#ff0000|canvas=200x200', 100, 100)).toEqual([255, 0, 0, 255]);
+    expect(shape_pixel('shape=testDiamond|size=100|fill=#ff0000|canvas=200x200', 60, 60)[3]).toBe(0);
+  });
+
+  it('knows the params of shapes registered after import, flat and in layers', () => {
+    register_shape({
+      name: 'testGear',
+      params: { teeth: { default: 8, min: 3, max: 32 } },
+      trace: (ctx, { width, height }) => ctx.rect(-width / 2, -height / 2, width, height),
+    });
+
+    expect(parse('shape=testGear|teeth=12|layer1.shape=testGear|layer1.teeth=6').errors).toEqual([]);
+    expect(parse('layer1.shape=testGear|layer1.teeth=6').layers[0].params).toEqual({ shape: 'testGear', teeth: '6' });
+    expect(validate('text=Hi|shape=testGear|teeth=99|layer1.shape=testGear|layer1.teeth=x').repairs
+      .map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['layer1.teeth', 'dropped', null],
+      ['teeth', 'clamped', '32'],
+    ]);
+  });
+
+  it('rejects duplicates and definitions without trace', () => {
+    expect(() => register_shape({ name: 'circle', trace: () => {} })).toThrow('Shape already registered: circle');
+    expect(() => register_shape({ name: 'testBroken' })).toThrow('Shape testBroken requires a trace function');
+    expect(() => register_shape({ name: 'testFlat', aspect: -1, trace: () => {} })).toThrow('invalid aspect');
+  });
+
+  it('resolves declared params with defaults for missing or non-numeric values', () => {
+    expect(resolve_shape_params(get_shape('star'), { points: '7', inner: 'x' })).toEqual({ points: 7, inner: 0.5 });
+  });
+});
+
+describe('parse_svg_path', () => {
+  it('makes relative commands absolute and expands H and V', () => {
+    expect(parse_svg_path('M10 10 h80 v80 h-80 Z')).toEqual([
+      { command: 'M', values: [10, 10] },
+      { command: 'L', values: [90, 10] },
+      { command: 'L', values: [90, 90] },
+      { command: 'L', values: [10, 90] },
+      { command: 'Z', values: [] },
+    ]);
+  });
+
+  it('reflects the control point for S and T', () => {
+    expect(parse_svg_path('M0 0 C10 0 20 10 20 20 S30 40 40 40')[2]).toEqual({ command: 'C', values: [20, 30, 30, 40, 40, 40] });
+    expect(parse_svg_path('M0 0 Q10 0 10 10 T20 20')[2]).toEqual({ command: 'Q', values: [10, 20, 20, 20] });
+  });
+
+  it('repeats a command while numbers follow and returns to the start on Z', () => {
+    expect(parse_svg_path('m5 5 10 0 0 10z l1 1')).toEqual([
+      { command: 'M', values: [5, 5] },
+      { command: 'L', values: [15, 5] },
+      { command: 'L', values: [15, 15] },
+      { command: 'Z', values: [] },
+      { command: 'L', values: [6, 6] },
+    ]);
+  });
+
+  it('keeps arcs with their start point', () => {
+    expect(parse_svg_path('M0 0 A10 10 0 1 0 20 0')[1]).toEqual({ command: 'A', values: [0, 0, 10, 10, 0, 1, 0, 20, 0] });
+  });
+
+  it('rejects paths that do not start with M, miss values or contain anything else', () => {
+    expect(parse_svg_path('L0 0')).toBeNull();
+    expect(parse_svg_path('M0 0 L1')).toBeNull();
+    expect(parse_svg_path('M0 0 X1 2')).toBeNull();
+    expect(parse_svg_path('M0 0 L1 <script>')).toBeNull();
+    expect(parse_svg_path(`M0 0${' L1 1'.repeat(SVG_PATH_MAX_LENGTH / 4)}`)).toBeNull();
+  });
+});
+
+describe('shape params', () => {
+  it('implies a shape from path=, flat or in a layer', () => {
+    expect(parse('layer1.path=M0 0 L1 1').layers[0].type).toBe('shape');
+    expect(shape_pixel('path=M0 0 H100 V100 H0 Z|size=100|fill=#00ff00|canvas=200x200', 100, 100)).toEqual([0, 255, 0, 255]);
+  });
+
+  it('places the shape with shapeX/shapeY, leaving x/y to the text', () => {
+    const shape_layer = (command) => build_layer_stack(parse(command)).find(layer => layer.type === 'shape');
+    expect(shape_layer('shape=rect|x=10%|y=10%').params).toMatchObject({ x: undefined, y: undefined });
+    expect(shape_layer('shape=rect|shapex=20%|shapey=30%').params).toMatchObject({ x: '20%', y: '30%' });
+  });
+
+  it('draws no outline with strokewidth=0', () => {
+    const command = 'shape=rect|size=100|fill=#ff0000|stroke=#0000ff|canvas=200x200';
+    expect(shape_pixel(command, 50, 100)).toEqual([0, 0, 255, 255]);
+    expect(shape_pixel(`${command}|strokewidth=0`, 50, 100)).toEqual([255, 0, 0, 255]);
+    expect(shape_pixel('shape=line|size=100|strokewidth=0|canvas=200x200', 100, 100)[3]).toBe(0);
+  });
+
+  it('repairs unknown shapes, bad paths and out-of-range scalars', () => {
+    const result = validate('text=Hi|shape=blob|points=50|path=bad|inner=x');
+    expect(result.repairs.map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['shape', 'dropped', null],
+      ['path', 'dropped', null],
+      ['points', 'clamped', '24'],
+      ['inner', 'dropped', null],
+    ]);
+  });
+});
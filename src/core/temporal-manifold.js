@@ -28,6 +28,8 @@
  */
 
 import { nanoid } from 'nanoid';
+import chroma from 'chroma-js';
+import { create_seeded_random } from './random.js';
 
 /**
  * Frame mode enumeration
@@ -47,7 +49,7 @@ export const ColorFlowMode = {
   CONSISTENT: 'consistent',  // Same colors throughout (phase-locked)
   EVOLVE: 'evolve',          // Gradual color drift (gradient flow)
   PULSE: 'pulse',            // Oscillating colors (recursive resonance)
-  RANDOM: 'random',          // Stochastic color selection
+  RANDOM: 'random',          // Stochastic color selection (seedable)
 };
 
 /**
@@ -61,6 +63,17 @@ export const BackgroundMode = {
   MORPH: 'morph',
 };
 
+/**
+ * Palette roles that flow together - every role gets the same transform,
+ * so the palette's internal relationships survive each frame
+ */
+const PALETTE_ROLES = ['primary', 'secondary', 'accent', 'text'];
+
+/**
+ * Minimum text/primary contrast kept while colors flow (WCAG AA body text)
+ */
+const MIN_TEXT_CONTRAST = 4.5;
+
 /**
  * Creates a temporal manifold configuration from CLI parameters
  * 
@@ -79,6 +92,7 @@ export function createTemporalManifold(params) {
     ceo = '',
     loop = true,
     frameCount = null,    // Auto-calculated if not specified
+    seed = null,          // RANDOM color flow seed (defaults to the manifold id)
   } = params;
 
   // Parse sequence if string
@@ -99,6 +113,7 @@ export function createTemporalManifold(params) {
     totalFrames,
     timing: parseTimingConfig(timing),
     colorFlow,
+    seed: seed ?? manifoldId,
     background: parseBackgroundConfig(background),
     shapes: parseShapesConfig(shapes),
     metadata: {
@@ -242,7 +257,7 @@ export function generateFrameStates(manifold, baseState) {
   const frameStates = [];
 
   // Calculate color evolution based on flow mode
-  const colorEvolution = calculateColorEvolution(baseState.colors, frames.length, colorFlow);
+  const colorEvolution = calculateColorEvolution(baseState.colors, frames.length, colorFlow, manifold.seed);
 
   for (let i = 0; i < frames.length; i++) {
     const frameText = frames[i];
@@ -333,10 +348,12 @@ function calculateCollapseState(t, manifold) {
  * @param {Object} baseColors - Base color palette
  * @param {number} frameCount - Number of frames
  * @param {string} flowMode - Color flow mode
+ * @param {number|string} seed - Seed for RANDOM flow (same seed → same colors)
  * @returns {Array} Array of color palettes per frame
  */
-function calculateColorEvolution(baseColors, frameCount, flowMode) {
+function calculateColorEvolution(baseColors, frameCount, flowMode, seed = 0) {
   const evolution = [];
+  const random = create_seeded_random(seed);
 
   for (let i = 0; i < frameCount; i++) {
     const t = i / Math.max(frameCount - 1, 1);
@@ -360,7 +377,7 @@ function calculateColorEvolution(baseColors, frameCount, flowMode) {
 
       case ColorFlowMode.RANDOM:
         // Stochastic variation within brand bounds
-        evolution.push(randomizeWithinBounds(baseColors, 0.15));
+        evolution.push(randomizeWithinBounds(baseColors, 0.15, random));
         break;
 
       default:
@@ -372,28 +389,122 @@ function calculateColorEvolution(baseColors, frameCount, flowMode) {
 }
 
 /**
- * Shifts colors by hue amount
+ * Applies one OKLCH transform to every palette role (and gradient stop)
+ * 
+ * OKLCH is perceptual: equal steps in L, C or h look like equal changes,
+ * so a hue drift doesn't brighten yellows or darken blues along the way.
+ * Non-color keys pass through untouched.
+ * 
+ * @param {Object} colors - Palette { primary, secondary, accent, text, gradient }
+ * @param {Function} transform - ([l, c, h]) => [l, c, h]
+ * @returns {Object} Transformed palette (hex strings)
+ */
+function transformPalette(colors, transform) {
+  const apply = (value) => {
+    if (!chroma.valid(value)) return value;
+    const color = chroma(value);
+    const [l, c, h] = color.oklch();
+    const [nl, nc, nh] = transform([l, c, Number.isNaN(h) ? 0 : h]);
+    return chroma
+      .oklch(Math.min(1, Math.max(0, nl)), Math.max(0, nc), ((nh % 360) + 360) % 360)
+      .alpha(color.alpha())
+      .hex();
+  };
+
+  const result = { ...colors };
+  for (const role of PALETTE_ROLES) {
+    if (colors[role] !== undefined) result[role] = apply(colors[role]);
+  }
+  if (Array.isArray(colors.gradient)) {
+    result.gradient = colors.gradient.map(apply);
+  }
+  return result;
+}
+
+/**
+ * Keeps text readable against the primary (background) color
+ * 
+ * Pushes text lightness away from the background until contrast reaches
+ * MIN_TEXT_CONTRAST - or the base palette's own contrast, if that was lower
+ * (flow must not make text worse, but it needn't fix the brand's choices).
+ * 
+ * @param {Object} colors - Flowed palette
+ * @param {Object} baseColors - Palette before the flow
+ * @returns {Object} Palette with readable text
+ */
+function ensureReadableText(colors, baseColors) {
+  if (!chroma.valid(colors.text) || !chroma.valid(colors.primary)) return colors;
+
+  const target = chroma.valid(baseColors.text) && chroma.valid(baseColors.primary)
+    ? Math.min(MIN_TEXT_CONTRAST, chroma.contrast(baseColors.text, baseColors.primary))
+    : MIN_TEXT_CONTRAST;
+  if (chroma.contrast(colors.text, colors.primary) >= target) return colors;
+
+  // Move toward whichever extreme contrasts more with the background
+  const [l, c, h] = chroma(colors.text).oklch();
+  const direction = chroma.contrast('#ffffff', colors.primary) >= chroma.contrast('#000000', colors.primary) ? 1 : -1;
+  const hue = Number.isNaN(h) ? 0 : h;
+
+  for (let step = 1; step <= 20; step++) {
+    const lightness = Math.min(1, Math.max(0, l + direction * step * 0.05));
+    const candidate = chroma.oklch(lightness, c * (1 - step / 20), hue).hex();
+    if (chroma.contrast(candidate, colors.primary) >= target) {
+      return { ...colors, text: candidate };
+    }
+  }
+
+  return { ...colors, text: direction > 0 ? '#ffffff' : '#000000' };
+}
+
+/**
+ * Shifts colors by hue amount (degrees on the OKLCH hue wheel)
  */
 function shiftColors(colors, hueShift) {
-  // Implementation would use chroma-js for proper color manipulation
-  // For now, return base colors (actual implementation in color-math.js)
-  return { ...colors };
+  const shifted = transformPalette(colors, ([l, c, h]) => [l, c, h + hueShift]);
+  return ensureReadableText(shifted, colors);
 }
 
 /**
  * Adjusts color intensity (saturation/lightness)
+ * 
+ * @param {number} intensity - Signed amount, ~[-0.2, 0.2]: positive is brighter
+ *   and more saturated, negative is dimmer and more muted
  */
 function adjustColorIntensity(colors, intensity) {
-  return { ...colors };
+  const adjusted = transformPalette(colors, ([l, c, h]) => [
+    l + intensity * 0.25,
+    c * (1 + intensity),
+    h,
+  ]);
+  return ensureReadableText(adjusted, colors);
 }
 
 /**
  * Randomizes colors within brand-safe bounds
+ * 
+ * One jitter per frame is shared by every role. Bounds scale with variance:
+ * hue ±120·variance degrees, lightness ±0.2·variance, chroma ×(1 ± variance).
+ * 
+ * @param {number} variance - 0 (no change) to 1
+ * @param {Function} random - Generator returning [0, 1), see createSeededRandom
  */
-function randomizeWithinBounds(colors, variance) {
-  return { ...colors };
+function randomizeWithinBounds(colors, variance, random = Math.random) {
+  const jitter = () => random() * 2 - 1;
+  const hueShift = jitter() * 120 * variance;
+  const lightnessShift = jitter() * 0.2 * variance;
+  const chromaScale = 1 + jitter() * variance;
+
+  const randomized = transformPalette(colors, ([l, c, h]) => [
+    l + lightnessShift,
+    c * chromaScale,
+    h + hueShift,
+  ]);
+  return ensureReadableText(randomized, colors);
 }
 
+// The seeded generator lives in random.js (palettes use it without this engine)
+export { create_seeded_random as createSeededRandom };
+
 /**
  * Interpolates background state at time t
  */
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import chroma from 'chroma-js';
+import { createTemporalManifold, generateFrameStates, ColorFlowMode } from './temporal-manifold.js';
+
+const BASE_COLORS = {
+  primary: '#1e3a8a',
+  secondary: '#9333ea',
+  accent: '#f59e0b',
+  text: '#ffffff',
+  gradient: ['#1e3a8a', '#9333ea'],
+};
+
+const flow = (colorFlow, options = {}) => {
+  const manifold = createTemporalManifold({ sequence: ['One', 'Two', 'Three', 'Four', 'Five'], colorFlow, ...options });
+  return generateFrameStates(manifold, { colors: options.colors || BASE_COLORS }).map(state => state.colors);
+};
+
+const oklch = (color) => chroma(color).oklch();
+
+// Signed hue difference in degrees (-180..180)
+const hue_shift = (from, to) => ((oklch(to)[2] - oklch(from)[2] + 540) % 360) - 180;
+
+describe('color flow', () => {
+  it('keeps the palette for consistent flow', () => {
+    for (const colors of flow(ColorFlowMode.CONSISTENT)) expect(colors).toEqual(BASE_COLORS);
+  });
+
+  it('drifts every role 30° around the OKLCH hue wheel over an evolve clip, at constant lightness', () => {
+    const frames = flow(ColorFlowMode.EVOLVE);
+    const last = frames[frames.length - 1];
+
+    for (const role of ['primary', 'secondary', 'accent']) {
+      expect(hue_shift(frames[0][role], last[role])).toBeCloseTo(30, 0);
+      expect(oklch(last[role])[0]).toBeCloseTo(oklch(BASE_COLORS[role])[0], 2);
+    }
+    expect(hue_shift(BASE_COLORS.gradient[1], last.gradient[1])).toBeCloseTo(30, 0);
+  });
+
+  it('brightens then dims over a pulse and returns to the start', () => {
+    const lightness = flow(ColorFlowMode.PULSE).map(colors => oklch(colors.accent)[0]);
+    expect(lightness[1]).toBeGreaterThan(lightness[0]);
+    expect(lightness[3]).toBeLessThan(lightness[0]);
+    expect(lightness[4]).toBeCloseTo(lightness[0], 3);
+  });
+
+  it('repeats random flow for the same seed and keeps it within bounds', () => {
+    const frames = flow(ColorFlowMode.RANDOM, { seed: 42 });
+    expect(flow(ColorFlowMode.RANDOM, { seed: 42 })).toEqual(frames);
+    expect(flow(ColorFlowMode.RANDOM, { seed: 'acme' })).not.toEqual(frames);
+
+    for (const colors of frames) {
+      expect(Math.abs(hue_shift(BASE_COLORS.accent, colors.accent))).toBeLessThanOrEqual(18.5);
+    }
+  });
+
+  it('keeps text readable on the primary color', () => {
+    const colors = { ...BASE_COLORS, primary: '#767676', text: '#000000' };
+    const base_contrast = chroma.contrast(colors.text, colors.primary);
+
+    for (const mode of [ColorFlowMode.EVOLVE, ColorFlowMode.PULSE, ColorFlowMode.RANDOM]) {
+      for (const frame of flow(mode, { colors, seed: 7 })) {
+        expect(chroma.contrast(frame.text, frame.primary)).toBeGreaterThanOrEqual(Math.min(4.5, base_contrast) - 0.01);
+      }
+    }
+  });
+});
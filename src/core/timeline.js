@@ -0,0 +1,248 @@
+/**
+ * TIMELINE
+ * =========
+ *
+ * Places each element's animation on the clip's clock instead of
+ * stretching it over the whole clip:
+ *
+ *   delay=0.4s|duration=600ms|ease=ease-out
+ *   keyframes=opacity(0) translate(0, 40)~60%:scale(1.1)~opacity(1) scale(1)
+ *
+ * An element waits for its delay, then runs its animate preset and its
+ * keyframes over its duration (default: the rest of the clip), eased by a
+ * named curve or cubic-bezier(x1, y1, x2, y2). Layers stagger by giving
+ * each its own delay (layer2.delay=0.3s, layer3.delay=0.6s).
+ *
+ * Keyframes are separated by ~; each is an optional offset ("60%:") and
+ * any of opacity(n), scale(n), rotate(deg), translate(x, y), translatex(x)
+ * and translatey(y), with translations in pixels. Offsets left out are
+ * spread evenly; a property missing from a keyframe interpolates between
+ * the keyframes that set it, and from/to its rest value (opacity 1, scale 1,
+ * no rotation or translation) at the ends. keyframes=opacity(0) alone fades in.
+ *
+ * ITT Interpretation:
+ *   The clip is the temporal axis of Φ; delay and duration gate when an
+ *   element's σ-region collapses, the easing curve shapes how fast
+ */
+
+import BezierEasing from 'bezier-easing';
+import { parse_timing_value } from './manifest.js';
+
+// Named easing curves (CSS control points)
+export const EASING_CURVES = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+  'ease-out-back': [0.34, 1.56, 0.64, 1],
+};
+
+// Animatable properties and their rest values
+export const KEYFRAME_PROPERTIES = {
+  opacity: 1,
+  scale: 1,
+  rotate: 0,
+  x: 0,
+  y: 0,
+};
+
+// Clip length when no element needs longer (30 frames at 20fps)
+export const DEFAULT_CLIP_MS = 1500;
+
+const CUBIC_BEZIER_PATTERN = /^cubic-bezier\(\s*([^)]*)\)$/i;
+const KEYFRAME_OFFSET_PATTERN = /^\s*(-?[\d.]+)%\s*:/;
+const KEYFRAME_FUNCTION_PATTERN = /([a-z]+)\(([^)]*)\)/gi;
+
+// ============================================================================
+// EASING
+// ============================================================================
+
+const EASING_FUNCTIONS = Object.fromEntries(
+  Object.entries(EASING_CURVES).map(([name, points]) => [name, name === 'linear' ? (t) => t : BezierEasing(...points)]),
+);
+
+/**
+ * Parse an easing value: a curve name or cubic-bezier(x1, y1, x2, y2)
+ *
+ * x1 and x2 must lie in 0..1 (time runs forward); y may overshoot.
+ *
+ * @returns {function|null} progress → eased progress, or null if invalid
+ */
+export function parse_easing(value) {
+  if (!value) return EASING_FUNCTIONS.linear;
+  if (EASING_FUNCTIONS[value]) return EASING_FUNCTIONS[value];
+
+  const match = CUBIC_BEZIER_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const points = match[1].split(',').map(Number);
+  const [x1, , x2] = points;
+  if (points.length !== 4 || !points.every(Number.isFinite)) return null;
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null;
+  return BezierEasing(...points);
+}
+
+// ============================================================================
+// KEYFRAMES
+// ============================================================================
+
+/**
+ * Read one keyframe function into properties, e.g. translate(0, 40) → { x: 0, y: 40 }
+ *
+ * @returns {object|null} null for an unknown function or a bad argument
+ */
+function read_keyframe_function(name, args) {
+  const values = args.split(',').map(arg => parseFloat(arg));
+  if (values.length === 0 || !values.every(Number.isFinite)) return null;
+
+  switch (name.toLowerCase()) {
+    case 'opacity':
+      return values.length === 1 ? { opacity: values[0] } : null;
+    case 'scale':
+      return values.length === 1 ? { scale: values[0] } : null;
+    case 'rotate':
+      return values.length === 1 ? { rotate: values[0] } : null;
+    case 'translate':
+      return values.length <= 2 ? { x: values[0], y: values[1] ?? 0 } : null;
+    case 'translatex':
+      return values.length === 1 ? { x: values[0] } : null;
+    case 'translatey':
+      return values.length === 1 ? { y: values[0] } : null;
+  }
+  return null;
+}
+
+/**
+ * Parse a keyframes value into keyframes with offsets (0..1) in order
+ *
+ * @param {string} value - e.g. "opacity(0)~60%:scale(1.1)~opacity(1)"
+ * @returns {object[]|null} [{ offset, opacity?, scale?, rotate?, x?, y? }], or null if invalid
+ */
+export function parse_keyframes(value) {
+  if (!value) return [];
+
+  const keyframes = [];
+  for (const step of value.split('~')) {
+    const offset_match = KEYFRAME_OFFSET_PATTERN.exec(step);
+    const body = offset_match ? step.slice(offset_match[0].length) : step;
+    const keyframe = { offset: offset_match ? parseFloat(offset_match[1]) / 100 : null };
+
+    // Every character must belong to a function: "opacity(0) junk" is invalid
+    if (body.replace(KEYFRAME_FUNCTION_PATTERN, '').trim() !== '') return null;
+    const functions = [...body.matchAll(KEYFRAME_FUNCTION_PATTERN)];
+    if (functions.length === 0) return null;
+
+    for (const [, name, args] of functions) {
+      const properties = read_keyframe_function(name, args);
+      if (!properties) return null;
+      Object.assign(keyframe, properties);
+    }
+    if (keyframe.offset !== null && !(keyframe.offset >= 0 && keyframe.offset <= 1)) return null;
+    keyframes.push(keyframe);
+  }
+
+  return spread_offsets(keyframes);
+}
+
+/**
+ * Fill in missing offsets: first 0, last 1, gaps spread evenly between known ones
+ *
+ * @returns {object[]|null} Keyframes, or null if the given offsets go backwards
+ */
+function spread_offsets(keyframes) {
+  const last = keyframes.length - 1;
+  if (keyframes[0].offset === null) keyframes[0].offset = 0;
+  if (keyframes[last].offset === null) keyframes[last].offset = 1;
+
+  let known = 0;
+  for (let i = 1; i <= last; i++) {
+    if (keyframes[i].offset === null) continue;
+    const start = keyframes[known].offset;
+    const step = (keyframes[i].offset - start) / (i - known);
+    for (let j = known + 1; j < i; j++) keyframes[j].offset = start + step * (j - known);
+    known = i;
+  }
+
+  const ordered = keyframes.every((keyframe, i) => i === 0 || keyframe.offset >= keyframes[i - 1].offset);
+  return ordered ? keyframes : null;
+}
+
+/**
+ * Property values at a point of the keyframes (rest values where unset)
+ *
+ * @param {object[]} keyframes - From parse_keyframes
+ * @param {number} progress - 0..1 through the element's duration (eased)
+ * @returns {object} { opacity, scale, rotate, x, y }
+ */
+export function sample_keyframes(keyframes, progress) {
+  const state = { ...KEYFRAME_PROPERTIES };
+
+  for (const property of Object.keys(KEYFRAME_PROPERTIES)) {
+    const track = keyframes.filter(keyframe => keyframe[property] !== undefined);
+    if (track.length === 0) continue;
+
+    // Like CSS: a property the first (last) keyframe leaves out starts (ends) at rest
+    const rest = KEYFRAME_PROPERTIES[property];
+    if (track[0].offset > 0) track.unshift({ offset: 0, [property]: rest });
+    if (track[track.length - 1].offset < 1) track.push({ offset: 1, [property]: rest });
+
+    const next = track.findIndex(keyframe => keyframe.offset > progress);
+    if (next === 0) {
+      state[property] = track[0][property];
+    } else if (next === -1) {
+      state[property] = track[track.length - 1][property];
+    } else {
+      const [from, to] = [track[next - 1], track[next]];
+      const t = (progress - from.offset) / (to.offset - from.offset);
+      state[property] = from[property] + (to[property] - from[property]) * t;
+    }
+  }
+
+  return state;
+}
+
+// ============================================================================
+// ELEMENT TIMING
+// ============================================================================
+
+/**
+ * Parse an element's delay and duration (ms; duration null = rest of the clip)
+ */
+export function read_element_timing(params) {
+  return {
+    delay: params.delay ? parse_timing_value(params.delay) ?? 0 : 0,
+    duration: params.duration ? parse_timing_value(params.duration) : null,
+  };
+}
+
+/**
+ * Length of the clip: long enough for every element's delay + duration
+ *
+ * @param {object[]} layers - From build_layer_stack
+ * @returns {number} Milliseconds (at least DEFAULT_CLIP_MS)
+ */
+export function timeline_duration(layers) {
+  return layers.reduce((longest, layer) => {
+    const { delay, duration } = read_element_timing(layer.params);
+    return Math.max(longest, delay + (duration ?? 0));
+  }, DEFAULT_CLIP_MS);
+}
+
+/**
+ * An element's own progress at a point of the clip: 0 before its delay,
+ * 1 after its duration, eased in between
+ *
+ * @param {object} params - The element's params (delay, duration, ease)
+ * @param {number} clip_progress - 0..1 through the clip
+ * @param {number} clip_ms - Clip length, from timeline_duration
+ * @returns {number} Eased progress (may overshoot 0..1 with a back curve)
+ */
+export function element_progress(params, clip_progress, clip_ms) {
+  const { delay, duration } = read_element_timing(params);
+  const span = duration ?? clip_ms - delay;
+  const elapsed = clip_progress * clip_ms - delay;
+  const linear = span > 0 ? Math.min(1, Math.max(0, elapsed / span)) : (elapsed >= 0 ? 1 : 0);
+
+  return (parse_easing(params.ease) || EASING_FUNCTIONS.linear)(linear);
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parse_easing, parse_keyframes, sample_keyframes, read_element_timing, timeline_duration, element_progress, DEFAULT_CLIP_MS,
+} from './timeline.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state } from './validator.js';
+
+const validate = (command) => get_validated_manifest_or_ground_state(parse_command_string_into_manifest(command));
+
+describe('parse_easing', () => {
+  it('reads named curves and cubic-bezier()', () => {
+    expect(parse_easing('linear')(0.3)).toBe(0.3);
+    expect(parse_easing('')(0.3)).toBe(0.3);
+    expect(parse_easing('ease-out')(0.5)).toBeGreaterThan(0.5);
+    expect(parse_easing('ease-in')(0.5)).toBeLessThan(0.5);
+    expect(parse_easing('ease-out-back')(0.8)).toBeGreaterThan(1);
+    expect(parse_easing('cubic-bezier(0.2, 0, 1, 1)')(0.5)).toBeCloseTo(0.418, 3);
+  });
+
+  it('rejects unknown names and time running backwards', () => {
+    expect(parse_easing('bouncy')).toBeNull();
+    expect(parse_easing('cubic-bezier(2, 0, 1, 1)')).toBeNull();
+    expect(parse_easing('cubic-bezier(0.2, 0, 1)')).toBeNull();
+  });
+});
+
+describe('parse_keyframes', () => {
+  it('reads offsets and functions, first at 0 and last at 1', () => {
+    expect(parse_keyframes('opacity(0) translate(0, 40)~60%:scale(1.1)~opacity(1) scale(1)')).toEqual([
+      { offset: 0, opacity: 0, x: 0, y: 40 },
+      { offset: 0.6, scale: 1.1 },
+      { offset: 1, opacity: 1, scale: 1 },
+    ]);
+  });
+
+  it('spreads missing offsets evenly between known ones', () => {
+    const offsets = parse_keyframes('opacity(0)~opacity(0.5)~opacity(0.8)~90%:opacity(1)').map(keyframe => keyframe.offset);
+    expect(offsets[1]).toBeCloseTo(0.3, 10);
+    expect(offsets[2]).toBeCloseTo(0.6, 10);
+    expect(offsets[3]).toBe(0.9);
+  });
+
+  it('rejects unknown functions, stray text, bad arguments and offsets out of order', () => {
+    expect(parse_keyframes('blur(2)')).toBeNull();
+    expect(parse_keyframes('opacity(0) junk')).toBeNull();
+    expect(parse_keyframes('opacity(1, 2)')).toBeNull();
+    expect(parse_keyframes('120%:opacity(1)')).toBeNull();
+    expect(parse_keyframes('50%:opacity(0)~20%:opacity(1)')).toBeNull();
+  });
+});
+
+describe('sample_keyframes', () => {
+  it('interpolates toward the rest values an entrance leaves out', () => {
+    const keyframes = parse_keyframes('opacity(0) scale(0.8)');
+    expect(sample_keyframes(keyframes, 0)).toEqual({ opacity: 0, scale: 0.8, rotate: 0, x: 0, y: 0 });
+    expect(sample_keyframes(keyframes, 0.5)).toMatchObject({ opacity: 0.5, scale: 0.9 });
+    expect(sample_keyframes(keyframes, 1)).toEqual({ opacity: 1, scale: 1, rotate: 0, x: 0, y: 0 });
+  });
+
+  it('interpolates each property between the keyframes that set it', () => {
+    const keyframes = parse_keyframes('scale(0)~50%:rotate(90)~scale(2)');
+    expect(sample_keyframes(keyframes, 0.25)).toMatchObject({ scale: 0.5, rotate: 45 });
+    expect(sample_keyframes(keyframes, 0.75)).toMatchObject({ scale: 1.5, rotate: 45 });
+  });
+});
+
+describe('element timing', () => {
+  it('reads delay and duration in ms', () => {
+    expect(read_element_timing({ delay: '0.4s', duration: '600ms' })).toEqual({ delay: 400, duration: 600 });
+    expect(read_element_timing({})).toEqual({ delay: 0, duration: null });
+  });
+
+  it('lengthens the clip to fit every delay and duration', () => {
+    expect(timeline_duration([{ params: {} }])).toBe(DEFAULT_CLIP_MS);
+    expect(timeline_duration([{ params: {} }, { params: { delay: '1.2s', duration: '1s' } }])).toBe(2200);
+  });
+
+  it('holds an element before its delay and after its duration', () => {
+    const params = { delay: '500ms', duration: '500ms' };
+    expect(element_progress(params, 0.2, 1500)).toBe(0);
+    expect(element_progress(params, 0.5, 1500)).toBeCloseTo(0.5, 10);
+    expect(element_progress(params, 0.8, 1500)).toBe(1);
+  });
+
+  it('runs over the rest of the clip without a duration, eased', () => {
+    expect(element_progress({ delay: '0.5s' }, 2 / 3, 1500)).toBeCloseTo(0.5, 10);
+    expect(element_progress({ ease: 'ease-in' }, 0.5, 1500)).toBeLessThan(0.5);
+  });
+});
+
+describe('timeline_valid', () => {
+  it('clamps times and drops unreadable easing and keyframes', () => {
+    const result = validate('text=Hi|delay=20s|duration=10ms|ease=bouncy|keyframes=blur(2)');
+    expect(result.repairs.map(({ key, action, replacement }) => [key, action, replacement])).toEqual([
+      ['delay', 'clamped', '10000ms'],
+      ['duration', 'clamped', '50ms'],
+      ['ease', 'dropped', null],
+      ['keyframes', 'dropped', null],
+    ]);
+  });
+
+  it('checks layer timelines like the flat params', () => {
+    expect(validate('text=Hi|layer1.text=A|layer1.delay=soon').repairs).toEqual([
+      expect.objectContaining({ key: 'layer1.delay', action: 'dropped', reason: '"soon" is not a time like 0.5s or 300ms' }),
+    ]);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * COMMAND TOKENIZER
+ * ==================
+ *
+ * Lexes a command string into key/value tokens.
+ *
+ * Grammar:
+ *   command := pair ( '|' pair )*
+ *   pair    := key ( '=' value )?
+ *   value   := quoted | plain
+ *   quoted  := '"' ( '\"' | '\\' | any )* '"'      (whole value only)
+ *   plain   := ( '\' any | any except '|' )*
+ *
+ * Escapes:
+ *   \|  \=  \~  \,  \"  \\   → the literal character
+ *   \n                        → newline
+ *
+ * Quoted values are literal throughout: text="Save 50% | Today"
+ * Quotes that do not wrap the whole value are ordinary characters, so
+ * sequence="Great!" - John~"Wow" - Sarah keeps its quotes.
+ *
+ * Percent-encoding (%20, %7C, ...) is decoded before lexing, so an
+ * encoded separator still separates; escape it to make it literal.
+ * Offsets in tokens and errors refer to the decoded string.
+ *
+ * ITT Interpretation:
+ *   Lexing is ∇Φ detection - only UNESCAPED separators are boundaries
+ */
+
+// Error codes the lexer can report
+export const SYNTAX_ERROR_CODES = ['UNTERMINATED_QUOTE', 'DANGLING_ESCAPE', 'MISSING_KEY'];
+
+// ============================================================================
+// PERCENT DECODING
+// ============================================================================
+
+/**
+ * Decode %XX runs, leaving anything that is not valid UTF-8 percent-encoding as-is
+ *
+ * "Save%2050%25" → "Save 50%", "50% off" → "50% off"
+ */
+export function percent_decode(text) {
+  return text.replace(/(?:%[0-9A-Fa-f]{2})+/g, (run) => {
+    try {
+      return decodeURIComponent(run);
+    } catch {
+      return run;
+    }
+  });
+}
+
+// ============================================================================
+// LEXER
+// ============================================================================
+
+/**
+ * Find a closing quote for a quoted value starting at `open`
+ *
+ * @returns {number} Index of the closing quote, or -1
+ */
+function find_closing_quote(source, open) {
+  for (let i = open + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '"') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Index of the next non-whitespace character at or after `i`
+ */
+function skip_whitespace(source, i) {
+  while (i < source.length && /\s/.test(source[i])) i++;
+  return i;
+}
+
+/**
+ * Lex a quoted value body (between the quotes) - every character is literal
+ */
+function lex_quoted(source, open, close) {
+  const chars = [];
+  for (let i = open + 1; i < close; i++) {
+    if (source[i] === '\\' && (source[i + 1] === '"' || source[i + 1] === '\\')) {
+      i++;
+    }
+    chars.push({ ch: source[i], literal: true });
+  }
+  return chars;
+}
+
+/**
+ * Lex a plain value up to the next unescaped '|'
+ *
+ * @returns {object} { chars, end } - end is the index of the '|' or source length
+ */
+function lex_plain(source, start, errors) {
+  const chars = [];
+  let i = start;
+
+  while (i < source.length && source[i] !== '|') {
+    if (source[i] === '\\') {
+      if (i + 1 < source.length) {
+        const next = source[i + 1];
+        chars.push({ ch: next === 'n' ? '\n' : next, literal: true });
+        i += 2;
+        continue;
+      }
+      errors.push({
+        code: 'DANGLING_ESCAPE',
+        offset: i,
+        message: `Backslash at offset ${i} has nothing to escape`,
+      });
+      chars.push({ ch: '\\', literal: true });
+      i++;
+      continue;
+    }
+    chars.push({ ch: source[i], literal: false });
+    i++;
+  }
+
+  return { chars, end: i };
+}
+
+/**
+ * Trim unescaped whitespace from both ends of a lexed value
+ */
+function trim_chars(chars) {
+  let start = 0;
+  let end = chars.length;
+  while (start < end && !chars[start].literal && /\s/.test(chars[start].ch)) start++;
+  while (end > start && !chars[end - 1].literal && /\s/.test(chars[end - 1].ch)) end--;
+  return chars.slice(start, end);
+}
+
+function chars_to_string(chars) {
+  return chars.map(c => c.ch).join('');
+}
+
+/**
+ * Tokenize a command string
+ *
+ * @param {string} command_string - Raw command (leading # allowed)
+ * @returns {object} { source, tokens, errors }
+ *   tokens: [{ key, value, offset, value_offset, chars }]
+ *   errors: [{ code, offset, message }]
+ */
+export function tokenize_command_string(command_string) {
+  const source = percent_decode(command_string.replace(/^#/, ''));
+  const tokens = [];
+  const errors = [];
+
+  let i = 0;
+  while (i <= source.length) {
+    const pair_start = i;
+
+    // Key: up to '=' or '|'
+    let key_end = i;
+    while (key_end < source.length && source[key_end] !== '=' && source[key_end] !== '|') key_end++;
+    const key = source.slice(i, key_end).trim().toLowerCase();
+
+    let chars = [];
+    let value_offset = key_end;
+    i = key_end;
+
+    if (source[i] === '=') {
+      value_offset = skip_whitespace(source, i + 1);
+
+      let quoted = false;
+      if (source[value_offset] === '"') {
+        const close = find_closing_quote(source, value_offset);
+        if (close === -1) {
+          errors.push({
+            code: 'UNTERMINATED_QUOTE',
+            offset: value_offset,
+            message: `Quote opened at offset ${value_offset} is never closed`,
+          });
+        } else {
+          const after = skip_whitespace(source, close + 1);
+          if (after === source.length || source[after] === '|') {
+            chars = lex_quoted(source, value_offset, close);
+            i = after;
+            quoted = true;
+          }
+        }
+      }
+
+      if (!quoted) {
+        const lexed = lex_plain(source, i + 1, errors);
+        chars = trim_chars(lexed.chars);
+        i = lexed.end;
+      }
+    }
+
+    if (key) {
+      tokens.push({
+        key,
+        value: chars_to_string(chars),
+        offset: pair_start,
+        value_offset,
+        chars,
+      });
+    } else if (chars.length > 0) {
+      errors.push({
+        code: 'MISSING_KEY',
+        offset: pair_start,
+        message: `Value at offset ${pair_start} has no key`,
+      });
+    }
+
+    // Step over the '|' separator
+    i++;
+  }
+
+  return { source, tokens, errors };
+}
+
+/**
+ * Split a token's value on an unescaped, unquoted separator
+ *
+ * "A\~B~C" split on '~' → ['A~B', 'C']
+ *
+ * @param {object} token - Token from tokenize_command_string
+ * @param {string} separator - Single list separator ('~' or ',')
+ * @returns {string[]} Trimmed, non-empty items
+ */
+export function split_token_value(token, separator) {
+  const items = [];
+  let current = [];
+
+  for (const c of token.chars) {
+    if (c.ch === separator && !c.literal) {
+      items.push(current);
+      current = [];
+    } else {
+      current.push(c);
+    }
+  }
+  items.push(current);
+
+  return items
+    .map(item => chars_to_string(trim_chars(item)))
+    .filter(item => item !== '');
+}
+
+/**
+ * Escape a value so tokenize_command_string reads it back unchanged
+ *
+ * The inverse of lexing: backslashes, pipes and newlines are escaped, plus
+ * the list separator (if given), a leading quote and edge whitespace.
+ *
+ * @param {string} value - Literal value
+ * @param {string} separator - Optional list separator to escape ('~' or ',')
+ * @returns {string} Escaped value
+ */
+export function escape_value(value, separator = null) {
+  const chars = [...value];
+  let escaped = '';
+
+  for (const [i, ch] of chars.entries()) {
+    const at_edge = i === 0 || i === chars.length - 1;
+
+    if (ch === '\n') {
+      escaped += '\\n';
+    } else if (ch === '\\' || ch === '|' || ch === separator) {
+      escaped += '\\' + ch;
+    } else if ((ch === '"' && i === 0) || (at_edge && /\s/.test(ch))) {
+      escaped += '\\' + ch;
+    } else {
+      escaped += ch;
+    }
+  }
+
+  return escaped;
+}
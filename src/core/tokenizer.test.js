@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize_command_string, split_token_value, escape_value, percent_decode } from './tokenizer.js';
+
+const values = (command) => Object.fromEntries(tokenize_command_string(command).tokens.map(token => [token.key, token.value]));
+
+describe('tokenize_command_string', () => {
+  it('splits pairs on | and lowercases keys', () => {
+    expect(values('Text=Hello|palette=oceanic')).toEqual({ text: 'Hello', palette: 'oceanic' });
+  });
+
+  it('reads escaped separators as literal characters', () => {
+    expect(values('text=Save 50% \\| Today|font=a\\=b')).toEqual({ text: 'Save 50% | Today', font: 'a=b' });
+    expect(values('text=Line one\\nLine two').text).toBe('Line one\nLine two');
+    expect(values('text=back\\\\slash').text).toBe('back\\slash');
+  });
+
+  it('keeps a quoted value literal, separators included', () => {
+    expect(values('text="Save 50% | Today"|animate=pulse')).toEqual({ text: 'Save 50% | Today', animate: 'pulse' });
+    expect(values('text="say \\"hi\\""').text).toBe('say "hi"');
+  });
+
+  it('keeps quotes that do not wrap the whole value', () => {
+    expect(values('sequence="Great!" - John~"Wow" - Sarah').sequence).toBe('"Great!" - John~"Wow" - Sarah');
+  });
+
+  it('reports syntax errors with their offset', () => {
+    expect(tokenize_command_string('text="open').errors).toEqual([
+      expect.objectContaining({ code: 'UNTERMINATED_QUOTE', offset: 5 }),
+    ]);
+    expect(tokenize_command_string('text=end\\').errors).toEqual([
+      expect.objectContaining({ code: 'DANGLING_ESCAPE', offset: 8 }),
+    ]);
+    expect(tokenize_command_string('=orphan').errors).toEqual([
+      expect.objectContaining({ code: 'MISSING_KEY', offset: 0 }),
+    ]);
+  });
+
+  it('decodes percent-encoding before lexing, so an encoded | still separates', () => {
+    expect(values('#text=Save%2050%25%7Canimate=pulse')).toEqual({ text: 'Save 50%', animate: 'pulse' });
+    expect(values('text=Save%2050%25%5C%7C%20Today').text).toBe('Save 50%| Today');
+  });
+});
+
+describe('percent_decode', () => {
+  it('leaves text that is not valid percent-encoding alone', () => {
+    expect(percent_decode('50% off')).toBe('50% off');
+    expect(percent_decode('%E2%82')).toBe('%E2%82');
+    expect(percent_decode('%E2%82%AC5')).toBe('€5');
+  });
+});
+
+describe('split_token_value', () => {
+  it('splits on unescaped separators only', () => {
+    const [token] = tokenize_command_string('sequence=Step 1\\~2~Step 3~ ').tokens;
+    expect(split_token_value(token, '~')).toEqual(['Step 1~2', 'Step 3']);
+  });
+});
+
+describe('escape_value', () => {
+  it('escapes a value so it lexes back unchanged', () => {
+    for (const value of ['a|b', 'back\\slash', 'two\nlines', '"quoted"', ' padded ', 'x~y,z']) {
+      const [token] = tokenize_command_string(`text=${escape_value(value, '~')}`).tokens;
+      expect(split_token_value(token, '~')).toEqual([value]);
+    }
+  });
+});
@@ -13,132 +13,1334 @@
  * Writable Doctrine:
  *   Only validated, writable parameters proceed.
  *   If E(manifest) = P₁ ∧ P₂ ∧ ... ∧ Pₙ, then Valid iff ALL predicates hold.
+ *   Predicates are registered with a severity; only error predicates are
+ *   terms of E - warnings and infos are reported, never fatal.
  */
 
-// Validation predicates (each is a gate)
-const PREDICATES = {
-  // Δ₁: Canvas dimensions are valid
-  canvas_dimensions_valid: (manifest) => {
+import { ZONE_NAMES } from './layout.js';
+import { get_decoration } from './decorations.js';
+import { PHI_FIELD_KINDS } from './primitives.js';
+import { FIELD_COLORMAPS } from './field.js';
+import { GRADIENT_KINDS, GRADIENT_MOTIONS, split_gradient_stops, format_gradient_stop } from './gradients.js';
+import { SHAPE_PARAMETERS, get_shape, list_shapes, parse_svg_path, find_shape_param, list_shape_params } from './shapes.js';
+import { SYNTAX_ERROR_CODES } from './tokenizer.js';
+import { is_valid_css_color } from './colors.js';
+import { PALETTE_ROLE_PARAMS, split_color_list } from './palettes.js';
+import { WCAG_LEVELS, canvas_background, measure_text_contrast, required_contrast, find_compliant_text_color } from './contrast.js';
+import { is_brand_color, nearest_brand_color } from './brand-kit.js';
+import { CVD_TYPES, find_confusable_colors } from './vision.js';
+import { LAYER_TYPES, LOGO_PROPERTIES, parse_layer_key, find_layer_keys, is_placeholder_text_drawn } from './layers.js';
+import { IMAGE_FITS, check_image_source, resolve_image_source } from './images.js';
+import { parse_easing, parse_keyframes, EASING_CURVES } from './timeline.js';
+import { parse_command_string_into_manifest, build_canonical_command, parse_timing_value, CANVAS_PRESETS } from './manifest.js';
+import { list_animations } from './renderer.js';
+
+// Bounds shared by predicates and repairs
+const CANVAS_SIDE_RANGE = { min: 100, max: 2000 };
+const TEXT_MAX_LENGTH = 500;
+const FRAME_TIMING_RANGE = { min: 20, max: 60000 };
+const ZONE_SIZE_RANGE = { min: 8, max: 400 };
+const MAX_FRAMES = 50;
+const FONT_FAMILY_PATTERN = /^[\w\s,'"-]{1,100}$/;
+const MAX_LAYERS = 16;
+const LAYER_Z_RANGE = { min: -100, max: 100 };
+const IMAGE_OPACITY_RANGE = { min: 0, max: 1 };
+
+// Element timeline bounds (ms)
+const TIMELINE_RANGES = {
+  delay: { min: 0, max: 10000 },
+  duration: { min: 50, max: 10000 },
+};
+// Free-standing color params (zone colors are checked with their zone, Δ₈)
+const COLOR_PARAMS = ['fill', 'stroke', 'color', 'backgroundcolor', 'decorationcolor', ...Object.keys(PALETTE_ROLE_PARAMS)];
+
+// Enumerated params the renderer switches on
+const ENUM_PARAMS = {
+  bg: ['solid', 'gradient', 'field', ...GRADIENT_KINDS],
+  bgmotion: GRADIENT_MOTIONS,
+  field: PHI_FIELD_KINDS,
+  colormap: Object.keys(FIELD_COLORMAPS),
+  align: ['left', 'center', 'right', 'start', 'end'],
+  underline: ['true', 'false'],
+  fit: ['none', 'shrink'],
+  contrast: ['off', ...Object.keys(WCAG_LEVELS)],
+  simulate: ['none', ...CVD_TYPES],
+};
+
+// Level the contrast warning checks when contrast= is not given
+const DEFAULT_CONTRAST_LEVEL = 'aa';
+
+// Numeric params the renderer reads (percent: also accepts "50%", range in %)
+const NUMERIC_PARAMS = {
+  fontsize:    { min: 6,     max: 400 },
+  size:        { min: 1,     max: 2000 },
+  strokewidth: { min: 0,     max: 100 },
+  x:           { min: -2000, max: 4000, percent: { min: -100, max: 200 } },
+  y:           { min: -2000, max: 4000, percent: { min: -100, max: 200 } },
+  maxwidth:    { min: 1,     max: 4000, percent: { min: 1, max: 100 } },
+  maxlines:    { min: 1,     max: 20 },
+  lineheight:  { min: 0.5,   max: 3 },
+  width:       { min: 1,     max: 4000 },
+  height:      { min: 1,     max: 4000 },
+  rotation:    { min: -360,  max: 360 },
+  regions:     { min: 0,     max: 16 },
+  glow:        { min: 0,     max: 1 },
+  flow:        { min: 0,     max: 10 },
+  bgangle:     { min: -360,  max: 360 },
+  bgx:         { min: -2000, max: 4000, percent: { min: -100, max: 200 } },
+  bgy:         { min: -2000, max: 4000, percent: { min: -100, max: 200 } },
+  shapex:      { min: -2000, max: 4000, percent: { min: -100, max: 200 } },
+  shapey:      { min: -2000, max: 4000, percent: { min: -100, max: 200 } },
+};
+
+// Diagnostics that mean part of the command was ignored (not a syntax error)
+const IGNORED_PARAM_CODES = [
+  'UNKNOWN_KEY', 'UNKNOWN_PALETTE', 'INVALID_BRAND_COLOR', 'UNKNOWN_HARMONY', 'UNKNOWN_SCENE', 'UNKNOWN_CANVAS',
+];
+
+// ============================================================================
+// PREDICATE REGISTRY
+// ============================================================================
+
+// How a failed predicate affects the gate: only errors block writing
+export const PREDICATE_SEVERITIES = {
+  ERROR: 'error',       // Manifest is not writable (repaired, or ground state)
+  WARNING: 'warning',   // Writable, but part of the command was ignored
+  INFO: 'info',         // Writable; worth knowing
+};
+
+const REGISTRY = new Map();
+
+/**
+ * Register a validation predicate (a Δ gate)
+ * 
+ * @param {object} definition - { name, severity, key, check, fix, explain }
+ *   severity: one of PREDICATE_SEVERITIES (default error)
+ *   key:      param the predicate guards (string, array or null)
+ *   check(manifest) → boolean
+ *   fix(manifest, draft, record) - optional auto-fix for an error, see repair_manifest
+ *   explain(manifest) → string[] - optional: what failed, one line each, for
+ *     the notices a failed warning or info leaves (see collect_notices)
+ * @returns {object} The registered definition
+ */
+export function register_predicate(definition) {
+  const { name, severity = PREDICATE_SEVERITIES.ERROR, key = null, check, fix = null, explain = null } = definition || {};
+
+  if (!name || typeof name !== 'string') {
+    throw new Error('Predicate requires a name');
+  }
+  if (REGISTRY.has(name)) {
+    throw new Error(`Predicate already registered: ${name}`);
+  }
+  if (!Object.values(PREDICATE_SEVERITIES).includes(severity)) {
+    throw new Error(`Predicate ${name} has invalid severity: ${severity}`);
+  }
+  if (typeof check !== 'function') {
+    throw new Error(`Predicate ${name} requires a check function`);
+  }
+  if (fix !== null && typeof fix !== 'function') {
+    throw new Error(`Predicate ${name} fix must be a function`);
+  }
+  if (explain !== null && typeof explain !== 'function') {
+    throw new Error(`Predicate ${name} explain must be a function`);
+  }
+
+  const entry = { name, severity, key, check, fix, explain };
+  REGISTRY.set(name, entry);
+  return entry;
+}
+
+/**
+ * Look up a registered predicate by name
+ */
+export function get_predicate(name) {
+  return REGISTRY.get(name) || null;
+}
+
+/**
+ * List registered predicates in evaluation (registration) order
+ */
+export function list_predicates() {
+  return [...REGISTRY.values()];
+}
+
+// ============================================================================
+// CHECK & REPAIR HELPERS
+// ============================================================================
+
+/**
+ * Names animate= accepts: every registered animation preset
+ */
+function valid_animations() {
+  return list_animations().map(animation => animation.name);
+}
+
+/**
+ * Check that text is safe to render
+ */
+function is_safe_text(text) {
+  // No script injection, reasonable length
+  return (
+    !text.includes('<script') &&
+    !text.includes('javascript:') &&
+    text.length <= TEXT_MAX_LENGTH
+  );
+}
+
+/**
+ * Check that a sequence/content frame has a sane display time (ms)
+ */
+function is_valid_frame_timing(frame) {
+  return (
+    Number.isFinite(frame.timing) &&
+    frame.timing >= FRAME_TIMING_RANGE.min &&
+    frame.timing <= FRAME_TIMING_RANGE.max
+  );
+}
+
+/**
+ * Check that a value contains no self-references (walks objects and arrays)
+ */
+function is_acyclic(value, ancestors = new Set()) {
+  if (value === null || typeof value !== 'object') return true;
+  if (ancestors.has(value)) return false;
+  
+  ancestors.add(value);
+  const acyclic = Object.values(value).every(child => is_acyclic(child, ancestors));
+  ancestors.delete(value);
+  return acyclic;
+}
+
+/**
+ * Read a numeric param: { value, percent } or null when not a number
+ */
+function read_numeric(raw, spec) {
+  const percent = Boolean(spec.percent) && String(raw).trim().endsWith('%');
+  const value = Number(percent ? String(raw).trim().slice(0, -1) : raw);
+  return Number.isFinite(value) ? { value, percent } : null;
+}
+
+/**
+ * Clamp a number into { min, max } (either bound optional)
+ */
+function clamp(value, range) {
+  return Math.min(range.max ?? Infinity, Math.max(range.min ?? -Infinity, value));
+}
+
+/**
+ * Truncate over-long text, drop text that can never be safe
+ */
+function repair_text(draft, key, record) {
+  const text = draft.params[key];
+  const truncated = text.slice(0, TEXT_MAX_LENGTH);
+  if (is_safe_text(truncated)) {
+    record(key, 'clamped', truncated, `text is limited to ${TEXT_MAX_LENGTH} characters`);
+  } else {
+    record(key, 'dropped', null, 'text contains script content');
+  }
+}
+
+/**
+ * Drop unsafe items from a ~ list (and the timing paired with each)
+ */
+function repair_list_texts(draft, key, record) {
+  const items = draft.lists[key] || [];
+  const kept = [];
+  const timings = draft.lists.timing;
+  const kept_timings = [];
+  
+  items.forEach((item, index) => {
+    if (is_safe_text(item)) {
+      kept.push(item);
+      if (timings?.[index] !== undefined) kept_timings.push(timings[index]);
+    }
+  });
+  
+  if (kept.length === items.length) return;
+  
+  record(key, 'dropped', kept.join('~'), `${items.length - kept.length} unsafe item(s) removed`, kept);
+  if (timings && timings.length > 1) {
+    draft.lists.timing = kept_timings;
+    draft.params.timing = kept_timings.join('~');
+  }
+}
+
+/**
+ * Keep only the first MAX_FRAMES items of a ~ list
+ */
+function repair_frame_count(draft, key, record) {
+  const items = draft.lists[key] || [];
+  if (items.length <= MAX_FRAMES) return;
+  
+  const kept = items.slice(0, MAX_FRAMES);
+  record(key, 'clamped', kept.join('~'), `at most ${MAX_FRAMES} frames`, kept);
+}
+
+/**
+ * Clamp each timing entry into FRAME_TIMING_RANGE
+ */
+function repair_timings(draft, record) {
+  const timings = draft.lists.timing || [];
+  const repaired = timings.map((timing) => {
+    const ms = parse_timing_value(timing);
+    return ms === null || clamp(ms, FRAME_TIMING_RANGE) === ms ? timing : `${clamp(ms, FRAME_TIMING_RANGE)}ms`;
+  });
+  
+  if (repaired.every((timing, i) => timing === timings[i])) return;
+  
+  record('timing', 'clamped', repaired.join('~'),
+    `each frame must show for ${FRAME_TIMING_RANGE.min}-${FRAME_TIMING_RANGE.max}ms`, repaired);
+}
+
+// ============================================================================
+// BUILT-IN PREDICATES
+// ============================================================================
+
+// Fixes edit a draft { params, lists } and record what they changed;
+// the draft is then re-parsed and must pass the gate on its own.
+
+// Δ₁: Canvas dimensions are valid
+register_predicate({
+  name: 'canvas_dimensions_valid',
+  key: 'canvas',
+  check: (manifest) => {
     const { width, height } = manifest.canvas;
     return (
       Number.isInteger(width) &&
       Number.isInteger(height) &&
-      width >= 100 && width <= 2000 &&
-      height >= 100 && height <= 2000
+      width >= CANVAS_SIDE_RANGE.min && width <= CANVAS_SIDE_RANGE.max &&
+      height >= CANVAS_SIDE_RANGE.min && height <= CANVAS_SIDE_RANGE.max
     );
   },
-
-  // Δ₂: Text content is safe
-  text_content_safe: (manifest) => {
-    const text = manifest.params.text || '';
-    // No script injection, reasonable length
-    return (
-      !text.includes('<script') &&
-      !text.includes('javascript:') &&
-      text.length <= 500
-    );
+  // A ratio written as pixels (16x9) becomes its preset, as the parse diagnostic
+  // suggests; other custom dimensions are clamped into range, anything unreadable dropped
+  fix: (manifest, draft, record) => {
+    const value = draft.params.canvas;
+    const match = value?.match(/^(\d+)x(\d+)$/);
+    if (!match) {
+      if (value !== undefined) record('canvas', 'dropped', null, 'not a canvas preset or WIDTHxHEIGHT');
+      return;
+    }
+    const ratio = `${parseInt(match[1])}:${parseInt(match[2])}`;
+    if (CANVAS_PRESETS[ratio]) {
+      record('canvas', 'adjusted', ratio, `${value} reads as pixels; the ${ratio} preset is ${CANVAS_PRESETS[ratio].width}x${CANVAS_PRESETS[ratio].height}`);
+      return;
+    }
+    const width = clamp(parseInt(match[1]), CANVAS_SIDE_RANGE);
+    const height = clamp(parseInt(match[2]), CANVAS_SIDE_RANGE);
+    record('canvas', 'clamped', `${width}x${height}`, `each side must be ${CANVAS_SIDE_RANGE.min}-${CANVAS_SIDE_RANGE.max}px`);
   },
+});
 
-  // Δ₃: Palette exists
-  palette_exists: (manifest) => {
-    return manifest.palette && typeof manifest.palette === 'object';
+// Δ₂: Text content is safe (single text and every sequence frame)
+register_predicate({
+  name: 'text_content_safe',
+  key: ['text', 'sequence'],
+  check: (manifest) => {
+    const texts = [manifest.params.text || ''];
+    for (const frame of manifest.sequence || []) {
+      texts.push(frame.text);
+    }
+    return texts.every(is_safe_text);
   },
+  // Truncate long text, drop unsafe text
+  fix: (manifest, draft, record) => {
+    if (draft.params.text && !is_safe_text(draft.params.text)) {
+      repair_text(draft, 'text', record);
+    }
+    repair_list_texts(draft, 'sequence', record);
+  },
+});
 
-  // Δ₄: No circular references (structural integrity)
-  structure_acyclic: (manifest) => {
-    // For now, always passes - more complex validation later
-    return true;
+// Δ₃: Palette exists
+register_predicate({
+  name: 'palette_exists',
+  key: 'palette',
+  check: (manifest) => {
+    return Boolean(manifest.palette) && typeof manifest.palette === 'object';
   },
+  fix: (manifest, draft, record) => {
+    record('palette', 'dropped', null, 'palette could not be resolved');
+  },
+});
+
+// Δ₄: No circular references (structural integrity) - the manifest must stay serializable
+register_predicate({
+  name: 'structure_acyclic',
+  check: (manifest) => is_acyclic(manifest),
+});
 
-  // Δ₅: Animation parameters valid
-  animation_valid: (manifest) => {
-    const validAnimations = ['none', 'fadeIn', 'fadeOut', 'pulse', 'grow', 'sparkle', 'slide'];
+// Δ₅: Animation is a registered preset (see register_animation)
+register_predicate({
+  name: 'animation_valid',
+  key: 'animate',
+  check: (manifest) => {
     const anim = manifest.params.animate || 'none';
-    return validAnimations.includes(anim);
+    return valid_animations().includes(anim);
+  },
+  fix: (manifest, draft, record) => {
+    record('animate', 'dropped', null, `animation must be one of ${valid_animations().join(', ')}`);
   },
+});
 
-  // Δ₆: Color values valid (hex format)
-  colors_valid: (manifest) => {
-    const colorParams = ['fill', 'stroke', 'bg', 'color'];
-    for (const param of colorParams) {
+// Δ₆: Color values valid (any CSS Color 4 color, including each gradient stop)
+register_predicate({
+  name: 'colors_valid',
+  key: [...COLOR_PARAMS, 'gradient'],
+  check: (manifest) => {
+    for (const param of COLOR_PARAMS) {
       const value = manifest.params[param];
-      if (value && !is_valid_color(value)) {
+      if (value && !is_valid_css_color(value)) {
         return false;
       }
     }
+    return split_color_list(manifest.params.gradient).every(is_valid_css_color);
+  },
+  // Drop invalid colors; a gradient keeps its valid stops
+  fix: (manifest, draft, record) => {
+    for (const param of COLOR_PARAMS) {
+      const value = draft.params[param];
+      if (value && !is_valid_css_color(value)) {
+        record(param, 'dropped', null, `"${value}" is not a valid color`);
+      }
+    }
+    
+    const stops = split_color_list(draft.params.gradient);
+    const kept = stops.filter(is_valid_css_color);
+    for (const stop of stops.filter(stop => !is_valid_css_color(stop))) {
+      record('gradient', 'dropped', kept.join(','), `"${stop}" is not a valid color`, kept);
+    }
+  },
+});
+
+// Δ₇: Sequence frames bounded (count and per-frame timing)
+register_predicate({
+  name: 'sequence_valid',
+  key: ['sequence', 'timing'],
+  check: (manifest) => {
+    const sequence = manifest.sequence;
+    if (!sequence) return true;
+    return (
+      sequence.length <= MAX_FRAMES &&
+      sequence.every(is_valid_frame_timing)
+    );
+  },
+  // Keep the first MAX_FRAMES entries, clamp timings into range
+  fix: (manifest, draft, record) => {
+    repair_frame_count(draft, 'sequence', record);
+    repair_timings(draft, record);
+  },
+});
+
+// Δ₈: Zone layout valid (text, colors, font sizes, content cycle)
+register_predicate({
+  name: 'zones_valid',
+  key: ['background', ...ZONE_NAMES],
+  check: (manifest) => {
+    const zones = manifest.zones;
+    if (!zones) return true;
+    
+    if (!['solid', 'gradient'].includes(zones.background)) return false;
+    
+    for (const zone_name of ZONE_NAMES) {
+      const zone = zones[zone_name];
+      if (zone.text && !is_safe_text(zone.text)) return false;
+      if (zone.color && !is_valid_css_color(zone.color)) return false;
+      if (zone.size !== null && (zone.size < ZONE_SIZE_RANGE.min || zone.size > ZONE_SIZE_RANGE.max)) return false;
+    }
+    
+    const items = zones.content.items;
+    return (
+      items.length <= MAX_FRAMES &&
+      items.every(item => is_safe_text(item.text) && is_valid_frame_timing(item))
+    );
+  },
+  // Repair each zone independently
+  fix: (manifest, draft, record) => {
+    const background = draft.params.background;
+    if (background && !['solid', 'gradient'].includes(background)) {
+      record('background', 'dropped', null, 'background must be solid or gradient');
+    }
+    
+    for (const zone_name of ZONE_NAMES) {
+      if (zone_name !== 'content' && draft.params[zone_name] && !is_safe_text(draft.params[zone_name])) {
+        repair_text(draft, zone_name, record);
+      }
+      
+      const color = draft.params[`${zone_name}color`];
+      if (color && !is_valid_css_color(color)) {
+        record(`${zone_name}color`, 'dropped', null, `"${color}" is not a valid color`);
+      }
+      
+      const size = parseInt(draft.params[`${zone_name}size`]);
+      if (!Number.isNaN(size) && clamp(size, ZONE_SIZE_RANGE) !== size) {
+        record(`${zone_name}size`, 'clamped', String(clamp(size, ZONE_SIZE_RANGE)),
+          `font size must be ${ZONE_SIZE_RANGE.min}-${ZONE_SIZE_RANGE.max}px`);
+      }
+    }
+    
+    repair_list_texts(draft, 'content', record);
+    repair_frame_count(draft, 'content', record);
+    repair_timings(draft, record);
+  },
+});
+
+// Δ₉: Decorations registered and their scalars within declared ranges
+register_predicate({
+  name: 'decorations_valid',
+  key: 'decorations',
+  check: (manifest) => {
+    for (const name of manifest.decorations || []) {
+      const decoration = get_decoration(name);
+      if (!decoration) return false;
+      
+      for (const [param_name, spec] of Object.entries(decoration.params)) {
+        const raw = manifest.params[param_name.toLowerCase()];
+        if (raw === undefined || raw === '') continue;
+        
+        const value = Number(raw);
+        if (!Number.isFinite(value)) return false;
+        if (spec.min !== undefined && value < spec.min) return false;
+        if (spec.max !== undefined && value > spec.max) return false;
+      }
+    }
     return true;
   },
-};
+  // Drop unregistered decorations, clamp or drop out-of-range scalars
+  fix: (manifest, draft, record) => {
+    const names = draft.lists.decorations || [];
+    const known = names.filter(name => get_decoration(name));
+    for (const name of names.filter(name => !get_decoration(name))) {
+      record('decorations', 'dropped', known.join(','), `"${name}" is not a registered decoration`, known);
+    }
+    
+    for (const name of known) {
+      for (const [param_name, spec] of Object.entries(get_decoration(name).params)) {
+        const key = param_name.toLowerCase();
+        const raw = draft.params[key];
+        if (raw === undefined || raw === '') continue;
+        
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+          record(key, 'dropped', null, `"${raw}" is not a number`);
+        } else if (clamp(value, spec) !== value) {
+          record(key, 'clamped', String(clamp(value, spec)), `${key} must be ${spec.min}-${spec.max}`);
+        }
+      }
+    }
+  },
+});
+
+// Δ₁₀: Command string lexed cleanly (no unterminated quotes or dangling escapes)
+register_predicate({
+  name: 'syntax_valid',
+  check: (manifest) => {
+    return !manifest.errors.some(error => SYNTAX_ERROR_CODES.includes(error.code));
+  },
+  // Accept the lexer's best-effort reading; re-parsing escapes it cleanly
+  fix: (manifest, draft, record) => {
+    for (const error of manifest.errors.filter(error => SYNTAX_ERROR_CODES.includes(error.code))) {
+      record(null, 'kept', null, `${error.message} - read literally`);
+    }
+  },
+});
+
+// Δ₁₁: Enumerated params hold one of their known values
+for (const [key, allowed] of Object.entries(ENUM_PARAMS)) {
+  register_predicate({
+    name: `${key}_valid`,
+    key,
+    check: (manifest) => {
+      const value = manifest.params[key];
+      return !value || allowed.includes(value);
+    },
+    fix: (manifest, draft, record) => {
+      record(key, 'dropped', null, `${key} must be one of ${allowed.join(', ')}`);
+    },
+  });
+}
+
+// Δ₁₂: Numeric params are numbers within range (percent allowed for x/y/maxwidth)
+for (const [key, spec] of Object.entries(NUMERIC_PARAMS)) {
+  register_predicate({
+    name: `${key}_in_range`,
+    key,
+    check: (manifest) => {
+      const raw = manifest.params[key];
+      if (raw === undefined || raw === '') return true;
+      
+      const numeric = read_numeric(raw, spec);
+      if (!numeric) return false;
+      
+      const range = numeric.percent ? spec.percent : spec;
+      return clamp(numeric.value, range) === numeric.value;
+    },
+    fix: (manifest, draft, record) => {
+      const numeric = read_numeric(draft.params[key], spec);
+      if (!numeric) {
+        record(key, 'dropped', null, `"${draft.params[key]}" is not a number`);
+        return;
+      }
+      
+      const range = numeric.percent ? spec.percent : spec;
+      const unit = numeric.percent ? '%' : '';
+      record(key, 'clamped', `${clamp(numeric.value, range)}${unit}`, `${key} must be ${range.min}-${range.max}${unit}`);
+    },
+  });
+}
+
+// Δ₁₃: Font family is a plain family list (it is spliced into ctx.font)
+register_predicate({
+  name: 'font_valid',
+  key: 'font',
+  check: (manifest) => {
+    const font = manifest.params.font;
+    return !font || FONT_FAMILY_PATTERN.test(font);
+  },
+  fix: (manifest, draft, record) => {
+    record('font', 'dropped', null, 'font must be a family list like "Georgia, serif"');
+  },
+});
+
+// Δ₁₄: Every key and named value was recognized (typos are ignored, not fatal)
+register_predicate({
+  name: 'params_recognized',
+  severity: PREDICATE_SEVERITIES.WARNING,
+  check: (manifest) => {
+    return !manifest.errors.some(error => IGNORED_PARAM_CODES.includes(error.code));
+  },
+  // Each one is already reported as a parse diagnostic
+  explain: () => [],
+});
+
+// Δ₁₅: There is something to say (otherwise the placeholder text is drawn, as the layer stack decides)
+register_predicate({
+  name: 'content_present',
+  severity: PREDICATE_SEVERITIES.INFO,
+  key: ['text', 'sequence', 'header'],
+  check: (manifest) => !is_placeholder_text_drawn(manifest),
+  explain: (manifest) => [manifest.params.scene && manifest.layers.some(layer => LAYER_TYPES.includes(layer.type))
+    ? `no text= or sequence=: scene=${manifest.params.scene} draws its text layer, so the placeholder text is drawn`
+    : 'no text=, sequence=, zone text or layers: the placeholder text is drawn'],
+});
 
 /**
- * Check if a color value is valid
+ * Text measurements below a WCAG level, with the ratio each one required
  */
-function is_valid_color(color) {
-  // Hex color
-  if (/^#[0-9A-Fa-f]{3,8}$/.test(color)) return true;
-  // Named color (basic set)
-  const namedColors = ['white', 'black', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta', 'transparent'];
-  if (namedColors.includes(color.toLowerCase())) return true;
-  // RGB/RGBA
-  if (/^rgba?\([\d\s,.%]+\)$/.test(color)) return true;
-  return false;
+function find_low_contrast_text(manifest, level) {
+  return measure_text_contrast(manifest)
+    .map(measurement => ({ ...measurement, required: required_contrast(level, measurement.large) }))
+    .filter(measurement => measurement.ratio < measurement.required);
 }
 
+// Δ₁₆: Text is readable on its background (WCAG AA), unless contrast= takes over (Δ₁₇)
+register_predicate({
+  name: 'text_contrast_sufficient',
+  severity: PREDICATE_SEVERITIES.WARNING,
+  key: 'color',
+  check: (manifest) => {
+    if (manifest.params.contrast) return true;
+    return find_low_contrast_text(manifest, DEFAULT_CONTRAST_LEVEL).length === 0;
+  },
+  explain: (manifest) => find_low_contrast_text(manifest, DEFAULT_CONTRAST_LEVEL).map(({ element, param, color, ratio, required, large }) =>
+    `${element} ${param}=${color} has contrast ${ratio.toFixed(2)}:1, below ${DEFAULT_CONTRAST_LEVEL.toUpperCase()} ${required}:1` +
+    ` for ${large ? 'large' : 'normal'} text (contrast=${DEFAULT_CONTRAST_LEVEL} picks a readable color)`),
+});
+
+// Δ₁₇: contrast=aa|aaa makes the level binding; repair picks the nearest compliant text color
+register_predicate({
+  name: 'text_contrast_enforced',
+  key: ['color', ...ZONE_NAMES.map(zone_name => `${zone_name}color`)],
+  check: (manifest) => {
+    const level = manifest.params.contrast;
+    if (!WCAG_LEVELS[level]) return true;
+    return find_low_contrast_text(manifest, level).length === 0;
+  },
+  fix: (manifest, draft, record) => {
+    const level = manifest.params.contrast;
+    
+    for (const measurement of find_low_contrast_text(manifest, level)) {
+      const { param, color, backgrounds, ratio, required } = measurement;
+      const reason = `contrast ${ratio.toFixed(2)}:1 is below ${level.toUpperCase()} ${required}:1`;
+      let replacement = find_compliant_text_color(color, backgrounds, required);
+      
+      // No text color reads on the whole gradient: fall back to the solid background
+      if (!replacement && param === 'color' && backgrounds.length > 1) {
+        replacement = find_compliant_text_color(color, [manifest.palette.primary], required);
+        if (replacement) record('bg', 'adjusted', 'solid', `no text color reaches ${required}:1 on the ${manifest.params.bg === 'field' ? 'field' : 'gradient'}`);
+      }
+      
+      if (replacement && replacement !== color) record(param, 'adjusted', replacement, reason);
+    }
+  },
+});
+
+// Brand predicates (Δ₁₈-Δ₂₅) pass when no kit is selected or the kit leaves that aspect free
+
+// Every color param a brand kit constrains
+const BRAND_COLOR_PARAMS = [...COLOR_PARAMS, ...ZONE_NAMES.map(zone_name => `${zone_name}color`)];
+
+/**
+ * A flat param's key plus the layer keys that set the same property
+ */
+function with_layer_keys(params, keys) {
+  return [].concat(keys).flatMap(key => [key, ...find_layer_keys(params, key)]);
+}
+
+// Δ₁₈: brand= names a registered kit (no fix: dropping it would lift the brand's constraints)
+register_predicate({
+  name: 'brand_known',
+  key: 'brand',
+  check: (manifest) => !manifest.params.brand || Boolean(manifest.brand),
+});
+
+// Δ₁₉: Palette is one of the brand's
+register_predicate({
+  name: 'brand_palette',
+  key: 'palette',
+  check: (manifest) => {
+    const palettes = manifest.brand?.palettes || [];
+    return palettes.length === 0 || palettes.includes(manifest.params.palette);
+  },
+  fix: (manifest, draft, record) => {
+    const { name, palettes } = manifest.brand;
+    record('palette', 'adjusted', palettes[0], `palette must be one of the ${name} palettes`);
+  },
+});
+
+// Δ₂₀: Every color, layer colors included, is a brand color (off-brand colors snap to the nearest one, or are dropped)
+register_predicate({
+  name: 'brand_colors',
+  key: [...BRAND_COLOR_PARAMS, 'gradient'],
+  check: (manifest) => {
+    const kit = manifest.brand;
+    if (!kit) return true;
+    const colors = [
+      ...with_layer_keys(manifest.params, BRAND_COLOR_PARAMS).map(param => manifest.params[param]).filter(Boolean),
+      ...split_color_list(manifest.params.gradient),
+      ...split_gradient_stops(manifest.params.bgstops).map(stop => stop.color),
+    ];
+    return colors.every(color => is_brand_color(kit, color));
+  },
+  fix: (manifest, draft, record) => {
+    const kit = manifest.brand;
+    const reason = (color) => `"${color}" is off-brand for ${kit.name}`;
+    
+    for (const param of with_layer_keys(draft.params, BRAND_COLOR_PARAMS)) {
+      const color = draft.params[param];
+      if (!color || is_brand_color(kit, color)) continue;
+      const snapped = kit.snap && nearest_brand_color(kit, color);
+      if (snapped) {
+        record(param, 'adjusted', snapped, reason(color));
+      } else {
+        record(param, 'dropped', null, reason(color));
+      }
+    }
+    
+    const stops = split_color_list(draft.params.gradient);
+    if (stops.some(stop => !is_brand_color(kit, stop))) {
+      const kept = kit.snap
+        ? stops.map(stop => (is_brand_color(kit, stop) ? stop : nearest_brand_color(kit, stop))).filter(Boolean)
+        : stops.filter(stop => is_brand_color(kit, stop));
+      record('gradient', kit.snap ? 'adjusted' : 'dropped', kept.join(','),
+        reason(stops.find(stop => !is_brand_color(kit, stop))), kept);
+    }
+    
+    // Background stops snap or drop the same way, keeping their positions
+    const bg_stops = split_gradient_stops(draft.params.bgstops);
+    const off_brand = bg_stops.find(stop => !is_brand_color(kit, stop.color));
+    if (off_brand) {
+      const kept = bg_stops
+        .map(stop => (is_brand_color(kit, stop.color) ? stop : { ...stop, color: kit.snap && nearest_brand_color(kit, stop.color) }))
+        .filter(stop => stop.color)
+        .map(format_gradient_stop);
+      record('bgstops', kit.snap ? 'adjusted' : 'dropped', kept.join(','), reason(off_brand.color), kept);
+    }
+  },
+});
+
+/**
+ * Keys of a flat param and its layer variants whose value the kit does not allow
+ *
+ * The flat param counts even when unset (it falls back to the default: no
+ * font, animate=none); layer keys only when set.
+ */
+function off_brand_keys(manifest, key, allowed) {
+  const flat = key === 'animate' ? manifest.params.animate || 'none' : manifest.params[key];
+  return [
+    ...(allowed.includes(flat) ? [] : [key]),
+    ...find_layer_keys(manifest.params, key).filter(layer_key => !allowed.includes(manifest.params[layer_key])),
+  ];
+}
+
+// Δ₂₁: Font is one of the brand's (layer fonts too)
+register_predicate({
+  name: 'brand_font',
+  key: 'font',
+  check: (manifest) => {
+    const fonts = manifest.brand?.fonts || [];
+    return fonts.length === 0 || off_brand_keys(manifest, 'font', fonts).length === 0;
+  },
+  fix: (manifest, draft, record) => {
+    const { name, fonts } = manifest.brand;
+    for (const key of off_brand_keys(manifest, 'font', fonts)) {
+      record(key, 'adjusted', fonts[0], `font must be one of the ${name} fonts`);
+    }
+  },
+});
+
+// Δ₂₂: Animation is one the brand permits (layer animations too)
+register_predicate({
+  name: 'brand_animation',
+  key: 'animate',
+  check: (manifest) => {
+    const animations = manifest.brand?.animations || [];
+    return animations.length === 0 || off_brand_keys(manifest, 'animate', animations).length === 0;
+  },
+  fix: (manifest, draft, record) => {
+    const { name, animations } = manifest.brand;
+    for (const key of off_brand_keys(manifest, 'animate', animations)) {
+      record(key, 'adjusted', animations[0], `${name} permits ${animations.join(', ')}`);
+    }
+  },
+});
+
+// Δ₂₃: Scene is one the brand permits
+register_predicate({
+  name: 'brand_scene',
+  key: 'scene',
+  check: (manifest) => {
+    const scenes = manifest.brand?.scenes || [];
+    return scenes.length === 0 || !manifest.params.scene || scenes.includes(manifest.params.scene);
+  },
+  fix: (manifest, draft, record) => {
+    const { name, scenes } = manifest.brand;
+    record('scene', 'dropped', null, `${name} permits ${scenes.join(', ')}`);
+  },
+});
+
+/**
+ * Font sizes a brand range applies to: the main text and each text layer (their
+ * computed default too) or, in a zone layout, the explicit zone sizes
+ */
+function brand_font_sizes(manifest) {
+  if (manifest.layout === 'zones') {
+    return ZONE_NAMES
+      .filter(zone_name => manifest.zones[zone_name].size !== null)
+      .map(zone_name => ({ key: `${zone_name}size`, size: manifest.zones[zone_name].size }));
+  }
+  const default_size = Math.floor(manifest.canvas.height / 8);
+  const text_layers = (manifest.layers || []).filter(layer => layer.type === 'text');
+  return [
+    { key: 'fontsize', size: parseInt(manifest.params.fontsize) || default_size },
+    ...text_layers.map(layer => ({ key: `layer${layer.index}.fontsize`, size: parseInt(layer.params.fontsize) || default_size })),
+  ];
+}
+
+// Δ₂₄: Font sizes stay inside the brand's range
+register_predicate({
+  name: 'brand_fontsize',
+  key: ['fontsize', ...ZONE_NAMES.map(zone_name => `${zone_name}size`)],
+  check: (manifest) => {
+    const range = manifest.brand?.fontsize;
+    if (!range) return true;
+    return brand_font_sizes(manifest).every(({ size }) => size >= range.min && size <= range.max);
+  },
+  fix: (manifest, draft, record) => {
+    const range = manifest.brand.fontsize;
+    for (const { key, size } of brand_font_sizes(manifest)) {
+      if (size < range.min || size > range.max) {
+        record(key, 'clamped', String(clamp(size, range)), `${manifest.brand.name} font sizes are ${range.min}-${range.max}px`);
+      }
+    }
+  },
+});
+
+// Δ₂₅: The brand's mandatory footer is present and unchanged
+register_predicate({
+  name: 'brand_footer',
+  key: 'footer',
+  check: (manifest) => {
+    const footer = manifest.brand?.footer;
+    return !footer || manifest.params.footer === footer;
+  },
+  fix: (manifest, draft, record) => {
+    record('footer', 'adjusted', manifest.brand.footer, `${manifest.brand.name} requires its footer`);
+  },
+});
+
+// Short names of the deficiencies, as the confusion lines use them
+const CVD_SHORT_NAMES = { protanopia: 'protan', deuteranopia: 'deutan', tritanopia: 'tritan' };
+
+/**
+ * Role color pairs that merge under a common deficiency
+ */
+function find_confusable_roles(manifest) {
+  const { palette, params } = manifest;
+  const background = canvas_background(manifest);
+  return find_confusable_colors({
+    text: params.color || palette.text,
+    accent: palette.accent,
+    background: background.solid || background.gradient,
+  });
+}
+
+// Δ₂₆: Text, accent and background stay apart under protanopia, deuteranopia and tritanopia
+register_predicate({
+  name: 'colors_distinguishable',
+  severity: PREDICATE_SEVERITIES.WARNING,
+  check: (manifest) => find_confusable_roles(manifest).length === 0,
+  // One line per role pair and deficiency (a gradient background can confuse on several stops)
+  explain: (manifest) => {
+    const lines = find_confusable_roles(manifest).map(({ type, first, second, colors }) =>
+      `${first} ${colors[0]} and ${second} ${colors[1]} look alike under ${type} (${CVD_SHORT_NAMES[type] || type})` +
+      ` - preview with simulate=${type}`);
+    return [...new Set(lines)];
+  },
+});
+
+// Params that place an element on the timeline
+const TIMELINE_PARAMS = ['delay', 'duration', 'ease', 'keyframes'];
+
+/**
+ * Check a timeline param (flat or layer)
+ *
+ * @returns {object|null} null when valid, else the repair: { action, replacement, reason }
+ */
+function diagnose_timeline_value(property, value) {
+  const drop = (reason) => ({ action: 'dropped', replacement: null, reason });
+  
+  if (property === 'ease') {
+    return parse_easing(value)
+      ? null
+      : drop(`ease must be one of ${Object.keys(EASING_CURVES).join(', ')} or cubic-bezier(x1, y1, x2, y2)`);
+  }
+  if (property === 'keyframes') {
+    return parse_keyframes(value) ? null : drop('keyframes must be steps like opacity(0) scale(0.8)~opacity(1) scale(1)');
+  }
+  
+  const range = TIMELINE_RANGES[property];
+  const ms = parse_timing_value(value);
+  if (ms === null) return drop(`"${value}" is not a time like 0.5s or 300ms`);
+  return clamp(ms, range) === ms
+    ? null
+    : { action: 'clamped', replacement: `${clamp(ms, range)}ms`, reason: `${property} must be ${range.min}-${range.max}ms` };
+}
+
+// Δ₂₇: Element timelines are readable: times in range, known easing, well-formed keyframes
+register_predicate({
+  name: 'timeline_valid',
+  key: TIMELINE_PARAMS,
+  check: (manifest) => {
+    return TIMELINE_PARAMS.every(key => !manifest.params[key] || !diagnose_timeline_value(key, manifest.params[key]));
+  },
+  fix: (manifest, draft, record) => {
+    for (const key of TIMELINE_PARAMS) {
+      const problem = draft.params[key] && diagnose_timeline_value(key, draft.params[key]);
+      if (problem) record(key, problem.action, problem.replacement, problem.reason);
+    }
+  },
+});
+
+// Params only image layers (and the logo) read
+const IMAGE_PARAMS = ['image', 'fit', 'opacity'];
+
+/**
+ * Check an image param: the source's type and size, fit, opacity
+ *
+ * @returns {object|null} null when valid, else the repair: { action, replacement, reason }
+ */
+function diagnose_image_value(property, value, manifest) {
+  const drop = (reason) => ({ action: 'dropped', replacement: null, reason });
+  
+  if (property === 'image') {
+    const source = resolve_image_source(value, manifest);
+    if (!source) return drop(manifest.brand ? `brand kit ${manifest.brand.name} has no logo` : '"brand" needs a brand kit');
+    const problem = check_image_source(source);
+    return problem ? drop(problem) : null;
+  }
+  if (property === 'fit') {
+    return IMAGE_FITS.includes(value) ? null : drop(`fit must be one of ${IMAGE_FITS.join(', ')}`);
+  }
+  
+  const opacity = Number(value);
+  if (!Number.isFinite(opacity)) return drop(`"${value}" is not a number`);
+  return clamp(opacity, IMAGE_OPACITY_RANGE) === opacity
+    ? null
+    : { action: 'clamped', replacement: String(clamp(opacity, IMAGE_OPACITY_RANGE)), reason: 'opacity must be 0-1' };
+}
+
+/**
+ * Check one indexed layer property by the rules of its flat param
+ * (image layers by the image rules, see diagnose_image_value)
+ *
+ * @returns {object|null} null when valid, else the repair: { action, replacement, reason }
+ */
+function diagnose_layer_value(property, value, type, manifest) {
+  const drop = (reason) => ({ action: 'dropped', replacement: null, reason });
+  
+  if (type === 'image' && IMAGE_PARAMS.includes(property)) {
+    return diagnose_image_value(property, value, manifest);
+  }
+  if (property === 'type') {
+    return LAYER_TYPES.includes(value) ? null : drop(`type must be one of ${LAYER_TYPES.join(', ')}`);
+  }
+  if (property === 'text') {
+    if (is_safe_text(value)) return null;
+    const truncated = value.slice(0, TEXT_MAX_LENGTH);
+    return is_safe_text(truncated)
+      ? { action: 'clamped', replacement: truncated, reason: `text is limited to ${TEXT_MAX_LENGTH} characters` }
+      : drop('text contains script content');
+  }
+  if (property === 'animate') {
+    return valid_animations().includes(value) ? null : drop(`animation must be one of ${valid_animations().join(', ')}`);
+  }
+  if (property === 'font') {
+    return FONT_FAMILY_PATTERN.test(value) ? null : drop('font must be a family list like "Georgia, serif"');
+  }
+  if (TIMELINE_PARAMS.includes(property)) {
+    return diagnose_timeline_value(property, value);
+  }
+  if (property === 'shape' || property === 'path' || find_shape_param(property)) {
+    return diagnose_shape_value(property, value);
+  }
+  if (COLOR_PARAMS.includes(property)) {
+    return is_valid_css_color(value) ? null : drop(`"${value}" is not a valid color`);
+  }
+  if (ENUM_PARAMS[property]) {
+    return ENUM_PARAMS[property].includes(value) ? null : drop(`${property} must be one of ${ENUM_PARAMS[property].join(', ')}`);
+  }
+  
+  const spec = property === 'z' ? LAYER_Z_RANGE : NUMERIC_PARAMS[property];
+  if (spec) {
+    const numeric = read_numeric(value, spec);
+    if (!numeric) return drop(`"${value}" is not a number`);
+    const range = numeric.percent ? spec.percent : spec;
+    const unit = numeric.percent ? '%' : '';
+    return clamp(numeric.value, range) === numeric.value
+      ? null
+      : { action: 'clamped', replacement: `${clamp(numeric.value, range)}${unit}`, reason: `${property} must be ${range.min}-${range.max}${unit}` };
+  }
+  return null;
+}
+
+/**
+ * Problems with the indexed layers: [{ key, action, replacement, reason }]
+ *
+ * Layers past MAX_LAYERS and untyped layers lose all their keys; otherwise
+ * each property is checked like its flat param.
+ */
+function find_layer_problems(manifest) {
+  const problems = [];
+  const keys_of = (index) => Object.keys(manifest.params).filter(key => parse_layer_key(key)?.index === index);
+  
+  (manifest.layers || []).forEach((layer, position) => {
+    const discard = (reason) => {
+      for (const key of keys_of(layer.index)) problems.push({ key, action: 'dropped', replacement: null, reason });
+    };
+    
+    if (position >= MAX_LAYERS) {
+      discard(`at most ${MAX_LAYERS} layers`);
+    } else if (!LAYER_TYPES.includes(layer.type)) {
+      discard(layer.type ? `type must be one of ${LAYER_TYPES.join(', ')}` : `layer${layer.index} needs a type, text or shape`);
+    } else {
+      for (const [property, value] of Object.entries(layer.params)) {
+        const problem = value === '' ? null : diagnose_layer_value(property, value, layer.type, manifest);
+        if (problem) problems.push({ key: `layer${layer.index}.${property}`, ...problem });
+      }
+    }
+  });
+  
+  return problems;
+}
+
+// Δ₂₈: Indexed layers are bounded, typed, and each property is valid like its flat param
+register_predicate({
+  name: 'layers_valid',
+  check: (manifest) => find_layer_problems(manifest).length === 0,
+  fix: (manifest, draft, record) => {
+    for (const { key, action, replacement, reason } of find_layer_problems(manifest)) {
+      record(key, action, replacement, reason);
+    }
+  },
+});
+
+// Params that pick the shape and shape its outline (registered shapes may add scalars)
+const SHAPE_PARAMS = ['shape', 'path', ...Object.keys(SHAPE_PARAMETERS)];
+
+/**
+ * Shape params, including the scalars of shapes registered after import
+ */
+function shape_param_keys() {
+  return ['shape', 'path', ...list_shape_params()];
+}
+
+/**
+ * Check a shape param (flat or layer)
+ *
+ * @returns {object|null} null when valid, else the repair: { action, replacement, reason }
+ */
+function diagnose_shape_value(property, value) {
+  const drop = (reason) => ({ action: 'dropped', replacement: null, reason });
+  
+  if (property === 'shape') {
+    const names = list_shapes().map(shape => shape.name);
+    return get_shape(value) ? null : drop(`shape must be one of ${names.join(', ')}`);
+  }
+  if (property === 'path') {
+    return parse_svg_path(value) ? null : drop('path must be SVG path data like "M50 0 L100 100 L0 100 Z"');
+  }
+  
+  const spec = find_shape_param(property);
+  const numeric = read_numeric(value, spec);
+  if (!numeric) return drop(`"${value}" is not a number`);
+  return clamp(numeric.value, spec) === numeric.value
+    ? null
+    : { action: 'clamped', replacement: String(clamp(numeric.value, spec)), reason: `${property} must be ${spec.min}-${spec.max}` };
+}
+
+// Δ₂₉: Shape is registered, its path parses, and its scalars are within range
+register_predicate({
+  name: 'shape_valid',
+  key: SHAPE_PARAMS,
+  check: (manifest) => {
+    return shape_param_keys().every(key => !manifest.params[key] || !diagnose_shape_value(key, manifest.params[key]));
+  },
+  fix: (manifest, draft, record) => {
+    for (const key of shape_param_keys()) {
+      const problem = draft.params[key] && diagnose_shape_value(key, draft.params[key]);
+      if (problem) record(key, problem.action, problem.replacement, problem.reason);
+    }
+  },
+});
+
+// Keys that place and style the logo
+const LOGO_KEYS = ['logo', ...LOGO_PROPERTIES.map(property => `logo.${property}`)];
+
+/**
+ * Problems with the logo: [{ key, action, replacement, reason }]
+ *
+ * logo= is checked as an image source, each logo.<property> like the same
+ * property of an image layer.
+ */
+function find_logo_problems(manifest) {
+  const problems = [];
+  
+  for (const key of LOGO_KEYS) {
+    const value = manifest.params[key];
+    if (!value) continue;
+    
+    const property = key === 'logo' ? 'image' : key.slice('logo.'.length);
+    const problem = diagnose_layer_value(property, value, 'image', manifest);
+    if (problem) problems.push({ key, ...problem });
+  }
+  
+  return problems;
+}
+
+// Δ₃₀: Logo is a usable image (type, size) and its placement is valid
+register_predicate({
+  name: 'logo_valid',
+  key: LOGO_KEYS,
+  check: (manifest) => find_logo_problems(manifest).length === 0,
+  fix: (manifest, draft, record) => {
+    for (const { key, action, replacement, reason } of find_logo_problems(manifest)) {
+      record(key, action, replacement, reason);
+    }
+  },
+});
+
+/**
+ * Problems with one background stop ("#f0f@60%")
+ *
+ * @returns {string|null} Why the stop is dropped, or null
+ */
+function diagnose_gradient_stop(stop) {
+  if (!is_valid_css_color(stop.color)) return `"${stop.color}" is not a valid color`;
+  if (Number.isNaN(stop.position)) return `stop position of "${stop.color}" must be 0-1 or a percentage`;
+  if (stop.position !== null && (stop.position < 0 || stop.position > 1)) {
+    return `stop position of "${stop.color}" must be 0-100%`;
+  }
+  return null;
+}
+
+// Δ₃₁: Background stops are colors at positions inside the gradient
+register_predicate({
+  name: 'gradient_stops_valid',
+  key: 'bgstops',
+  check: (manifest) => split_gradient_stops(manifest.params.bgstops).every(stop => !diagnose_gradient_stop(stop)),
+  // Drop bad stops; the rest are kept
+  fix: (manifest, draft, record) => {
+    const stops = split_gradient_stops(draft.params.bgstops);
+    const kept = stops.filter(stop => !diagnose_gradient_stop(stop)).map(format_gradient_stop);
+    for (const stop of stops.filter(diagnose_gradient_stop)) {
+      record('bgstops', 'dropped', kept.join(','), diagnose_gradient_stop(stop), kept);
+    }
+  },
+});
+
+// ============================================================================
+// PARTIAL REPAIR
+// ============================================================================
+
+/**
+ * Repair a rejected manifest predicate by predicate
+ * 
+ * Each failed error predicate with a fix resets only the params it guards;
+ * everything else is kept. Warnings and infos are only reported, so what
+ * they flag stays the same whether or not an error forced a repair.
+ * 
+ * @param {object} manifest - The parsed (rejected) manifest
+ * @param {object} truth_table - Predicate results from validate_manifest_as_writable
+ * @returns {object} { manifest, repairs } - repairs: [{ predicate, key, action, value, replacement, reason }]
+ */
+export function repair_manifest(manifest, truth_table) {
+  const draft = {
+    params: { ...manifest.params },
+    lists: Object.fromEntries(Object.entries(manifest.lists || {}).map(([key, items]) => [key, [...items]])),
+  };
+  const repairs = [];
+  
+  for (const [predicate_name, passed] of Object.entries(truth_table)) {
+    const predicate = REGISTRY.get(predicate_name);
+    if (passed || !predicate?.fix || predicate.severity !== PREDICATE_SEVERITIES.ERROR) continue;
+    
+    const record = (key, action, replacement, reason, list = null) => {
+      repairs.push({ predicate: predicate_name, key, action, value: key ? manifest.params[key] ?? null : null, replacement, reason });
+      if (!key) return;
+      
+      if (action === 'dropped' && list === null) {
+        delete draft.params[key];
+        delete draft.lists[key];
+      } else {
+        draft.params[key] = replacement;
+        if (list) draft.lists[key] = list;
+      }
+    };
+    
+    predicate.fix(manifest, draft, record);
+  }
+  
+  // Re-parse the repaired params so every derived field (canvas, zones, ...) is consistent
+  const command = build_canonical_command({ ...manifest, params: draft.params, lists: draft.lists });
+  
+  return {
+    manifest: parse_command_string_into_manifest(command),
+    repairs,
+  };
+}
+
+/**
+ * One-line form of a repair: "dropped fill: "#zzz" is not a valid color"
+ */
+export function format_repair(repair) {
+  const { key, action, replacement, reason } = repair;
+  const target = key ? `${key}: ` : '';
+  const shown = replacement?.length > 40 ? `${replacement.slice(0, 37)}...` : replacement;
+  const result = (action === 'clamped' || action === 'adjusted') && shown ? ` → ${shown}` : '';
+  return `${action} ${target}${reason}${result}`;
+}
+
+/**
+ * Format a repair report for display, one line per changed key
+ */
+export function format_repair_report(repairs) {
+  const lines = ['REPAIRED (invalid params reset, everything else kept):'];
+  for (const repair of repairs) {
+    lines.push(`  🔧 ${format_repair(repair)}`);
+  }
+  return lines.join('\n');
+}
+
+// ============================================================================
+// WRITABLE GATE
+// ============================================================================
+
 /**
  * Validate manifest through the Writable Gate
  * 
+ * Every registered predicate runs; only failed error-severity predicates
+ * make the manifest unwritable. Failed warnings and infos are reported.
+ * 
  * @param {object} manifest - The parsed manifest
  * @returns {object} Validation result with truth table
+ *   { is_writable, truth_table, severities, errors, warnings, infos, details, manifest }
+ *   details: { predicate → explain lines } for failed predicates that explain themselves
  */
 export function validate_manifest_as_writable(manifest) {
   const results = {};
-  const errors = [];
+  const severities = {};
+  const messages = { error: [], warning: [], info: [] };
+  const details = {};
 
   // Run each predicate (Δ fan surface)
-  for (const [predicate_name, predicate_fn] of Object.entries(PREDICATES)) {
+  for (const predicate of REGISTRY.values()) {
+    severities[predicate.name] = predicate.severity;
     try {
-      const passed = predicate_fn(manifest);
-      results[predicate_name] = passed;
+      const passed = Boolean(predicate.check(manifest));
+      results[predicate.name] = passed;
       if (!passed) {
-        errors.push(`FAILED: ${predicate_name}`);
+        messages[predicate.severity].push(`FAILED: ${predicate.name}`);
+        if (predicate.explain) details[predicate.name] = predicate.explain(manifest);
       }
     } catch (e) {
-      results[predicate_name] = false;
-      errors.push(`ERROR in ${predicate_name}: ${e.message}`);
+      results[predicate.name] = false;
+      messages[predicate.severity].push(`ERROR in ${predicate.name}: ${e.message}`);
     }
   }
 
-  // E(manifest) = P₁ ∧ P₂ ∧ ... ∧ Pₙ
-  const is_writable = Object.values(results).every(v => v === true);
+  // E(manifest) = P₁ ∧ P₂ ∧ ... ∧ Pₙ over the error-severity predicates
+  const is_writable = Object.entries(results)
+    .every(([name, passed]) => passed || severities[name] !== PREDICATE_SEVERITIES.ERROR);
 
   return {
     is_writable,
     truth_table: results,
-    errors,
+    severities,
+    errors: messages.error,
+    warnings: messages.warning,
+    infos: messages.info,
+    details,
     manifest: is_writable ? manifest : null,
   };
 }
 
 /**
- * Create a safe, validated manifest or return ground state
- * 
- * Ground state is the minimal valid configuration - the system's "rest position"
+ * What the failed warnings and infos of a validation say, one notice per line
+ *
+ * A predicate without explain leaves one line naming it; one whose explain
+ * returns nothing (reported elsewhere) leaves none.
+ *
+ * @returns {object[]} [{ predicate, severity, message }]
  */
-export function get_validated_manifest_or_ground_state(manifest) {
-  const validation = validate_manifest_as_writable(manifest);
+export function collect_notices(validation) {
+  return Object.entries(validation.truth_table)
+    .filter(([predicate, passed]) => !passed && validation.severities[predicate] !== PREDICATE_SEVERITIES.ERROR)
+    .flatMap(([predicate]) => (validation.details[predicate] ?? [`${predicate} failed`])
+      .map(message => ({ predicate, severity: validation.severities[predicate], message })));
+}
 
-  if (validation.is_writable) {
-    return {
-      valid: true,
-      manifest: validation.manifest,
-      validation,
-    };
-  }
+/**
+ * One-line form of a notice: "warning text_contrast_sufficient: text color=#ffff00 has ..."
+ */
+export function format_notice(notice) {
+  return `${notice.severity} ${notice.predicate}: ${notice.message}`;
+}
 
-  // Return ground state (minimal valid configuration)
-  const ground_state = {
+/**
+ * Build the ground state - the minimal valid configuration, the system's "rest position"
+ */
+function create_ground_state(errors, brand = null) {
+  // Under a brand kit the fallback is the kit's own defaults, so it stays on-brand too
+  if (brand) {
+    const branded = parse_command_string_into_manifest(`brand=${brand.name}`);
+    if (validate_manifest_as_writable(branded).is_writable) return { ...branded, errors };
+  }
+  
+  return {
     raw: '',
     params: {},
+    lists: {},
     canvas: { width: 400, height: 400, aspect: '1:1' },
     palette: {
       primary: '#0a0a0f',
@@ -148,27 +1350,90 @@ export function get_validated_manifest_or_ground_state(manifest) {
       gradient: ['#0a0a0f', '#1a1a2e', '#16213e'],
     },
     scene: null,
+    sequence: null,
+    layout: null,
+    zones: null,
+    decorations: [],
     layers: [],
-    errors: validation.errors,
+    errors,
   };
+}
+
+/**
+ * Create a safe, validated manifest, repairing what fails
+ * 
+ * By default only the params behind failed predicates are reset (see
+ * repair_manifest); the ground state is the last resort when the repaired
+ * manifest still fails. Strict mode skips repair: any failure → ground state.
+ * 
+ * @param {object} manifest - The parsed manifest
+ * @param {object} options - { strict: false }
+ * @returns {object} { valid, manifest, validation, repaired, repairs, notices, used_ground_state }
+ *   valid: the manifest passed the gate unchanged
+ *   notices: failed warnings and infos of the manifest returned (see collect_notices)
+ */
+export function get_validated_manifest_or_ground_state(manifest, options = {}) {
+  const validation = validate_manifest_as_writable(manifest);
+
+  if (validation.is_writable) {
+    return {
+      valid: true,
+      manifest: validation.manifest,
+      validation,
+      repaired: false,
+      repairs: [],
+      notices: collect_notices(validation),
+    };
+  }
+
+  if (!options.strict) {
+    const { manifest: repaired_manifest, repairs } = repair_manifest(manifest, validation.truth_table);
+    const revalidation = validate_manifest_as_writable(repaired_manifest);
+    
+    if (revalidation.is_writable) {
+      return {
+        valid: false,
+        manifest: repaired_manifest,
+        validation,
+        repaired: true,
+        repairs,
+        notices: collect_notices(revalidation),
+      };
+    }
+  }
 
   return {
     valid: false,
-    manifest: ground_state,
+    manifest: create_ground_state(validation.errors, manifest?.brand),
     validation,
+    repaired: false,
+    repairs: [],
+    notices: [],
     used_ground_state: true,
   };
 }
 
 /**
- * Format validation result for display
+ * Format validation result for display, grouped by severity
  */
 export function format_validation_result(validation) {
+  const groups = [
+    { severity: PREDICATE_SEVERITIES.ERROR, title: 'ERRORS', failed_icon: '🔴' },
+    { severity: PREDICATE_SEVERITIES.WARNING, title: 'WARNINGS', failed_icon: '🟡' },
+    { severity: PREDICATE_SEVERITIES.INFO, title: 'INFO', failed_icon: '🔵' },
+  ];
   const lines = ['VALIDATION TRUTH TABLE:'];
   
-  for (const [predicate, passed] of Object.entries(validation.truth_table)) {
-    const icon = passed ? '🟢' : '🔴';
-    lines.push(`  ${icon} ${predicate}`);
+  for (const { severity, title, failed_icon } of groups) {
+    const entries = Object.entries(validation.truth_table)
+      .filter(([predicate]) => (validation.severities?.[predicate] ?? PREDICATE_SEVERITIES.ERROR) === severity);
+    if (entries.length === 0) continue;
+    
+    lines.push(`  ${title}:`);
+    for (const [predicate, passed] of entries) {
+      const icon = passed ? '🟢' : failed_icon;
+      lines.push(`    ${icon} ${predicate}`);
+    }
   }
   
   lines.push('');
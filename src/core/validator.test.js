@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { parse_command_string_into_manifest } from './manifest.js';
+import {
+  validate_manifest_as_writable, repair_manifest, get_validated_manifest_or_ground_state, format_repair,
+  format_validation_result, register_predicate, get_predicate, list_predicates, PREDICATE_SEVERITIES,
+} from './validator.js';
+
+const validate = (command, options) => get_validated_manifest_or_ground_state(parse_command_string_into_manifest(command), options);
+
+// { key, action, replacement } of each repair, in order
+const repairs_of = (result) => result.repairs.map(({ key, action, replacement }) => ({ key, action, replacement }));
+
+describe('repair_manifest', () => {
+  it('resets only the params behind failed predicates', () => {
+    const manifest = parse_command_string_into_manifest('text=Hello|fill=#zzz|palette=sunset|animate=pulse');
+    const { truth_table } = validate_manifest_as_writable(manifest);
+    const { manifest: repaired, repairs } = repair_manifest(manifest, truth_table);
+
+    expect(repairs).toEqual([expect.objectContaining({ predicate: 'colors_valid', key: 'fill', action: 'dropped', value: '#zzz' })]);
+    expect(repaired.params).toEqual({ text: 'Hello', palette: 'sunset', animate: 'pulse' });
+  });
+
+  it('clamps out-of-range numbers instead of dropping them', () => {
+    const result = validate('text=Hi|canvas=5000x50');
+    expect(repairs_of(result)).toEqual([{ key: 'canvas', action: 'clamped', replacement: '2000x100' }]);
+    expect(result.manifest.canvas).toMatchObject({ width: 2000, height: 100 });
+
+    expect(repairs_of(validate('header=Acme|headerSize=900'))).toEqual([{ key: 'headersize', action: 'clamped', replacement: '400' }]);
+  });
+
+  it('applies the preset a ratio written as pixels suggests (canvas=16x9 → 16:9)', () => {
+    const manifest = parse_command_string_into_manifest('text=Hi|canvas=16x9');
+    expect(manifest.errors[0]).toMatchObject({ code: 'MALFORMED_DIMENSIONS', suggestion: '16:9' });
+
+    const result = get_validated_manifest_or_ground_state(manifest);
+    expect(repairs_of(result)).toEqual([{ key: 'canvas', action: 'adjusted', replacement: '16:9' }]);
+    expect(result.manifest.canvas).toEqual({ width: 640, height: 360, aspect: '16:9' });
+  });
+
+  it('drops unsafe text and unknown animations, keeping the rest', () => {
+    const unsafe = validate('text=<script>alert(1)</script>|palette=oceanic|animate=spin');
+    expect(unsafe.repaired).toBe(true);
+    expect(repairs_of(unsafe).map(repair => repair.key)).toEqual(['text', 'animate']);
+    expect(unsafe.manifest.params).toEqual({ palette: 'oceanic' });
+  });
+
+  it('keeps unknown params whether or not another param is repaired', () => {
+    expect(validate('text=Hi|colr=red').manifest.params).toEqual({ text: 'Hi', colr: 'red' });
+
+    const result = validate('text=Hi|colr=red|fill=#zzz|palette=oceanic');
+    expect(repairs_of(result)).toEqual([{ key: 'fill', action: 'dropped', replacement: null }]);
+    expect(result.manifest.params).toEqual({ text: 'Hi', colr: 'red', palette: 'oceanic' });
+    expect(result.validation.warnings).toEqual(['FAILED: params_recognized']);
+  });
+
+  it('describes each repair on one line', () => {
+    const [repair] = validate('text=Hi|canvas=5000x50').repairs;
+    expect(format_repair(repair)).toBe('clamped canvas: each side must be 100-2000px → 2000x100');
+  });
+});
+
+describe('get_validated_manifest_or_ground_state', () => {
+  it('passes a valid manifest through unchanged', () => {
+    const result = validate('text=Hello|palette=sunset');
+    expect(result).toMatchObject({ valid: true, repaired: false, repairs: [] });
+    expect(result.manifest.params).toEqual({ text: 'Hello', palette: 'sunset' });
+  });
+
+  it('falls back to the ground state in strict mode instead of repairing', () => {
+    const result = validate('text=Hi|fill=#zzz', { strict: true });
+    expect(result).toMatchObject({ valid: false, repaired: false, used_ground_state: true });
+    expect(result.manifest.params).toEqual({});
+  });
+});
+
+describe('register_predicate', () => {
+  register_predicate({
+    name: 'test_headline_short',
+    severity: PREDICATE_SEVERITIES.WARNING,
+    key: 'text',
+    check: (manifest) => (manifest.params.text || '').length <= 40,
+    fix: (manifest, draft, record) => record('text', 'clamped', draft.params.text.slice(0, 40), 'headlines are capped'),
+  });
+  register_predicate({
+    name: 'test_no_lorem',
+    key: 'text',
+    check: (manifest) => manifest.params.text !== 'lorem',
+    fix: (manifest, draft, record) => record('text', 'adjusted', 'Hello', 'placeholder text'),
+  });
+
+  it('reports a failed warning without blocking the manifest', () => {
+    const result = validate(`text=${'long '.repeat(10)}`);
+    expect(result.valid).toBe(true);
+    expect(result.validation.warnings).toEqual(['FAILED: test_headline_short']);
+    expect(result.validation.severities.test_headline_short).toBe('warning');
+    expect(result.repaired).toBe(false);
+  });
+
+  it('applies only error fixes, so a warning reads the same when an error is repaired', () => {
+    const result = validate(`text=${'long '.repeat(10)}|fill=#zzz`);
+    expect(repairs_of(result)).toEqual([{ key: 'fill', action: 'dropped', replacement: null }]);
+    expect(result.manifest.params.text).toBe('long '.repeat(10).trim());
+  });
+
+  it('repairs a failed error with its fix', () => {
+    const result = validate('text=lorem|palette=sunset');
+    expect(repairs_of(result)).toEqual([{ key: 'text', action: 'adjusted', replacement: 'Hello' }]);
+    expect(result.manifest.params).toEqual({ text: 'Hello', palette: 'sunset' });
+  });
+
+  it('rejects duplicates and bad definitions', () => {
+    expect(get_predicate('test_no_lorem')).toMatchObject({ severity: 'error', key: 'text' });
+    expect(list_predicates().map(predicate => predicate.name)).toContain('canvas_dimensions_valid');
+    expect(() => register_predicate({ name: 'test_no_lorem', check: () => true })).toThrow('already registered');
+    expect(() => register_predicate({ name: 'test_loud', severity: 'fatal', check: () => true })).toThrow('invalid severity');
+    expect(() => register_predicate({ name: 'test_empty' })).toThrow('requires a check function');
+  });
+});
+
+describe('built-in predicates', () => {
+  it('clamps numeric params into range, as pixels or percentages', () => {
+    expect(repairs_of(validate('text=Hi|fontSize=1000'))).toEqual([{ key: 'fontsize', action: 'clamped', replacement: '400' }]);
+    expect(repairs_of(validate('text=Hi|x=250%'))).toEqual([{ key: 'x', action: 'clamped', replacement: '200%' }]);
+    expect(repairs_of(validate('text=Hi|y=abc'))).toEqual([{ key: 'y', action: 'dropped', replacement: null }]);
+  });
+
+  it('drops enumerated params outside their values', () => {
+    expect(repairs_of(validate('text=Hi|align=middle'))).toEqual([{ key: 'align', action: 'dropped', replacement: null }]);
+  });
+
+  it('groups the truth table by severity', () => {
+    const text = format_validation_result(validate('sequence=A~B').validation);
+    expect(text).toMatch(/ERRORS:[\s\S]*WARNINGS:[\s\S]*INFO:/);
+    expect(text).toContain('🟢 content_present');
+    expect(format_validation_result(validate('palette=sunset').validation)).toContain('🔵 content_present');
+  });
+
+  it('counts indexed layers as content, as the layer stack does', () => {
+    const notices_of = (command) => validate(command).notices
+      .filter(({ predicate }) => predicate === 'content_present')
+      .map(({ message }) => message);
+
+    expect(notices_of('layer1.shape=star|layer1.x=20%|layer2.text=Sale|layer2.animate=slide')).toEqual([]);
+    expect(notices_of('palette=sunset')).toEqual(['no text=, sequence=, zone text or layers: the placeholder text is drawn']);
+    expect(notices_of('scene=minimal|layer1.shape=star')).toEqual([
+      'no text= or sequence=: scene=minimal draws its text layer, so the placeholder text is drawn',
+    ]);
+  });
+});
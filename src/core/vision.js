@@ -0,0 +1,166 @@
+/**
+ * COLOR VISION DEFICIENCY
+ * ========================
+ *
+ * Simulates how a GIF looks with a color vision deficiency, and checks
+ * whether the palette's roles stay apart under each one.
+ *
+ *   simulate=deuteranopia   → frames are transformed before encoding
+ *
+ * Protanopia, deuteranopia and tritanopia use the Machado et al. (2009)
+ * full-severity matrices; achromatopsia keeps luminance only. All four are
+ * applied in linear RGB.
+ *
+ * ITT Interpretation:
+ *   A deficiency collapses one axis of color space - values that were
+ *   separate on that axis fall onto the same point
+ */
+
+import chroma from 'chroma-js';
+import { parse_css_color } from './colors.js';
+
+export const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+  ],
+};
+
+export const CVD_TYPES = Object.keys(CVD_MATRICES);
+
+// The deficiencies the validator checks (achromatopsia is rare)
+export const COMMON_CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia'];
+
+// OKLab distance below which two flat colors read as the same
+export const MIN_DISTINGUISHABLE_DISTANCE = 0.06;
+
+// Linear → sRGB lookup resolution (linear values are quantized to 1/4095)
+const ENCODE_STEPS = 4096;
+
+// ============================================================================
+// TRANSFER LOOKUP TABLES
+// ============================================================================
+
+const DECODE = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const v = i / 255;
+  DECODE[i] = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+const ENCODE = new Uint8ClampedArray(ENCODE_STEPS);
+for (let i = 0; i < ENCODE_STEPS; i++) {
+  const v = i / (ENCODE_STEPS - 1);
+  ENCODE[i] = Math.round(255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055));
+}
+
+function encode(linear) {
+  return ENCODE[Math.round(Math.min(1, Math.max(0, linear)) * (ENCODE_STEPS - 1))];
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Simulate one color under a deficiency
+ *
+ * @param {string} color - Any CSS color
+ * @param {string} type - One of CVD_TYPES
+ * @returns {string|null} Hex color (alpha dropped), or null if the color or type is invalid
+ */
+export function simulate_color(color, type) {
+  const parsed = parse_css_color(color);
+  const matrix = CVD_MATRICES[type];
+  if (!parsed || !matrix) return null;
+
+  const linear = parsed.rgb(false).map(channel => DECODE[Math.round(channel)]);
+  const [r, g, b] = matrix.map(row => encode(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+  return chroma(r, g, b, 'rgb').hex();
+}
+
+/**
+ * Simulate a deficiency on RGBA frames in place (ImageData or { data })
+ *
+ * @param {Array} frames - Frames from generate_manifest_frames
+ * @param {string} type - One of CVD_TYPES
+ * @returns {Array} The same frames
+ */
+export function simulate_frames(frames, type) {
+  const matrix = CVD_MATRICES[type];
+  if (!matrix) return frames;
+  const [[m00, m01, m02], [m10, m11, m12], [m20, m21, m22]] = matrix;
+
+  for (const frame of frames) {
+    const data = frame.data;
+    for (let i = 0; i < data.length; i += 4) {
+      const r = DECODE[data[i]];
+      const g = DECODE[data[i + 1]];
+      const b = DECODE[data[i + 2]];
+      data[i] = encode(m00 * r + m01 * g + m02 * b);
+      data[i + 1] = encode(m10 * r + m11 * g + m12 * b);
+      data[i + 2] = encode(m20 * r + m21 * g + m22 * b);
+    }
+  }
+
+  return frames;
+}
+
+// ============================================================================
+// DISTINGUISHABILITY
+// ============================================================================
+
+/**
+ * Perceptual distance between two colors (Euclidean, in OKLab)
+ */
+export function color_distance(a, b) {
+  const [l1, a1, b1] = chroma(a).oklab();
+  const [l2, a2, b2] = chroma(b).oklab();
+  return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+}
+
+/**
+ * Find color pairs that are distinct to normal vision but merge under a deficiency
+ *
+ * @param {object} roles - { name: color | color[] } e.g. { text, accent, background: [...stops] }
+ * @param {string[]} types - Deficiencies to check (default: COMMON_CVD_TYPES)
+ * @returns {object[]} [{ type, first, second, colors: [a, b], distance }]
+ */
+export function find_confusable_colors(roles, types = COMMON_CVD_TYPES) {
+  const entries = Object.entries(roles).flatMap(([name, value]) =>
+    [].concat(value).filter(Boolean).map(color => ({ name, color: parse_css_color(color)?.alpha(1).hex() })),
+  ).filter(entry => entry.color);
+
+  const confusions = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const [first, second] = [entries[i], entries[j]];
+      if (first.name === second.name) continue;
+      if (color_distance(first.color, second.color) < MIN_DISTINGUISHABLE_DISTANCE) continue;
+
+      for (const type of types) {
+        const distance = color_distance(simulate_color(first.color, type), simulate_color(second.color, type));
+        if (distance < MIN_DISTINGUISHABLE_DISTANCE) {
+          confusions.push({ type, first: first.name, second: second.name, colors: [first.color, second.color], distance });
+        }
+      }
+    }
+  }
+
+  return confusions;
+}
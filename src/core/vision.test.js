@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { createCanvas } from '@napi-rs/canvas';
+import { simulate_color, simulate_frames, find_confusable_colors, color_distance, CVD_TYPES } from './vision.js';
+import { parse_command_string_into_manifest } from './manifest.js';
+import { get_validated_manifest_or_ground_state, format_notice } from './validator.js';
+import { create_render_context, generate_manifest_frames } from './renderer.js';
+
+const validate = (command) => get_validated_manifest_or_ground_state(parse_command_string_into_manifest(command));
+
+describe('simulate_color', () => {
+  it('collapses red and green for the red-green deficiencies', () => {
+    expect(simulate_color('#ff0000', 'protanopia')).toBe('#6d5f00');
+    expect(simulate_color('#ff0000', 'deuteranopia')).toBe('#a39000');
+    expect(simulate_color('#00ff00', 'tritanopia')).toBe('#00f7d9');
+    expect(simulate_color('#ff0000', 'achromatopsia')).toBe('#7f7f7f');
+  });
+
+  it('leaves neutral colors unchanged', () => {
+    for (const type of CVD_TYPES) {
+      expect(simulate_color('#ffffff', type)).toBe('#ffffff');
+      expect(simulate_color('#808080', type)).toBe('#808080');
+    }
+  });
+
+  it('returns null for invalid colors or deficiencies', () => {
+    expect(simulate_color('nope', 'protanopia')).toBeNull();
+    expect(simulate_color('#ffffff', 'colorblind')).toBeNull();
+  });
+});
+
+describe('simulate_frames', () => {
+  it('transforms RGB in place and keeps alpha', () => {
+    const frame = { data: new Uint8ClampedArray([255, 0, 0, 128, 0, 0, 255, 255]) };
+    simulate_frames([frame], 'achromatopsia');
+    expect([...frame.data]).toEqual([127, 127, 127, 128, 76, 76, 76, 255]);
+  });
+
+  it('applies simulate= to rendered frames', () => {
+    const canvas = createCanvas(60, 60);
+    const manifest = validate('text=Hi|bg=solid|palette=sunset|simulate=achromatopsia').manifest;
+    const { frames } = generate_manifest_frames(create_render_context(canvas), manifest);
+
+    const { data } = frames[0];
+    for (let i = 0; i < data.length; i += 4) {
+      expect(data[i]).toBe(data[i + 1]);
+      expect(data[i + 1]).toBe(data[i + 2]);
+    }
+  });
+});
+
+describe('find_confusable_colors', () => {
+  it('reports pairs that are distinct but merge under a deficiency', () => {
+    const confusions = find_confusable_colors({ text: '#ff0000', background: '#1b5e20' });
+
+    expect(confusions).toEqual([expect.objectContaining({
+      type: 'protanopia', first: 'text', second: 'background', colors: ['#ff0000', '#1b5e20'],
+    })]);
+    expect(color_distance('#ff0000', '#1b5e20')).toBeGreaterThan(confusions[0].distance);
+  });
+
+  it('ignores pairs that stay apart or already look alike', () => {
+    expect(find_confusable_colors({ text: '#ffffff', background: '#000080' })).toEqual([]);
+    expect(find_confusable_colors({ text: '#ff0000', accent: '#ff0000' })).toEqual([]);
+  });
+
+  it('compares every gradient stop but not stops of the same role', () => {
+    expect(find_confusable_colors({ background: ['#ff0000', '#1b5e20'] })).toEqual([]);
+    expect(find_confusable_colors({ text: '#ff0000', background: ['#000000', '#1b5e20'] })).toHaveLength(1);
+  });
+});
+
+describe('colors_distinguishable', () => {
+  it('warns without failing when palette roles merge', () => {
+    const result = validate('text=Hi|bg=solid|palette=forest|color=#ff0000');
+    expect(result.valid).toBe(true);
+    expect(result.validation.warnings).toContain('FAILED: colors_distinguishable');
+  });
+
+  it('names the pair and the deficiency in the notice', () => {
+    const notices = validate('text=Hi|bg=solid|palette=forest|color=#ff0000').notices
+      .filter(({ predicate }) => predicate === 'colors_distinguishable');
+    expect(notices.map(format_notice)).toEqual([
+      'warning colors_distinguishable: text #ff0000 and background #1b5e20 look alike under protanopia (protan) - preview with simulate=protanopia',
+    ]);
+  });
+
+  it('passes a palette that stays apart', () => {
+    expect(validate('text=Hi|palette=oceanic').validation.warnings).not.toContain('FAILED: colors_distinguishable');
+  });
+
+  it('drops an unknown simulate= value', () => {
+    expect(validate('text=Hi|simulate=colorblind').repairs).toEqual([
+      expect.objectContaining({ predicate: 'simulate_valid', key: 'simulate', action: 'dropped' }),
+    ]);
+  });
+});
@@ -12,10 +12,12 @@
  *   - Ghostless Architecture (self-documenting code)
  */
 
-import { parse_command_string_into_manifest, extract_manifest_from_url } from './core/manifest.js';
-import { validate_manifest_as_writable, get_validated_manifest_or_ground_state, format_validation_result } from './core/validator.js';
-import { create_render_context, render_frame_from_manifest, generate_animation_frames } from './core/renderer.js';
+import { parse_command_string_into_manifest, extract_manifest_from_url, build_url_from_manifest } from './core/manifest.js';
+import { validate_manifest_as_writable, get_validated_manifest_or_ground_state, format_validation_result, format_repair, format_notice } from './core/validator.js';
+import { create_render_context, generate_manifest_frames } from './core/renderer.js';
+import { format_diagnostic } from './core/diagnostics.js';
 import { encode_frames_to_gif, download_gif, create_gif_preview_url } from './rendering/gif.js';
+import { load_manifest_images, abbreviate_source } from './core/images.js';
 
 // ============================================================================
 // APPLICATION STATE
@@ -44,8 +46,20 @@ const DOM = {
 // STATUS DISPLAY
 // ============================================================================
 
-function show_status(message, type = 'info') {
-  DOM.status_container.innerHTML = `<div class="status ${type}">${message}</div>`;
+function escape_html(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * Show a status line, followed by any detail lines (diagnostics, repairs) -
+ * kept visible through the render so typos and resets stay explained
+ */
+function show_status(message, type = 'info', details = []) {
+  const items = details
+    .map(detail => `<li>${escape_html(detail)}</li>`)
+    .join('');
+  const list = items ? `<ul class="diagnostics">${items}</ul>` : '';
+  DOM.status_container.innerHTML = `<div class="status ${type}">${message}${list}</div>`;
 }
 
 function clear_status() {
@@ -56,6 +70,22 @@ function clear_status() {
 // CORE PIPELINE
 // ============================================================================
 
+/**
+ * Decode an image source in the browser (data URIs only - there is no file system)
+ */
+function load_browser_image(source) {
+  return new Promise((resolve, reject) => {
+    if (!source.startsWith('data:')) {
+      reject(new Error('file paths only work on the command line - use a data URI'));
+      return;
+    }
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('not a decodable image'));
+    image.src = source;
+  });
+}
+
 /**
  * Execute the full pipeline: Command → GIF
  */
@@ -73,17 +103,30 @@ async function execute_pipeline(command_string) {
     const raw_manifest = parse_command_string_into_manifest(command_string);
     console.log('📋 Raw manifest:', raw_manifest);
     
-    // 2. VALIDATE: Manifest → Writable Gate
+    // 2. VALIDATE: Manifest → Writable Gate (invalid params are reset, the rest kept)
     const validation = get_validated_manifest_or_ground_state(raw_manifest);
     console.log('✅ Validation:', validation);
     
-    if (!validation.valid) {
-      show_status(`⚠️ Validation warnings (using defaults):\n${validation.validation.errors.join('\n')}`, 'info');
+    const manifest = validation.manifest;
+    
+    // Images (logo, image layers) are decoded before drawing; one that fails is left out
+    const { images, errors: image_errors } = await load_manifest_images(manifest, load_browser_image);
+    
+    const diagnostics = [
+      ...raw_manifest.errors.map(format_diagnostic),
+      ...validation.repairs.map(repair => `🔧 ${format_repair(repair)}`),
+      ...validation.notices.map(notice => `${notice.severity === 'info' ? '🔵' : '🟡'} ${format_notice(notice)}`),
+      ...image_errors.map(({ source, message }) => `🖼️ cannot load image ${abbreviate_source(source)}: ${message}`),
+    ];
+    
+    if (validation.used_ground_state) {
+      show_status('⚠️ Validation failed (using defaults):', 'info', [...diagnostics, ...validation.validation.errors]);
+    } else if (diagnostics.length > 0) {
+      show_status(`⚠️ ${diagnostics.length} problem(s) in command:`, 'info', diagnostics);
     } else {
       show_status('✓ Manifest validated', 'success');
     }
     
-    const manifest = validation.manifest;
     APP_STATE.current_manifest = manifest;
     
     // 3. RESIZE CANVAS to manifest dimensions
@@ -91,41 +134,40 @@ async function execute_pipeline(command_string) {
     DOM.preview_canvas.height = manifest.canvas.height;
     
     // 4. CREATE RENDER CONTEXT
-    const render_ctx = create_render_context(DOM.preview_canvas);
-    
-    // 5. DETERMINE if animated
-    const is_animated = manifest.params.animate && manifest.params.animate !== 'none';
-    const frame_count = is_animated ? 30 : 1;
-    const frame_delay = is_animated ? 50 : 0;  // 50ms = 20fps
+    const render_ctx = create_render_context(DOM.preview_canvas, { images });
     
-    show_status(`🎨 Rendering ${frame_count} frame(s)...`, 'info');
+    // 5. RENDER FRAMES (single text, sequence segments or zone content cycle)
+    show_status('🎨 Rendering frames...', 'info', diagnostics);
     
-    // 6. RENDER FRAMES
-    const frames = generate_animation_frames(render_ctx, manifest, frame_count);
+    const { frames, delays, is_animated } = generate_manifest_frames(render_ctx, manifest);
     
-    // 7. ENCODE TO GIF
-    show_status('📦 Encoding GIF...', 'info');
-    const gif_data = encode_frames_to_gif(frames, manifest.canvas.width, manifest.canvas.height, frame_delay);
+    // 6. ENCODE TO GIF
+    show_status('📦 Encoding GIF...', 'info', diagnostics);
+    const gif_data = encode_frames_to_gif(frames, manifest.canvas.width, manifest.canvas.height, delays);
     APP_STATE.current_gif_data = gif_data;
     
-    // 8. SHOW PREVIEW
+    // 7. SHOW PREVIEW
+    // Static: show the frame as encoded (simulate= changes it after drawing)
+    if (!is_animated) {
+      render_ctx.ctx.putImageData(frames[frames.length - 1], 0, 0);
+    }
+    
     // For animated preview, show as GIF
     if (is_animated) {
       const preview_url = create_gif_preview_url(gif_data);
       const img = new Image();
       img.src = preview_url;
       img.onload = () => {
-        const ctx = DOM.preview_canvas.getContext('2d');
         // Display the final frame
-        render_frame_from_manifest(render_ctx, manifest, 1);
+        render_ctx.ctx.putImageData(frames[frames.length - 1], 0, 0);
       };
     }
     
-    show_status(`✓ GIF ready! ${gif_data.length} bytes, ${frame_count} frames`, 'success');
+    show_status(`✓ GIF ready! ${gif_data.length} bytes, ${frames.length} frames`, diagnostics.length > 0 ? 'info' : 'success', diagnostics);
     DOM.download_btn.disabled = false;
     
-    // Update URL hash
-    window.history.replaceState(null, '', '#' + command_string);
+    // Update URL hash (canonical form, compressed when that is shorter)
+    window.history.replaceState(null, '', build_url_from_manifest(raw_manifest, { compact: 'auto' }));
     
   } catch (error) {
     console.error('Pipeline error:', error);
@@ -159,7 +201,7 @@ function handle_render_click() {
 function handle_download_click() {
   if (APP_STATE.current_gif_data) {
     const manifest = APP_STATE.current_manifest;
-    const text = manifest?.params?.text || 'dynamic';
+    const text = manifest?.params?.text || manifest?.sequence?.[0]?.text || manifest?.zones?.header.text || 'dynamic';
     const safe_name = text.replace(/[^a-z0-9]/gi, '_').toLowerCase();
     download_gif(APP_STATE.current_gif_data, `${safe_name}.gif`);
   }
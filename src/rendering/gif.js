@@ -11,7 +11,9 @@
 
 import * as gifenc from 'gifenc';
 
-const { GIFEncoder, quantize, applyPalette } = gifenc;
+// Bundlers resolve the ESM build (named exports); Node loads the CJS build,
+// which only surfaces its exports on `default`.
+const { GIFEncoder, quantize, applyPalette } = gifenc.GIFEncoder ? gifenc : gifenc.default;
 
 /**
  * Encode frames to GIF
@@ -19,13 +21,13 @@ const { GIFEncoder, quantize, applyPalette } = gifenc;
  * @param {ImageData[]} frames - Array of ImageData from canvas
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height  
- * @param {number} delay - Frame delay in ms (default 100ms = 10fps)
+ * @param {number|number[]} delay - Frame delay in ms, or one delay per frame (default 100ms = 10fps)
  * @returns {Uint8Array} - GIF data
  */
 export function encode_frames_to_gif(frames, width, height, delay = 100) {
   const gif = GIFEncoder();
   
-  for (const frame of frames) {
+  for (const [index, frame] of frames.entries()) {
     // Get RGBA data
     const rgba = frame.data;
     
@@ -38,7 +40,7 @@ export function encode_frames_to_gif(frames, width, height, delay = 100) {
     // Write frame
     gif.writeFrame(indexed, width, height, {
       palette,
-      delay,
+      delay: Array.isArray(delay) ? delay[index] : delay,
     });
   }
   